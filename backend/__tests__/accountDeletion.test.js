@@ -0,0 +1,290 @@
+import { jest } from "@jest/globals";
+
+// ==========================================
+// 1. DEFINE MOCKS
+// ==========================================
+
+// Mock Cloudinary
+await jest.unstable_mockModule("../lib/cloudinary.js", () => ({
+  default: {
+    uploader: {
+      destroy: jest.fn(),
+    },
+  },
+}));
+
+// Mock Models
+await jest.unstable_mockModule("../models/post.model.js", () => ({
+  default: {
+    find: jest.fn(),
+    deleteMany: jest.fn(),
+    updateMany: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+
+await jest.unstable_mockModule("../models/comment.model.js", () => ({
+  default: { deleteMany: jest.fn(), updateMany: jest.fn() },
+}));
+
+await jest.unstable_mockModule("../models/user.model.js", () => ({
+  default: {
+    find: jest.fn(),
+    updateMany: jest.fn(),
+    deleteOne: jest.fn(),
+  },
+}));
+
+await jest.unstable_mockModule("../models/notification.model.js", () => ({
+  default: { deleteMany: jest.fn() },
+}));
+
+await jest.unstable_mockModule("../models/connectionRequest.model.js", () => ({
+  default: { deleteMany: jest.fn() },
+}));
+
+await jest.unstable_mockModule("../models/session.model.js", () => ({
+  default: { deleteMany: jest.fn() },
+}));
+
+await jest.unstable_mockModule("../lib/comments.js", () => ({
+  removeComments: jest.fn(),
+}));
+
+await jest.unstable_mockModule("../lib/dataExport.js", () => ({
+  removeUserExports: jest.fn(),
+}));
+
+// ==========================================
+// 2. DYNAMIC IMPORTS
+// ==========================================
+const { purgeUser, purgeExpiredAccounts } = await import(
+  "../lib/accountDeletion.js"
+);
+
+const cloudinary = (await import("../lib/cloudinary.js")).default;
+const Post = (await import("../models/post.model.js")).default;
+const Comment = (await import("../models/comment.model.js")).default;
+const User = (await import("../models/user.model.js")).default;
+const Notification = (await import("../models/notification.model.js")).default;
+const ConnectionRequest = (await import("../models/connectionRequest.model.js"))
+  .default;
+const Session = (await import("../models/session.model.js")).default;
+const { removeComments } = await import("../lib/comments.js");
+const { removeUserExports } = await import("../lib/dataExport.js");
+
+// ==========================================
+// 3. THE TESTS
+// ==========================================
+describe("Account Deletion", () => {
+  const mockPosts = (posts) =>
+    Post.find.mockReturnValue({
+      select: jest.fn().mockResolvedValue(posts),
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("purgeUser", () => {
+    const user = {
+      _id: "user1",
+      profilePicture:
+        "https://res.cloudinary.com/demo/image/upload/v1/avatar.jpg",
+      bannerImg: "",
+    };
+
+    test("Should remove the user's posts and all their images", async () => {
+      mockPosts([
+        {
+          _id: "post1",
+          images: [
+            {
+              url: "https://res.cloudinary.com/demo/image/upload/v1/photo.jpg",
+            },
+            { url: "https://res.cloudinary.com/demo/image/upload/v1/more.jpg" },
+          ],
+        },
+        { _id: "post2" },
+      ]);
+
+      await purgeUser(user);
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("photo", {
+        resource_type: "image",
+      });
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("more", {
+        resource_type: "image",
+      });
+      expect(Post.deleteMany).toHaveBeenCalledWith({ author: "user1" });
+    });
+
+    test("Should also remove images from earlier versions of edited posts", async () => {
+      const url = (name) =>
+        `https://res.cloudinary.com/demo/image/upload/v1/${name}.jpg`;
+      mockPosts([
+        {
+          _id: "post1",
+          images: [{ url: url("current") }],
+          revisions: [
+            { images: [{ url: url("original") }] },
+            { images: [{ url: url("current") }] },
+          ],
+        },
+      ]);
+
+      await purgeUser({ _id: "user1" });
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("current", {
+        resource_type: "image",
+      });
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("original", {
+        resource_type: "image",
+      });
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledTimes(2);
+    });
+
+    test("Should also remove the PDFs attached to posts", async () => {
+      mockPosts([
+        {
+          _id: "post1",
+          document: {
+            url: "https://res.cloudinary.com/demo/image/upload/v1/slides.pdf",
+          },
+        },
+      ]);
+
+      await purgeUser({ _id: "user1" });
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("slides", {
+        resource_type: "image",
+      });
+    });
+
+    test("Should also remove the videos posted", async () => {
+      mockPosts([
+        {
+          _id: "post1",
+          video: {
+            url: "https://res.cloudinary.com/demo/video/upload/v1/clip.mp4",
+          },
+        },
+      ]);
+
+      await purgeUser({ _id: "user1" });
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("clip", {
+        resource_type: "video",
+      });
+    });
+
+    test("Should clean up comments, reactions and connections elsewhere", async () => {
+      mockPosts([]);
+
+      await purgeUser(user);
+
+      expect(removeComments).toHaveBeenCalledWith({ user: "user1" });
+      expect(Post.updateMany).toHaveBeenCalledWith(
+        { "reactions.user": "user1" },
+        { $pull: { reactions: { user: "user1" } } },
+      );
+      expect(Post.updateMany).toHaveBeenCalledWith(
+        { "poll.options.votes": "user1" },
+        { $pull: { "poll.options.$[].votes": "user1" } },
+      );
+      expect(Comment.updateMany).toHaveBeenCalledWith(
+        { "reactions.user": "user1" },
+        {
+          $pull: { reactions: { user: "user1" } },
+          $inc: { reactionCount: -1 },
+        },
+      );
+      expect(User.updateMany).toHaveBeenCalledWith(
+        { connections: "user1" },
+        { $pull: { connections: "user1" } },
+      );
+      expect(ConnectionRequest.deleteMany).toHaveBeenCalledWith({
+        $or: [{ sender: "user1" }, { recipient: "user1" }],
+      });
+    });
+
+    test("Should remove all comments on the user's posts", async () => {
+      mockPosts([{ _id: "post1" }, { _id: "post2" }]);
+
+      await purgeUser(user);
+
+      expect(Comment.deleteMany).toHaveBeenCalledWith({
+        post: { $in: ["post1", "post2"] },
+      });
+    });
+
+    test("Should take the user's reposts off the original share counts", async () => {
+      mockPosts([
+        { _id: "post1" },
+        { _id: "repost1", sharedPost: "original1" },
+      ]);
+
+      await purgeUser(user);
+
+      expect(Post.updateOne).toHaveBeenCalledTimes(1);
+      expect(Post.updateOne).toHaveBeenCalledWith(
+        { _id: "original1" },
+        { $inc: { shareCount: -1 } },
+      );
+    });
+
+    test("Should remove notifications about the user and their posts", async () => {
+      mockPosts([{ _id: "post1" }]);
+
+      await purgeUser(user);
+
+      expect(Notification.deleteMany).toHaveBeenCalledWith({
+        $or: [
+          { recipient: "user1" },
+          { relatedUser: "user1" },
+          { relatedPost: { $in: ["post1"] } },
+        ],
+      });
+    });
+
+    test("Should delete the profile images, sessions and the user last", async () => {
+      mockPosts([]);
+
+      await purgeUser(user);
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("avatar", {
+        resource_type: "image",
+      });
+      // empty image fields are skipped
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledTimes(1);
+      expect(removeUserExports).toHaveBeenCalledWith("user1");
+      expect(Session.deleteMany).toHaveBeenCalledWith({ user: "user1" });
+      expect(User.deleteOne).toHaveBeenCalledWith({ _id: "user1" });
+    });
+
+    test("Should carry on if an image can't be deleted", async () => {
+      mockPosts([]);
+      cloudinary.uploader.destroy.mockRejectedValueOnce(new Error("Gone"));
+
+      await purgeUser(user);
+
+      expect(User.deleteOne).toHaveBeenCalledWith({ _id: "user1" });
+    });
+  });
+
+  describe("purgeExpiredAccounts", () => {
+    test("Should only purge accounts past their grace period", async () => {
+      const now = new Date("2024-06-01");
+      User.find.mockResolvedValue([{ _id: "user1" }, { _id: "user2" }]);
+      mockPosts([]);
+
+      const purged = await purgeExpiredAccounts(now);
+
+      expect(User.find).toHaveBeenCalledWith({
+        deletionScheduledFor: { $lte: now },
+      });
+      expect(User.deleteOne).toHaveBeenCalledTimes(2);
+      expect(purged).toBe(2);
+    });
+  });
+});
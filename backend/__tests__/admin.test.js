@@ -0,0 +1,199 @@
+import { jest } from "@jest/globals";
+
+// ==========================================
+// 1. DEFINE MOCKS
+// ==========================================
+
+// Mock Session helpers
+await jest.unstable_mockModule("../lib/session.js", () => ({
+  revokeAllSessions: jest.fn(),
+}));
+
+// Mock User Model with the .find().select().sort() chain
+const mockChain = {
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn(),
+};
+
+await jest.unstable_mockModule("../models/user.model.js", () => ({
+  default: {
+    find: jest.fn(() => mockChain),
+    findOne: jest.fn(),
+  },
+}));
+
+// ==========================================
+// 2. DYNAMIC IMPORTS
+// ==========================================
+const {
+  getPendingUsers,
+  changeUserRole,
+  approveUser,
+  suspendUser,
+  unsuspendUser,
+} = await import("../controllers/admin.controller.js");
+
+const User = (await import("../models/user.model.js")).default;
+const { revokeAllSessions } = await import("../lib/session.js");
+
+// ==========================================
+// 3. THE TESTS
+// ==========================================
+describe("Admin Controller Tests", () => {
+  const mockRequest = (body = {}, params = {}, role = "admin") => ({
+    user: { _id: "admin1", role },
+    body,
+    params,
+  });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  const mockTarget = (fields = {}) => ({
+    _id: "user2",
+    role: "student",
+    accountStatus: "active",
+    save: jest.fn().mockResolvedValue(true),
+    ...fields,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // --- PENDING USERS ---
+  describe("getPendingUsers", () => {
+    test("Should list accounts awaiting approval, oldest first", async () => {
+      const res = mockResponse();
+      mockChain.sort.mockResolvedValue(["pending_user"]);
+
+      await getPendingUsers(mockRequest(), res);
+
+      expect(User.find).toHaveBeenCalledWith({
+        accountStatus: "pendingApproval",
+      });
+      expect(mockChain.sort).toHaveBeenCalledWith({ createdAt: 1 });
+      expect(res.json).toHaveBeenCalledWith(["pending_user"]);
+    });
+  });
+
+  // --- CHANGE ROLE ---
+  describe("changeUserRole", () => {
+    test("Should reject unknown roles", async () => {
+      const res = mockResponse();
+
+      await changeUserRole(
+        mockRequest({ role: "superuser" }, { username: "bob" }),
+        res,
+      );
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    test("Should return 404 for a missing user", async () => {
+      const res = mockResponse();
+      User.findOne.mockResolvedValue(null);
+
+      await changeUserRole(
+        mockRequest({ role: "faculty" }, { username: "ghost" }),
+        res,
+      );
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("Should not let admins change their own role", async () => {
+      const res = mockResponse();
+      User.findOne.mockResolvedValue(mockTarget({ _id: "admin1" }));
+
+      await changeUserRole(
+        mockRequest({ role: "student" }, { username: "me" }),
+        res,
+      );
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("Should update the role", async () => {
+      const res = mockResponse();
+      const target = mockTarget();
+      User.findOne.mockResolvedValue(target);
+
+      await changeUserRole(
+        mockRequest({ role: "faculty" }, { username: "bob" }),
+        res,
+      );
+
+      expect(target.role).toBe("faculty");
+      expect(target.save).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ role: "faculty" }),
+      );
+    });
+  });
+
+  // --- APPROVE ---
+  describe("approveUser", () => {
+    test("Should activate a pending account", async () => {
+      const res = mockResponse();
+      const target = mockTarget({ accountStatus: "pendingApproval" });
+      User.findOne.mockResolvedValue(target);
+
+      await approveUser(mockRequest({}, { username: "bob" }), res);
+
+      expect(target.accountStatus).toBe("active");
+      expect(target.save).toHaveBeenCalled();
+    });
+
+    test("Should return 400 if the account is not pending", async () => {
+      const res = mockResponse();
+      User.findOne.mockResolvedValue(mockTarget());
+
+      await approveUser(mockRequest({}, { username: "bob" }), res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  // --- SUSPEND ---
+  describe("suspendUser", () => {
+    test("Should suspend and sign the user out everywhere", async () => {
+      const res = mockResponse();
+      const target = mockTarget();
+      User.findOne.mockResolvedValue(target);
+
+      await suspendUser(mockRequest({}, { username: "bob" }), res);
+
+      expect(target.accountStatus).toBe("suspended");
+      expect(revokeAllSessions).toHaveBeenCalledWith("user2");
+      expect(res.json).toHaveBeenCalledWith({
+        message: "User suspended successfully",
+      });
+    });
+
+    test("Should not let moderators suspend other moderators", async () => {
+      const res = mockResponse();
+      User.findOne.mockResolvedValue(mockTarget({ role: "moderator" }));
+
+      await suspendUser(
+        mockRequest({}, { username: "mod2" }, "moderator"),
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(revokeAllSessions).not.toHaveBeenCalled();
+    });
+
+    test("Should reinstate a suspended user", async () => {
+      const res = mockResponse();
+      const target = mockTarget({ accountStatus: "suspended" });
+      User.findOne.mockResolvedValue(target);
+
+      await unsuspendUser(mockRequest({}, { username: "bob" }), res);
+
+      expect(target.accountStatus).toBe("active");
+      expect(target.save).toHaveBeenCalled();
+    });
+  });
+});
@@ -37,32 +37,101 @@ await jest.unstable_mockModule("../models/user.model.js", () => {
   }));
 
   mockUser.findOne = jest.fn();
+  mockUser.findById = jest.fn();
+  mockUser.findByIdAndUpdate = jest.fn();
+  mockUser.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 1 });
 
   return { default: mockUser };
 });
 
+// Mock Session helpers and model
+await jest.unstable_mockModule("../lib/session.js", () => ({
+  REFRESH_COOKIE: "refresh-connect-campus",
+  startSession: jest.fn(),
+  revokeAllSessions: jest.fn(),
+  clearSessionCookies: jest.fn(),
+  hashToken: jest.fn((token) => `hashed_${token}`),
+  parseRefreshToken: jest.fn((token = "") => {
+    const [sessionId, secret] = token.split(".");
+    return { sessionId, secret };
+  }),
+}));
+
+await jest.unstable_mockModule("../models/session.model.js", () => ({
+  default: {
+    findOneAndUpdate: jest.fn(),
+  },
+}));
+
+// Mock TOTP codes
+await jest.unstable_mockModule("../lib/totp.js", () => ({
+  codeStep: jest.fn(),
+}));
+
+// Mock brute-force throttling (everything is allowed unless a test says so)
+await jest.unstable_mockModule("../lib/loginThrottle.js", () => ({
+  THROTTLE_LIMITS: { account: {}, ip: {}, signup: {}, resend: {} },
+  accountKey: jest.fn((username) => `account:${username}`),
+  ipKey: jest.fn((ip) => `ip:${ip}`),
+  signupKey: jest.fn((ip) => `signup:${ip}`),
+  resendAccountKey: jest.fn((userId) => `resend:${userId}`),
+  resendIpKey: jest.fn((ip) => `resend-ip:${ip}`),
+  checkThrottle: jest.fn().mockResolvedValue({ wait: 0, locked: false }),
+  recordFailure: jest.fn().mockResolvedValue({ lockedNow: false }),
+  resetFailures: jest.fn(),
+  formatRetryAfter: jest.fn(() => "15 minutes"),
+}));
+
 // Mock Email Handler
 await jest.unstable_mockModule("../emails/emailHandlers.js", () => ({
+  sendAccountLockedEmail: jest.fn(),
   sendWelcomeEmail: jest.fn(),
+  sendVerificationEmail: jest.fn(),
+  sendPasswordResetEmail: jest.fn(),
 }));
 
 // ==========================================
 // 2. DYNAMIC IMPORTS
 // Now we import the controller. It will use the mocks above.
 // ==========================================
-const { signup, login, logout, getCurrentUser } = await import(
-  "../controllers/auth.controller.js"
-);
+const {
+  signup,
+  login,
+  logout,
+  getCurrentUser,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  verifyLoginTwoFactor,
+} = await import("../controllers/auth.controller.js");
 const User = (await import("../models/user.model.js")).default;
 const bcrypt = (await import("bcryptjs")).default;
+const jwt = (await import("jsonwebtoken")).default;
+const Session = (await import("../models/session.model.js")).default;
+const { codeStep } = await import("../lib/totp.js");
+const { startSession, revokeAllSessions, clearSessionCookies } = await import(
+  "../lib/session.js"
+);
+const { checkThrottle, recordFailure, resetFailures } = await import(
+  "../lib/loginThrottle.js"
+);
+const {
+  sendAccountLockedEmail,
+  sendVerificationEmail,
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+} = await import("../emails/emailHandlers.js");
 
 // ==========================================
 // 3. THE TESTS
 // ==========================================
 describe("Auth Controller Path Coverage", () => {
-  const mockRequest = (body, user = {}) => ({
+  const mockRequest = (body, user = {}, params = {}) => ({
     body,
     user,
+    params,
+    ip: "127.0.0.1",
   });
 
   const mockResponse = () => {
@@ -71,6 +140,7 @@ describe("Auth Controller Path Coverage", () => {
     res.json = jest.fn().mockReturnValue(res);
     res.cookie = jest.fn().mockReturnValue(res);
     res.clearCookie = jest.fn().mockReturnValue(res);
+    res.set = jest.fn().mockReturnValue(res);
     return res;
   };
 
@@ -114,38 +184,438 @@ describe("Auth Controller Path Coverage", () => {
       bcrypt.compare.mockResolvedValue(true);
 
       await login(req, res);
-      expect(res.cookie).toHaveBeenCalled();
+      expect(startSession).toHaveBeenCalledWith(req, res, "123");
       expect(res.json).toHaveBeenCalledWith(
         expect.objectContaining({ message: "Logged in successfully" }),
       );
     });
+
+    test("Should cancel a pending account deletion", async () => {
+      const req = mockRequest({ username: "test", password: "correct" });
+      const res = mockResponse();
+      const user = {
+        _id: "123",
+        password: "hash",
+        deletionScheduledFor: new Date(),
+        save: jest.fn().mockResolvedValue(true),
+      };
+
+      User.findOne.mockResolvedValue(user);
+      bcrypt.compare.mockResolvedValue(true);
+
+      await login(req, res);
+
+      expect(user.deletionScheduledFor).toBeNull();
+      expect(user.save).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Logged in successfully",
+        accountRestored: true,
+      });
+    });
+
+    test("Should refuse to sign in a suspended account", async () => {
+      const req = mockRequest({ username: "test", password: "correct" });
+      const res = mockResponse();
+
+      User.findOne.mockResolvedValue({
+        _id: "123",
+        password: "hash",
+        accountStatus: "suspended",
+      });
+      bcrypt.compare.mockResolvedValue(true);
+
+      await login(req, res);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(startSession).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- BRUTE-FORCE PROTECTION TESTS ---
+  describe("Login throttling", () => {
+    test("Should return 429 without checking the password while throttled", async () => {
+      const req = mockRequest({ username: "test", password: "guess" });
+      const res = mockResponse();
+
+      checkThrottle.mockResolvedValueOnce({ wait: 4000, locked: false });
+
+      await login(req, res);
+
+      expect(User.findOne).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith("Retry-After", "4");
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ locked: false, retryAfter: 4 }),
+      );
+    });
+
+    test("Should record failures for unknown usernames", async () => {
+      const req = mockRequest({ username: "ghost", password: "guess" });
+      const res = mockResponse();
+
+      User.findOne.mockResolvedValue(null);
+
+      await login(req, res);
+
+      expect(recordFailure).toHaveBeenCalledWith("ip:127.0.0.1", {});
+      expect(recordFailure).toHaveBeenCalledWith("account:ghost", {});
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("Should email the owner when the account gets locked", async () => {
+      const req = mockRequest({ username: "test", password: "wrong" });
+      const res = mockResponse();
+
+      User.findOne.mockResolvedValue({
+        username: "test",
+        name: "Test",
+        email: "t@t.com",
+        password: "hash",
+      });
+      bcrypt.compare.mockResolvedValue(false);
+      recordFailure
+        .mockResolvedValueOnce({ lockedNow: false })
+        .mockResolvedValueOnce({
+          lockedNow: true,
+          lockedUntil: Date.now() + 15 * 60 * 1000,
+        });
+
+      await login(req, res);
+
+      expect(sendAccountLockedEmail).toHaveBeenCalledWith(
+        "t@t.com",
+        "Test",
+        expect.any(Date),
+        expect.stringContaining("/forgot-password"),
+      );
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ locked: true }),
+      );
+    });
+
+    test("Should clear account failures after a successful login", async () => {
+      const req = mockRequest({ username: "test", password: "correct" });
+      const res = mockResponse();
+
+      User.findOne.mockResolvedValue({ _id: "123", password: "hash" });
+      bcrypt.compare.mockResolvedValue(true);
+
+      await login(req, res);
+      expect(resetFailures).toHaveBeenCalledWith("account:test");
+    });
+
+    test("Should throttle signups per IP", async () => {
+      const req = mockRequest({
+        name: "T",
+        username: "u",
+        email: "e@e.com",
+        password: "password123",
+      });
+      const res = mockResponse();
+
+      checkThrottle.mockResolvedValueOnce({ wait: 2000, locked: false });
+
+      await signup(req, res);
+
+      expect(checkThrottle).toHaveBeenCalledWith("signup:127.0.0.1", {});
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(User).not.toHaveBeenCalled();
+    });
+
+    test("Should count rejected signups against the IP", async () => {
+      const req = mockRequest({
+        name: "T",
+        username: "u",
+        email: "e@e.com",
+        password: "password123",
+      });
+      const res = mockResponse();
+
+      User.findOne.mockResolvedValueOnce({ email: "e@e.com" });
+
+      await signup(req, res);
+
+      expect(recordFailure).toHaveBeenCalledWith("signup:127.0.0.1", {});
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("Should not count successful signups, a campus shares one IP", async () => {
+      const req = mockRequest({
+        name: "T",
+        username: "new",
+        email: "new",
+        password: "password123",
+      });
+      const res = mockResponse();
+
+      User.findOne.mockResolvedValue(null);
+      bcrypt.genSalt.mockResolvedValue("salt");
+      bcrypt.hash.mockResolvedValue("hash");
+
+      await signup(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(recordFailure).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- TWO-FACTOR LOGIN TESTS ---
+  describe("Login with two-factor authentication", () => {
+    const mockFindById = (user) =>
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue(user),
+      });
+    // the challenge handed out by login, see the first test
+    const mockChallenge = () =>
+      jwt.verify.mockReturnValue({
+        userId: "123",
+        purpose: "login-2fa",
+        jti: "challenge1",
+      });
+    const twoFactorUser = (fields) => ({
+      _id: "123",
+      username: "test",
+      twoFactorEnabled: true,
+      twoFactorSecret: "S",
+      twoFactorChallengeId: "challenge1",
+      ...fields,
+    });
+
+    test("Should return a challenge instead of a session", async () => {
+      const req = mockRequest({ username: "test", password: "correct" });
+      const res = mockResponse();
+
+      User.findOne.mockResolvedValue({
+        _id: "123",
+        password: "hash",
+        twoFactorEnabled: true,
+      });
+      bcrypt.compare.mockResolvedValue(true);
+
+      await login(req, res);
+
+      expect(startSession).not.toHaveBeenCalled();
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith("123", {
+        twoFactorChallengeId: expect.any(String),
+      });
+      const { twoFactorChallengeId } = User.findByIdAndUpdate.mock.calls[0][1];
+      expect(jwt.sign).toHaveBeenCalledWith(
+        { userId: "123", purpose: "login-2fa" },
+        undefined,
+        { expiresIn: "5m", jwtid: twoFactorChallengeId },
+      );
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          twoFactorRequired: true,
+          challengeToken: "mock_token",
+        }),
+      );
+    });
+
+    test("Should return 401 for an expired challenge", async () => {
+      const req = mockRequest({ challengeToken: "old", code: "123456" });
+      const res = mockResponse();
+
+      jwt.verify.mockImplementation(() => {
+        throw new Error("jwt expired");
+      });
+
+      await verifyLoginTwoFactor(req, res);
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(startSession).not.toHaveBeenCalled();
+    });
+
+    test("Should return 400 for a code that isn't a string", async () => {
+      const req = mockRequest({
+        challengeToken: "token",
+        code: { $ne: "" },
+      });
+      const res = mockResponse();
+
+      await verifyLoginTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test("Should return 400 for a recovery code that isn't a string", async () => {
+      const req = mockRequest({
+        challengeToken: "token",
+        recoveryCode: ["abcde-12345"],
+      });
+      const res = mockResponse();
+
+      await verifyLoginTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test("Should return 400 for a wrong code", async () => {
+      const req = mockRequest({ challengeToken: "token", code: "000000" });
+      const res = mockResponse();
+
+      mockChallenge();
+      mockFindById(twoFactorUser());
+      codeStep.mockReturnValue(null);
+
+      await verifyLoginTwoFactor(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(startSession).not.toHaveBeenCalled();
+      expect(recordFailure).toHaveBeenCalledWith("account:test", {});
+    });
+
+    test("Should start a session for a valid code", async () => {
+      const req = mockRequest({ challengeToken: "token", code: "123456" });
+      const res = mockResponse();
+
+      mockChallenge();
+      mockFindById(twoFactorUser({ twoFactorLastStep: 99 }));
+      codeStep.mockReturnValue(100);
+
+      await verifyLoginTwoFactor(req, res);
+
+      expect(codeStep).toHaveBeenCalledWith("123456", "S");
+      // the challenge and the code are used up
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: "123", twoFactorChallengeId: "challenge1" },
+        {
+          $unset: { twoFactorChallengeId: 1 },
+          $set: { twoFactorLastStep: 100 },
+        },
+      );
+      expect(startSession).toHaveBeenCalledWith(req, res, "123");
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Logged in successfully",
+      });
+    });
+
+    test("Should refuse a code that was already used to log in", async () => {
+      const req = mockRequest({ challengeToken: "token", code: "123456" });
+      const res = mockResponse();
+
+      mockChallenge();
+      mockFindById(twoFactorUser({ twoFactorLastStep: 100 }));
+      codeStep.mockReturnValue(100);
+
+      await verifyLoginTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.updateOne).not.toHaveBeenCalled();
+      expect(startSession).not.toHaveBeenCalled();
+    });
+
+    test("Should return 401 for a challenge that was already used", async () => {
+      const req = mockRequest({ challengeToken: "token", code: "123456" });
+      const res = mockResponse();
+
+      mockChallenge();
+      mockFindById(twoFactorUser({ twoFactorChallengeId: undefined }));
+
+      await verifyLoginTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(codeStep).not.toHaveBeenCalled();
+      expect(startSession).not.toHaveBeenCalled();
+    });
+
+    test("Should let only one of two parallel answers through", async () => {
+      const req = mockRequest({ challengeToken: "token", code: "123456" });
+      const res = mockResponse();
+
+      mockChallenge();
+      mockFindById(twoFactorUser());
+      codeStep.mockReturnValue(100);
+      // the other request used the challenge in the meantime
+      User.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+      await verifyLoginTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(startSession).not.toHaveBeenCalled();
+    });
+
+    test("Should consume a recovery code", async () => {
+      const req = mockRequest({
+        challengeToken: "token",
+        recoveryCode: " ABCDE-12345 ",
+      });
+      const res = mockResponse();
+
+      mockChallenge();
+      mockFindById(
+        twoFactorUser({
+          twoFactorRecoveryCodes: ["hashed_abcde-12345", "hashed_other"],
+        }),
+      );
+
+      await verifyLoginTwoFactor(req, res);
+
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: "123", twoFactorChallengeId: "challenge1" },
+        {
+          $unset: { twoFactorChallengeId: 1 },
+          $pull: { twoFactorRecoveryCodes: "hashed_abcde-12345" },
+        },
+      );
+      expect(startSession).toHaveBeenCalledWith(req, res, "123");
+    });
   });
 
   // --- LOGOUT TESTS ---
   describe("Logout Controller", () => {
-    test("Should clear cookie and return success", () => {
+    test("Should clear cookies and return success", () => {
       const req = mockRequest({});
       const res = mockResponse();
 
       logout(req, res);
 
-      expect(res.clearCookie).toHaveBeenCalledWith("jwt-connect-campus");
+      expect(clearSessionCookies).toHaveBeenCalledWith(res);
+      expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
       expect(res.json).toHaveBeenCalledWith({
         message: "Logged out successfully",
       });
     });
+
+    test("Should revoke the session behind the refresh cookie", async () => {
+      const req = {
+        ...mockRequest({}),
+        cookies: { "refresh-connect-campus": "session1.secret" },
+      };
+      const res = mockResponse();
+
+      await logout(req, res);
+
+      expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "session1", refreshTokenHash: "hashed_secret" },
+        { revokedAt: expect.any(Date) },
+      );
+      expect(clearSessionCookies).toHaveBeenCalledWith(res);
+    });
   });
 
   // --- GET CURRENT USER TESTS ---
   describe("getCurrentUser", () => {
     test("Should return the user from request", async () => {
-      const mockUser = { _id: "123", name: "Test" };
-      const req = mockRequest({}, mockUser);
+      const fields = { _id: "123", name: "Test", role: "student" };
+      const req = mockRequest({}, { ...fields, toObject: () => fields });
       const res = mockResponse();
 
       await getCurrentUser(req, res);
 
-      expect(res.json).toHaveBeenCalledWith(mockUser);
+      expect(res.json).toHaveBeenCalledWith({ ...fields, permissions: [] });
+    });
+
+    test("Should include what the user's role is allowed to do", async () => {
+      const fields = { _id: "123", name: "Mod", role: "moderator" };
+      const req = mockRequest({}, { ...fields, toObject: () => fields });
+      const res = mockResponse();
+
+      await getCurrentUser(req, res);
+
+      const { permissions } = res.json.mock.calls[0][0];
+      expect(permissions).toContain("user:suspend");
+      expect(permissions).not.toContain("user:change-role");
     });
   });
 
@@ -231,10 +701,344 @@ describe("Auth Controller Path Coverage", () => {
       // User constructor was mocked at top to return object with .save()
 
       await signup(req, res);
+      expect(startSession).toHaveBeenCalledWith(req, res, "mock_user_id");
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith(
         expect.objectContaining({ message: "User registered successfully" }),
       );
+      expect(User).toHaveBeenCalledWith(
+        expect.objectContaining({ verificationTokenId: expect.any(String) }),
+      );
+      expect(sendVerificationEmail).toHaveBeenCalledWith(
+        "new",
+        "T",
+        expect.stringContaining("/verify/mock_token"),
+      );
+    });
+  });
+
+  // --- CAMPUS DOMAIN TESTS ---
+  describe("Signup campus domain restrictions", () => {
+    const campusSignup = (email) =>
+      mockRequest({ name: "T", username: "u", email, password: "password123" });
+
+    beforeEach(() => {
+      process.env.CAMPUS_DOMAINS =
+        "university.edu=State University,*.college.edu";
+      User.findOne.mockResolvedValue(null);
+      bcrypt.genSalt.mockResolvedValue("salt");
+      bcrypt.hash.mockResolvedValue("hash");
+    });
+
+    afterEach(() => {
+      delete process.env.CAMPUS_DOMAINS;
+      delete process.env.NON_CAMPUS_SIGNUPS;
+    });
+
+    test("Should fill in institution for an allowed domain", async () => {
+      const res = mockResponse();
+
+      await signup(campusSignup("t@University.edu"), res);
+
+      expect(User).toHaveBeenCalledWith(
+        expect.objectContaining({
+          institution: "State University",
+          accountStatus: "active",
+        }),
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("Should match wildcard subdomains", async () => {
+      const res = mockResponse();
+
+      await signup(campusSignup("t@cs.college.edu"), res);
+
+      expect(User).toHaveBeenCalledWith(
+        expect.objectContaining({
+          institution: "college.edu",
+          accountStatus: "active",
+        }),
+      );
+    });
+
+    test("Should put other domains in pending approval by default", async () => {
+      const res = mockResponse();
+
+      await signup(campusSignup("t@gmail.com"), res);
+
+      expect(User).toHaveBeenCalledWith(
+        expect.objectContaining({ accountStatus: "pendingApproval" }),
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        message: "User registered successfully",
+        accountStatus: "pendingApproval",
+      });
+    });
+
+    test("Should reject other domains when policy is reject", async () => {
+      process.env.NON_CAMPUS_SIGNUPS = "reject";
+      const res = mockResponse();
+
+      await signup(campusSignup("t@gmail.com"), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(User).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- VERIFY EMAIL TESTS ---
+  describe("verifyEmail", () => {
+    const mockFindById = (user) =>
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue(user),
+      });
+
+    test("Should return 400 if token is invalid or expired", async () => {
+      const req = mockRequest({}, {}, { token: "bad" });
+      const res = mockResponse();
+
+      jwt.verify.mockImplementation(() => {
+        throw new Error("jwt expired");
+      });
+
+      await verifyEmail(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("Should return 400 if token has the wrong purpose", async () => {
+      const req = mockRequest({}, {}, { token: "session_token" });
+      const res = mockResponse();
+
+      jwt.verify.mockReturnValue({ userId: "123" });
+
+      await verifyEmail(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test("Should return 400 if token was already used or superseded", async () => {
+      const req = mockRequest({}, {}, { token: "old" });
+      const res = mockResponse();
+
+      jwt.verify.mockReturnValue({
+        userId: "123",
+        purpose: "verify-email",
+        jti: "old_id",
+      });
+      mockFindById({ verified: false, verificationTokenId: "new_id" });
+
+      await verifyEmail(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("Should verify user, clear token and send welcome email", async () => {
+      const req = mockRequest({}, {}, { token: "good" });
+      const res = mockResponse();
+
+      const user = {
+        email: "e@e.com",
+        name: "T",
+        username: "t",
+        verified: false,
+        verificationTokenId: "token_id",
+        save: jest.fn(),
+      };
+      jwt.verify.mockReturnValue({
+        userId: "123",
+        purpose: "verify-email",
+        jti: "token_id",
+      });
+      mockFindById(user);
+
+      await verifyEmail(req, res);
+
+      expect(user.verified).toBe(true);
+      expect(user.verificationTokenId).toBeUndefined();
+      expect(user.save).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Email verified successfully",
+      });
+      expect(sendWelcomeEmail).toHaveBeenCalled();
+    });
+  });
+
+  // --- RESEND VERIFICATION TESTS ---
+  describe("resendVerificationEmail", () => {
+    test("Should return 400 if already verified", async () => {
+      const req = mockRequest({}, { _id: "123", verified: true });
+      const res = mockResponse();
+
+      await resendVerificationEmail(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(sendVerificationEmail).not.toHaveBeenCalled();
+    });
+
+    test("Should rotate the token id and send a new email", async () => {
+      const req = mockRequest(
+        {},
+        { _id: "123", verified: false, email: "e@e.com", name: "T" },
+      );
+      const res = mockResponse();
+
+      await resendVerificationEmail(req, res);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith("123", {
+        verificationTokenId: expect.any(String),
+      });
+      expect(sendVerificationEmail).toHaveBeenCalledWith(
+        "e@e.com",
+        "T",
+        expect.any(String),
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Verification email sent",
+      });
+      // counted against the account and the address
+      expect(recordFailure).toHaveBeenCalledWith("resend:123", {});
+      expect(recordFailure).toHaveBeenCalledWith("resend-ip:127.0.0.1", {});
+    });
+
+    test("Should return 429 when resending too often", async () => {
+      const req = mockRequest({}, { _id: "123", verified: false });
+      const res = mockResponse();
+
+      checkThrottle.mockResolvedValueOnce({ wait: 60000, locked: false });
+
+      await resendVerificationEmail(req, res);
+
+      expect(checkThrottle).toHaveBeenCalledWith("resend:123", {});
+      expect(checkThrottle).toHaveBeenCalledWith("resend-ip:127.0.0.1", {});
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(sendVerificationEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- FORGOT PASSWORD TESTS ---
+  describe("forgotPassword", () => {
+    const genericMessage = {
+      message:
+        "If an account exists for that email, a password reset link has been sent",
+    };
+
+    test("Should return 400 if email is missing", async () => {
+      const req = mockRequest({});
+      const res = mockResponse();
+
+      await forgotPassword(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("Should give the same response for unknown emails", async () => {
+      const req = mockRequest({ email: "nobody@e.com" });
+      const res = mockResponse();
+
+      User.findOne.mockResolvedValue(null);
+
+      await forgotPassword(req, res);
+      expect(res.json).toHaveBeenCalledWith(genericMessage);
+      expect(sendPasswordResetEmail).not.toHaveBeenCalled();
+    });
+
+    test("Should store a hashed token and email the raw one", async () => {
+      const req = mockRequest({ email: "e@e.com" });
+      const res = mockResponse();
+
+      const user = { email: "e@e.com", name: "T", save: jest.fn() };
+      User.findOne.mockResolvedValue(user);
+
+      await forgotPassword(req, res);
+
+      expect(res.json).toHaveBeenCalledWith(genericMessage);
+      expect(user.save).toHaveBeenCalled();
+      expect(user.resetPasswordExpiresAt.getTime()).toBeGreaterThan(Date.now());
+
+      const resetUrl = sendPasswordResetEmail.mock.calls[0][2];
+      const rawToken = resetUrl.split("/reset-password/")[1];
+      expect(rawToken).toHaveLength(64);
+      expect(user.resetPasswordToken).not.toBe(rawToken);
+    });
+  });
+
+  // --- RESET PASSWORD TESTS ---
+  describe("resetPassword", () => {
+    test("Should return 400 if new password is too short", async () => {
+      const req = mockRequest({ password: "123" }, {}, { token: "abc" });
+      const res = mockResponse();
+
+      await resetPassword(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    test("Should return 400 if token is invalid or expired", async () => {
+      const req = mockRequest(
+        { password: "newpassword" },
+        {},
+        { token: "abc" },
+      );
+      const res = mockResponse();
+
+      User.findOne.mockResolvedValue(null);
+
+      await resetPassword(req, res);
+      expect(User.findOne).toHaveBeenCalledWith({
+        resetPasswordToken: expect.not.stringMatching(/^abc$/),
+        resetPasswordExpiresAt: { $gt: expect.any(Date) },
+      });
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("Should set new hash, clear token and revoke all sessions", async () => {
+      const req = mockRequest(
+        { password: "newpassword" },
+        {},
+        { token: "abc" },
+      );
+      const res = mockResponse();
+
+      const user = {
+        _id: "user1",
+        username: "test",
+        password: "old_hash",
+        resetPasswordToken: "hashed",
+        resetPasswordExpiresAt: new Date(Date.now() + 1000),
+        save: jest.fn(),
+      };
+      User.findOne.mockResolvedValue(user);
+      bcrypt.genSalt.mockResolvedValue("salt");
+      bcrypt.hash.mockResolvedValue("new_hash");
+
+      await resetPassword(req, res);
+
+      expect(user.password).toBe("new_hash");
+      expect(user.resetPasswordToken).toBeUndefined();
+      expect(user.resetPasswordExpiresAt).toBeUndefined();
+      expect(revokeAllSessions).toHaveBeenCalledWith("user1");
+      expect(clearSessionCookies).toHaveBeenCalledWith(res);
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Password reset successfully",
+      });
+    });
+
+    test("Should unlock an account locked out by failed logins", async () => {
+      const req = mockRequest(
+        { password: "newpassword" },
+        {},
+        { token: "abc" },
+      );
+      const res = mockResponse();
+
+      User.findOne.mockResolvedValue({
+        _id: "user1",
+        username: "test",
+        save: jest.fn(),
+      });
+
+      await resetPassword(req, res);
+
+      expect(resetFailures).toHaveBeenCalledWith("account:test");
     });
   });
 });
@@ -0,0 +1,176 @@
+import { jest } from "@jest/globals";
+
+// ==========================================
+// 1. DEFINE MOCKS
+// ==========================================
+
+// Mock JWT (every token decodes to a session of user1)
+await jest.unstable_mockModule("jsonwebtoken", () => ({
+  default: {
+    verify: jest.fn(() => ({ userId: "user1", sessionId: "session1" })),
+  },
+}));
+
+// Mock Session Model
+await jest.unstable_mockModule("../models/session.model.js", () => ({
+  default: {
+    findOne: jest.fn(),
+  },
+}));
+
+// Mock User Model with the .findById().select() chain
+await jest.unstable_mockModule("../models/user.model.js", () => ({
+  default: {
+    findById: jest.fn(),
+  },
+}));
+
+// ==========================================
+// 2. DYNAMIC IMPORTS
+// ==========================================
+const { protectRoute, requireRole } = await import(
+  "../middleware/auth.middleware.js"
+);
+const { ACCESS_COOKIE } = await import("../lib/session.js");
+
+const Session = (await import("../models/session.model.js")).default;
+const User = (await import("../models/user.model.js")).default;
+
+// ==========================================
+// 3. THE TESTS
+// ==========================================
+describe("Auth Middleware Tests", () => {
+  const mockRequest = (method, baseUrl, path) => ({
+    method,
+    baseUrl,
+    path,
+    cookies: { [ACCESS_COOKIE]: "token" },
+  });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  const mockUser = (fields) =>
+    User.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        _id: "user1",
+        verified: true,
+        accountStatus: "active",
+        ...fields,
+      }),
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Session.findOne.mockResolvedValue({ lastSeenAt: new Date() });
+  });
+
+  describe("protectRoute for restricted accounts", () => {
+    test("Path 1: Unverified accounts can still read", async () => {
+      const req = mockRequest("GET", "/api/v1/posts", "/");
+      const res = mockResponse();
+      const next = jest.fn();
+      mockUser({ verified: false });
+
+      await protectRoute(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("Path 2: Unverified accounts can't write (403)", async () => {
+      const req = mockRequest("POST", "/api/v1/posts", "/create");
+      const res = mockResponse();
+      const next = jest.fn();
+      mockUser({ verified: false });
+
+      await protectRoute(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test("Path 3: Unverified accounts can delete themselves", async () => {
+      const req = mockRequest("DELETE", "/api/v1/users", "/me");
+      const res = mockResponse();
+      const next = jest.fn();
+      mockUser({ verified: false });
+
+      await protectRoute(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user._id).toBe("user1");
+    });
+
+    test("Path 4: Accounts awaiting approval can delete themselves", async () => {
+      const req = mockRequest("DELETE", "/api/v1/users", "/me");
+      const res = mockResponse();
+      const next = jest.fn();
+      mockUser({ accountStatus: "pendingApproval" });
+
+      await protectRoute(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("Path 5: Only the exact endpoint is let through (403)", async () => {
+      const req = mockRequest("PUT", "/api/v1/users", "/me/followed-tags/ai");
+      const res = mockResponse();
+      const next = jest.fn();
+      mockUser({ verified: false });
+
+      await protectRoute(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test("Path 6: Restricted accounts can export their data", async () => {
+      const req = mockRequest("POST", "/api/v1/users", "/me/export");
+      const res = mockResponse();
+      const next = jest.fn();
+      mockUser({ verified: false, accountStatus: "pendingApproval" });
+
+      await protectRoute(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe("requireRole", () => {
+    test("Path 1: One of the roles given gets through", () => {
+      const req = { user: { role: "moderator" } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      requireRole("admin", "moderator")(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("Path 2: Any other role is turned away (403)", () => {
+      const req = { user: { role: "user" } };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      requireRole("admin")(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test("Path 3: No user at all is turned away (403)", () => {
+      const req = {};
+      const res = mockResponse();
+      const next = jest.fn();
+
+      requireRole("admin")(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,733 @@
+import { jest } from "@jest/globals";
+
+// ==========================================
+// 1. DEFINE MOCKS (Must be before imports)
+// ==========================================
+
+// Mock Email Handler
+await jest.unstable_mockModule("../emails/emailHandlers.js", () => ({
+  sendCommentNotificationEmail: jest.fn(),
+}));
+
+// Mock Notification Model
+await jest.unstable_mockModule("../models/notification.model.js", () => {
+  const mockNotification = jest.fn().mockImplementation((data) => ({
+    ...data,
+    save: jest.fn().mockResolvedValue(true),
+  }));
+  return { default: mockNotification };
+});
+
+// Mock the thread cleanup, it has its own queries
+await jest.unstable_mockModule("../lib/comments.js", () => ({
+  MAX_REPLY_DEPTH: 2,
+  removeComments: jest.fn(),
+}));
+
+// Mock the mention lookups, covered in mentions.test.js
+await jest.unstable_mockModule("../lib/mentions.js", () => ({
+  resolveMentions: jest.fn().mockResolvedValue([]),
+  notifyMentions: jest.fn(),
+}));
+
+// Mock Post Model
+await jest.unstable_mockModule("../models/post.model.js", () => ({
+  default: {
+    findById: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+
+// Mock Comment Model (Complex Chaining Support)
+const mockQuery = {
+  populate: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  skip: jest.fn().mockReturnThis(),
+  then: jest.fn((resolve) => resolve(["mock_comment"])),
+};
+
+await jest.unstable_mockModule("../models/comment.model.js", () => {
+  const mockComment = jest.fn().mockImplementation((data) => ({
+    ...data,
+    _id: "comment1",
+    save: jest.fn().mockResolvedValue(true),
+    populate: jest.fn().mockResolvedValue(true),
+  }));
+
+  mockComment.find = jest.fn(() => mockQuery);
+  mockComment.findOne = jest.fn();
+  mockComment.findById = jest.fn();
+  mockComment.updateOne = jest.fn();
+
+  return { default: mockComment };
+});
+
+// ==========================================
+// 2. DYNAMIC IMPORTS
+// ==========================================
+const {
+  getPostComments,
+  getCommentReplies,
+  createComment,
+  updateComment,
+  deleteComment,
+  setCommentsDisabled,
+  reactToComment,
+  removeCommentReaction,
+} = await import("../controllers/comment.controller.js");
+
+const Post = (await import("../models/post.model.js")).default;
+const Comment = (await import("../models/comment.model.js")).default;
+const Notification = (await import("../models/notification.model.js")).default;
+const { removeComments } = await import("../lib/comments.js");
+const { resolveMentions, notifyMentions } = await import("../lib/mentions.js");
+const { sendCommentNotificationEmail } = await import(
+  "../emails/emailHandlers.js"
+);
+
+// ==========================================
+// 3. THE TESTS
+// ==========================================
+describe("Comment Controller Tests", () => {
+  const postId = "64b7f0c2a1b2c3d4e5f60001";
+  const parentId = "64b7f0c2a1b2c3d4e5f60002";
+  const commentId = "64b7f0c2a1b2c3d4e5f60004";
+
+  const mockRequest = (user, body = {}, params = {}, query = {}) => ({
+    user,
+    body,
+    params,
+    query,
+  });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  const mockPost = (author) =>
+    Post.findById.mockReturnValue({
+      populate: jest.fn().mockResolvedValue({ author }),
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // --- LIST COMMENTS ---
+  describe("getPostComments", () => {
+    test("Should fetch top-level comments newest first", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { id: postId });
+      const res = mockResponse();
+
+      await getPostComments(req, res);
+
+      expect(Comment.find).toHaveBeenCalledWith({ post: postId, parent: null });
+      expect(mockQuery.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+      expect(mockQuery.limit).toHaveBeenCalledWith(11);
+      expect(res.json).toHaveBeenCalledWith({
+        comments: ["mock_comment"],
+        nextCursor: null,
+      });
+    });
+
+    test("Should order by reactions and replies when sorted by relevance", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        {},
+        { id: postId },
+        { sort: "relevant", limit: "1" },
+      );
+      const res = mockResponse();
+      mockQuery.then.mockImplementationOnce((resolve) =>
+        resolve(["popular", "quiet"]),
+      );
+
+      await getPostComments(req, res);
+
+      expect(Comment.find.mock.calls[0][0].createdAt.$lte).toEqual(
+        expect.any(Date),
+      );
+      expect(mockQuery.sort).toHaveBeenCalledWith({
+        reactionCount: -1,
+        replyCount: -1,
+        createdAt: -1,
+        _id: -1,
+      });
+      expect(mockQuery.skip).toHaveBeenCalledWith(0);
+      const { comments, nextCursor } = res.json.mock.calls[0][0];
+      expect(comments).toEqual(["popular"]);
+
+      // the next page continues from the same point in time
+      jest.clearAllMocks();
+      await getPostComments(
+        mockRequest(
+          { _id: "user1" },
+          {},
+          { id: postId },
+          { sort: "relevant", limit: "1", cursor: nextCursor },
+        ),
+        res,
+      );
+      expect(mockQuery.skip).toHaveBeenCalledWith(1);
+    });
+
+    test("Should reject an unknown sort", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        {},
+        { id: postId },
+        { sort: "oldest" },
+      );
+      const res = mockResponse();
+
+      await getPostComments(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Comment.find).not.toHaveBeenCalled();
+    });
+
+    test("Should return 400 for a malformed cursor", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        {},
+        { id: postId },
+        { cursor: "garbage" },
+      );
+      const res = mockResponse();
+
+      await getPostComments(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Comment.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getCommentReplies", () => {
+    test("Should fetch replies oldest first after the cursor", async () => {
+      const createdAt = new Date("2024-01-02");
+      const lastId = "64b7f0c2a1b2c3d4e5f60003";
+      const cursor = Buffer.from(
+        `${createdAt.toISOString()}_${lastId}`,
+      ).toString("base64url");
+      const req = mockRequest(
+        { _id: "user1" },
+        {},
+        { commentId: parentId },
+        { cursor },
+      );
+      const res = mockResponse();
+
+      await getCommentReplies(req, res);
+
+      const query = Comment.find.mock.calls[0][0];
+      expect(query.parent).toBe(parentId);
+      expect(query.$or[0]).toEqual({ createdAt: { $gt: createdAt } });
+      expect(query.$or[1]._id.$gt.toString()).toBe(lastId);
+      expect(mockQuery.sort).toHaveBeenCalledWith({ createdAt: 1, _id: 1 });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  // --- CREATE COMMENT ---
+  describe("createComment", () => {
+    test("Path 1: Comment triggers notification (Different User)", async () => {
+      const req = mockRequest(
+        { _id: "commenter", name: "Bob" },
+        { content: "Nice!" },
+        { id: postId },
+      );
+      const res = mockResponse();
+      mockPost({ _id: "author1", email: "a@a.com", name: "Alice" });
+
+      await createComment(req, res);
+
+      expect(Comment).toHaveBeenCalledWith(
+        expect.objectContaining({ parent: null, depth: 0 }),
+      );
+      expect(Post.updateOne).toHaveBeenCalledWith(
+        { _id: postId },
+        { $inc: { commentCount: 1 } },
+      );
+      // Notification email should be sent because commenter != author
+      expect(sendCommentNotificationEmail).toHaveBeenCalledWith(
+        "a@a.com",
+        "Alice",
+        "Bob",
+        expect.any(String),
+        "Nice!",
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("Path 2: No notification if commenting on own post", async () => {
+      const req = mockRequest(
+        { _id: "me", name: "Me" },
+        { content: "Bump" },
+        { id: postId },
+      );
+      const res = mockResponse();
+      mockPost({ _id: "me", email: "me@me.com" });
+
+      await createComment(req, res);
+
+      expect(Notification).not.toHaveBeenCalled();
+      expect(sendCommentNotificationEmail).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("Path 3: Empty comment (400)", async () => {
+      const req = mockRequest({ _id: "me" }, { content: "  " }, { id: postId });
+      const res = mockResponse();
+
+      await createComment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Post.findById).not.toHaveBeenCalled();
+    });
+
+    test("Path 4: Post not found (404)", async () => {
+      const req = mockRequest({ _id: "me" }, { content: "Hi" }, { id: postId });
+      const res = mockResponse();
+      Post.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(null),
+      });
+
+      await createComment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("Path 5: Comments turned off (403)", async () => {
+      const req = mockRequest({ _id: "me" }, { content: "Hi" }, { id: postId });
+      const res = mockResponse();
+      Post.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue({
+          author: { _id: "author1" },
+          commentsDisabled: true,
+        }),
+      });
+
+      await createComment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(Comment).not.toHaveBeenCalled();
+    });
+
+    test("Path 6: Replying to a comment on another post (404)", async () => {
+      const req = mockRequest(
+        { _id: "me" },
+        { content: "Hi", parentId },
+        { id: postId },
+      );
+      const res = mockResponse();
+      mockPost({ _id: "author1" });
+      Comment.findOne.mockResolvedValue(null);
+
+      await createComment(req, res);
+
+      expect(Comment.findOne).toHaveBeenCalledWith({
+        _id: parentId,
+        post: postId,
+      });
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("Path 7: Reply notifies the parent comment's author", async () => {
+      const req = mockRequest(
+        { _id: "replier", name: "Bob" },
+        { content: "Agreed", parentId },
+        { id: postId },
+      );
+      const res = mockResponse();
+      mockPost({ _id: "author1", email: "a@a.com" });
+      Comment.findOne.mockResolvedValue({
+        _id: parentId,
+        user: "commenter",
+        depth: 0,
+      });
+
+      await createComment(req, res);
+
+      expect(Comment).toHaveBeenCalledWith(
+        expect.objectContaining({ parent: parentId, depth: 1 }),
+      );
+      expect(Comment.updateOne).toHaveBeenCalledWith(
+        { _id: parentId },
+        { $inc: { replyCount: 1 } },
+      );
+      expect(Notification).toHaveBeenCalledWith(
+        expect.objectContaining({
+          recipient: "commenter",
+          type: "reply",
+          relatedComment: "comment1",
+        }),
+      );
+      // the post author only hears about top-level comments
+      expect(sendCommentNotificationEmail).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("Path 8: Replies past the deepest level stay in that thread", async () => {
+      const req = mockRequest(
+        { _id: "replier" },
+        { content: "Me too", parentId },
+        { id: postId },
+      );
+      const res = mockResponse();
+      mockPost({ _id: "author1" });
+      Comment.findOne.mockResolvedValue({
+        _id: parentId,
+        parent: "middle",
+        user: "deepUser",
+        depth: 2,
+      });
+      Comment.findById.mockResolvedValue({ _id: "middle", depth: 1 });
+
+      await createComment(req, res);
+
+      expect(Comment.findById).toHaveBeenCalledWith("middle");
+      expect(Comment).toHaveBeenCalledWith(
+        expect.objectContaining({ parent: "middle", depth: 2 }),
+      );
+      // still notifies the person actually being replied to
+      expect(Notification).toHaveBeenCalledWith(
+        expect.objectContaining({ recipient: "deepUser", type: "reply" }),
+      );
+    });
+
+    test("Path 9: Mentions skip the post author, who's already notified", async () => {
+      const req = mockRequest(
+        { _id: "commenter", name: "Bob" },
+        { content: "@alice @carol look" },
+        { id: postId },
+      );
+      const res = mockResponse();
+      mockPost({ _id: "author1", email: "a@a.com", name: "Alice" });
+      resolveMentions.mockResolvedValueOnce(["author1", "carol1"]);
+
+      await createComment(req, res);
+
+      expect(Comment).toHaveBeenCalledWith(
+        expect.objectContaining({ mentions: ["author1", "carol1"] }),
+      );
+      expect(notifyMentions).toHaveBeenCalledWith(
+        expect.objectContaining({
+          mentions: ["author1", "carol1"],
+          skip: ["author1"],
+          commentId: "comment1",
+        }),
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  // --- EDIT COMMENT ---
+  describe("updateComment", () => {
+    const mockComment = (fields = {}) => ({
+      user: "commenter",
+      content: "Original",
+      editedAt: null,
+      save: jest.fn().mockResolvedValue(true),
+      populate: jest.fn().mockResolvedValue(true),
+      ...fields,
+    });
+
+    test("Path 1: Only the commenter can edit (403)", async () => {
+      const req = mockRequest(
+        { _id: "postAuthor" },
+        { content: "Changed" },
+        { id: postId, commentId },
+      );
+      const res = mockResponse();
+      const comment = mockComment();
+      Comment.findOne.mockResolvedValue(comment);
+
+      await updateComment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(comment.save).not.toHaveBeenCalled();
+    });
+
+    test("Path 2: Comment not on this post (404)", async () => {
+      const req = mockRequest(
+        { _id: "commenter" },
+        { content: "Changed" },
+        { id: postId, commentId },
+      );
+      const res = mockResponse();
+      Comment.findOne.mockResolvedValue(null);
+
+      await updateComment(req, res);
+
+      expect(Comment.findOne).toHaveBeenCalledWith({
+        _id: commentId,
+        post: postId,
+      });
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("Path 3: Empty content (400)", async () => {
+      const req = mockRequest(
+        { _id: "commenter" },
+        { content: "" },
+        { id: postId, commentId },
+      );
+      const res = mockResponse();
+
+      await updateComment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("Path 4: Saves the new content and marks it edited", async () => {
+      const req = mockRequest(
+        { _id: "commenter" },
+        { content: "Changed" },
+        { id: postId, commentId },
+      );
+      const res = mockResponse();
+      const comment = mockComment();
+      Comment.findOne.mockResolvedValue(comment);
+
+      await updateComment(req, res);
+
+      expect(comment.content).toBe("Changed");
+      expect(comment.editedAt).toEqual(expect.any(Date));
+      expect(comment.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("Path 5: Only passes on mentions the edit added", async () => {
+      const req = mockRequest(
+        { _id: "commenter" },
+        { content: "@alice and @carol" },
+        { id: postId, commentId },
+      );
+      const res = mockResponse();
+      const comment = mockComment({ mentions: ["alice1"] });
+      Comment.findOne.mockResolvedValue(comment);
+      resolveMentions.mockResolvedValueOnce(["alice1", "carol1"]);
+
+      await updateComment(req, res);
+
+      expect(comment.mentions).toEqual(["alice1", "carol1"]);
+      expect(notifyMentions).toHaveBeenCalledWith(
+        expect.objectContaining({ previous: ["alice1"] }),
+      );
+    });
+  });
+
+  // --- DELETE COMMENT ---
+  describe("deleteComment", () => {
+    beforeEach(() => {
+      Post.findById.mockResolvedValue({ author: "postAuthor" });
+      Comment.findOne.mockResolvedValue({ _id: commentId, user: "commenter" });
+    });
+
+    test.each([
+      ["the commenter", { _id: "commenter" }],
+      ["the post author", { _id: "postAuthor" }],
+      ["a moderator", { _id: "mod1", role: "moderator" }],
+    ])("Should let %s delete the comment and its replies", async (_, user) => {
+      const req = mockRequest(user, {}, { id: postId, commentId });
+      const res = mockResponse();
+
+      await deleteComment(req, res);
+
+      expect(removeComments).toHaveBeenCalledWith({ _id: commentId });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("Should forbid anyone else (403)", async () => {
+      const req = mockRequest(
+        { _id: "stranger", role: "student" },
+        {},
+        { id: postId, commentId },
+      );
+      const res = mockResponse();
+
+      await deleteComment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(removeComments).not.toHaveBeenCalled();
+    });
+
+    test("Should return 404 for an unknown comment", async () => {
+      const req = mockRequest(
+        { _id: "commenter" },
+        {},
+        { id: postId, commentId: "nope" },
+      );
+      const res = mockResponse();
+
+      await deleteComment(req, res);
+
+      expect(Comment.findOne).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  // --- TURN COMMENTS OFF ---
+  describe("setCommentsDisabled", () => {
+    test("Should let the post author turn comments off", async () => {
+      const req = mockRequest(
+        { _id: "postAuthor" },
+        { commentsDisabled: true },
+        { id: postId },
+      );
+      const res = mockResponse();
+      const post = {
+        author: "postAuthor",
+        commentsDisabled: false,
+        save: jest.fn().mockResolvedValue(true),
+      };
+      Post.findById.mockResolvedValue(post);
+
+      await setCommentsDisabled(req, res);
+
+      expect(post.commentsDisabled).toBe(true);
+      expect(post.save).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({ commentsDisabled: true });
+    });
+
+    test("Should forbid anyone but the post author (403)", async () => {
+      const req = mockRequest(
+        { _id: "mod1", role: "moderator" },
+        { commentsDisabled: true },
+        { id: postId },
+      );
+      const res = mockResponse();
+      Post.findById.mockResolvedValue({ author: "postAuthor" });
+
+      await setCommentsDisabled(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test("Should reject a non-boolean value (400)", async () => {
+      const req = mockRequest(
+        { _id: "postAuthor" },
+        { commentsDisabled: "yes" },
+        { id: postId },
+      );
+      const res = mockResponse();
+
+      await setCommentsDisabled(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Post.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- COMMENT REACTIONS ---
+  describe("reactToComment", () => {
+    const mockReactableComment = (reactions = []) => {
+      const comment = {
+        _id: commentId,
+        user: "commenter",
+        reactions,
+        reactionCount: reactions.length,
+        save: jest.fn().mockResolvedValue(true),
+      };
+      Comment.findOne.mockResolvedValue(comment);
+      return comment;
+    };
+
+    test("Path 1: New reaction notifies the commenter", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { type: "insightful" },
+        { id: postId, commentId },
+      );
+      const res = mockResponse();
+      const comment = mockReactableComment();
+
+      await reactToComment(req, res);
+
+      expect(comment.reactions).toEqual([
+        { user: "user1", type: "insightful" },
+      ]);
+      expect(comment.reactionCount).toBe(1);
+      expect(Notification).toHaveBeenCalledWith(
+        expect.objectContaining({
+          recipient: "commenter",
+          type: "commentLike",
+          reactionType: "insightful",
+          relatedComment: commentId,
+        }),
+      );
+      expect(comment.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("Path 2: Switching reaction doesn't notify again", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { type: "funny" },
+        { id: postId, commentId },
+      );
+      const res = mockResponse();
+      const comment = mockReactableComment([{ user: "user1", type: "like" }]);
+
+      await reactToComment(req, res);
+
+      expect(comment.reactions).toEqual([{ user: "user1", type: "funny" }]);
+      expect(comment.reactionCount).toBe(1);
+      expect(Notification).not.toHaveBeenCalled();
+    });
+
+    test("Path 3: No notification when reacting to own comment", async () => {
+      const req = mockRequest(
+        { _id: "commenter" },
+        { type: "like" },
+        { id: postId, commentId },
+      );
+      const res = mockResponse();
+      mockReactableComment();
+
+      await reactToComment(req, res);
+
+      expect(Notification).not.toHaveBeenCalled();
+    });
+
+    test("Path 4: Unknown reaction type (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { type: "angry" },
+        { id: postId, commentId },
+      );
+      const res = mockResponse();
+
+      await reactToComment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Comment.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("removeCommentReaction", () => {
+    test("Should remove the reaction and update the count", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { id: postId, commentId });
+      const res = mockResponse();
+      const comment = {
+        reactions: [
+          { user: "user1", type: "like" },
+          { user: "user2", type: "like" },
+        ],
+        reactionCount: 2,
+        save: jest.fn().mockResolvedValue(true),
+      };
+      Comment.findOne.mockResolvedValue(comment);
+
+      await removeCommentReaction(req, res);
+
+      expect(comment.reactions).toEqual([{ user: "user2", type: "like" }]);
+      expect(comment.reactionCount).toBe(1);
+      expect(comment.save).toHaveBeenCalled();
+    });
+  });
+});
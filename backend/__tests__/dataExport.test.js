@@ -0,0 +1,183 @@
+import { jest } from "@jest/globals";
+
+// ==========================================
+// 1. DEFINE MOCKS
+// ==========================================
+
+// Mock the background job so nothing is actually built
+await jest.unstable_mockModule("../lib/dataExport.js", () => ({
+  STALE_EXPORT_AGE: 60 * 60 * 1000,
+  queueDataExport: jest.fn(),
+}));
+
+// Mock DataExport Model with the .find().sort().limit() chain
+const mockChain = {
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn(),
+};
+
+await jest.unstable_mockModule("../models/dataExport.model.js", () => {
+  const mockDataExport = jest.fn().mockImplementation((data) => ({
+    ...data,
+    _id: "export1",
+    status: "pending",
+    save: jest.fn().mockResolvedValue(true),
+  }));
+
+  mockDataExport.find = jest.fn(() => mockChain);
+  mockDataExport.findOne = jest.fn();
+
+  return { default: mockDataExport };
+});
+
+// ==========================================
+// 2. DYNAMIC IMPORTS
+// ==========================================
+const { requestDataExport, getDataExports, downloadDataExport } = await import(
+  "../controllers/dataExport.controller.js"
+);
+
+const DataExport = (await import("../models/dataExport.model.js")).default;
+const { queueDataExport } = await import("../lib/dataExport.js");
+
+// ==========================================
+// 3. THE TESTS
+// ==========================================
+describe("Data Export Controller Tests", () => {
+  const exportId = "64b7f0c2a1b2c3d4e5f60718";
+
+  const mockRequest = (params = {}) => ({
+    user: { _id: "user1" },
+    params,
+  });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    res.download = jest.fn();
+    return res;
+  };
+
+  const mockFindOneWithFile = (dataExport) =>
+    DataExport.findOne.mockReturnValue({
+      select: jest.fn().mockResolvedValue(dataExport),
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // --- REQUEST EXPORT ---
+  describe("requestDataExport", () => {
+    test("Should queue a new export and return 202", async () => {
+      const res = mockResponse();
+      DataExport.findOne.mockResolvedValue(null);
+
+      await requestDataExport(mockRequest(), res);
+
+      expect(DataExport).toHaveBeenCalledWith({ user: "user1" });
+      expect(queueDataExport).toHaveBeenCalledWith("export1");
+      expect(res.status).toHaveBeenCalledWith(202);
+    });
+
+    test("Should return 409 while another export is in progress", async () => {
+      const res = mockResponse();
+      DataExport.findOne.mockResolvedValue({ status: "processing" });
+
+      await requestDataExport(mockRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(queueDataExport).not.toHaveBeenCalled();
+    });
+
+    test("Should ignore exports stuck for over an hour", async () => {
+      const res = mockResponse();
+      DataExport.findOne.mockResolvedValue(null);
+
+      await requestDataExport(mockRequest(), res);
+
+      const query = DataExport.findOne.mock.calls[0][0];
+      expect(query.createdAt.$gt.getTime()).toBeGreaterThan(
+        Date.now() - 61 * 60 * 1000,
+      );
+    });
+  });
+
+  // --- LIST EXPORTS ---
+  describe("getDataExports", () => {
+    test("Should return the latest exports", async () => {
+      const res = mockResponse();
+      mockChain.limit.mockResolvedValue(["export1"]);
+
+      await getDataExports(mockRequest(), res);
+
+      expect(DataExport.find).toHaveBeenCalledWith({ user: "user1" });
+      expect(mockChain.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(res.json).toHaveBeenCalledWith(["export1"]);
+    });
+  });
+
+  // --- DOWNLOAD EXPORT ---
+  describe("downloadDataExport", () => {
+    test("Should return 404 for an invalid id", async () => {
+      const res = mockResponse();
+
+      await downloadDataExport(mockRequest({ exportId: "nope" }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(DataExport.findOne).not.toHaveBeenCalled();
+    });
+
+    test("Should only look up the user's own exports", async () => {
+      const res = mockResponse();
+      mockFindOneWithFile(null);
+
+      await downloadDataExport(mockRequest({ exportId }), res);
+
+      expect(DataExport.findOne).toHaveBeenCalledWith({
+        _id: exportId,
+        user: "user1",
+      });
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("Should return 400 while the export is still building", async () => {
+      const res = mockResponse();
+      mockFindOneWithFile({ status: "processing" });
+
+      await downloadDataExport(mockRequest({ exportId }), res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("Should return 410 once the link has expired", async () => {
+      const res = mockResponse();
+      mockFindOneWithFile({
+        status: "ready",
+        filePath: "/tmp/export.zip",
+        expiresAt: new Date(Date.now() - 1000),
+      });
+
+      await downloadDataExport(mockRequest({ exportId }), res);
+
+      expect(res.status).toHaveBeenCalledWith(410);
+      expect(res.download).not.toHaveBeenCalled();
+    });
+
+    test("Should send the archive", async () => {
+      const res = mockResponse();
+      mockFindOneWithFile({
+        status: "ready",
+        filePath: "/tmp/export.zip",
+        expiresAt: new Date(Date.now() + 1000),
+      });
+
+      await downloadDataExport(mockRequest({ exportId }), res);
+
+      expect(res.download).toHaveBeenCalledWith(
+        "/tmp/export.zip",
+        `connect-campus-data-${exportId}.zip`,
+      );
+    });
+  });
+});
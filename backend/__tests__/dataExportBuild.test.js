@@ -0,0 +1,140 @@
+import { jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// ==========================================
+// 1. DEFINE MOCKS (Must be before imports)
+// ==========================================
+
+// a query chain that resolves with result at .lean()
+const mockQuery = (result) => {
+  const query = {
+    select: jest.fn(() => query),
+    populate: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(result),
+  };
+  return query;
+};
+
+// Mock Models; the user has nothing but a profile
+await jest.unstable_mockModule("../models/user.model.js", () => ({
+  default: {
+    findById: jest.fn(() =>
+      mockQuery({ _id: "user1", name: "T", email: "e@e.com" }),
+    ),
+  },
+}));
+
+await jest.unstable_mockModule("../models/post.model.js", () => ({
+  default: { find: jest.fn(() => mockQuery([])) },
+}));
+
+await jest.unstable_mockModule("../models/comment.model.js", () => ({
+  default: { find: jest.fn(() => mockQuery([])) },
+}));
+
+await jest.unstable_mockModule("../models/connectionRequest.model.js", () => ({
+  default: { find: jest.fn(() => mockQuery([])) },
+}));
+
+await jest.unstable_mockModule("../models/notification.model.js", () => {
+  const mockNotification = jest.fn().mockImplementation((data) => ({
+    ...data,
+    save: jest.fn().mockResolvedValue(true),
+  }));
+  mockNotification.find = jest.fn(() => mockQuery([]));
+  return { default: mockNotification };
+});
+
+await jest.unstable_mockModule("../models/dataExport.model.js", () => ({
+  default: {
+    findById: jest.fn(),
+    find: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+}));
+
+// Mock Email Handler
+await jest.unstable_mockModule("../emails/emailHandlers.js", () => ({
+  sendDataExportReadyEmail: jest.fn(),
+}));
+
+// ==========================================
+// 2. DYNAMIC IMPORTS
+// ==========================================
+const { STALE_EXPORT_AGE, buildDataExport, cleanupExpiredExports } =
+  await import("../lib/dataExport.js");
+
+const DataExport = (await import("../models/dataExport.model.js")).default;
+
+// ==========================================
+// 3. THE TESTS
+// ==========================================
+describe("Data Export", () => {
+  let exportDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    exportDir = fs.mkdtempSync(path.join(os.tmpdir(), "export-test-"));
+    process.env.EXPORT_DIR = exportDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(exportDir, { recursive: true, force: true });
+    delete process.env.EXPORT_DIR;
+  });
+
+  describe("buildDataExport", () => {
+    const mockExport = () => {
+      const dataExport = {
+        _id: "export1",
+        user: "user1",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      DataExport.findById.mockResolvedValue(dataExport);
+      return dataExport;
+    };
+
+    test("Should write the archive and mark the export ready", async () => {
+      const dataExport = mockExport();
+
+      await buildDataExport("export1");
+
+      expect(dataExport.status).toBe("ready");
+      expect(dataExport.filePath).toBe(path.join(exportDir, "export1.zip"));
+      expect(fs.statSync(dataExport.filePath).size).toBe(dataExport.size);
+    });
+
+    test("Should fail the export when the archive can't be written", async () => {
+      const dataExport = mockExport();
+      // something that can't be opened as a file where the archive goes
+      fs.mkdirSync(path.join(exportDir, "export1.zip"));
+
+      await expect(buildDataExport("export1")).rejects.toThrow();
+
+      expect(dataExport.status).toBe("failed");
+      expect(dataExport.expiresAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe("cleanupExpiredExports", () => {
+    test("Should fail builds a restart cut off", async () => {
+      const now = new Date("2024-06-01T12:00:00Z");
+      DataExport.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([]),
+      });
+
+      await cleanupExpiredExports(now);
+
+      expect(DataExport.updateMany).toHaveBeenCalledWith(
+        {
+          status: { $in: ["pending", "processing"] },
+          createdAt: { $lte: new Date(now.getTime() - STALE_EXPORT_AGE) },
+        },
+        { status: "failed", expiresAt: expect.any(Date) },
+      );
+    });
+  });
+});
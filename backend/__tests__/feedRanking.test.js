@@ -0,0 +1,145 @@
+import {
+  FEED_WEIGHTS,
+  rankPosts,
+  recencyDecay,
+  scorePost,
+} from "../lib/feedRanking.js";
+
+// These pin down the shape of the ranking rather than exact scores, so the
+// weights can be tuned without rewriting every expectation.
+describe("Feed ranking", () => {
+  const HOUR = 60 * 60 * 1000;
+  const now = new Date("2024-06-01T12:00:00Z").getTime();
+
+  const makePost = ({
+    id = "p",
+    ageHours = 0,
+    reactions = 0,
+    comments = 0,
+  }) => ({
+    _id: id,
+    author: "author1",
+    createdAt: new Date(now - ageHours * HOUR),
+    reactions: Array.from({ length: reactions }, (_, i) => ({
+      user: `reactor${i}`,
+      type: "like",
+    })),
+    comments: Array.from({ length: comments }, () => ({ content: "hi" })),
+  });
+
+  describe("recencyDecay", () => {
+    test("Should halve every half-life", () => {
+      expect(recencyDecay(0, 24)).toBe(1);
+      expect(recencyDecay(24 * HOUR, 24)).toBeCloseTo(0.5);
+      expect(recencyDecay(48 * HOUR, 24)).toBeCloseTo(0.25);
+    });
+
+    test("Should not boost posts dated in the future", () => {
+      expect(recencyDecay(-HOUR, 24)).toBe(1);
+    });
+  });
+
+  describe("scorePost", () => {
+    test("Should prefer newer posts when everything else is equal", () => {
+      const fresh = scorePost(makePost({ ageHours: 1 }), {}, now);
+      const stale = scorePost(makePost({ ageHours: 30 }), {}, now);
+      expect(fresh).toBeGreaterThan(stale);
+    });
+
+    test("Should reward reactions and weigh comments more", () => {
+      const plain = scorePost(makePost({}), {}, now);
+      const reacted = scorePost(makePost({ reactions: 5 }), {}, now);
+      const discussed = scorePost(makePost({ comments: 5 }), {}, now);
+
+      expect(reacted).toBeGreaterThan(plain);
+      expect(discussed).toBeGreaterThan(reacted);
+    });
+
+    test("Should accept counts as well as arrays", () => {
+      const post = makePost({ reactions: 3, comments: 2 });
+      expect(scorePost({ ...post, reactions: 3, comments: 2 }, {}, now)).toBe(
+        scorePost(post, {}, now),
+      );
+    });
+
+    test("Should weigh shares above comments", () => {
+      const discussed = scorePost(makePost({ comments: 5 }), {}, now);
+      const shared = scorePost({ ...makePost({}), shareCount: 5 }, {}, now);
+      expect(shared).toBeGreaterThan(discussed);
+    });
+
+    test("Should grow with diminishing returns on engagement", () => {
+      const score = (reactions) => scorePost(makePost({ reactions }), {}, now);
+      expect(score(10) - score(0)).toBeGreaterThan(score(100) - score(90));
+    });
+
+    test("Should boost authors the viewer interacts with", () => {
+      const post = makePost({});
+      expect(scorePost(post, { interactions: 5 }, now)).toBeGreaterThan(
+        scorePost(post, { interactions: 0 }, now),
+      );
+    });
+
+    test("Should cap the interaction boost", () => {
+      const post = makePost({});
+      const cap = FEED_WEIGHTS.maxInteractions;
+      expect(scorePost(post, { interactions: cap * 10 }, now)).toBe(
+        scorePost(post, { interactions: cap }, now),
+      );
+    });
+
+    test("Should rank second-degree posts below direct connections", () => {
+      const post = makePost({});
+      expect(scorePost(post, { degree: 1 }, now)).toBeGreaterThan(
+        scorePost(post, { degree: 2 }, now),
+      );
+      expect(scorePost(post, { degree: 3 }, now)).toBe(0);
+    });
+
+    test("Should use the weights it is given", () => {
+      const post = makePost({ reactions: 5 });
+      const noReactions = { ...FEED_WEIGHTS, reaction: 0 };
+      expect(scorePost(post, {}, now, noReactions)).toBe(
+        scorePost(makePost({}), {}, now, noReactions),
+      );
+    });
+  });
+
+  describe("rankPosts", () => {
+    test("Should let a popular post outrank a slightly newer quiet one", () => {
+      const quiet = makePost({ id: "quiet", ageHours: 1 });
+      const popular = makePost({
+        id: "popular",
+        ageHours: 3,
+        reactions: 20,
+        comments: 5,
+      });
+
+      const ranked = rankPosts([quiet, popular], () => ({}), now);
+      expect(ranked.map((post) => post._id)).toEqual(["popular", "quiet"]);
+    });
+
+    test("Should break ties by recency", () => {
+      const older = makePost({ id: "older", ageHours: 2 });
+      const newer = makePost({ id: "newer", ageHours: 2 });
+      newer.createdAt = new Date(older.createdAt.getTime() + 1);
+
+      // identical context and engagement, only the timestamp differs
+      const ranked = rankPosts([older, newer], () => ({}), now, {
+        ...FEED_WEIGHTS,
+        halfLifeHours: Infinity,
+      });
+      expect(ranked.map((post) => post._id)).toEqual(["newer", "older"]);
+    });
+
+    test("Should not modify the input", () => {
+      const posts = [
+        makePost({ id: "a" }),
+        makePost({ id: "b", reactions: 3 }),
+      ];
+      const copy = [...posts];
+      rankPosts(posts, () => ({}), now);
+      expect(posts).toEqual(copy);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import { extractHashtags, normalizeHashtag } from "../lib/hashtags.js";
+
+describe("Hashtags", () => {
+  describe("extractHashtags", () => {
+    test("Should find tags anywhere in the text, lowercased", () => {
+      expect(
+        extractHashtags("#Hiring for the #ML lab, see #careers_fair!"),
+      ).toEqual(["hiring", "ml", "careers_fair"]);
+    });
+
+    test("Should list each tag once", () => {
+      expect(extractHashtags("#React and #react and #REACT")).toEqual([
+        "react",
+      ]);
+    });
+
+    test("Should keep letters from other alphabets", () => {
+      expect(extractHashtags("Grüße #Universität #日本語")).toEqual([
+        "universität",
+        "日本語",
+      ]);
+    });
+
+    test("Should ignore a # glued to a word or with no letters", () => {
+      expect(
+        extractHashtags("I write C# and F#, room #101, it&#39;s ##double"),
+      ).toEqual([]);
+    });
+
+    test("Should handle empty content", () => {
+      expect(extractHashtags("")).toEqual([]);
+      expect(extractHashtags(undefined)).toEqual([]);
+    });
+  });
+
+  describe("normalizeHashtag", () => {
+    test("Should strip the # and lowercase", () => {
+      expect(normalizeHashtag("#OpenSource")).toBe("opensource");
+      expect(normalizeHashtag("opensource")).toBe("opensource");
+    });
+
+    test("Should reject anything that isn't a tag", () => {
+      expect(normalizeHashtag("two words")).toBeNull();
+      expect(normalizeHashtag("2024")).toBeNull();
+      expect(normalizeHashtag("a".repeat(51))).toBeNull();
+      expect(normalizeHashtag("")).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,34 @@
+import { jest } from "@jest/globals";
+import { startJob } from "../lib/jobs.js";
+
+describe("Jobs", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("Should run right away and then on every interval", async () => {
+    const fn = jest.fn().mockResolvedValue();
+
+    startJob("test", fn, 1000);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test("Should keep going after a failed run", async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("DB down"))
+      .mockResolvedValue();
+
+    startJob("test", fn, 1000);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,91 @@
+import {
+  LOCKOUT_DURATION,
+  THROTTLE_LIMITS,
+  checkThrottle,
+  formatRetryAfter,
+  getBackoffDelay,
+  recordFailure,
+  resetFailures,
+} from "../lib/loginThrottle.js";
+import { createMemoryStore, setRateLimitStore } from "../lib/rateLimitStore.js";
+
+// These run against the real in-memory store with explicit timestamps, so no
+// timers or mocks are needed.
+describe("Login throttle", () => {
+  const limits = THROTTLE_LIMITS.account;
+  const key = "login:account:test";
+  const now = 1_000_000;
+
+  beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+  });
+
+  const failTimes = async (count, at = now) => {
+    let result;
+    for (let i = 0; i < count; i++) {
+      result = await recordFailure(key, limits, at);
+    }
+    return result;
+  };
+
+  test("Should allow the first few attempts without delay", async () => {
+    await failTimes(limits.freeAttempts - 1);
+    expect(await checkThrottle(key, limits, now)).toEqual({
+      wait: 0,
+      locked: false,
+    });
+  });
+
+  test("Should double the delay for each failure past the free ones", async () => {
+    expect(getBackoffDelay(limits.freeAttempts, limits)).toBe(1000);
+    expect(getBackoffDelay(limits.freeAttempts + 1, limits)).toBe(2000);
+    expect(getBackoffDelay(limits.freeAttempts + 2, limits)).toBe(4000);
+
+    await failTimes(limits.freeAttempts + 1);
+    expect(await checkThrottle(key, limits, now + 500)).toEqual({
+      wait: 1500,
+      locked: false,
+    });
+    expect((await checkThrottle(key, limits, now + 2000)).wait).toBe(0);
+  });
+
+  test("Should lock the key after too many failures", async () => {
+    await failTimes(limits.maxFailures - 1);
+    const result = await recordFailure(key, limits, now);
+
+    expect(result.lockedNow).toBe(true);
+    expect(result.lockedUntil).toBe(now + LOCKOUT_DURATION);
+    expect(await checkThrottle(key, limits, now + 1000)).toEqual({
+      wait: LOCKOUT_DURATION - 1000,
+      locked: true,
+    });
+  });
+
+  test("Should only report lockedNow once", async () => {
+    await failTimes(limits.maxFailures);
+    const result = await recordFailure(key, limits, now + 1000);
+    expect(result.lockedNow).toBe(false);
+  });
+
+  test("Should start over once the lockout expires", async () => {
+    await failTimes(limits.maxFailures);
+    const later = now + LOCKOUT_DURATION + 1;
+
+    expect((await checkThrottle(key, limits, later)).wait).toBe(0);
+    const result = await recordFailure(key, limits, later);
+    expect(result.failures).toBe(1);
+    expect(result.lockedUntil).toBeUndefined();
+  });
+
+  test("Should forget failures after a reset", async () => {
+    await failTimes(limits.maxFailures);
+    await resetFailures(key);
+    expect((await checkThrottle(key, limits, now)).wait).toBe(0);
+  });
+
+  test("Should format retry times for people", () => {
+    expect(formatRetryAfter(1000)).toBe("1 second");
+    expect(formatRetryAfter(4500)).toBe("5 seconds");
+    expect(formatRetryAfter(LOCKOUT_DURATION)).toBe("15 minutes");
+  });
+});
@@ -0,0 +1,183 @@
+import { jest } from "@jest/globals";
+
+// ==========================================
+// 1. DEFINE MOCKS (Must be before imports)
+// ==========================================
+
+// Mock Email Handler
+await jest.unstable_mockModule("../emails/emailHandlers.js", () => ({
+  sendMentionEmail: jest.fn(),
+}));
+
+// Mock Notification Model
+await jest.unstable_mockModule("../models/notification.model.js", () => {
+  const mockNotification = jest.fn().mockImplementation((data) => ({
+    ...data,
+    save: jest.fn().mockResolvedValue(true),
+  }));
+  return { default: mockNotification };
+});
+
+// Mock User Model
+await jest.unstable_mockModule("../models/user.model.js", () => ({
+  default: {
+    find: jest.fn(),
+  },
+}));
+
+// ==========================================
+// 2. DYNAMIC IMPORTS
+// ==========================================
+const { MAX_MENTIONS, extractMentions, resolveMentions, notifyMentions } =
+  await import("../lib/mentions.js");
+
+const User = (await import("../models/user.model.js")).default;
+const Notification = (await import("../models/notification.model.js")).default;
+const { sendMentionEmail } = await import("../emails/emailHandlers.js");
+
+// ==========================================
+// 3. THE TESTS
+// ==========================================
+describe("Mentions", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("extractMentions", () => {
+    test("Should find each username once, in order", () => {
+      expect(extractMentions("@alice and @bob_1, thanks again @alice")).toEqual(
+        ["alice", "bob_1"],
+      );
+    });
+
+    test("Should drop punctuation ending a sentence", () => {
+      expect(extractMentions("Congrats @jane.doe. Well done @max-")).toEqual([
+        "jane.doe",
+        "max",
+      ]);
+    });
+
+    test("Should ignore email addresses and a lone @", () => {
+      expect(extractMentions("mail me at me@uni.edu or @ me")).toEqual([]);
+    });
+
+    test("Should stop at the limit", () => {
+      const content = Array.from({ length: 30 }, (_, i) => `@u${i}`).join(" ");
+      expect(extractMentions(content)).toHaveLength(MAX_MENTIONS);
+    });
+
+    test("Should handle empty content", () => {
+      expect(extractMentions(undefined)).toEqual([]);
+    });
+  });
+
+  describe("resolveMentions", () => {
+    test("Should look up only active accounts", async () => {
+      const select = jest.fn().mockResolvedValue([{ _id: "u1" }]);
+      User.find.mockReturnValue({ select });
+
+      const ids = await resolveMentions("hi @alice and @ghost");
+
+      expect(User.find).toHaveBeenCalledWith({
+        username: { $in: ["alice", "ghost"] },
+        deletionScheduledFor: null,
+      });
+      expect(ids).toEqual(["u1"]);
+    });
+
+    test("Should skip the query without mentions", async () => {
+      expect(await resolveMentions("no one here")).toEqual([]);
+      expect(User.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("notifyMentions", () => {
+    const author = { _id: "author1", name: "Alice" };
+
+    test("Should notify and email only newly mentioned users", async () => {
+      User.find.mockReturnValue({
+        select: jest
+          .fn()
+          .mockResolvedValue([{ name: "Carol", email: "c@c.com" }]),
+      });
+
+      await notifyMentions({
+        mentions: ["author1", "bob1", "carol1"],
+        previous: ["bob1"],
+        author,
+        postId: "post1",
+        commentId: "comment1",
+        content: "hey @carol",
+      });
+
+      expect(Notification).toHaveBeenCalledTimes(1);
+      expect(Notification).toHaveBeenCalledWith({
+        recipient: "carol1",
+        type: "mention",
+        relatedUser: "author1",
+        relatedPost: "post1",
+        relatedComment: "comment1",
+      });
+      expect(sendMentionEmail).toHaveBeenCalledWith(
+        "c@c.com",
+        "Carol",
+        "Alice",
+        expect.stringContaining("/post/post1"),
+        "hey @carol",
+      );
+    });
+
+    test("Should leave out skipped users", async () => {
+      await notifyMentions({
+        mentions: ["bob1"],
+        skip: ["bob1"],
+        author,
+        postId: "post1",
+        content: "@bob",
+      });
+
+      expect(Notification).not.toHaveBeenCalled();
+      expect(User.find).not.toHaveBeenCalled();
+    });
+
+    test("Should not fail when an email can't be sent", async () => {
+      User.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ name: "Bob", email: "b@b" }]),
+      });
+      sendMentionEmail.mockRejectedValueOnce(new Error("SMTP down"));
+      const log = jest.spyOn(console, "log").mockImplementation(() => {});
+
+      await expect(
+        notifyMentions({
+          mentions: ["bob1"],
+          author,
+          postId: "post1",
+          content: "@bob",
+        }),
+      ).resolves.toBeUndefined();
+
+      log.mockRestore();
+    });
+
+    test("Should only email users who haven't turned mention emails off", async () => {
+      User.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([]),
+      });
+
+      await notifyMentions({
+        mentions: ["bob1"],
+        author,
+        postId: "post1",
+        content: "@bob",
+      });
+
+      // the in-app notification goes out either way
+      expect(Notification).toHaveBeenCalledTimes(1);
+      expect(User.find).toHaveBeenCalledWith({
+        _id: { $in: ["bob1"] },
+        mentionEmails: { $ne: false },
+      });
+      expect(sendMentionEmail).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+import { jest } from "@jest/globals";
+
+// ==========================================
+// 1. DEFINE MOCKS (Must be before imports)
+// ==========================================
+
+// Mock Notification Model
+await jest.unstable_mockModule("../models/notification.model.js", () => {
+  const mockNotification = jest.fn().mockImplementation((data) => ({
+    ...data,
+    save: jest.fn().mockResolvedValue(true),
+  }));
+  return { default: mockNotification };
+});
+
+// Mock Post Model
+await jest.unstable_mockModule("../models/post.model.js", () => ({
+  default: {
+    find: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+
+// ==========================================
+// 2. DYNAMIC IMPORTS
+// ==========================================
+const {
+  MAX_POLL_OPTIONS,
+  InvalidPollError,
+  parsePoll,
+  presentPoll,
+  notifyClosedPolls,
+} = await import("../lib/polls.js");
+
+const Post = (await import("../models/post.model.js")).default;
+const Notification = (await import("../models/notification.model.js")).default;
+
+// ==========================================
+// 3. THE TESTS
+// ==========================================
+describe("Polls", () => {
+  const HOUR = 60 * 60 * 1000;
+  const now = new Date("2024-06-01T12:00:00Z");
+  const inHours = (hours) => new Date(now.getTime() + hours * HOUR);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("parsePoll", () => {
+    test("Should trim the options and keep the settings", () => {
+      expect(
+        parsePoll(
+          {
+            options: [" Yes ", "No"],
+            closesAt: inHours(24).toISOString(),
+            multipleChoice: true,
+          },
+          now,
+        ),
+      ).toEqual({
+        options: [{ text: "Yes" }, { text: "No" }],
+        multipleChoice: true,
+        closesAt: inHours(24),
+      });
+    });
+
+    test("Should need 2 to 4 distinct, non-empty options", () => {
+      const parse = (options) =>
+        parsePoll({ options, closesAt: inHours(24) }, now);
+
+      expect(() => parse(["Only one"])).toThrow(InvalidPollError);
+      expect(() =>
+        parse(Array.from({ length: MAX_POLL_OPTIONS + 1 }, (_, i) => `${i}`)),
+      ).toThrow(InvalidPollError);
+      expect(() => parse(["Yes", "  "])).toThrow("cannot be empty");
+      expect(() => parse(["Yes", "yes"])).toThrow("different");
+      expect(() => parse("Yes,No")).toThrow(InvalidPollError);
+    });
+
+    test("Should run between an hour and 14 days", () => {
+      const parse = (closesAt) =>
+        parsePoll({ options: ["Yes", "No"], closesAt }, now);
+
+      expect(() => parse(inHours(0.5))).toThrow(InvalidPollError);
+      expect(() => parse(inHours(15 * 24))).toThrow(InvalidPollError);
+      expect(() => parse("next week")).toThrow(InvalidPollError);
+      expect(() => parse(inHours(1))).not.toThrow();
+    });
+  });
+
+  describe("presentPoll", () => {
+    const poll = {
+      options: [
+        { _id: "a", text: "Yes", votes: ["user1", "user2"] },
+        { _id: "b", text: "No", votes: ["user2"] },
+      ],
+      multipleChoice: true,
+      closesAt: inHours(2),
+    };
+
+    test("Should hide the results until the viewer votes", () => {
+      const presented = presentPoll(poll, "user3", now);
+
+      expect(presented.options).toEqual([
+        { _id: "a", text: "Yes" },
+        { _id: "b", text: "No" },
+      ]);
+      expect(presented.userVotes).toEqual([]);
+      expect(presented.voterCount).toBeUndefined();
+      expect(presented.closed).toBe(false);
+    });
+
+    test("Should show counts, not voters, once the viewer has voted", () => {
+      const presented = presentPoll(poll, "user2", now);
+
+      expect(presented.options).toEqual([
+        { _id: "a", text: "Yes", voteCount: 2 },
+        { _id: "b", text: "No", voteCount: 1 },
+      ]);
+      expect(presented.userVotes).toEqual(["a", "b"]);
+      // two people voted, three votes between them
+      expect(presented.voterCount).toBe(2);
+    });
+
+    test("Should show the results to everyone once closed", () => {
+      const presented = presentPoll(poll, "user3", inHours(3));
+
+      expect(presented.closed).toBe(true);
+      expect(presented.options[0].voteCount).toBe(2);
+    });
+  });
+
+  describe("notifyClosedPolls", () => {
+    test("Should notify the author of each poll that closed, once", async () => {
+      Post.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: "post1", author: "author1" },
+          { _id: "post2", author: "author2" },
+        ]),
+      });
+      // another run already claimed post2
+      Post.updateOne
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+
+      const notified = await notifyClosedPolls(now);
+
+      expect(Post.find).toHaveBeenCalledWith({
+        "poll.closesAt": { $lte: now },
+        "poll.closedNotifiedAt": null,
+      });
+      expect(Post.updateOne).toHaveBeenCalledWith(
+        { _id: "post1", "poll.closedNotifiedAt": null },
+        { $set: { "poll.closedNotifiedAt": now } },
+      );
+      expect(Notification).toHaveBeenCalledTimes(1);
+      expect(Notification).toHaveBeenCalledWith({
+        recipient: "author1",
+        type: "pollClosed",
+        relatedPost: "post1",
+      });
+      expect(notified).toBe(1);
+    });
+  });
+});
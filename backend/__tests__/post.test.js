@@ -14,11 +14,6 @@ await jest.unstable_mockModule("../lib/cloudinary.js", () => ({
   },
 }));
 
-// Mock Email Handler
-await jest.unstable_mockModule("../emails/emailHandlers.js", () => ({
-  sendCommentNotificationEmail: jest.fn(),
-}));
-
 // Mock Notification Model
 await jest.unstable_mockModule("../models/notification.model.js", () => {
   const mockNotification = jest.fn().mockImplementation((data) => ({
@@ -28,17 +23,39 @@ await jest.unstable_mockModule("../models/notification.model.js", () => {
   return { default: mockNotification };
 });
 
+// Mock Asset Model (uploads waiting to be used, see uploads.test.js)
+await jest.unstable_mockModule("../models/asset.model.js", () => ({
+  default: {
+    find: jest.fn().mockResolvedValue([]),
+    updateMany: jest.fn(async (filter) => ({
+      modifiedCount: filter._id?.$in.length,
+    })),
+    deleteMany: jest.fn(),
+  },
+}));
+
+// Mock the mention lookups, covered in mentions.test.js
+await jest.unstable_mockModule("../lib/mentions.js", () => ({
+  resolveMentions: jest.fn().mockResolvedValue([]),
+  notifyMentions: jest.fn(),
+}));
+
 // Mock Post Model (Complex Chaining Support)
 const mockQuery = {
   populate: jest.fn().mockReturnThis(),
   sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  select: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockReturnThis(),
   then: jest.fn((resolve) => resolve(["mock_post"])),
 };
 
 await jest.unstable_mockModule("../models/post.model.js", () => {
   const mockPost = jest.fn().mockImplementation((data) => ({
     ...data,
+    _id: "newPost",
     save: jest.fn().mockResolvedValue(true),
+    populate: jest.fn().mockResolvedValue(true),
   }));
 
   // Attach static methods
@@ -46,10 +63,28 @@ await jest.unstable_mockModule("../models/post.model.js", () => {
   mockPost.findById = jest.fn();
   mockPost.findByIdAndUpdate = jest.fn();
   mockPost.findByIdAndDelete = jest.fn();
+  mockPost.updateOne = jest.fn();
+  mockPost.deleteOne = jest.fn();
+  mockPost.exists = jest.fn();
 
   return { default: mockPost };
 });
 
+// Mock Comment Model (shares the query chain with posts)
+await jest.unstable_mockModule("../models/comment.model.js", () => ({
+  default: {
+    find: jest.fn(() => mockQuery),
+    deleteMany: jest.fn(),
+  },
+}));
+
+// Mock User Model (used to find second-degree connections)
+await jest.unstable_mockModule("../models/user.model.js", () => ({
+  default: {
+    find: jest.fn(() => ({ select: jest.fn().mockResolvedValue([]) })),
+  },
+}));
+
 // ==========================================
 // 2. DYNAMIC IMPORTS
 // ==========================================
@@ -57,25 +92,36 @@ const {
   getFeedPosts,
   createPost,
   deletePost,
+  updatePost,
   getPostById,
-  createComment,
-  likePost,
+  getPostsByTag,
+  reactToPost,
+  removePostReaction,
+  getPostReactions,
+  sharePost,
+  votePoll,
 } = await import("../controllers/post.controller.js");
 
-const Post = (await import("../models/post.model.js")).default;
 const cloudinary = (await import("../lib/cloudinary.js")).default;
-const { sendCommentNotificationEmail } = await import(
-  "../emails/emailHandlers.js"
-);
+const Post = (await import("../models/post.model.js")).default;
+const Asset = (await import("../models/asset.model.js")).default;
+const Comment = (await import("../models/comment.model.js")).default;
+const User = (await import("../models/user.model.js")).default;
+const Notification = (await import("../models/notification.model.js")).default;
+const { resolveMentions, notifyMentions } = await import("../lib/mentions.js");
 
 // ==========================================
 // 3. THE TESTS
 // ==========================================
 describe("Post Controller Tests", () => {
-  const mockRequest = (user, body = {}, params = {}) => ({
+  // asset ids from earlier uploads, see upload.controller.js
+  const assetId = (n) => `64b7f0c2a1b2c3d4e5f6a7b${n}`;
+
+  const mockRequest = (user, body = {}, params = {}, query = {}) => ({
     user,
     body,
     params,
+    query,
   });
 
   const mockResponse = () => {
@@ -91,25 +137,44 @@ describe("Post Controller Tests", () => {
 
   // --- CREATE POST ---
   describe("createPost", () => {
-    test("Path 1: Create post WITH image (calls Cloudinary)", async () => {
+    test("Path 1: Create post WITH uploaded images", async () => {
       const req = mockRequest(
         { _id: "user1" },
-        { content: "Hello", image: "base64img" },
+        {
+          content: "Hello",
+          images: [
+            { asset: assetId(1), alt: " The team " },
+            { asset: assetId(2) },
+          ],
+        },
       );
       const res = mockResponse();
 
-      cloudinary.uploader.upload.mockResolvedValue({
-        secure_url: "http://img.com",
-      });
+      Asset.find.mockResolvedValueOnce([
+        { _id: assetId(2), url: "http://img.com/2.jpg" },
+        { _id: assetId(1), url: "http://img.com/1.jpg" },
+      ]);
 
       await createPost(req, res);
 
-      expect(cloudinary.uploader.upload).toHaveBeenCalledWith("base64img");
+      expect(Asset.find).toHaveBeenCalledWith({
+        _id: { $in: [assetId(1), assetId(2)] },
+        owner: "user1",
+        kind: "image",
+      });
+      // the uploads now belong to the post
+      expect(Asset.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [assetId(1), assetId(2)] }, claim: null },
+        { $set: { claim: expect.anything() } },
+      );
       expect(res.status).toHaveBeenCalledWith(201);
-      // Verify new Post() was called with image url
+      // Verify new Post() was called with the image urls, in order
       expect(res.json).toHaveBeenCalledWith(
         expect.objectContaining({
-          image: "http://img.com",
+          images: [
+            { url: "http://img.com/1.jpg", alt: "The team" },
+            { url: "http://img.com/2.jpg", alt: "" },
+          ],
           content: "Hello",
         }),
       );
@@ -121,8 +186,296 @@ describe("Post Controller Tests", () => {
 
       await createPost(req, res);
 
-      expect(cloudinary.uploader.upload).not.toHaveBeenCalled();
+      expect(Asset.updateMany).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("Path 3: Stores the hashtags from the content", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { content: "Demo day! #Hackathon #AI #hackathon" },
+      );
+      const res = mockResponse();
+
+      await createPost(req, res);
+
+      expect(Post).toHaveBeenCalledWith(
+        expect.objectContaining({ tags: ["hackathon", "ai"] }),
+      );
+    });
+
+    test("Path 4: Stores and notifies the mentioned users", async () => {
+      const author = { _id: "user1", name: "Alice" };
+      const req = mockRequest(author, { content: "Thanks @bob!" });
+      const res = mockResponse();
+
+      resolveMentions.mockResolvedValueOnce(["user2"]);
+
+      await createPost(req, res);
+
+      expect(resolveMentions).toHaveBeenCalledWith("Thanks @bob!");
+      expect(Post).toHaveBeenCalledWith(
+        expect.objectContaining({ mentions: ["user2"] }),
+      );
+      expect(notifyMentions).toHaveBeenCalledWith(
+        expect.objectContaining({
+          mentions: ["user2"],
+          author,
+          content: "Thanks @bob!",
+        }),
+      );
+    });
+
+    test("Path 5: More than 9 images (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        {
+          content: "Album",
+          images: Array.from({ length: 10 }, (_, i) => ({ asset: assetId(i) })),
+        },
+      );
+      const res = mockResponse();
+
+      await createPost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Asset.find).not.toHaveBeenCalled();
+      expect(Post).not.toHaveBeenCalled();
+    });
+
+    test("Path 6: Create post WITH an uploaded PDF", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { content: "Lecture 3 notes", document: assetId(3) },
+      );
+      const res = mockResponse();
+
+      Asset.find.mockResolvedValueOnce([
+        {
+          _id: assetId(3),
+          owner: "user1",
+          kind: "document",
+          url: "http://img.com/week3.pdf",
+          thumbnail: "http://img.com/pg_1/week3.jpg",
+          name: "week3.pdf",
+          size: 2048,
+          pageCount: 12,
+        },
+      ]);
+
+      await createPost(req, res);
+
+      expect(Asset.find).toHaveBeenCalledWith(
+        expect.objectContaining({ kind: "document" }),
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(Post).toHaveBeenCalledWith(
+        expect.objectContaining({
+          document: {
+            url: "http://img.com/week3.pdf",
+            thumbnail: "http://img.com/pg_1/week3.jpg",
+            name: "week3.pdf",
+            size: 2048,
+            pageCount: 12,
+          },
+        }),
+      );
+    });
+
+    test("Path 7: An upload that isn't the author's (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        {
+          content: "Notes",
+          images: [{ asset: assetId(1) }],
+          document: assetId(3),
+        },
+      );
+      const res = mockResponse();
+
+      // the image is theirs, the document isn't
+      Asset.find
+        .mockResolvedValueOnce([
+          { _id: assetId(1), url: "http://img.com/1.jpg" },
+        ])
+        .mockResolvedValueOnce([]);
+
+      await createPost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      // none of the uploads are used up, the image included
+      expect(Asset.updateMany).not.toHaveBeenCalled();
+      expect(Post).not.toHaveBeenCalled();
+    });
+
+    test("Path 8: Create post WITH an uploaded video", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { content: "Demo day recap", video: assetId(4) },
+      );
+      const res = mockResponse();
+
+      Asset.find.mockResolvedValueOnce([
+        {
+          _id: assetId(4),
+          owner: "user1",
+          kind: "video",
+          url: "http://img.com/recap.mp4",
+          poster: "http://img.com/recap.jpg",
+          duration: 30,
+          width: 1920,
+          height: 1080,
+          size: 4096,
+        },
+      ]);
+
+      await createPost(req, res);
+
+      expect(Asset.find).toHaveBeenCalledWith(
+        expect.objectContaining({ kind: "video" }),
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(Post).toHaveBeenCalledWith(
+        expect.objectContaining({
+          video: {
+            url: "http://img.com/recap.mp4",
+            poster: "http://img.com/recap.jpg",
+            duration: 30,
+            width: 1920,
+            height: 1080,
+            size: 4096,
+          },
+        }),
+      );
+    });
+
+    test("Path 9: An upload already used by another post (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { content: "Again", video: assetId(4) },
+      );
+      const res = mockResponse();
+
+      Asset.find.mockResolvedValueOnce([
+        { _id: assetId(4), url: "http://img.com/recap.mp4" },
+      ]);
+      Asset.updateMany.mockResolvedValueOnce({ modifiedCount: 0 });
+
+      await createPost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      // the files belong to the other post, only this one goes
+      expect(Post.deleteOne).toHaveBeenCalledWith({ _id: "newPost" });
+      expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
+      expect(notifyMentions).not.toHaveBeenCalled();
+    });
+
+    test("Path 10: A failed save leaves the uploads unclaimed", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { content: "Demo day recap", video: assetId(4) },
+      );
+      const res = mockResponse();
+
+      Asset.find.mockResolvedValueOnce([
+        { _id: assetId(4), url: "http://img.com/recap.mp4" },
+      ]);
+      Post.mockImplementationOnce((data) => ({
+        ...data,
+        save: jest.fn().mockRejectedValue(new Error("DB down")),
+      }));
+
+      await createPost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      // still there for the unused upload cleanup to remove
+      expect(Asset.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- POLLS ---
+  describe("createPost polls", () => {
+    const inHours = (hours) =>
+      new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+    test("Should store the poll with the question as content", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        {
+          content: "Which day for the club fair?",
+          poll: { options: ["Monday", "Friday"], closesAt: inHours(24) },
+        },
+      );
+      const res = mockResponse();
+
+      await createPost(req, res);
+
+      expect(Post).toHaveBeenCalledWith(
+        expect.objectContaining({
+          poll: expect.objectContaining({
+            options: [{ text: "Monday" }, { text: "Friday" }],
+            multipleChoice: false,
+          }),
+        }),
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("Should reject an invalid poll (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        {
+          content: "Yes or no?",
+          poll: { options: ["Yes"], closesAt: inHours(24) },
+        },
+      );
+      const res = mockResponse();
+
+      await createPost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Post).not.toHaveBeenCalled();
+    });
+
+    test("Should need a question (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { poll: { options: ["Yes", "No"], closesAt: inHours(24) } },
+      );
+      const res = mockResponse();
+
+      await createPost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  // --- ANNOUNCEMENTS ---
+  describe("createPost announcements", () => {
+    test("Should reject announcements from students", async () => {
+      const req = mockRequest(
+        { _id: "user1", role: "student" },
+        { content: "Exam moved", isAnnouncement: true },
+      );
+      const res = mockResponse();
+
+      await createPost(req, res);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(Post).not.toHaveBeenCalled();
+    });
+
+    test("Should let faculty post announcements", async () => {
+      const req = mockRequest(
+        { _id: "prof1", role: "faculty" },
+        { content: "Exam moved", isAnnouncement: true },
+      );
+      const res = mockResponse();
+
+      await createPost(req, res);
       expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ isAnnouncement: true }),
+      );
     });
   });
 
@@ -151,136 +504,1007 @@ describe("Post Controller Tests", () => {
       expect(res.status).toHaveBeenCalledWith(403);
     });
 
-    test("Path 3: Success with Image (Calls destroy)", async () => {
+    test("Path 3: Moderator can delete someone else's post", async () => {
+      const req = mockRequest(
+        { _id: "mod1", role: "moderator" },
+        {},
+        { id: "post1" },
+      );
+      const res = mockResponse();
+
+      Post.findById.mockResolvedValue({ author: "user2" });
+
+      await deletePost(req, res);
+      expect(Post.findByIdAndDelete).toHaveBeenCalledWith("post1");
+      expect(Comment.deleteMany).toHaveBeenCalledWith({ post: "post1" });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("Path 4: Also deletes images from earlier revisions", async () => {
       const req = mockRequest({ _id: "user1" }, {}, { id: "post1" });
       const res = mockResponse();
 
       Post.findById.mockResolvedValue({
         author: "user1",
-        image: "https://res.cloudinary.com/demo/image/upload/v123/sample.jpg",
+        images: [
+          { url: "https://res.cloudinary.com/demo/image/upload/v2/new.jpg" },
+        ],
+        revisions: [
+          {
+            images: [
+              {
+                url: "https://res.cloudinary.com/demo/image/upload/v1/old.jpg",
+              },
+            ],
+          },
+        ],
       });
 
       await deletePost(req, res);
 
-      expect(cloudinary.uploader.destroy).toHaveBeenCalled(); // Should attempt to delete image
-      expect(Post.findByIdAndDelete).toHaveBeenCalledWith("post1");
-      expect(res.status).toHaveBeenCalledWith(200);
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("new", {
+        resource_type: "image",
+      });
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("old", {
+        resource_type: "image",
+      });
     });
-  });
 
-  // --- GET FEED POSTS ---
-  describe("getFeedPosts", () => {
-    test("Should fetch posts with correct chaining", async () => {
-      const req = mockRequest({ _id: "user1", connections: ["user2"] });
+    test("Path 5: Success with Images (Calls destroy for each)", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { id: "post1" });
       const res = mockResponse();
 
-      await getFeedPosts(req, res);
+      Post.findById.mockResolvedValue({
+        author: "user1",
+        images: [
+          { url: "https://res.cloudinary.com/demo/image/upload/v123/one.jpg" },
+          { url: "https://res.cloudinary.com/demo/image/upload/v123/two.jpg" },
+        ],
+      });
 
-      // Verify the complex query structure
-      expect(Post.find).toHaveBeenCalledWith({
-        author: { $in: ["user2", "user1"] },
+      await deletePost(req, res);
+
+      // Should delete every image, not only the first
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("one", {
+        resource_type: "image",
       });
-      // Verify chain
-      expect(mockQuery.populate).toHaveBeenCalledTimes(2);
-      expect(mockQuery.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("two", {
+        resource_type: "image",
+      });
+      expect(Post.findByIdAndDelete).toHaveBeenCalledWith("post1");
       expect(res.status).toHaveBeenCalledWith(200);
     });
-  });
 
-  // --- CREATE COMMENT ---
-  describe("createComment", () => {
-    test("Path 1: Comment triggers notification (Different User)", async () => {
-      const req = mockRequest(
-        { _id: "commenter", name: "Bob" },
-        { content: "Nice!" },
-        { id: "post1" },
-      );
+    test("Path 6: Deleting a repost lowers the original's share count", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { id: "repost1" });
       const res = mockResponse();
 
-      // Mock finding post and updating it
-      const mockPost = {
-        author: { _id: "author1", email: "a@a.com", name: "Alice" },
-      };
-
-      // Mock chain for findByIdAndUpdate
-      const updateChain = {
-        populate: jest.fn().mockResolvedValue(mockPost),
-      };
-      Post.findByIdAndUpdate.mockReturnValue(updateChain);
+      Post.findById.mockResolvedValue({
+        author: "user1",
+        sharedPost: "original1",
+      });
 
-      await createComment(req, res);
+      await deletePost(req, res);
 
-      // Notification email should be sent because commenter != author
-      expect(sendCommentNotificationEmail).toHaveBeenCalledWith(
-        "a@a.com",
-        "Alice",
-        "Bob",
-        expect.any(String),
-        "Nice!",
+      expect(Post.updateOne).toHaveBeenCalledWith(
+        { _id: "original1" },
+        { $inc: { shareCount: -1 } },
       );
       expect(res.status).toHaveBeenCalledWith(200);
     });
 
-    test("Path 2: No notification if commenting on own post", async () => {
-      const req = mockRequest(
-        { _id: "me", name: "Me" },
-        { content: "Bump" },
-        { id: "post1" },
-      );
+    test("Path 7: Also deletes the attached PDF", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { id: "post1" });
       const res = mockResponse();
 
-      const mockPost = {
-        author: { _id: "me", email: "me@me.com" },
-      };
-
-      Post.findByIdAndUpdate.mockReturnValue({
-        populate: jest.fn().mockResolvedValue(mockPost),
+      Post.findById.mockResolvedValue({
+        author: "user1",
+        images: [],
+        document: {
+          url: "https://res.cloudinary.com/demo/image/upload/v1/notes.pdf",
+        },
       });
 
-      await createComment(req, res);
+      await deletePost(req, res);
 
-      expect(sendCommentNotificationEmail).not.toHaveBeenCalled();
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("notes", {
+        resource_type: "image",
+      });
       expect(res.status).toHaveBeenCalledWith(200);
     });
-  });
 
-  // --- LIKE POST ---
-  describe("likePost", () => {
-    test("Path 1: Like a post (Push ID)", async () => {
+    test("Path 8: Also deletes the uploaded video", async () => {
       const req = mockRequest({ _id: "user1" }, {}, { id: "post1" });
       const res = mockResponse();
 
-      const mockPost = {
-        likes: [],
-        author: "user2", // Different user, so trigger notification
-        save: jest.fn(),
-      };
-      Post.findById.mockResolvedValue(mockPost);
+      Post.findById.mockResolvedValue({
+        author: "user1",
+        images: [],
+        video: {
+          url: "https://res.cloudinary.com/demo/video/upload/v1/clip.mp4",
+        },
+      });
 
-      await likePost(req, res);
+      await deletePost(req, res);
 
-      expect(mockPost.likes).toContain("user1"); // Should add ID
-      expect(mockPost.save).toHaveBeenCalled();
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("clip", {
+        resource_type: "video",
+      });
       expect(res.status).toHaveBeenCalledWith(200);
     });
+  });
+
+  // --- UPDATE POST ---
+  describe("updatePost", () => {
+    const mockOwnPost = (fields = {}) => ({
+      author: "user1",
+      content: "Original",
+      images: [],
+      revisions: [],
+      save: jest.fn().mockResolvedValue(true),
+      populate: jest.fn().mockResolvedValue(true),
+      ...fields,
+    });
 
-    test("Path 2: Unlike a post (Filter ID)", async () => {
-      const req = mockRequest({ _id: "user1" }, {}, { id: "post1" });
+    test("Path 1: Post not found (404)", async () => {
+      const req = mockRequest({ _id: "user1" }, { content: "x" }, { id: "p1" });
       const res = mockResponse();
 
-      const mockPost = {
-        likes: ["user1", "user2"], // User1 already liked it
-        author: "user2",
-        save: jest.fn(),
-      };
-      Post.findById.mockResolvedValue(mockPost);
+      Post.findById.mockResolvedValue(null);
+
+      await updatePost(req, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("Path 2: Only the author can edit, even moderators can't (403)", async () => {
+      const req = mockRequest(
+        { _id: "mod1", role: "moderator" },
+        { content: "Edited by mod" },
+        { id: "p1" },
+      );
+      const res = mockResponse();
+      const post = mockOwnPost();
+
+      Post.findById.mockResolvedValue(post);
+
+      await updatePost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(post.save).not.toHaveBeenCalled();
+    });
 
-      await likePost(req, res);
+    test("Path 3: Keeps the previous version as a revision", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { content: "Fixed typo" },
+        { id: "p1" },
+      );
+      const res = mockResponse();
+      const images = [{ url: "http://img.com/a.jpg", alt: "" }];
+      const post = mockOwnPost({ images });
 
-      // Should remove user1
-      expect(mockPost.likes).toEqual(["user2"]);
-      expect(mockPost.save).toHaveBeenCalled();
+      Post.findById.mockResolvedValue(post);
+
+      await updatePost(req, res);
+
+      expect(post.revisions).toEqual([{ content: "Original", images }]);
+      expect(post.content).toBe("Fixed typo");
+      expect(post.tags).toEqual([]);
+      expect(post.images).toEqual(images);
+      expect(post.editedAt).toBeInstanceOf(Date);
+      expect(post.save).toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(200);
     });
+
+    test("Path 4: Reorders, re-captions and adds images without deleting old ones", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        {
+          images: [
+            { asset: assetId(5), alt: "New" },
+            { url: "http://img.com/b.jpg", alt: "Now described" },
+          ],
+        },
+        { id: "p1" },
+      );
+      const res = mockResponse();
+      const post = mockOwnPost({
+        images: [
+          { url: "http://img.com/a.jpg", alt: "" },
+          { url: "http://img.com/b.jpg", alt: "" },
+        ],
+      });
+
+      Post.findById.mockResolvedValue(post);
+      Asset.find.mockResolvedValueOnce([
+        { _id: assetId(5), url: "http://img.com/new.jpg" },
+      ]);
+
+      await updatePost(req, res);
+
+      expect(post.images).toEqual([
+        { url: "http://img.com/new.jpg", alt: "New" },
+        { url: "http://img.com/b.jpg", alt: "Now described" },
+      ]);
+      expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
+    });
+
+    test("Path 5: Removing the images from a text-less post (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { content: "", images: [] },
+        { id: "p1" },
+      );
+      const res = mockResponse();
+      const post = mockOwnPost({
+        content: "",
+        images: [{ url: "http://img.com/a.jpg", alt: "" }],
+      });
+
+      Post.findById.mockResolvedValue(post);
+
+      await updatePost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(post.save).not.toHaveBeenCalled();
+    });
+
+    test("Path 6: Nothing changed (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { content: "Original" },
+        { id: "p1" },
+      );
+      const res = mockResponse();
+      const post = mockOwnPost();
+
+      Post.findById.mockResolvedValue(post);
+
+      await updatePost(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({ message: "No changes to save" });
+      expect(post.revisions).toHaveLength(0);
+    });
+
+    test("Path 7: Only passes on mentions the edit added", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { content: "Thanks @bob and @carol" },
+        { id: "p1" },
+      );
+      const res = mockResponse();
+      const post = mockOwnPost({ mentions: ["user2"] });
+
+      Post.findById.mockResolvedValue(post);
+      resolveMentions.mockResolvedValueOnce(["user2", "user3"]);
+
+      await updatePost(req, res);
+
+      expect(post.mentions).toEqual(["user2", "user3"]);
+      expect(notifyMentions).toHaveBeenCalledWith(
+        expect.objectContaining({
+          mentions: ["user2", "user3"],
+          previous: ["user2"],
+        }),
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("Path 8: Can't keep an image the post doesn't have (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { images: [{ url: "http://elsewhere.com/x.jpg" }] },
+        { id: "p1" },
+      );
+      const res = mockResponse();
+      const post = mockOwnPost();
+
+      Post.findById.mockResolvedValue(post);
+
+      await updatePost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(post.save).not.toHaveBeenCalled();
+    });
+
+    test("Path 9: An upload used meanwhile puts the post back (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { content: "With a photo", images: [{ asset: assetId(5) }] },
+        { id: "p1" },
+      );
+      const res = mockResponse();
+      const post = mockOwnPost({ tags: [], mentions: [] });
+
+      Post.findById.mockResolvedValue(post);
+      Asset.find.mockResolvedValueOnce([
+        { _id: assetId(5), url: "http://img.com/new.jpg" },
+      ]);
+      Asset.updateMany.mockResolvedValueOnce({ modifiedCount: 0 });
+
+      await updatePost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(post.content).toBe("Original");
+      expect(post.images).toEqual([]);
+      expect(post.revisions).toHaveLength(0);
+      expect(post.save).toHaveBeenCalledTimes(2);
+      expect(notifyMentions).not.toHaveBeenCalled();
+    });
+
+    test("Path 10: A poll's question is fixed once it has votes (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { content: "Which day for the club fair? (Saturday only)" },
+        { id: "p1" },
+      );
+      const res = mockResponse();
+      const post = mockOwnPost({
+        content: "Which day for the club fair?",
+        poll: {
+          options: [
+            { text: "Friday", votes: [] },
+            { text: "Saturday", votes: ["user2"] },
+          ],
+        },
+      });
+
+      Post.findById.mockResolvedValue(post);
+
+      await updatePost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(post.content).toBe("Which day for the club fair?");
+      expect(post.save).not.toHaveBeenCalled();
+    });
+
+    test("Path 11: A poll without votes can still be reworded", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { content: "Which day suits the club fair?" },
+        { id: "p1" },
+      );
+      const res = mockResponse();
+      const post = mockOwnPost({
+        content: "Which day for the club fair?",
+        poll: {
+          options: [
+            { text: "Friday", votes: [] },
+            { text: "Saturday", votes: [] },
+          ],
+        },
+      });
+
+      Post.findById.mockResolvedValue(post);
+
+      await updatePost(req, res);
+
+      expect(post.content).toBe("Which day suits the club fair?");
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  // --- GET FEED POSTS ---
+  describe("getFeedPosts", () => {
+    const mockPost = (id, createdAt) => ({
+      _id: id,
+      createdAt: new Date(createdAt),
+    });
+
+    test("Should fetch posts with correct chaining", async () => {
+      const req = mockRequest({ _id: "user1", connections: ["user2"] });
+      const res = mockResponse();
+
+      await getFeedPosts(req, res);
+
+      // Verify the complex query structure
+      expect(Post.find).toHaveBeenCalledWith({
+        author: { $in: ["user2", "user1"] },
+      });
+      // Verify chain
+      expect(mockQuery.populate).toHaveBeenCalledTimes(1);
+      expect(mockQuery.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+      // one extra to tell whether there's another page
+      expect(mockQuery.limit).toHaveBeenCalledWith(11);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        posts: ["mock_post"],
+        nextCursor: null,
+      });
+    });
+
+    test("Should return a cursor when there are more posts", async () => {
+      const req = mockRequest(
+        { _id: "user1", connections: [] },
+        {},
+        {},
+        { limit: "2" },
+      );
+      const res = mockResponse();
+      const posts = [
+        mockPost("64b7f0c2a1b2c3d4e5f60003", "2024-01-03"),
+        mockPost("64b7f0c2a1b2c3d4e5f60002", "2024-01-02"),
+        mockPost("64b7f0c2a1b2c3d4e5f60001", "2024-01-01"),
+      ];
+      mockQuery.then.mockImplementationOnce((resolve) => resolve(posts));
+
+      await getFeedPosts(req, res);
+
+      expect(mockQuery.limit).toHaveBeenCalledWith(3);
+      const { posts: page, nextCursor } = res.json.mock.calls[0][0];
+      expect(page).toEqual(posts.slice(0, 2));
+      expect(nextCursor).toEqual(expect.any(String));
+    });
+
+    test("Should continue after the cursor", async () => {
+      const lastPost = mockPost("64b7f0c2a1b2c3d4e5f60002", "2024-01-02");
+      const cursor = Buffer.from(
+        `${lastPost.createdAt.toISOString()}_${lastPost._id}`,
+      ).toString("base64url");
+      const req = mockRequest(
+        { _id: "user1", connections: [] },
+        {},
+        {},
+        { cursor },
+      );
+      const res = mockResponse();
+
+      await getFeedPosts(req, res);
+
+      const query = Post.find.mock.calls[0][0];
+      expect(query.$or[0]).toEqual({
+        createdAt: { $lt: lastPost.createdAt },
+      });
+      expect(query.$or[1].createdAt).toEqual(lastPost.createdAt);
+      expect(query.$or[1]._id.$lt.toString()).toBe(lastPost._id);
+    });
+
+    test("Should include posts with followed hashtags", async () => {
+      const req = mockRequest(
+        { _id: "user1", connections: ["user2"], followedTags: ["ai"] },
+        {},
+        {},
+        {
+          cursor: Buffer.from(
+            `${new Date(0).toISOString()}_${"a".repeat(24)}`,
+          ).toString("base64url"),
+        },
+      );
+      const res = mockResponse();
+
+      await getFeedPosts(req, res);
+
+      // the cursor's $or can't share a level with the feed's own $or
+      const [feed, after] = Post.find.mock.calls[0][0].$and;
+      expect(feed).toEqual({
+        $or: [
+          { author: { $in: ["user2", "user1"] } },
+          { tags: { $in: ["ai"] } },
+        ],
+      });
+      expect(after.$or).toHaveLength(2);
+    });
+
+    test("Should reject an unknown sort", async () => {
+      const req = mockRequest(
+        { _id: "user1", connections: [] },
+        {},
+        {},
+        { sort: "best" },
+      );
+      const res = mockResponse();
+
+      await getFeedPosts(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Post.find).not.toHaveBeenCalled();
+    });
+
+    test("Should rank the top feed and include second-degree posts", async () => {
+      const viewer = "64b7f0c2a1b2c3d4e5f6aaaa";
+      const friend = "64b7f0c2a1b2c3d4e5f6bbbb";
+      const friendOfFriend = "64b7f0c2a1b2c3d4e5f6cccc";
+      const req = mockRequest(
+        { _id: viewer, connections: [friend] },
+        {},
+        {},
+        { sort: "top", limit: "1" },
+      );
+      const res = mockResponse();
+
+      User.find.mockReturnValueOnce({
+        select: jest
+          .fn()
+          .mockResolvedValue([{ connections: [viewer, friendOfFriend] }]),
+      });
+
+      const now = Date.now();
+      const quiet = {
+        _id: "post1",
+        author: friendOfFriend,
+        reactions: [],
+        commentCount: 0,
+        createdAt: new Date(now),
+      };
+      const popular = {
+        _id: "post2",
+        author: friend,
+        reactions: [
+          { user: "a", type: "like" },
+          { user: "b", type: "celebrate" },
+          { user: "c", type: "like" },
+        ],
+        commentCount: 1,
+        createdAt: new Date(now - 60 * 60 * 1000),
+      };
+      mockQuery.then
+        .mockImplementationOnce((resolve) => resolve([quiet, popular])) // candidates
+        .mockImplementationOnce((resolve) => resolve([])) // reacted posts
+        .mockImplementationOnce((resolve) => resolve([])) // comments
+        .mockImplementationOnce((resolve) => resolve([])) // commented posts
+        .mockImplementationOnce((resolve) => resolve([popular])); // page
+
+      await getFeedPosts(req, res);
+
+      expect(Post.find.mock.calls[0][0].author.$in).toEqual([
+        viewer,
+        friend,
+        friendOfFriend,
+      ]);
+      expect(Post.find).toHaveBeenLastCalledWith({ _id: { $in: ["post2"] } });
+      const { posts, nextCursor } = res.json.mock.calls[0][0];
+      expect(posts).toEqual([popular]);
+      expect(nextCursor).toEqual(expect.any(String));
+    });
+
+    test("Should return 400 for a malformed cursor", async () => {
+      const req = mockRequest(
+        { _id: "user1", connections: [] },
+        {},
+        {},
+        { cursor: "garbage" },
+      );
+      const res = mockResponse();
+
+      await getFeedPosts(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Post.find).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- HASHTAGS ---
+  describe("getPostsByTag", () => {
+    test("Should page through posts with the normalized tag", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { tag: "#WebDev" });
+      const res = mockResponse();
+
+      await getPostsByTag(req, res);
+
+      expect(Post.find).toHaveBeenCalledWith({ tags: "webdev" });
+      expect(mockQuery.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+      expect(res.json).toHaveBeenCalledWith({
+        tag: "webdev",
+        posts: ["mock_post"],
+        nextCursor: null,
+      });
+    });
+
+    test("Should reject something that isn't a hashtag (400)", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { tag: "not a tag" });
+      const res = mockResponse();
+
+      await getPostsByTag(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Post.find).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- REACTIONS ---
+  describe("reactToPost", () => {
+    const mockReactablePost = (reactions = []) => {
+      const post = { reactions, author: "user2", save: jest.fn() };
+      Post.findById.mockResolvedValue(post);
+      return post;
+    };
+
+    test("Path 1: New reaction notifies the author", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { type: "celebrate" },
+        { id: "post1" },
+      );
+      const res = mockResponse();
+      const post = mockReactablePost();
+
+      await reactToPost(req, res);
+
+      expect(post.reactions).toEqual([{ user: "user1", type: "celebrate" }]);
+      expect(Notification).toHaveBeenCalledWith(
+        expect.objectContaining({
+          recipient: "user2",
+          type: "reaction",
+          reactionType: "celebrate",
+        }),
+      );
+      expect(post.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("Path 2: Changing reaction replaces the old one quietly", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { type: "funny" },
+        { id: "post1" },
+      );
+      const res = mockResponse();
+      const post = mockReactablePost([
+        { user: "user1", type: "like" },
+        { user: "user3", type: "like" },
+      ]);
+
+      await reactToPost(req, res);
+
+      expect(post.reactions).toEqual([
+        { user: "user1", type: "funny" },
+        { user: "user3", type: "like" },
+      ]);
+      expect(Notification).not.toHaveBeenCalled();
+    });
+
+    test("Path 3: No notification when reacting to own post", async () => {
+      const req = mockRequest(
+        { _id: "user2" },
+        { type: "like" },
+        { id: "post1" },
+      );
+      const res = mockResponse();
+      mockReactablePost();
+
+      await reactToPost(req, res);
+
+      expect(Notification).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("Path 4: Unknown reaction type (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { type: "love" },
+        { id: "post1" },
+      );
+      const res = mockResponse();
+
+      await reactToPost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Post.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("removePostReaction", () => {
+    test("Should remove only the user's reaction", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { id: "post1" });
+      const res = mockResponse();
+      const post = {
+        reactions: [
+          { user: "user1", type: "like" },
+          { user: "user2", type: "support" },
+        ],
+        save: jest.fn(),
+      };
+      Post.findById.mockResolvedValue(post);
+
+      await removePostReaction(req, res);
+
+      expect(post.reactions).toEqual([{ user: "user2", type: "support" }]);
+      expect(post.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe("getPostReactions", () => {
+    const reactions = [
+      { user: { name: "A" }, type: "like" },
+      { user: { name: "B" }, type: "funny" },
+      { user: { name: "C" }, type: "like" },
+      { user: null, type: "like" }, // deleted account
+    ];
+
+    beforeEach(() => {
+      Post.findById.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue({ reactions }),
+      });
+    });
+
+    test("Should list everyone who reacted with counts per type", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { id: "post1" });
+      const res = mockResponse();
+
+      await getPostReactions(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({
+        reactions: reactions.slice(0, 3),
+        counts: { like: 2, funny: 1 },
+      });
+    });
+
+    test("Should filter by type", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        {},
+        { id: "post1" },
+        { type: "funny" },
+      );
+      const res = mockResponse();
+
+      await getPostReactions(req, res);
+
+      const { reactions: filtered, counts } = res.json.mock.calls[0][0];
+      expect(filtered).toEqual([reactions[1]]);
+      expect(counts).toEqual({ like: 2, funny: 1 });
+    });
+
+    test("Should reject an unknown type (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        {},
+        { id: "post1" },
+        { type: "love" },
+      );
+      const res = mockResponse();
+
+      await getPostReactions(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  // --- SHARES ---
+  describe("sharePost", () => {
+    const original = { _id: "original1", author: "user2", content: "Hello" };
+
+    test("Path 1: Plain repost notifies the author and counts the share", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { id: "original1" });
+      const res = mockResponse();
+
+      Post.findById.mockResolvedValue(original);
+      Post.exists.mockResolvedValue(null);
+
+      await sharePost(req, res);
+
+      expect(Post).toHaveBeenCalledWith(
+        expect.objectContaining({
+          author: "user1",
+          content: undefined,
+          sharedPost: "original1",
+        }),
+      );
+      expect(Post.updateOne).toHaveBeenCalledWith(
+        { _id: "original1" },
+        { $inc: { shareCount: 1 } },
+      );
+      expect(Notification).toHaveBeenCalledWith(
+        expect.objectContaining({
+          recipient: "user2",
+          type: "share",
+          relatedPost: "original1",
+        }),
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("Path 2: Quote keeps the commentary with its hashtags", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { content: "Worth a read #ai" },
+        { id: "original1" },
+      );
+      const res = mockResponse();
+
+      Post.findById.mockResolvedValue(original);
+
+      await sharePost(req, res);
+
+      expect(Post.exists).not.toHaveBeenCalled();
+      expect(Post).toHaveBeenCalledWith(
+        expect.objectContaining({
+          content: "Worth a read #ai",
+          tags: ["ai"],
+          sharedPost: "original1",
+        }),
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("Path 3: Reposting a plain repost shares the original", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { id: "repost1" });
+      const res = mockResponse();
+
+      Post.findById
+        .mockResolvedValueOnce({ _id: "repost1", sharedPost: "original1" })
+        .mockResolvedValueOnce(original);
+      Post.exists.mockResolvedValue(null);
+
+      await sharePost(req, res);
+
+      expect(Post.findById).toHaveBeenLastCalledWith("original1");
+      expect(Post).toHaveBeenCalledWith(
+        expect.objectContaining({ sharedPost: "original1" }),
+      );
+    });
+
+    test("Path 4: Reposting the same post twice (400)", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { id: "original1" });
+      const res = mockResponse();
+
+      Post.findById.mockResolvedValue(original);
+      Post.exists.mockResolvedValue({ _id: "repost1" });
+
+      await sharePost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Post).not.toHaveBeenCalled();
+    });
+
+    test("Path 5: No notification when sharing own post", async () => {
+      const req = mockRequest(
+        { _id: "user2" },
+        { content: "Still true" },
+        { id: "original1" },
+      );
+      const res = mockResponse();
+
+      Post.findById.mockResolvedValue(original);
+
+      await sharePost(req, res);
+
+      expect(Notification).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("Path 6: Post not found (404)", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { id: "missing" });
+      const res = mockResponse();
+
+      Post.findById.mockResolvedValue(null);
+
+      await sharePost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  // --- VOTING ---
+  describe("votePoll", () => {
+    const mockPollPost = (fields = {}) => {
+      const post = {
+        _id: "post1",
+        author: "user2",
+        content: "Best day?",
+        poll: {
+          options: [
+            { _id: "opt1", text: "Monday", votes: [] },
+            { _id: "opt2", text: "Friday", votes: ["user3"] },
+          ],
+          multipleChoice: false,
+          closesAt: new Date(Date.now() + 60 * 60 * 1000),
+          ...fields,
+        },
+      };
+      Post.findById.mockResolvedValueOnce(post);
+      return post;
+    };
+
+    test("Path 1: Records the vote and returns the results", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { optionIds: ["opt1"] },
+        { id: "post1" },
+      );
+      const res = mockResponse();
+      const post = mockPollPost();
+      post.poll.options[0].votes.push("user1");
+      Post.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      Post.findById.mockReturnValueOnce({
+        populate: jest.fn().mockResolvedValue(post),
+      });
+
+      await votePoll(req, res);
+
+      expect(Post.updateOne).toHaveBeenCalledWith(
+        { _id: "post1", "poll.options.votes": { $ne: "user1" } },
+        { $push: { "poll.options.$[option].votes": "user1" } },
+        { arrayFilters: [{ "option._id": { $in: ["opt1"] } }] },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { poll } = res.json.mock.calls[0][0];
+      expect(poll.userVotes).toEqual(["opt1"]);
+      expect(poll.options).toEqual([
+        { _id: "opt1", text: "Monday", voteCount: 1 },
+        { _id: "opt2", text: "Friday", voteCount: 1 },
+      ]);
+    });
+
+    test("Path 2: Second vote from the same user (400)", async () => {
+      const req = mockRequest(
+        { _id: "user3" },
+        { optionIds: ["opt1"] },
+        { id: "post1" },
+      );
+      const res = mockResponse();
+      mockPollPost();
+      Post.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await votePoll(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: "You have already voted in this poll",
+      });
+    });
+
+    test("Path 3: Several choices on a single choice poll (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { optionIds: ["opt1", "opt2"] },
+        { id: "post1" },
+      );
+      const res = mockResponse();
+      mockPollPost();
+
+      await votePoll(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Post.updateOne).not.toHaveBeenCalled();
+    });
+
+    test("Path 4: Unknown option (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { optionIds: ["nope"] },
+        { id: "post1" },
+      );
+      const res = mockResponse();
+      mockPollPost();
+
+      await votePoll(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Post.updateOne).not.toHaveBeenCalled();
+    });
+
+    test("Path 5: Closed poll (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { optionIds: ["opt1"] },
+        { id: "post1" },
+      );
+      const res = mockResponse();
+      mockPollPost({ closesAt: new Date(Date.now() - 1000) });
+
+      await votePoll(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: "This poll has closed",
+      });
+    });
+
+    test("Path 6: Post without a poll (404)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        { optionIds: ["opt1"] },
+        { id: "post1" },
+      );
+      const res = mockResponse();
+      Post.findById.mockResolvedValueOnce({ _id: "post1" });
+
+      await votePoll(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
   });
 });
@@ -0,0 +1,54 @@
+import { documentUpload, toPostDocument } from "../lib/postDocuments.js";
+
+describe("Post documents", () => {
+  const url = "https://res.cloudinary.com/demo/image/upload/v1/notes.pdf";
+
+  describe("documentUpload", () => {
+    test("Should only take files that really are PDFs", () => {
+      const isPdf = documentUpload.signatures["application/pdf"];
+
+      expect(isPdf(Buffer.from("%PDF-1.7 lecture notes"))).toBe(true);
+      expect(isPdf(Buffer.from("PK\x03\x04 zip"))).toBe(false);
+      expect(documentUpload.signatures["application/zip"]).toBeUndefined();
+    });
+
+    test("Should render the first page as the thumbnail", () => {
+      expect(documentUpload.options).toEqual({
+        resource_type: "image",
+        eager: [expect.objectContaining({ page: 1, format: "jpg" })],
+      });
+      expect(
+        documentUpload.describe({
+          secure_url: url,
+          eager: [{ secure_url: url.replace(".pdf", ".jpg") }],
+          pages: 4,
+        }),
+      ).toEqual({
+        url,
+        thumbnail: url.replace(".pdf", ".jpg"),
+        pageCount: 4,
+      });
+    });
+  });
+
+  describe("toPostDocument", () => {
+    test("Should keep what the post shows and name unnamed files", () => {
+      expect(
+        toPostDocument({
+          _id: "asset1",
+          owner: "user1",
+          url,
+          thumbnail: "thumb",
+          size: 22,
+          pageCount: 4,
+        }),
+      ).toEqual({
+        url,
+        thumbnail: "thumb",
+        name: "document.pdf",
+        size: 22,
+        pageCount: 4,
+      });
+    });
+  });
+});
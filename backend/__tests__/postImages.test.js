@@ -0,0 +1,114 @@
+import { jest } from "@jest/globals";
+
+// ==========================================
+// 1. DEFINE MOCKS (Must be before imports)
+// ==========================================
+
+// Mock the upload lookups, covered in uploads.test.js
+await jest.unstable_mockModule("../lib/uploads.js", () => ({
+  findAssets: jest.fn().mockResolvedValue([]),
+}));
+
+// ==========================================
+// 2. DYNAMIC IMPORTS
+// ==========================================
+const {
+  InvalidImagesError,
+  imageUpload,
+  postImageUrls,
+  resolvePostImages,
+} = await import("../lib/postImages.js");
+
+const { findAssets } = await import("../lib/uploads.js");
+
+// ==========================================
+// 3. THE TESTS
+// ==========================================
+describe("Post images", () => {
+  const url = (name) =>
+    `https://res.cloudinary.com/demo/image/upload/v1/${name}.jpg`;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("postImageUrls", () => {
+    test("Should list current and earlier images once each", () => {
+      expect(
+        postImageUrls({
+          images: [{ url: url("b") }, { url: url("c") }],
+          revisions: [
+            { images: [{ url: url("a") }, { url: url("b") }] },
+            { content: "text only" },
+          ],
+        }),
+      ).toEqual([url("b"), url("c"), url("a")]);
+    });
+  });
+
+  describe("imageUpload", () => {
+    const { signatures } = imageUpload;
+
+    test("Should recognise each accepted type by its first bytes", () => {
+      expect(
+        signatures["image/jpeg"](Buffer.from([0xff, 0xd8, 0xff, 0xe0])),
+      ).toBe(true);
+      expect(
+        signatures["image/png"](Buffer.from("\x89PNG\r\n\x1a\n....", "latin1")),
+      ).toBe(true);
+      expect(signatures["image/gif"](Buffer.from("GIF89a"))).toBe(true);
+      expect(signatures["image/webp"](Buffer.from("RIFF\0\0\0\0WEBPVP8 "))).toBe(
+        true,
+      );
+    });
+
+    test("Should reject files that only claim to be images", () => {
+      expect(signatures["image/png"](Buffer.from("%PDF-1.7"))).toBe(false);
+      expect(signatures["image/jpeg"](Buffer.from("GIF89a"))).toBe(false);
+      expect(signatures["image/svg+xml"]).toBeUndefined();
+    });
+  });
+
+  describe("resolvePostImages", () => {
+    test("Should use new uploads and keep known images in order", async () => {
+      const asset = { _id: "asset1", url: url("new") };
+      findAssets.mockResolvedValue([asset]);
+
+      const { images, assets } = await resolvePostImages(
+        [{ url: url("old"), alt: "Kept" }, { asset: "asset1", alt: " New " }],
+        [{ url: url("old"), alt: "" }],
+        "user1",
+      );
+
+      expect(findAssets).toHaveBeenCalledWith(["asset1"], "user1", "image");
+      expect(images).toEqual([
+        { url: url("old"), alt: "Kept" },
+        { url: url("new"), alt: "New" },
+      ]);
+      expect(assets).toEqual([asset]);
+    });
+
+    test("Should check everything before looking up uploads", async () => {
+      await expect(
+        resolvePostImages([{ asset: "asset1" }, { alt: "no image" }]),
+      ).rejects.toThrow(InvalidImagesError);
+      await expect(
+        resolvePostImages([{ asset: "asset1", alt: "x".repeat(1001) }]),
+      ).rejects.toThrow("Alt text");
+      await expect(
+        resolvePostImages(Array.from({ length: 10 }, () => ({ asset: "a" }))),
+      ).rejects.toThrow("at most 9 images");
+      await expect(resolvePostImages("asset1")).rejects.toThrow(
+        InvalidImagesError,
+      );
+
+      expect(findAssets).not.toHaveBeenCalled();
+    });
+
+    test("Should only keep images the post already has", async () => {
+      await expect(
+        resolvePostImages([{ url: url("elsewhere") }], [{ url: url("old") }]),
+      ).rejects.toThrow("Invalid image");
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import { jest } from "@jest/globals";
+
+// ==========================================
+// 1. DEFINE MOCKS (Must be before imports)
+// ==========================================
+
+// Mock Cloudinary
+await jest.unstable_mockModule("../lib/cloudinary.js", () => ({
+  default: {
+    uploader: {
+      destroy: jest.fn(),
+    },
+  },
+}));
+
+// ==========================================
+// 2. DYNAMIC IMPORTS
+// ==========================================
+const { toPostVideo, videoUpload } = await import("../lib/postVideos.js");
+const { InvalidUploadError } = await import("../lib/uploads.js");
+
+// ==========================================
+// 3. THE TESTS
+// ==========================================
+describe("Post videos", () => {
+  const mp4 = Buffer.concat([
+    Buffer.from([0, 0, 0, 0x20]),
+    Buffer.from("ftypisom"),
+  ]);
+  const webm = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f]);
+  const url = "https://res.cloudinary.com/demo/video/upload/v1/clip.mp4";
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("videoUpload", () => {
+    const { signatures } = videoUpload;
+
+    test("Should take MP4, MOV and WebM videos", () => {
+      expect(signatures["video/mp4"](mp4)).toBe(true);
+      expect(signatures["video/quicktime"](mp4)).toBe(true);
+      expect(
+        signatures["video/quicktime"](Buffer.from("\0\0\0\x08wide....")),
+      ).toBe(true);
+      expect(signatures["video/webm"](webm)).toBe(true);
+      expect(signatures["video/x-msvideo"]).toBeUndefined();
+    });
+
+    test("Should reject files that only claim to be videos", () => {
+      expect(signatures["video/mp4"](Buffer.from("%PDF-1.7"))).toBe(false);
+      expect(signatures["video/webm"](mp4)).toBe(false);
+    });
+
+    test("Should keep the poster frame and duration", () => {
+      expect(videoUpload.options).toEqual({
+        resource_type: "video",
+        eager: [expect.objectContaining({ format: "jpg", start_offset: 0 })],
+      });
+      expect(
+        videoUpload.describe({
+          secure_url: url,
+          eager: [{ secure_url: url.replace(".mp4", ".jpg") }],
+          duration: 42.5,
+          width: 1280,
+          height: 720,
+        }),
+      ).toEqual({
+        url,
+        poster: url.replace(".mp4", ".jpg"),
+        duration: 42.5,
+        width: 1280,
+        height: 720,
+      });
+    });
+
+    test("Should refuse videos that run too long", () => {
+      expect(() =>
+        videoUpload.describe({ secure_url: url, duration: 600 }),
+      ).toThrow(InvalidUploadError);
+      expect(() => videoUpload.describe({ secure_url: url })).toThrow(
+        "at most 2 minutes long",
+      );
+    });
+  });
+
+  describe("toPostVideo", () => {
+    test("Should keep what the post shows", () => {
+      expect(
+        toPostVideo({
+          _id: "asset1",
+          owner: "user1",
+          name: "clip.mp4",
+          url,
+          poster: "poster",
+          duration: 30,
+          width: 640,
+          height: 360,
+          size: 1000,
+        }),
+      ).toEqual({
+        url,
+        poster: "poster",
+        duration: 30,
+        width: 640,
+        height: 360,
+        size: 1000,
+      });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import {
+  countReactions,
+  removeReaction,
+  setReaction,
+} from "../lib/reactions.js";
+
+describe("Reactions", () => {
+  describe("setReaction", () => {
+    test("Should add a reaction for a new user", () => {
+      const reactions = [];
+      expect(setReaction(reactions, "user1", "like")).toBeNull();
+      expect(reactions).toEqual([{ user: "user1", type: "like" }]);
+    });
+
+    test("Should replace the user's earlier reaction", () => {
+      const reactions = [{ user: { toString: () => "user1" }, type: "like" }];
+      expect(setReaction(reactions, "user1", "insightful")).toBe("like");
+      expect(reactions).toHaveLength(1);
+      expect(reactions[0].type).toBe("insightful");
+    });
+  });
+
+  describe("removeReaction", () => {
+    test("Should remove only that user's reaction", () => {
+      const reactions = [
+        { user: "user1", type: "like" },
+        { user: "user2", type: "funny" },
+      ];
+      expect(removeReaction(reactions, "user2")).toBe("funny");
+      expect(reactions).toEqual([{ user: "user1", type: "like" }]);
+    });
+
+    test("Should do nothing if the user hadn't reacted", () => {
+      const reactions = [{ user: "user1", type: "like" }];
+      expect(removeReaction(reactions, "user2")).toBeNull();
+      expect(reactions).toHaveLength(1);
+    });
+  });
+
+  describe("countReactions", () => {
+    test("Should count each type used", () => {
+      expect(
+        countReactions([
+          { user: "a", type: "like" },
+          { user: "b", type: "support" },
+          { user: "c", type: "like" },
+        ]),
+      ).toEqual({ like: 2, support: 1 });
+    });
+
+    test("Should handle posts nobody reacted to", () => {
+      expect(countReactions([])).toEqual({});
+      expect(countReactions()).toEqual({});
+    });
+  });
+});
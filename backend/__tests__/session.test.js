@@ -0,0 +1,328 @@
+import { jest } from "@jest/globals";
+
+// ==========================================
+// 1. DEFINE MOCKS
+// ==========================================
+
+// Mock Session helpers
+await jest.unstable_mockModule("../lib/session.js", () => ({
+  REFRESH_COOKIE: "refresh-connect-campus",
+  REFRESH_GRACE_PERIOD: 10 * 1000,
+  revokeAllSessions: jest.fn(),
+  clearSessionCookies: jest.fn(),
+  rotateTokens: jest.fn(),
+  issueAccessToken: jest.fn(),
+  hashToken: jest.fn((token) => `hashed_${token}`),
+  parseRefreshToken: jest.fn((token = "") => {
+    const [sessionId, secret] = token.split(".");
+    return { sessionId, secret };
+  }),
+}));
+
+// Mock Session Model with the .find().select().sort().lean() chain
+const mockChain = {
+  select: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  lean: jest.fn(),
+};
+
+await jest.unstable_mockModule("../models/session.model.js", () => ({
+  default: {
+    find: jest.fn(() => mockChain),
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+  },
+}));
+
+// ==========================================
+// 2. DYNAMIC IMPORTS
+// ==========================================
+const {
+  refreshSession,
+  getActiveSessions,
+  revokeSession,
+  revokeAllUserSessions,
+} = await import("../controllers/session.controller.js");
+
+const Session = (await import("../models/session.model.js")).default;
+const {
+  revokeAllSessions,
+  clearSessionCookies,
+  rotateTokens,
+  issueAccessToken,
+} = await import("../lib/session.js");
+
+// ==========================================
+// 3. THE TESTS
+// ==========================================
+describe("Session Controller Tests", () => {
+  const mockRequest = (params = {}, cookies = {}) => ({
+    user: { _id: "user1" },
+    authSession: { _id: "current" },
+    params,
+    cookies,
+  });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // --- REFRESH SESSION ---
+  describe("refreshSession", () => {
+    const sessionId = "64b7f0c2a1b2c3d4e5f60718";
+    const refreshRequest = (secret) =>
+      mockRequest({}, { "refresh-connect-campus": `${sessionId}.${secret}` });
+    const mockFindById = (session) =>
+      Session.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue(session),
+      });
+
+    test("Should return 401 without a refresh cookie", async () => {
+      const req = mockRequest();
+      const res = mockResponse();
+
+      await refreshSession(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(Session.findById).not.toHaveBeenCalled();
+    });
+
+    test("Should return 401 if the session was revoked", async () => {
+      const req = refreshRequest("secret");
+      const res = mockResponse();
+
+      mockFindById({
+        revokedAt: new Date(),
+        expiresAt: new Date(Date.now() + 1000),
+      });
+
+      await refreshSession(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(rotateTokens).not.toHaveBeenCalled();
+    });
+
+    test("Should revoke the whole family when an old token is reused", async () => {
+      const req = refreshRequest("old_secret");
+      const res = mockResponse();
+
+      const session = {
+        revokedAt: null,
+        expiresAt: new Date(Date.now() + 1000),
+        refreshTokenHash: "hashed_current_secret",
+        save: jest.fn(),
+      };
+      mockFindById(session);
+
+      await refreshSession(req, res);
+
+      expect(session.revokedAt).toBeInstanceOf(Date);
+      expect(session.save).toHaveBeenCalled();
+      expect(clearSessionCookies).toHaveBeenCalledWith(res);
+      expect(rotateTokens).not.toHaveBeenCalled();
+      expect(issueAccessToken).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Unauthorized - Refresh token reuse detected",
+      });
+    });
+
+    test("Should rotate tokens for the current refresh token", async () => {
+      const req = refreshRequest("current_secret");
+      const res = mockResponse();
+
+      const session = {
+        revokedAt: null,
+        expiresAt: new Date(Date.now() + 1000),
+        refreshTokenHash: "hashed_current_secret",
+      };
+      mockFindById(session);
+      rotateTokens.mockResolvedValue(true);
+
+      await refreshSession(req, res);
+
+      expect(rotateTokens).toHaveBeenCalledWith(res, session);
+      expect(issueAccessToken).not.toHaveBeenCalled();
+      expect(session.lastSeenAt).toBeInstanceOf(Date);
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Token refreshed successfully",
+      });
+    });
+
+    test("Should let two parallel refreshes with the same token through", async () => {
+      // one session in the "database", rotated like rotateTokens does
+      const stored = {
+        revokedAt: null,
+        expiresAt: new Date(Date.now() + 1000),
+        refreshTokenHash: "hashed_current_secret",
+        save: jest.fn(),
+      };
+      Session.findById.mockImplementation(() => ({
+        select: jest.fn(async () => ({ ...stored })),
+      }));
+      rotateTokens.mockImplementation(async (res, session) => {
+        if (session.refreshTokenHash !== stored.refreshTokenHash) return false;
+        stored.previousTokenHash = stored.refreshTokenHash;
+        stored.refreshTokenHash = "hashed_next_secret";
+        stored.rotatedAt = new Date();
+        return true;
+      });
+      const first = mockResponse();
+      const second = mockResponse();
+
+      await Promise.all([
+        refreshSession(refreshRequest("current_secret"), first),
+        refreshSession(refreshRequest("current_secret"), second),
+      ]);
+
+      // one rotates, the other only gets a new access token
+      expect(rotateTokens).toHaveBeenCalledTimes(2);
+      expect(issueAccessToken).toHaveBeenCalledTimes(1);
+      expect(first.status).not.toHaveBeenCalled();
+      expect(second.status).not.toHaveBeenCalled();
+      expect(stored.save).not.toHaveBeenCalled();
+
+      // and a straggler still holding the old token is let through too
+      const third = mockResponse();
+      await refreshSession(refreshRequest("current_secret"), third);
+
+      expect(third.status).not.toHaveBeenCalled();
+      expect(issueAccessToken).toHaveBeenCalledTimes(2);
+      expect(stored.revokedAt).toBeNull();
+    });
+
+    test("Should revoke the family when a rotated token comes back later", async () => {
+      const req = refreshRequest("old_secret");
+      const res = mockResponse();
+
+      const session = {
+        revokedAt: null,
+        expiresAt: new Date(Date.now() + 1000),
+        refreshTokenHash: "hashed_current_secret",
+        previousTokenHash: "hashed_old_secret",
+        rotatedAt: new Date(Date.now() - 60 * 1000),
+        save: jest.fn(),
+      };
+      mockFindById(session);
+
+      await refreshSession(req, res);
+
+      expect(session.revokedAt).toBeInstanceOf(Date);
+      expect(issueAccessToken).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  // --- GET ACTIVE SESSIONS ---
+  describe("getActiveSessions", () => {
+    test("Should list live sessions and flag the current one", async () => {
+      const req = mockRequest();
+      const res = mockResponse();
+
+      mockChain.lean.mockResolvedValue([
+        { _id: "current", userAgent: "Firefox" },
+        { _id: "other", userAgent: "Chrome" },
+      ]);
+
+      await getActiveSessions(req, res);
+
+      expect(Session.find).toHaveBeenCalledWith({
+        user: "user1",
+        revokedAt: null,
+        expiresAt: { $gt: expect.any(Date) },
+      });
+      expect(mockChain.sort).toHaveBeenCalledWith({ lastSeenAt: -1 });
+      expect(res.json).toHaveBeenCalledWith([
+        { _id: "current", userAgent: "Firefox", current: true },
+        { _id: "other", userAgent: "Chrome", current: false },
+      ]);
+    });
+  });
+
+  // --- REVOKE SESSION ---
+  describe("revokeSession", () => {
+    const targetId = "64b7f0c2a1b2c3d4e5f60719";
+
+    test("Should return 404 if session is not the user's or already revoked", async () => {
+      const req = mockRequest({ sessionId: targetId });
+      const res = mockResponse();
+
+      Session.findOneAndUpdate.mockResolvedValue(null);
+
+      await revokeSession(req, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("Should return 404 for an id that can't be a session", async () => {
+      const req = mockRequest({ sessionId: "not-an-id" });
+      const res = mockResponse();
+
+      await revokeSession(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test("Should revoke another session and keep the cookie", async () => {
+      const req = mockRequest({ sessionId: targetId });
+      const res = mockResponse();
+
+      Session.findOneAndUpdate.mockResolvedValue({ _id: targetId });
+
+      await revokeSession(req, res);
+
+      expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: targetId, user: "user1", revokedAt: null },
+        { revokedAt: expect.any(Date) },
+      );
+      expect(clearSessionCookies).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Session revoked successfully",
+      });
+    });
+
+    test("Should clear the cookie when revoking the current session", async () => {
+      const req = mockRequest({ sessionId: targetId });
+      req.authSession = { _id: targetId };
+      const res = mockResponse();
+
+      Session.findOneAndUpdate.mockResolvedValue({ _id: targetId });
+
+      await revokeSession(req, res);
+      expect(clearSessionCookies).toHaveBeenCalledWith(res);
+    });
+  });
+
+  // --- REVOKE ALL SESSIONS ---
+  describe("revokeAllUserSessions", () => {
+    test("Should revoke every session and clear the cookie", async () => {
+      const req = mockRequest();
+      const res = mockResponse();
+
+      await revokeAllUserSessions(req, res);
+
+      expect(revokeAllSessions).toHaveBeenCalledWith("user1");
+      expect(clearSessionCookies).toHaveBeenCalledWith(res);
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Logged out of all sessions",
+      });
+    });
+
+    test("Should return 500 on database error", async () => {
+      const req = mockRequest();
+      const res = mockResponse();
+
+      revokeAllSessions.mockRejectedValue(new Error("DB Error"));
+
+      await revokeAllUserSessions(req, res);
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
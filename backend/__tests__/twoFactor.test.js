@@ -0,0 +1,224 @@
+import { jest } from "@jest/globals";
+
+// ==========================================
+// 1. DEFINE MOCKS
+// ==========================================
+
+// Mock Bcrypt
+await jest.unstable_mockModule("bcryptjs", () => ({
+  default: {
+    compare: jest.fn(),
+  },
+  compare: jest.fn(),
+}));
+
+// Mock QR code rendering
+await jest.unstable_mockModule("qrcode", () => ({
+  default: {
+    toDataURL: jest.fn().mockResolvedValue("data:image/png;base64,qr"),
+  },
+}));
+
+// Mock TOTP authenticator
+await jest.unstable_mockModule("../lib/totp.js", () => ({
+  default: {
+    generateSecret: jest.fn(() => "SECRET"),
+    keyuri: jest.fn(() => "otpauth://totp/Connect%20Campus:e@e.com"),
+    verify: jest.fn(),
+  },
+}));
+
+// Mock Session helpers
+await jest.unstable_mockModule("../lib/session.js", () => ({
+  hashToken: jest.fn((token) => `hashed_${token}`),
+}));
+
+// Mock User Model
+await jest.unstable_mockModule("../models/user.model.js", () => ({
+  default: {
+    findById: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+  },
+}));
+
+// ==========================================
+// 2. DYNAMIC IMPORTS
+// ==========================================
+const { setupTwoFactor, enableTwoFactor, disableTwoFactor } = await import(
+  "../controllers/twoFactor.controller.js"
+);
+
+const User = (await import("../models/user.model.js")).default;
+const authenticator = (await import("../lib/totp.js")).default;
+const bcrypt = (await import("bcryptjs")).default;
+
+// ==========================================
+// 3. THE TESTS
+// ==========================================
+describe("Two-Factor Controller Tests", () => {
+  const mockRequest = (user, body = {}) => ({
+    user,
+    body,
+  });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  const mockFindById = (user) =>
+    User.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue(user),
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // --- SETUP ---
+  describe("setupTwoFactor", () => {
+    test("Should return 400 if already enabled", async () => {
+      const req = mockRequest({ _id: "user1", twoFactorEnabled: true });
+      const res = mockResponse();
+
+      await setupTwoFactor(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test("Should store a pending secret and return the otpauth URI", async () => {
+      const req = mockRequest({
+        _id: "user1",
+        email: "e@e.com",
+        twoFactorEnabled: false,
+      });
+      const res = mockResponse();
+
+      await setupTwoFactor(req, res);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith("user1", {
+        twoFactorSecret: "SECRET",
+      });
+      expect(authenticator.keyuri).toHaveBeenCalledWith(
+        "e@e.com",
+        "Connect Campus",
+        "SECRET",
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        secret: "SECRET",
+        otpauthUrl: "otpauth://totp/Connect%20Campus:e@e.com",
+        qrCode: "data:image/png;base64,qr",
+      });
+    });
+  });
+
+  // --- ENABLE ---
+  describe("enableTwoFactor", () => {
+    test("Should return 400 if setup was never started", async () => {
+      const req = mockRequest({ _id: "user1" }, { code: "123456" });
+      const res = mockResponse();
+
+      mockFindById({ twoFactorEnabled: false });
+
+      await enableTwoFactor(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("Should return 400 if the code is wrong", async () => {
+      const req = mockRequest({ _id: "user1" }, { code: "000000" });
+      const res = mockResponse();
+
+      const user = {
+        twoFactorEnabled: false,
+        twoFactorSecret: "SECRET",
+        save: jest.fn(),
+      };
+      mockFindById(user);
+      authenticator.verify.mockReturnValue(false);
+
+      await enableTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Invalid verification code",
+      });
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    test("Should enable 2FA and return hashed-at-rest recovery codes", async () => {
+      const req = mockRequest({ _id: "user1" }, { code: "123456" });
+      const res = mockResponse();
+
+      const user = {
+        twoFactorEnabled: false,
+        twoFactorSecret: "SECRET",
+        save: jest.fn(),
+      };
+      mockFindById(user);
+      authenticator.verify.mockReturnValue(true);
+
+      await enableTwoFactor(req, res);
+
+      expect(authenticator.verify).toHaveBeenCalledWith({
+        token: "123456",
+        secret: "SECRET",
+      });
+      expect(user.twoFactorEnabled).toBe(true);
+      expect(user.save).toHaveBeenCalled();
+
+      const { recoveryCodes } = res.json.mock.calls[0][0];
+      expect(recoveryCodes).toHaveLength(10);
+      expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      expect(user.twoFactorRecoveryCodes).toEqual(
+        recoveryCodes.map((code) => `hashed_${code}`),
+      );
+    });
+  });
+
+  // --- DISABLE ---
+  describe("disableTwoFactor", () => {
+    test("Should return 400 if the password is wrong", async () => {
+      const req = mockRequest({ _id: "user1" }, { password: "wrong" });
+      const res = mockResponse();
+
+      const user = {
+        twoFactorEnabled: true,
+        password: "hash",
+        save: jest.fn(),
+      };
+      mockFindById(user);
+      bcrypt.compare.mockResolvedValue(false);
+
+      await disableTwoFactor(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    test("Should clear the secret and recovery codes", async () => {
+      const req = mockRequest({ _id: "user1" }, { password: "correct" });
+      const res = mockResponse();
+
+      const user = {
+        twoFactorEnabled: true,
+        twoFactorSecret: "SECRET",
+        twoFactorRecoveryCodes: ["hashed_code"],
+        password: "hash",
+        save: jest.fn(),
+      };
+      mockFindById(user);
+      bcrypt.compare.mockResolvedValue(true);
+
+      await disableTwoFactor(req, res);
+
+      expect(user.twoFactorEnabled).toBe(false);
+      expect(user.twoFactorSecret).toBeUndefined();
+      expect(user.twoFactorRecoveryCodes).toEqual([]);
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Two-factor authentication disabled",
+      });
+    });
+  });
+});
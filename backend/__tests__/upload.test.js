@@ -0,0 +1,146 @@
+import { jest } from "@jest/globals";
+
+// ==========================================
+// 1. DEFINE MOCKS (Must be before imports)
+// ==========================================
+
+// Mock the upload pipeline, covered in uploads.test.js
+await jest.unstable_mockModule("../lib/uploads.js", () => {
+  class InvalidUploadError extends Error {}
+  class UploadTooLargeError extends InvalidUploadError {}
+  return {
+    InvalidUploadError,
+    UploadTooLargeError,
+    findAssets: jest.fn(),
+    receiveUpload: jest.fn(),
+  };
+});
+
+// Mock Asset Model
+await jest.unstable_mockModule("../models/asset.model.js", () => ({
+  default: {
+    create: jest.fn(async (data) => ({ _id: "asset1", ...data })),
+  },
+}));
+
+// ==========================================
+// 2. DYNAMIC IMPORTS
+// ==========================================
+const { uploadAsset } = await import("../controllers/upload.controller.js");
+
+const Asset = (await import("../models/asset.model.js")).default;
+const { InvalidUploadError, UploadTooLargeError, receiveUpload } = await import(
+  "../lib/uploads.js"
+);
+const { imageUpload } = await import("../lib/postImages.js");
+const { videoUpload } = await import("../lib/postVideos.js");
+
+// ==========================================
+// 3. THE TESTS
+// ==========================================
+describe("Upload Controller Tests", () => {
+  const mockRequest = (user, params = {}) => ({ user, params });
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("uploadAsset", () => {
+    test("Path 1: Stores the upload and answers with its asset id", async () => {
+      const req = mockRequest({ _id: "user1" }, { kind: "image" });
+      const res = mockResponse();
+
+      receiveUpload.mockResolvedValue({
+        url: "http://img.com/1.jpg",
+        size: 2048,
+        name: "team.jpg",
+      });
+
+      await uploadAsset(req, res);
+
+      expect(receiveUpload).toHaveBeenCalledWith(req, "image", imageUpload);
+      expect(Asset.create).toHaveBeenCalledWith({
+        owner: "user1",
+        kind: "image",
+        url: "http://img.com/1.jpg",
+        size: 2048,
+        name: "team.jpg",
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: "asset1", kind: "image" }),
+      );
+    });
+
+    test("Path 2: Uses the video checks for videos", async () => {
+      const req = mockRequest({ _id: "user1" }, { kind: "video" });
+      const res = mockResponse();
+
+      receiveUpload.mockResolvedValue({ url: "http://img.com/1.mp4" });
+
+      await uploadAsset(req, res);
+
+      expect(receiveUpload).toHaveBeenCalledWith(req, "video", videoUpload);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("Path 3: Unknown kind of upload (404)", async () => {
+      const req = mockRequest({ _id: "user1" }, { kind: "spreadsheet" });
+      const res = mockResponse();
+
+      await uploadAsset(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(receiveUpload).not.toHaveBeenCalled();
+    });
+
+    test("Path 4: File of the wrong type (400)", async () => {
+      const req = mockRequest({ _id: "user1" }, { kind: "document" });
+      const res = mockResponse();
+
+      receiveUpload.mockRejectedValue(
+        new InvalidUploadError("Only PDF documents can be attached"),
+      );
+
+      await uploadAsset(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Only PDF documents can be attached",
+      });
+      expect(Asset.create).not.toHaveBeenCalled();
+    });
+
+    test("Path 5: File over the size limit (413)", async () => {
+      const req = mockRequest({ _id: "user1" }, { kind: "image" });
+      const res = mockResponse();
+
+      receiveUpload.mockRejectedValue(
+        new UploadTooLargeError("Files can be at most 10 MB"),
+      );
+
+      await uploadAsset(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(413);
+      expect(Asset.create).not.toHaveBeenCalled();
+    });
+
+    test("Path 6: Storage failing (500)", async () => {
+      const req = mockRequest({ _id: "user1" }, { kind: "image" });
+      const res = mockResponse();
+
+      receiveUpload.mockRejectedValue(new Error("Cloudinary is down"));
+
+      await uploadAsset(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -0,0 +1,407 @@
+import { jest } from "@jest/globals";
+import { Readable, Writable } from "stream";
+
+// ==========================================
+// 1. DEFINE MOCKS (Must be before imports)
+// ==========================================
+
+// Mock Cloudinary; upload_stream collects what's written to it
+await jest.unstable_mockModule("../lib/cloudinary.js", () => ({
+  default: {
+    uploader: {
+      upload_stream: jest.fn(),
+      destroy: jest.fn().mockResolvedValue({}),
+    },
+  },
+}));
+
+// Mock Asset Model
+await jest.unstable_mockModule("../models/asset.model.js", () => ({
+  default: {
+    find: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn(),
+    deleteOne: jest.fn(),
+  },
+}));
+
+// ==========================================
+// 2. DYNAMIC IMPORTS
+// ==========================================
+const {
+  InvalidUploadError,
+  UploadTooLargeError,
+  claimAssets,
+  destroyUpload,
+  findAssets,
+  receiveUpload,
+  removeUnusedAssets,
+} = await import("../lib/uploads.js");
+
+const cloudinary = (await import("../lib/cloudinary.js")).default;
+const Asset = (await import("../models/asset.model.js")).default;
+
+// ==========================================
+// 3. THE TESTS
+// ==========================================
+describe("Uploads", () => {
+  const BOUNDARY = "----test-boundary";
+
+  // a request carrying one file, sent in small chunks like a real upload;
+  // a truncated one breaks off before the closing boundary
+  const multipartRequest = ({ filename, mimeType, body, truncated }) => {
+    const payload = Buffer.concat([
+      Buffer.from(
+        `--${BOUNDARY}\r\n` +
+          `Content-Disposition: form-data; name="file"; filename="${filename}"\r\n` +
+          `Content-Type: ${mimeType}\r\n\r\n`,
+      ),
+      body,
+      Buffer.from(truncated ? "" : `\r\n--${BOUNDARY}--\r\n`),
+    ]);
+    const chunks = [];
+    for (let i = 0; i < payload.length; i += 1024) {
+      chunks.push(payload.subarray(i, i + 1024));
+    }
+    const req = Readable.from(chunks);
+    req.headers = {
+      "content-type": `multipart/form-data; boundary=${BOUNDARY}`,
+    };
+    return req;
+  };
+
+  // a made up kind: text files that must start with "HELLO"
+  const spec = {
+    maxSize: 4096,
+    signatures: {
+      "text/plain": (bytes) => bytes.subarray(0, 5).toString() === "HELLO",
+    },
+    typeError: "Only greetings",
+    options: { resource_type: "raw" },
+    describe: (result) => ({ url: result.secure_url }),
+  };
+
+  let stored;
+  let upload;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = null;
+    upload = null;
+    cloudinary.uploader.upload_stream.mockImplementation(
+      (options, callback) => {
+        const chunks = [];
+        upload = new Writable({
+          write(chunk, encoding, done) {
+            chunks.push(chunk);
+            done();
+          },
+          final(done) {
+            stored = Buffer.concat(chunks);
+            done();
+            callback(null, {
+              secure_url: "https://res.cloudinary.com/demo/raw/upload/v1/a.txt",
+            });
+          },
+        });
+        return upload;
+      },
+    );
+  });
+
+  describe("receiveUpload", () => {
+    test("Should stream the file to cloudinary untouched", async () => {
+      const body = Buffer.from(`HELLO ${"x".repeat(3000)}`);
+
+      const fields = await receiveUpload(
+        multipartRequest({ filename: "hi.txt", mimeType: "text/plain", body }),
+        "text",
+        spec,
+      );
+
+      expect(cloudinary.uploader.upload_stream).toHaveBeenCalledWith(
+        { resource_type: "raw" },
+        expect.any(Function),
+      );
+      expect(stored.equals(body)).toBe(true);
+      expect(fields).toEqual({
+        url: "https://res.cloudinary.com/demo/raw/upload/v1/a.txt",
+        size: body.length,
+        name: "hi.txt",
+      });
+    });
+
+    test("Should check files shorter than the signature when they end", async () => {
+      const fields = await receiveUpload(
+        multipartRequest({
+          filename: "hi.txt",
+          mimeType: "text/plain",
+          body: Buffer.from("HELLO"),
+        }),
+        "text",
+        spec,
+      );
+
+      expect(fields.size).toBe(5);
+    });
+
+    test("Should refuse types the kind doesn't take", async () => {
+      await expect(
+        receiveUpload(
+          multipartRequest({
+            filename: "hi.html",
+            mimeType: "text/html",
+            body: Buffer.from("HELLO"),
+          }),
+          "text",
+          spec,
+        ),
+      ).rejects.toThrow("Only greetings");
+      expect(cloudinary.uploader.upload_stream).not.toHaveBeenCalled();
+    });
+
+    test("Should refuse files whose content doesn't match the type", async () => {
+      await expect(
+        receiveUpload(
+          multipartRequest({
+            filename: "hi.txt",
+            mimeType: "text/plain",
+            body: Buffer.from(`GOODBYE ${"x".repeat(3000)}`),
+          }),
+          "text",
+          spec,
+        ),
+      ).rejects.toThrow(InvalidUploadError);
+    });
+
+    test("Should refuse files over the size limit", async () => {
+      await expect(
+        receiveUpload(
+          multipartRequest({
+            filename: "hi.txt",
+            mimeType: "text/plain",
+            body: Buffer.from(`HELLO ${"x".repeat(10000)}`),
+          }),
+          "text",
+          spec,
+        ),
+      ).rejects.toThrow(UploadTooLargeError);
+    });
+
+    test("Should delete the file when it fails the checks after upload", async () => {
+      const strict = {
+        ...spec,
+        describe: () => {
+          throw new InvalidUploadError("Too long");
+        },
+      };
+
+      await expect(
+        receiveUpload(
+          multipartRequest({
+            filename: "hi.txt",
+            mimeType: "text/plain",
+            body: Buffer.from("HELLO"),
+          }),
+          "text",
+          strict,
+        ),
+      ).rejects.toThrow("Too long");
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("a", {
+        resource_type: "image",
+      });
+    });
+
+    test("Should refuse requests without a file", async () => {
+      const req = Readable.from([Buffer.from(`--${BOUNDARY}--\r\n`)]);
+      req.headers = {
+        "content-type": `multipart/form-data; boundary=${BOUNDARY}`,
+      };
+
+      await expect(receiveUpload(req, "text", spec)).rejects.toThrow(
+        "No file was sent",
+      );
+    });
+
+    test("Should fail cleanly when the body breaks off", async () => {
+      await expect(
+        receiveUpload(
+          multipartRequest({
+            filename: "hi.txt",
+            mimeType: "text/plain",
+            body: Buffer.from(`HELLO ${"x".repeat(3000)}`),
+            truncated: true,
+          }),
+          "text",
+          spec,
+        ),
+      ).rejects.toThrow("Malformed multipart upload");
+      expect(upload.destroyed).toBe(true);
+    });
+
+    test("Should fail cleanly when a refused file breaks off", async () => {
+      await expect(
+        receiveUpload(
+          multipartRequest({
+            filename: "hi.txt",
+            mimeType: "text/plain",
+            body: Buffer.from(`GOODBYE ${"x".repeat(3000)}`),
+            truncated: true,
+          }),
+          "text",
+          spec,
+        ),
+      ).rejects.toThrow(InvalidUploadError);
+    });
+
+    test("Should stop the upload when the client goes away", async () => {
+      const req = new Readable({ read() {} });
+      req.headers = {
+        "content-type": `multipart/form-data; boundary=${BOUNDARY}`,
+      };
+      req.push(
+        `--${BOUNDARY}\r\n` +
+          'Content-Disposition: form-data; name="file"; filename="hi.txt"\r\n' +
+          "Content-Type: text/plain\r\n\r\n" +
+          `HELLO ${"x".repeat(100)}`,
+      );
+
+      const received = receiveUpload(req, "text", spec);
+      await new Promise((resolve) => setImmediate(resolve));
+      req.emit("aborted");
+
+      await expect(received).rejects.toThrow("interrupted");
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(upload.destroyed).toBe(true);
+    });
+
+    test("Should refuse requests that aren't multipart", async () => {
+      const req = Readable.from([Buffer.from("{}")]);
+      req.headers = { "content-type": "application/json" };
+
+      await expect(receiveUpload(req, "text", spec)).rejects.toThrow(
+        "Expected a multipart upload",
+      );
+    });
+  });
+
+  describe("findAssets", () => {
+    const id = (n) => `64b7f0c2a1b2c3d4e5f6a7b${n}`;
+
+    test("Should return the caller's uploads in the order asked for", async () => {
+      Asset.find.mockResolvedValue([
+        { _id: id(2), url: "two" },
+        { _id: id(1), url: "one" },
+      ]);
+
+      const assets = await findAssets([id(1), id(2)], "user1", "image");
+
+      expect(Asset.find).toHaveBeenCalledWith({
+        _id: { $in: [id(1), id(2)] },
+        owner: "user1",
+        kind: "image",
+      });
+      expect(assets.map((asset) => asset.url)).toEqual(["one", "two"]);
+    });
+
+    test("Should refuse ids that aren't the caller's uploads", async () => {
+      Asset.find.mockResolvedValue([{ _id: id(1) }]);
+
+      await expect(
+        findAssets([id(1), id(2)], "user1", "image"),
+      ).rejects.toThrow("Unknown image upload");
+      await expect(findAssets(["nope"], "user1", "video")).rejects.toThrow(
+        InvalidUploadError,
+      );
+    });
+  });
+
+  describe("claimAssets", () => {
+    test("Should remove the uploads now that something uses them", async () => {
+      Asset.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      await claimAssets([{ _id: "a1" }, { _id: "a2" }]);
+
+      expect(Asset.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ["a1", "a2"] }, claim: null },
+        { $set: { claim: expect.anything() } },
+      );
+      const { claim } = Asset.updateMany.mock.calls[0][1].$set;
+      expect(Asset.deleteMany).toHaveBeenCalledWith({ claim });
+    });
+
+    test("Should refuse uploads another request already used", async () => {
+      Asset.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(claimAssets([{ _id: "a1" }, { _id: "a2" }])).rejects.toThrow(
+        "already been used",
+      );
+
+      // the one it did get is handed back untouched
+      const { claim } = Asset.updateMany.mock.calls[0][1].$set;
+      expect(Asset.updateMany).toHaveBeenCalledWith(
+        { claim },
+        { $unset: { claim: 1 } },
+      );
+      expect(Asset.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("destroyUpload", () => {
+    test("Should delete an image or PDF by its public id", async () => {
+      await destroyUpload(
+        "https://res.cloudinary.com/demo/image/upload/v1/notes.pdf",
+      );
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("notes", {
+        resource_type: "image",
+      });
+    });
+
+    test("Should delete a video as a video resource", async () => {
+      await destroyUpload(
+        "https://res.cloudinary.com/demo/video/upload/v1/clip.mp4",
+        "video",
+      );
+
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("clip", {
+        resource_type: "video",
+      });
+    });
+  });
+
+  describe("removeUnusedAssets", () => {
+    test("Should delete day-old uploads and their files", async () => {
+      Asset.find.mockResolvedValue([
+        {
+          _id: "a1",
+          kind: "video",
+          url: "https://res.cloudinary.com/demo/video/upload/v1/clip.mp4",
+        },
+      ]);
+
+      await removeUnusedAssets();
+
+      expect(Asset.find).toHaveBeenCalledWith({
+        createdAt: { $lt: expect.any(Date) },
+        claim: null,
+      });
+      expect(cloudinary.uploader.destroy).toHaveBeenCalledWith("clip", {
+        resource_type: "video",
+      });
+      expect(Asset.deleteOne).toHaveBeenCalledWith({ _id: "a1" });
+    });
+
+    test("Should leave the files of claimed uploads alone", async () => {
+      Asset.find.mockResolvedValue([]);
+
+      await removeUnusedAssets();
+
+      expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
+      expect(Asset.deleteMany).toHaveBeenCalledWith({
+        createdAt: { $lt: expect.any(Date) },
+        claim: { $ne: null },
+      });
+    });
+  });
+});
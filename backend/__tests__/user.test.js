@@ -8,11 +8,40 @@ import { jest } from "@jest/globals";
 await jest.unstable_mockModule("../lib/cloudinary.js", () => ({
   default: {
     uploader: {
-      upload: jest.fn(),
+      destroy: jest.fn(),
     },
   },
 }));
 
+// Mock Asset Model (uploads waiting to be used, see uploads.test.js)
+await jest.unstable_mockModule("../models/asset.model.js", () => ({
+  default: {
+    find: jest.fn(),
+    updateMany: jest.fn(async (filter) => ({
+      modifiedCount: filter._id?.$in.length,
+    })),
+    deleteMany: jest.fn(),
+  },
+}));
+
+// Mock Bcrypt
+await jest.unstable_mockModule("bcryptjs", () => ({
+  default: {
+    compare: jest.fn(),
+  },
+}));
+
+// Mock Session helpers
+await jest.unstable_mockModule("../lib/session.js", () => ({
+  revokeAllSessions: jest.fn(),
+  clearSessionCookies: jest.fn(),
+}));
+
+// Mock Account Deletion (keeps the purge job's models out of these tests)
+await jest.unstable_mockModule("../lib/accountDeletion.js", () => ({
+  ACCOUNT_DELETION_GRACE_PERIOD: 14 * 24 * 60 * 60 * 1000,
+}));
+
 // Mock User Model (Handling Chaining .select().limit())
 const mockQuery = {
   select: jest.fn().mockReturnThis(), // Returns self to allow chaining
@@ -26,17 +55,29 @@ await jest.unstable_mockModule("../models/user.model.js", () => ({
     find: jest.fn(() => mockQuery),
     findOne: jest.fn(() => mockQuery),
     findByIdAndUpdate: jest.fn(() => mockQuery),
+    updateOne: jest.fn(),
   },
 }));
 
 // ==========================================
 // 2. DYNAMIC IMPORTS
 // ==========================================
-const { getSuggestedConnections, getPublicProfile, updateProfile } =
-  await import("../controllers/user.controller.js");
+const {
+  getSuggestedConnections,
+  getPublicProfile,
+  searchUsers,
+  updateProfile,
+  deleteAccount,
+  followTag,
+  unfollowTag,
+} = await import("../controllers/user.controller.js");
 
 const User = (await import("../models/user.model.js")).default;
-const cloudinary = (await import("../lib/cloudinary.js")).default;
+const Asset = (await import("../models/asset.model.js")).default;
+const bcrypt = (await import("bcryptjs")).default;
+const { revokeAllSessions, clearSessionCookies } = await import(
+  "../lib/session.js"
+);
 
 // ==========================================
 // 3. THE TESTS
@@ -116,7 +157,10 @@ describe("User Controller Tests", () => {
 
       await getPublicProfile(req, res);
 
-      expect(User.findOne).toHaveBeenCalledWith({ username: "testuser" });
+      expect(User.findOne).toHaveBeenCalledWith({
+        username: "testuser",
+        deletionScheduledFor: null,
+      });
       expect(res.json).toHaveBeenCalledWith({ name: "Test User" });
     });
 
@@ -134,6 +178,92 @@ describe("User Controller Tests", () => {
       expect(res.status).toHaveBeenCalledWith(404);
       expect(res.json).toHaveBeenCalledWith({ message: "User not found" });
     });
+
+    test("Path 3: Account pending deletion (404)", async () => {
+      const req = mockRequest({}, { username: "leaving" });
+      const res = mockResponse();
+
+      // the query leaves out accounts scheduled for deletion
+      User.findOne.mockImplementation((filter) => ({
+        select: jest
+          .fn()
+          .mockResolvedValue(
+            filter.deletionScheduledFor === null ? null : { name: "Leaving" },
+          ),
+      }));
+
+      await getPublicProfile(req, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("Path 4: Only returns the public fields", async () => {
+      const req = mockRequest({ role: "student" }, { username: "testuser" });
+      const res = mockResponse();
+      const select = jest.fn().mockResolvedValue({ name: "Test User" });
+
+      User.findOne.mockImplementation(() => ({ select }));
+
+      await getPublicProfile(req, res);
+
+      const fields = select.mock.calls[0][0].split(" ");
+      expect(fields).toEqual(
+        expect.arrayContaining(["name", "username", "headline", "role"]),
+      );
+      for (const field of [
+        "password",
+        "email",
+        "twoFactorEnabled",
+        "accountStatus",
+        "deletionScheduledFor",
+        "followedTags",
+      ]) {
+        expect(fields).not.toContain(field);
+      }
+    });
+
+    test("Path 5: Moderators also see the account status", async () => {
+      const req = mockRequest({ role: "moderator" }, { username: "testuser" });
+      const res = mockResponse();
+      const select = jest.fn().mockResolvedValue({ name: "Test User" });
+
+      User.findOne.mockImplementation(() => ({ select }));
+
+      await getPublicProfile(req, res);
+
+      expect(select.mock.calls[0][0].split(" ")).toContain("accountStatus");
+    });
+  });
+
+  // --- SEARCH USERS ---
+  describe("searchUsers", () => {
+    test("Should match usernames by escaped prefix, ignoring case", async () => {
+      const req = { user: { _id: "me" }, query: { q: "@j.doe" } };
+      const res = mockResponse();
+
+      User.find.mockImplementationOnce(() => ({
+        select: () => ({
+          limit: jest.fn().mockResolvedValue([{ username: "J.Doe" }]),
+        }),
+      }));
+
+      await searchUsers(req, res);
+
+      expect(User.find).toHaveBeenCalledWith({
+        username: { $regex: "^j\\.doe", $options: "i" },
+        deletionScheduledFor: null,
+      });
+      expect(res.json).toHaveBeenCalledWith([{ username: "J.Doe" }]);
+    });
+
+    test("Should return nothing for an empty query", async () => {
+      const req = { user: { _id: "me" }, query: { q: " @ " } };
+      const res = mockResponse();
+
+      await searchUsers(req, res);
+
+      expect(User.find).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith([]);
+    });
   });
 
   // --- UPDATE PROFILE ---
@@ -153,8 +283,8 @@ describe("User Controller Tests", () => {
 
       await updateProfile(req, res);
 
-      // Cloudinary should NOT be called
-      expect(cloudinary.uploader.upload).not.toHaveBeenCalled();
+      // No uploads to look up
+      expect(Asset.updateMany).not.toHaveBeenCalled();
       // DB should be called with updated fields
       expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
         "user1",
@@ -168,14 +298,14 @@ describe("User Controller Tests", () => {
       const req = mockRequest(
         { _id: "user1" },
         {},
-        { profilePicture: "base64image" },
+        { profilePicture: "64b7f0c2a1b2c3d4e5f6a7b1" },
       );
       const res = mockResponse();
 
-      // Mock Cloudinary Success
-      cloudinary.uploader.upload.mockResolvedValue({
-        secure_url: "http://new-pic.com",
-      });
+      // the picture was uploaded beforehand, see upload.controller.js
+      Asset.find.mockResolvedValue([
+        { _id: "64b7f0c2a1b2c3d4e5f6a7b1", url: "http://new-pic.com" },
+      ]);
 
       User.findByIdAndUpdate.mockImplementation(() => ({
         select: jest
@@ -185,7 +315,12 @@ describe("User Controller Tests", () => {
 
       await updateProfile(req, res);
 
-      expect(cloudinary.uploader.upload).toHaveBeenCalledWith("base64image");
+      expect(Asset.find).toHaveBeenCalledWith({
+        _id: { $in: ["64b7f0c2a1b2c3d4e5f6a7b1"] },
+        owner: "user1",
+        kind: "image",
+      });
+      expect(Asset.updateMany).toHaveBeenCalled();
       expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
         "user1",
         { $set: { profilePicture: "http://new-pic.com" } },
@@ -197,13 +332,13 @@ describe("User Controller Tests", () => {
       const req = mockRequest(
         { _id: "user1" },
         {},
-        { bannerImg: "base64banner" },
+        { bannerImg: "64b7f0c2a1b2c3d4e5f6a7b2" },
       );
       const res = mockResponse();
 
-      cloudinary.uploader.upload.mockResolvedValue({
-        secure_url: "http://new-banner.com",
-      });
+      Asset.find.mockResolvedValue([
+        { _id: "64b7f0c2a1b2c3d4e5f6a7b2", url: "http://new-banner.com" },
+      ]);
 
       // Mock chain
       User.findByIdAndUpdate.mockImplementation(() => ({
@@ -212,12 +347,217 @@ describe("User Controller Tests", () => {
 
       await updateProfile(req, res);
 
-      expect(cloudinary.uploader.upload).toHaveBeenCalledWith("base64banner");
       expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
         expect.any(String),
         { $set: { bannerImg: "http://new-banner.com" } },
         expect.any(Object),
       );
     });
+
+    test("Path 4: An image that isn't one of the user's uploads (400)", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        {},
+        { profilePicture: "data:image/png;base64,AAAA" },
+      );
+      const res = mockResponse();
+
+      await updateProfile(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test("Path 5: A failed update leaves the upload unclaimed", async () => {
+      const req = mockRequest(
+        { _id: "user1" },
+        {},
+        { profilePicture: "64b7f0c2a1b2c3d4e5f6a7b1" },
+      );
+      const res = mockResponse();
+
+      Asset.find.mockResolvedValue([
+        { _id: "64b7f0c2a1b2c3d4e5f6a7b1", url: "http://new-pic.com" },
+      ]);
+      User.findByIdAndUpdate.mockImplementation(() => ({
+        select: jest.fn().mockRejectedValue(new Error("DB down")),
+      }));
+
+      await updateProfile(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      // still there for the unused upload cleanup to remove
+      expect(Asset.updateMany).not.toHaveBeenCalled();
+    });
+
+    test("Path 6: An upload used meanwhile puts the profile back (400)", async () => {
+      const req = mockRequest(
+        {
+          _id: "user1",
+          name: "Old Name",
+          profilePicture: "http://old-pic.com",
+        },
+        {},
+        { name: "New Name", profilePicture: "64b7f0c2a1b2c3d4e5f6a7b1" },
+      );
+      const res = mockResponse();
+
+      Asset.find.mockResolvedValue([
+        { _id: "64b7f0c2a1b2c3d4e5f6a7b1", url: "http://new-pic.com" },
+      ]);
+      Asset.updateMany.mockResolvedValueOnce({ modifiedCount: 0 });
+      User.findByIdAndUpdate.mockImplementation(() => ({
+        select: jest.fn().mockResolvedValue({}),
+      }));
+
+      await updateProfile(req, res);
+
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: "user1" },
+        {
+          $set: { name: "Old Name", profilePicture: "http://old-pic.com" },
+        },
+      );
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test("Path 7: Turns mention emails off", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { mentionEmails: false });
+      const res = mockResponse();
+
+      User.findByIdAndUpdate.mockImplementation(() => ({
+        select: jest.fn().mockResolvedValue({ mentionEmails: false }),
+      }));
+
+      await updateProfile(req, res);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        "user1",
+        { $set: { mentionEmails: false } },
+        { new: true },
+      );
+    });
+  });
+
+  // --- DELETE ACCOUNT ---
+  describe("deleteAccount", () => {
+    const mockResponseWithCookies = () => {
+      const res = mockResponse();
+      res.clearCookie = jest.fn().mockReturnValue(res);
+      return res;
+    };
+
+    test("Path 1: Missing password (400)", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, {});
+      const res = mockResponseWithCookies();
+
+      await deleteAccount(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test("Path 2: Wrong password (400)", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { password: "wrong" });
+      const res = mockResponseWithCookies();
+
+      User.findById.mockResolvedValueOnce({ password: "hash" });
+      bcrypt.compare.mockResolvedValue(false);
+
+      await deleteAccount(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(revokeAllSessions).not.toHaveBeenCalled();
+    });
+
+    test("Path 3: Schedules deletion and signs out everywhere", async () => {
+      const req = mockRequest({ _id: "user1" }, {}, { password: "correct" });
+      const res = mockResponseWithCookies();
+      const user = {
+        _id: "user1",
+        password: "hash",
+        save: jest.fn().mockResolvedValue(true),
+      };
+
+      User.findById.mockResolvedValueOnce(user);
+      bcrypt.compare.mockResolvedValue(true);
+
+      await deleteAccount(req, res);
+
+      const graceEnd = Date.now() + 14 * 24 * 60 * 60 * 1000;
+      expect(user.deletionScheduledFor.getTime()).toBeLessThanOrEqual(graceEnd);
+      expect(user.deletionScheduledFor.getTime()).toBeGreaterThan(
+        graceEnd - 60 * 1000,
+      );
+      expect(user.save).toHaveBeenCalled();
+      expect(revokeAllSessions).toHaveBeenCalledWith("user1");
+      expect(clearSessionCookies).toHaveBeenCalledWith(res);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Account scheduled for deletion" }),
+      );
+    });
+  });
+
+  // --- FOLLOWED HASHTAGS ---
+  describe("followTag", () => {
+    test("Path 1: Follows the normalized tag", async () => {
+      const req = mockRequest(
+        { _id: "user1", followedTags: [] },
+        { tag: "AI" },
+      );
+      const res = mockResponse();
+      User.findByIdAndUpdate.mockReturnValueOnce({
+        select: jest.fn().mockResolvedValue({ followedTags: ["ai"] }),
+      });
+
+      await followTag(req, res);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        "user1",
+        { $addToSet: { followedTags: "ai" } },
+        { new: true },
+      );
+      expect(res.json).toHaveBeenCalledWith({ followedTags: ["ai"] });
+    });
+
+    test("Path 2: Invalid hashtag (400)", async () => {
+      const req = mockRequest({ _id: "user1" }, { tag: "#" });
+      const res = mockResponse();
+
+      await followTag(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test("Path 3: Too many followed tags (400)", async () => {
+      const followedTags = Array.from({ length: 100 }, (_, i) => `tag${i}`);
+      const req = mockRequest({ _id: "user1", followedTags }, { tag: "more" });
+      const res = mockResponse();
+
+      await followTag(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("unfollowTag", () => {
+    test("Should remove the tag", async () => {
+      const req = mockRequest({ _id: "user1" }, { tag: "ai" });
+      const res = mockResponse();
+      User.findByIdAndUpdate.mockReturnValueOnce({
+        select: jest.fn().mockResolvedValue({ followedTags: [] }),
+      });
+
+      await unfollowTag(req, res);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        "user1",
+        { $pull: { followedTags: "ai" } },
+        { new: true },
+      );
+      expect(res.json).toHaveBeenCalledWith({ followedTags: [] });
+    });
   });
 });
@@ -0,0 +1,127 @@
+import User from "../models/user.model.js";
+import { ROLES } from "../lib/permissions.js";
+import { revokeAllSessions } from "../lib/session.js";
+
+const MANAGED_USER_FIELDS =
+  "name username profilePicture headline role accountStatus";
+
+export const getPendingUsers = async (req, res) => {
+  try {
+    const users = await User.find({ accountStatus: "pendingApproval" })
+      .select(MANAGED_USER_FIELDS + " email institution createdAt")
+      .sort({ createdAt: 1 });
+
+    res.json(users);
+  } catch (error) {
+    console.error("Error in getPendingUsers controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const changeUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+
+    const user = await User.findOne({ username: req.params.username });
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // an admin demoting themselves could leave nobody able to undo it
+    if (user._id.toString() === req.user._id.toString()) {
+      return res
+        .status(400)
+        .json({ message: "You cannot change your own role" });
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.json({ message: "Role updated successfully", role: user.role });
+  } catch (error) {
+    console.error("Error in changeUserRole controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const approveUser = async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username });
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.accountStatus !== "pendingApproval") {
+      return res.status(400).json({ message: "User is not awaiting approval" });
+    }
+
+    user.accountStatus = "active";
+    await user.save();
+
+    res.json({ message: "User approved successfully" });
+  } catch (error) {
+    console.error("Error in approveUser controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const suspendUser = async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username });
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: "You cannot suspend yourself" });
+    }
+
+    // moderators look after members, only admins can act on staff accounts
+    if (
+      ["moderator", "admin"].includes(user.role) &&
+      req.user.role !== "admin"
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Only admins can suspend moderators and admins" });
+    }
+
+    user.accountStatus = "suspended";
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    res.json({ message: "User suspended successfully" });
+  } catch (error) {
+    console.error("Error in suspendUser controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const unsuspendUser = async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username });
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.accountStatus !== "suspended") {
+      return res.status(400).json({ message: "User is not suspended" });
+    }
+
+    user.accountStatus = "active";
+    await user.save();
+
+    res.json({ message: "User reinstated successfully" });
+  } catch (error) {
+    console.error("Error in unsuspendUser controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
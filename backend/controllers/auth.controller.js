@@ -1,62 +1,199 @@
 import User from "../models/user.model.js";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
-import { sendWelcomeEmail } from "../emails/emailHandlers.js";
+import crypto from "crypto";
+import Session from "../models/session.model.js";
+import { codeStep } from "../lib/totp.js";
+import {
+  REFRESH_COOKIE,
+  clearSessionCookies,
+  hashToken,
+  parseRefreshToken,
+  revokeAllSessions,
+  startSession,
+} from "../lib/session.js";
+import {
+  findCampusForEmail,
+  getNonCampusSignupPolicy,
+  isCampusRestricted,
+} from "../lib/campusDomains.js";
+import {
+  THROTTLE_LIMITS,
+  accountKey,
+  checkThrottle,
+  formatRetryAfter,
+  ipKey,
+  recordFailure,
+  resendAccountKey,
+  resendIpKey,
+  resetFailures,
+  signupKey,
+} from "../lib/loginThrottle.js";
+import {
+  sendAccountLockedEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendWelcomeEmail,
+} from "../emails/emailHandlers.js";
+import { getPermissionsForRole } from "../lib/permissions.js";
+
+const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+
+const checkThrottles = async (checks) => {
+  const results = await Promise.all(
+    checks.map(([key, limits]) => checkThrottle(key, limits)),
+  );
+  return results.reduce((strictest, result) =>
+    result.wait > strictest.wait ? result : strictest,
+  );
+};
+
+const sendThrottled = (res, { wait, locked }) => {
+  res.set("Retry-After", String(Math.ceil(wait / 1000)));
+  return res.status(429).json({
+    message: locked
+      ? `Too many failed attempts. This account is locked for ${formatRetryAfter(wait)}, or you can reset your password.`
+      : `Too many attempts. Please try again in ${formatRetryAfter(wait)}.`,
+    locked,
+    retryAfter: Math.ceil(wait / 1000),
+  });
+};
+
+const loginThrottleChecks = (req, username) => [
+  [ipKey(req.ip), THROTTLE_LIMITS.ip],
+  [accountKey(username), THROTTLE_LIMITS.account],
+];
+
+// counts against both the IP and the account; unknown usernames are tracked
+// too so a lockout doesn't reveal which accounts exist
+const recordLoginFailure = async (req, username, user) => {
+  await recordFailure(ipKey(req.ip), THROTTLE_LIMITS.ip);
+  const { lockedNow, lockedUntil } = await recordFailure(
+    accountKey(username),
+    THROTTLE_LIMITS.account,
+  );
+
+  if (lockedNow && user) {
+    try {
+      await sendAccountLockedEmail(
+        user.email,
+        user.name,
+        new Date(lockedUntil),
+        process.env.CLIENT_URL + "/forgot-password",
+      );
+    } catch (emailError) {
+      console.error("Error sending account locked Email", emailError);
+    }
+  }
+
+  return { lockedNow, lockedUntil };
+};
+
+// signing back in during the deletion grace period keeps the account
+const cancelPendingDeletion = async (user) => {
+  if (!user.deletionScheduledFor) return false;
+
+  user.deletionScheduledFor = null;
+  await user.save();
+  return true;
+};
+
+// only turned-away signups count, e.g. probing which emails are taken; a
+// campus signing its students up from one address stays unthrottled
+const rejectSignup = async (req, res, status, message) => {
+  await recordFailure(signupKey(req.ip), THROTTLE_LIMITS.signup);
+  return res.status(status).json({ message });
+};
+
+const sendVerificationLink = async (user, tokenId) => {
+  const token = jwt.sign(
+    { userId: user._id, purpose: "verify-email" },
+    process.env.JWT_SECRET,
+    { expiresIn: "24h", jwtid: tokenId },
+  );
+  const verificationUrl = process.env.CLIENT_URL + "/verify/" + token;
+
+  await sendVerificationEmail(user.email, user.name, verificationUrl);
+};
 
 export const signup = async (req, res) => {
   try {
     const { name, username, email, password } = req.body;
 
+    const throttle = await checkThrottle(
+      signupKey(req.ip),
+      THROTTLE_LIMITS.signup,
+    );
+    if (throttle.wait > 0) {
+      return sendThrottled(res, throttle);
+    }
+
     if (!name || !username || !email || !password) {
-      return res.status(400).json({ message: "All fields are required" });
+      return rejectSignup(req, res, 400, "All fields are required");
     }
     const existingEmail = await User.findOne({ email });
     if (existingEmail) {
-      return res.status(400).json({ message: "Email already exists" });
+      return rejectSignup(req, res, 400, "Email already exists");
     }
 
     const existingUsername = await User.findOne({ username });
     if (existingUsername) {
-      return res.status(400).json({ message: "Username already exists" });
+      return rejectSignup(req, res, 400, "Username already exists");
     }
 
     if (password.length < 6) {
-      return res
-        .status(400)
-        .json({ message: "Password must be at least 6 characters" });
+      return rejectSignup(
+        req,
+        res,
+        400,
+        "Password must be at least 6 characters",
+      );
+    }
+
+    const campus = findCampusForEmail(email);
+    let accountStatus = "active";
+
+    if (isCampusRestricted() && !campus) {
+      if (getNonCampusSignupPolicy() === "reject") {
+        return rejectSignup(
+          req,
+          res,
+          403,
+          "Signups are limited to campus email addresses",
+        );
+      }
+      // alumni and guests get in, but only after someone approves them
+      accountStatus = "pendingApproval";
     }
 
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
 
+    // only the latest token id is stored, which makes each link single-use
+    const verificationTokenId = crypto.randomUUID();
+
     const user = new User({
       name,
       email,
       password: hashedPassword,
       username,
+      verificationTokenId,
+      institution: campus?.institution,
+      accountStatus,
     });
 
     await user.save();
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "3d",
-    });
-
-    res.cookie("jwt-connect-campus", token, {
-      httpOnly: true, // prevent XSS attack
-      maxAge: 3 * 24 * 60 * 60 * 1000,
-      sameSite: "strict", // prevent CSRF attacks,
-      secure: process.env.NODE_ENV === "production", // prevents man-in-the-middle attacks
-    });
+    await startSession(req, res, user._id);
 
-    res.status(201).json({ message: "User registered successfully" });
-
-    const profileUrl = process.env.CLIENT_URL + "/profile/" + user.username;
+    res
+      .status(201)
+      .json({ message: "User registered successfully", accountStatus });
 
     try {
-      await sendWelcomeEmail(user.email, user.name, profileUrl);
+      await sendVerificationLink(user, verificationTokenId);
     } catch (emailError) {
-      console.error("Error sending welcome Email", emailError);
+      console.error("Error sending verification Email", emailError);
     }
   } catch (error) {
     console.log("Error in signup: ", error.message);
@@ -68,44 +205,368 @@ export const login = async (req, res) => {
   try {
     const { username, password } = req.body;
 
+    const throttle = await checkThrottles(loginThrottleChecks(req, username));
+    if (throttle.wait > 0) {
+      return sendThrottled(res, throttle);
+    }
+
     // Check if user exists
     const user = await User.findOne({ username });
-    if (!user) {
-      return res.status(400).json({ message: "Invalid credentials" });
-    }
 
     // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
+    const isMatch = user && (await bcrypt.compare(password, user.password));
     if (!isMatch) {
+      const { lockedNow, lockedUntil } = await recordLoginFailure(
+        req,
+        username,
+        user,
+      );
+      if (lockedNow) {
+        return sendThrottled(res, {
+          wait: lockedUntil - Date.now(),
+          locked: true,
+        });
+      }
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
-    // Create and send token
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "3d",
+    await resetFailures(accountKey(username));
+
+    if (user.accountStatus === "suspended") {
+      return res
+        .status(403)
+        .json({ message: "Your account has been suspended" });
+    }
+
+    // the password alone isn't enough, hand out a short-lived challenge
+    // that /auth/login/2fa exchanges for a session once the code checks out
+    if (user.twoFactorEnabled) {
+      const challengeId = crypto.randomUUID();
+      await User.findByIdAndUpdate(user._id, {
+        twoFactorChallengeId: challengeId,
+      });
+
+      const challengeToken = jwt.sign(
+        { userId: user._id, purpose: "login-2fa" },
+        process.env.JWT_SECRET,
+        { expiresIn: "5m", jwtid: challengeId },
+      );
+
+      return res.json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken,
+      });
+    }
+
+    const accountRestored = await cancelPendingDeletion(user);
+
+    // Create the session and send its token
+    await startSession(req, res, user._id);
+
+    res.json({
+      message: "Logged in successfully",
+      ...(accountRestored && { accountRestored }),
     });
-    await res.cookie("jwt-connect-campus", token, {
-      httpOnly: true,
-      maxAge: 3 * 24 * 60 * 60 * 1000,
-      sameSite: "strict",
-      secure: process.env.NODE_ENV === "production",
+  } catch (error) {
+    console.error("Error in login controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const usingRecoveryCode = recoveryCode !== undefined;
+    if (typeof (usingRecoveryCode ? recoveryCode : code) !== "string") {
+      return res
+        .status(400)
+        .json({ message: "A verification or recovery code is required" });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return res
+        .status(401)
+        .json({ message: "Login expired, please sign in again" });
+    }
+
+    if (decoded.purpose !== "login-2fa") {
+      return res
+        .status(401)
+        .json({ message: "Login expired, please sign in again" });
+    }
+
+    const user = await User.findById(decoded.userId).select(
+      "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep +twoFactorChallengeId",
+    );
+    // a challenge superseded by a later login, or one already used
+    if (
+      !user ||
+      !user.twoFactorEnabled ||
+      user.twoFactorChallengeId !== decoded.jti
+    ) {
+      return res
+        .status(401)
+        .json({ message: "Login expired, please sign in again" });
+    }
+
+    // codes are only 6 digits, so guesses share the password's budget
+    const throttle = await checkThrottles(
+      loginThrottleChecks(req, user.username),
+    );
+    if (throttle.wait > 0) {
+      return sendThrottled(res, throttle);
+    }
+
+    // the challenge is single-use, and so is what answered it
+    const update = { $unset: { twoFactorChallengeId: 1 } };
+    if (usingRecoveryCode) {
+      const hashed = hashToken(recoveryCode.trim().toLowerCase());
+      if (!user.twoFactorRecoveryCodes.includes(hashed)) {
+        await recordLoginFailure(req, user.username, user);
+        return res.status(400).json({ message: "Invalid recovery code" });
+      }
+      update.$pull = { twoFactorRecoveryCodes: hashed };
+    } else {
+      // a code seen by someone looking over the user's shoulder is still
+      // valid for a while, so each one only logs in once
+      const step = codeStep(code, user.twoFactorSecret);
+      if (step === null || step <= (user.twoFactorLastStep ?? -1)) {
+        await recordLoginFailure(req, user.username, user);
+        return res.status(400).json({ message: "Invalid verification code" });
+      }
+      update.$set = { twoFactorLastStep: step };
+    }
+
+    // of two requests answering the same challenge only one gets through
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, twoFactorChallengeId: decoded.jti },
+      update,
+    );
+    if (modifiedCount === 0) {
+      return res
+        .status(401)
+        .json({ message: "Login expired, please sign in again" });
+    }
+
+    await resetFailures(accountKey(user.username));
+    const accountRestored = await cancelPendingDeletion(user);
+    await startSession(req, res, user._id);
+
+    res.json({
+      message: "Logged in successfully",
+      ...(accountRestored && { accountRestored }),
     });
+  } catch (error) {
+    console.error("Error in verifyLoginTwoFactor controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.params;
 
-    res.json({ message: "Logged in successfully" });
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification link" });
+    }
+
+    if (decoded.purpose !== "verify-email") {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification link" });
+    }
+
+    const user = await User.findById(decoded.userId).select(
+      "+verificationTokenId",
+    );
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification link" });
+    }
+
+    if (user.verified) {
+      return res.json({ message: "Email already verified" });
+    }
+
+    // an older link that was superseded by a resend, or one already used
+    if (user.verificationTokenId !== decoded.jti) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification link" });
+    }
+
+    user.verified = true;
+    user.verificationTokenId = undefined;
+    await user.save();
+
+    res.json({ message: "Email verified successfully" });
+
+    const profileUrl = process.env.CLIENT_URL + "/profile/" + user.username;
+
+    try {
+      await sendWelcomeEmail(user.email, user.name, profileUrl);
+    } catch (emailError) {
+      console.error("Error sending welcome Email", emailError);
+    }
   } catch (error) {
-    console.error("Error in login controller:", error);
+    console.error("Error in verifyEmail controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    if (req.user.verified) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    // each resend mails someone, so they're spaced out per account and per
+    // address like failed logins are
+    const checks = [
+      [resendAccountKey(req.user._id), THROTTLE_LIMITS.resend],
+      [resendIpKey(req.ip), THROTTLE_LIMITS.ip],
+    ];
+    const { wait } = await checkThrottles(checks);
+    if (wait > 0) {
+      return sendThrottled(res, { wait, locked: false });
+    }
+    for (const [key, limits] of checks) {
+      await recordFailure(key, limits);
+    }
+
+    const verificationTokenId = crypto.randomUUID();
+    await User.findByIdAndUpdate(req.user._id, { verificationTokenId });
+
+    await sendVerificationLink(req.user, verificationTokenId);
+
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Error in resendVerificationEmail controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const user = await User.findOne({ email });
+
+    // same response whether or not the account exists, so emails can't be probed
+    res.json({
+      message:
+        "If an account exists for that email, a password reset link has been sent",
+    });
+
+    if (!user) return;
+
+    const resetToken = crypto.randomBytes(32).toString("hex");
+    user.resetPasswordToken = hashToken(resetToken);
+    user.resetPasswordExpiresAt = new Date(Date.now() + RESET_TOKEN_TTL);
+    await user.save();
+
+    const resetUrl = process.env.CLIENT_URL + "/reset-password/" + resetToken;
+
+    try {
+      await sendPasswordResetEmail(user.email, user.name, resetUrl);
+    } catch (emailError) {
+      console.error("Error sending password reset Email", emailError);
+    }
+  } catch (error) {
+    console.error("Error in forgotPassword controller:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+};
+
+export const resetPassword = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res
+        .status(400)
+        .json({ message: "Password must be at least 6 characters" });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: hashToken(token),
+      resetPasswordExpiresAt: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired password reset link" });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpiresAt = undefined;
+    // the reset link was delivered to this inbox, which proves ownership
+    user.verified = true;
+    await user.save();
+
+    // whoever knew the old password may still hold a session
+    await revokeAllSessions(user._id);
+    // the lockout message and email promise a reset unlocks the account
+    await resetFailures(accountKey(user.username));
+
+    clearSessionCookies(res);
+    res.json({ message: "Password reset successfully" });
+  } catch (error) {
+    console.error("Error in resetPassword controller:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
-export const logout = (req, res) => {
-  res.clearCookie("jwt-connect-campus");
+export const logout = async (req, res) => {
+  const { sessionId, secret } = parseRefreshToken(
+    req.cookies?.[REFRESH_COOKIE],
+  );
+
+  if (sessionId && secret) {
+    try {
+      // only the current holder of the refresh token can end the session
+      await Session.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: hashToken(secret) },
+        { revokedAt: new Date() },
+      );
+    } catch (error) {
+      console.error("Error revoking session on logout:", error);
+    }
+  }
+
+  clearSessionCookies(res);
   res.json({ message: "Logged out successfully" });
 };
 
 export const getCurrentUser = async (req, res) => {
   try {
-    res.json(req.user);
+    // the frontend decides which controls to show from these, so it needn't
+    // keep its own copy of the role map
+    res.json({
+      ...req.user.toObject(),
+      permissions: getPermissionsForRole(req.user.role),
+    });
   } catch (error) {
     console.error("Error in getCurrentUser controller:", error);
     res.status(500).json({ message: "Server error" });
@@ -0,0 +1,460 @@
+import mongoose from "mongoose";
+import Comment from "../models/comment.model.js";
+import Post from "../models/post.model.js";
+import Notification from "../models/notification.model.js";
+import { MAX_REPLY_DEPTH, removeComments } from "../lib/comments.js";
+import { hasPermission } from "../lib/permissions.js";
+import {
+  InvalidCursorError,
+  cursorFilter,
+  decodeOffsetCursor,
+  encodeOffsetCursor,
+  paginate,
+  parseLimit,
+} from "../lib/pagination.js";
+import {
+  REACTION_TYPES,
+  countReactions,
+  removeReaction,
+  setReaction,
+} from "../lib/reactions.js";
+import { notifyMentions, resolveMentions } from "../lib/mentions.js";
+import { sendCommentNotificationEmail } from "../emails/emailHandlers.js";
+
+const COMMENT_USER_FIELDS = "name username profilePicture headline role";
+const COMMENT_POPULATE = [
+  { path: "user", select: COMMENT_USER_FIELDS },
+  { path: "mentions", select: "username" },
+];
+
+// the comment has to belong to the post in the url
+const findPostComment = (postId, commentId) =>
+  mongoose.isValidObjectId(commentId)
+    ? Comment.findOne({ _id: commentId, post: postId })
+    : null;
+
+const COMMENT_SORTS = ["newest", "relevant"];
+
+const getNewestComments = async (postId, limit, cursor) => {
+  const comments = await Comment.find({
+    post: postId,
+    parent: null,
+    ...cursorFilter(cursor),
+  })
+    .populate(COMMENT_POPULATE)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1);
+
+  return paginate(comments, limit);
+};
+
+// the most reacted-to and discussed comments first; counts can move between
+// pages, so like the top feed this pages by offset from a fixed point in time
+const getRelevantComments = async (postId, limit, cursor) => {
+  const { offset, asOf } = cursor
+    ? decodeOffsetCursor(cursor)
+    : { offset: 0, asOf: new Date() };
+
+  const comments = await Comment.find({
+    post: postId,
+    parent: null,
+    createdAt: { $lte: asOf },
+  })
+    .populate(COMMENT_POPULATE)
+    .sort({ reactionCount: -1, replyCount: -1, createdAt: -1, _id: -1 })
+    .skip(offset)
+    .limit(limit + 1);
+
+  const hasMore = comments.length > limit;
+  return {
+    items: hasMore ? comments.slice(0, limit) : comments,
+    nextCursor: hasMore
+      ? encodeOffsetCursor({ offset: offset + limit, asOf })
+      : null,
+  };
+};
+
+export const getPostComments = async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const sort = req.query.sort || "newest";
+
+    if (!COMMENT_SORTS.includes(sort)) {
+      return res.status(400).json({
+        message: `Invalid sort, use one of: ${COMMENT_SORTS.join(", ")}`,
+      });
+    }
+
+    // top-level comments only, replies are fetched per comment
+    const getPage =
+      sort === "relevant" ? getRelevantComments : getNewestComments;
+    const { items, nextCursor } = await getPage(
+      req.params.id,
+      limit,
+      req.query.cursor,
+    );
+
+    res.status(200).json({ comments: items, nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error in getPostComments controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const getCommentReplies = async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+
+    // replies read top to bottom like a conversation
+    const replies = await Comment.find({
+      parent: req.params.commentId,
+      ...cursorFilter(req.query.cursor, "asc"),
+    })
+      .populate(COMMENT_POPULATE)
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1);
+
+    const { items, nextCursor } = paginate(replies, limit);
+
+    res.status(200).json({ comments: items, nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error in getCommentReplies controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const createComment = async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const { content, parentId } = req.body;
+
+    if (!content?.trim()) {
+      return res.status(400).json({ message: "Comment cannot be empty" });
+    }
+
+    const post = await Post.findById(postId).populate(
+      "author",
+      "name email username headline profilePicture",
+    );
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    if (post.commentsDisabled) {
+      return res
+        .status(403)
+        .json({ message: "Comments are turned off for this post" });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await findPostComment(postId, parentId);
+      if (!parent) {
+        return res.status(404).json({ message: "Comment not found" });
+      }
+    }
+
+    // replying at the deepest level continues that thread instead of nesting
+    const repliedTo = parent;
+    if (parent && parent.depth >= MAX_REPLY_DEPTH) {
+      parent = await Comment.findById(parent.parent);
+    }
+
+    const comment = new Comment({
+      post: postId,
+      user: req.user._id,
+      content,
+      mentions: await resolveMentions(content),
+      parent: parent?._id ?? null,
+      depth: parent ? parent.depth + 1 : 0,
+    });
+    await comment.save();
+
+    await Post.updateOne({ _id: postId }, { $inc: { commentCount: 1 } });
+    if (parent) {
+      await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+    }
+
+    if (repliedTo) {
+      // let the person being replied to know, unless it's themselves
+      if (repliedTo.user.toString() !== req.user._id.toString()) {
+        const newNotification = new Notification({
+          recipient: repliedTo.user,
+          type: "reply",
+          relatedUser: req.user._id,
+          relatedPost: postId,
+          relatedComment: comment._id,
+        });
+
+        await newNotification.save();
+      }
+    } else if (post.author._id.toString() !== req.user._id.toString()) {
+      // create a notification if the comment owner is not the post owner
+      const newNotification = new Notification({
+        recipient: post.author,
+        type: "comment",
+        relatedUser: req.user._id,
+        relatedPost: postId,
+        relatedComment: comment._id,
+      });
+
+      await newNotification.save();
+
+      try {
+        const postUrl = process.env.CLIENT_URL + "/post/" + postId;
+        await sendCommentNotificationEmail(
+          post.author.email,
+          post.author.name,
+          req.user.name,
+          postUrl,
+          content,
+        );
+      } catch (error) {
+        console.log("Error in sending comment notification email:", error);
+      }
+    }
+
+    // whoever was just told about the reply or comment doesn't need a
+    // second notification for being mentioned in it
+    await notifyMentions({
+      mentions: comment.mentions,
+      skip: [repliedTo ? repliedTo.user : post.author._id],
+      author: req.user,
+      postId,
+      commentId: comment._id,
+      content,
+    });
+
+    await comment.populate(COMMENT_POPULATE);
+
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error("Error in createComment controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const updateComment = async (req, res) => {
+  try {
+    const { id: postId, commentId } = req.params;
+    const { content } = req.body;
+
+    if (!content?.trim()) {
+      return res.status(400).json({ message: "Comment cannot be empty" });
+    }
+
+    const comment = await findPostComment(postId, commentId);
+
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    // only the commenter can put words in their own mouth
+    if (comment.user.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ message: "You are not authorized to edit this comment" });
+    }
+
+    if (content !== comment.content) {
+      const previousMentions = [...(comment.mentions || [])];
+      comment.content = content;
+      comment.mentions = await resolveMentions(content);
+      comment.editedAt = new Date();
+      await comment.save();
+
+      await notifyMentions({
+        mentions: comment.mentions,
+        previous: previousMentions,
+        author: req.user,
+        postId,
+        commentId: comment._id,
+        content,
+      });
+    }
+
+    await comment.populate(COMMENT_POPULATE);
+
+    res.status(200).json(comment);
+  } catch (error) {
+    console.error("Error in updateComment controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const deleteComment = async (req, res) => {
+  try {
+    const { id: postId, commentId } = req.params;
+    const userId = req.user._id.toString();
+
+    const post = await Post.findById(postId);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    const comment = await findPostComment(postId, commentId);
+
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    // commenters can delete their own comments, post authors can moderate
+    // their post and moderators can delete anyone's
+    if (
+      comment.user.toString() !== userId &&
+      post.author.toString() !== userId &&
+      !hasPermission(req.user, "comment:delete:any")
+    ) {
+      return res
+        .status(403)
+        .json({ message: "You are not authorized to delete this comment" });
+    }
+
+    // replies go with it, they'd make no sense on their own
+    await removeComments({ _id: comment._id });
+
+    res.status(200).json({ message: "Comment deleted successfully" });
+  } catch (error) {
+    console.error("Error in deleteComment controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const setCommentsDisabled = async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const { commentsDisabled } = req.body;
+
+    if (typeof commentsDisabled !== "boolean") {
+      return res
+        .status(400)
+        .json({ message: "commentsDisabled must be true or false" });
+    }
+
+    const post = await Post.findById(postId);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    if (post.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        message: "You are not authorized to change comments on this post",
+      });
+    }
+
+    post.commentsDisabled = commentsDisabled;
+    await post.save();
+
+    res.status(200).json({ commentsDisabled: post.commentsDisabled });
+  } catch (error) {
+    console.error("Error in setCommentsDisabled controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const reactToComment = async (req, res) => {
+  try {
+    const { id: postId, commentId } = req.params;
+    const { type } = req.body;
+    const userId = req.user._id;
+
+    if (!REACTION_TYPES.includes(type)) {
+      return res.status(400).json({ message: "Invalid reaction type" });
+    }
+
+    const comment = await findPostComment(postId, commentId);
+
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    const previous = setReaction(comment.reactions, userId, type);
+    comment.reactionCount = comment.reactions.length;
+
+    // only a new reaction notifies the commenter, switching type doesn't
+    if (!previous && comment.user.toString() !== userId.toString()) {
+      const newNotification = new Notification({
+        recipient: comment.user,
+        type: "commentLike",
+        reactionType: type,
+        relatedUser: userId,
+        relatedPost: postId,
+        relatedComment: comment._id,
+      });
+
+      await newNotification.save();
+    }
+
+    await comment.save();
+
+    res.status(200).json(comment);
+  } catch (error) {
+    console.error("Error in reactToComment controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const removeCommentReaction = async (req, res) => {
+  try {
+    const { id: postId, commentId } = req.params;
+
+    const comment = await findPostComment(postId, commentId);
+
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    if (removeReaction(comment.reactions, req.user._id)) {
+      comment.reactionCount = comment.reactions.length;
+      await comment.save();
+    }
+
+    res.status(200).json(comment);
+  } catch (error) {
+    console.error("Error in removeCommentReaction controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const getCommentReactions = async (req, res) => {
+  try {
+    const { id: postId, commentId } = req.params;
+    const { type } = req.query;
+
+    if (type && !REACTION_TYPES.includes(type)) {
+      return res.status(400).json({ message: "Invalid reaction type" });
+    }
+
+    const comment = mongoose.isValidObjectId(commentId)
+      ? await Comment.findOne({ _id: commentId, post: postId })
+          .select("reactions")
+          .populate("reactions.user", COMMENT_USER_FIELDS)
+      : null;
+
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    // reactions from deleted accounts populate to null
+    const reactions = comment.reactions.filter((reaction) => reaction.user);
+
+    res.status(200).json({
+      reactions: type
+        ? reactions.filter((reaction) => reaction.type === type)
+        : reactions,
+      counts: countReactions(reactions),
+    });
+  } catch (error) {
+    console.error("Error in getCommentReactions controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
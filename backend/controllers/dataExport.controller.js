@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+import DataExport from "../models/dataExport.model.js";
+import { STALE_EXPORT_AGE, queueDataExport } from "../lib/dataExport.js";
+
+export const requestDataExport = async (req, res) => {
+  try {
+    // a cut-off build shouldn't block a new request until the cleanup job
+    // gets to it
+    const inProgress = await DataExport.findOne({
+      user: req.user._id,
+      status: { $in: ["pending", "processing"] },
+      createdAt: { $gt: new Date(Date.now() - STALE_EXPORT_AGE) },
+    });
+
+    if (inProgress) {
+      return res
+        .status(409)
+        .json({ message: "Your data export is already being prepared" });
+    }
+
+    const dataExport = new DataExport({ user: req.user._id });
+    await dataExport.save();
+
+    queueDataExport(dataExport._id);
+
+    res.status(202).json({
+      message:
+        "We're preparing your data. You'll get a notification and an email when it's ready.",
+      export: dataExport,
+    });
+  } catch (error) {
+    console.error("Error in requestDataExport controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const getDataExports = async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(5);
+
+    res.json(exports);
+  } catch (error) {
+    console.error("Error in getDataExports controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const downloadDataExport = async (req, res) => {
+  try {
+    const { exportId } = req.params;
+
+    if (!mongoose.isValidObjectId(exportId)) {
+      return res.status(404).json({ message: "Export not found" });
+    }
+
+    const dataExport = await DataExport.findOne({
+      _id: exportId,
+      user: req.user._id,
+    }).select("+filePath");
+
+    if (!dataExport) {
+      return res.status(404).json({ message: "Export not found" });
+    }
+
+    if (dataExport.status !== "ready") {
+      return res.status(400).json({ message: "Export is not ready yet" });
+    }
+
+    if (dataExport.expiresAt <= new Date()) {
+      return res
+        .status(410)
+        .json({ message: "This download link has expired" });
+    }
+
+    res.download(dataExport.filePath, `connect-campus-data-${exportId}.zip`);
+  } catch (error) {
+    console.error("Error in downloadDataExport controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
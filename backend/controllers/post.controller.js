@@ -1,19 +1,243 @@
-import cloudinary from "../lib/cloudinary.js";
 import Post from "../models/post.model.js";
+import User from "../models/user.model.js";
+import Comment from "../models/comment.model.js";
 import Notification from "../models/notification.model.js";
-import { sendCommentNotificationEmail } from "../emails/emailHandlers.js";
+import { hasPermission } from "../lib/permissions.js";
+import {
+  InvalidCursorError,
+  cursorFilter,
+  decodeOffsetCursor,
+  encodeOffsetCursor,
+  paginate,
+  parseLimit,
+} from "../lib/pagination.js";
+import { rankPosts } from "../lib/feedRanking.js";
+import { extractHashtags, normalizeHashtag } from "../lib/hashtags.js";
+import { notifyMentions, resolveMentions } from "../lib/mentions.js";
+import {
+  InvalidImagesError,
+  postImageUrls,
+  resolvePostImages,
+} from "../lib/postImages.js";
+import { toPostDocument } from "../lib/postDocuments.js";
+import { toPostVideo } from "../lib/postVideos.js";
+import {
+  InvalidUploadError,
+  claimAssets,
+  destroyUpload,
+  findAssets,
+} from "../lib/uploads.js";
+import {
+  REACTION_TYPES,
+  countReactions,
+  removeReaction,
+  setReaction,
+} from "../lib/reactions.js";
+import {
+  InvalidPollError,
+  hasPollVotes,
+  isPollClosed,
+  parsePoll,
+  presentPoll,
+} from "../lib/polls.js";
+
+const FEED_SORTS = ["recent", "top"];
+// the top feed ranks recent posts only; older ones rarely score well anyway
+const TOP_FEED_WINDOW = 7 * 24 * 60 * 60 * 1000; // 7 days
+const TOP_FEED_MAX_CANDIDATES = 500;
+// how far back the viewer's reactions and comments count towards affinity
+const INTERACTION_WINDOW = 30 * 24 * 60 * 60 * 1000; // 30 days
+const TAGGED_POST_DEGREE = 2;
+
+// mentions only need the username to render as profile links
+const POST_FIELDS_POPULATE = [
+  { path: "author", select: "name username profilePicture headline role" },
+  { path: "mentions", select: "username" },
+];
+// reposts and quotes embed the post they share, one level deep
+const POST_POPULATE = [
+  ...POST_FIELDS_POPULATE,
+  { path: "sharedPost", populate: POST_FIELDS_POPULATE },
+];
+
+const populateFeedPosts = (query) => query.populate(POST_POPULATE);
+
+// swaps poll votes for what the viewer may see, see presentPoll; every post
+// sent back goes through here
+const presentPost = (post, userId) => {
+  if (!post || typeof post !== "object") return post;
+  const json = typeof post.toObject === "function" ? post.toObject() : post;
+  return {
+    ...json,
+    poll: json.poll && presentPoll(json.poll, userId),
+    sharedPost: presentPost(json.sharedPost, userId),
+  };
+};
+
+const presentPosts = (posts, userId) =>
+  posts.map((post) => presentPost(post, userId));
+
+// the viewer's network, plus anything tagged with what they follow
+const feedFilter = (user, authorIds) => {
+  const inNetwork = { author: { $in: authorIds } };
+  if (!user.followedTags?.length) return inNetwork;
+  return { $or: [inNetwork, { tags: { $in: user.followedTags } }] };
+};
+
+// both filters may bring an $or of their own
+const withCursor = (filter, cursor) => {
+  const after = cursorFilter(cursor);
+  return filter.$or && after.$or
+    ? { $and: [filter, after] }
+    : { ...filter, ...after };
+};
+
+const getRecentFeedPage = async (user, limit, cursor) => {
+  const posts = await populateFeedPosts(
+    Post.find(
+      withCursor(feedFilter(user, [...user.connections, user._id]), cursor),
+    ),
+  )
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1);
+
+  const { items, nextCursor } = paginate(posts, limit);
+  return { posts: items, nextCursor };
+};
+
+// 0 for the viewer, 1 for connections, 2 for their connections
+const getConnectionDegrees = async (user) => {
+  const degrees = new Map([[user._id.toString(), 0]]);
+  for (const id of user.connections) {
+    degrees.set(id.toString(), 1);
+  }
+
+  const connections = await User.find({
+    _id: { $in: user.connections },
+  }).select("connections");
+  for (const connection of connections) {
+    for (const id of connection.connections) {
+      if (!degrees.has(id.toString())) degrees.set(id.toString(), 2);
+    }
+  }
+
+  return degrees;
+};
+
+// reactions and comments the viewer has given each author recently
+const getInteractionCounts = async (userId, authorIds, since) => {
+  const counts = new Map();
+  const add = (author) =>
+    counts.set(author.toString(), (counts.get(author.toString()) || 0) + 1);
+
+  const reactedPosts = await Post.find({
+    author: { $in: authorIds },
+    createdAt: { $gte: since },
+    "reactions.user": userId,
+  })
+    .select("author")
+    .lean();
+  reactedPosts.forEach((post) => add(post.author));
+
+  const comments = await Comment.find({
+    user: userId,
+    createdAt: { $gte: since },
+  })
+    .select("post")
+    .lean();
+  const commentedPosts = await Post.find({
+    _id: { $in: comments.map((comment) => comment.post) },
+    author: { $in: authorIds },
+  })
+    .select("author")
+    .lean();
+  const authorOf = new Map(
+    commentedPosts.map((post) => [post._id.toString(), post.author]),
+  );
+  for (const comment of comments) {
+    const author = authorOf.get(comment.post.toString());
+    if (author) add(author);
+  }
+
+  return counts;
+};
+
+const getTopFeedPage = async (user, limit, cursor) => {
+  const { offset, asOf } = cursor
+    ? decodeOffsetCursor(cursor)
+    : { offset: 0, asOf: new Date() };
+
+  const degrees = await getConnectionDegrees(user);
+  const authorIds = [...degrees.keys()];
+
+  const candidates = await Post.find({
+    ...feedFilter(user, authorIds),
+    createdAt: { $gte: new Date(asOf - TOP_FEED_WINDOW), $lte: asOf },
+  })
+    .select("author reactions commentCount shareCount createdAt")
+    .sort({ createdAt: -1 })
+    .limit(TOP_FEED_MAX_CANDIDATES)
+    .lean();
+
+  const interactions = await getInteractionCounts(
+    user._id,
+    authorIds,
+    new Date(asOf - INTERACTION_WINDOW),
+  );
+
+  const ranked = rankPosts(
+    candidates,
+    (post) => ({
+      // followed-tag posts from outside the network rank like second-degree
+      degree: degrees.get(post.author.toString()) ?? TAGGED_POST_DEGREE,
+      interactions: interactions.get(post.author.toString()) || 0,
+    }),
+    asOf,
+  );
+
+  const pageIds = ranked
+    .slice(offset, offset + limit)
+    .map((post) => post._id.toString());
+  const posts = await populateFeedPosts(Post.find({ _id: { $in: pageIds } }));
+  // $in doesn't keep our order
+  posts.sort(
+    (a, b) =>
+      pageIds.indexOf(a._id.toString()) - pageIds.indexOf(b._id.toString()),
+  );
+
+  const nextOffset = offset + limit;
+  return {
+    posts,
+    nextCursor:
+      nextOffset < ranked.length
+        ? encodeOffsetCursor({ offset: nextOffset, asOf })
+        : null,
+  };
+};
 
 export const getFeedPosts = async (req, res) => {
   try {
-    const posts = await Post.find({
-      author: { $in: [...req.user.connections, req.user._id] },
-    })
-      .populate("author", "name username profilePicture headline")
-      .populate("comments.user", "name profilePicture")
-      .sort({ createdAt: -1 });
-
-    res.status(200).json(posts);
+    const sort = req.query.sort || "recent";
+
+    if (!FEED_SORTS.includes(sort)) {
+      return res.status(400).json({
+        message: `Invalid sort, use one of: ${FEED_SORTS.join(", ")}`,
+      });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const page =
+      sort === "top"
+        ? await getTopFeedPage(req.user, limit, req.query.cursor)
+        : await getRecentFeedPage(req.user, limit, req.query.cursor);
+
+    res
+      .status(200)
+      .json({ ...page, posts: presentPosts(page.posts, req.user._id) });
   } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Error in getFeedPosts controller:", error);
     res.status(500).json({ message: "Server error" });
   }
@@ -21,27 +245,80 @@ export const getFeedPosts = async (req, res) => {
 
 export const createPost = async (req, res) => {
   try {
-    const { content, image } = req.body;
-    let newPost;
+    const { content, images, document, video, isAnnouncement } = req.body;
 
-    if (image) {
-      const imgResult = await cloudinary.uploader.upload(image);
-      newPost = new Post({
-        author: req.user._id,
-        content,
-        image: imgResult.secure_url,
-      });
-    } else {
-      newPost = new Post({
-        author: req.user._id,
-        content,
-      });
+    if (isAnnouncement && !hasPermission(req.user, "post:announce")) {
+      return res
+        .status(403)
+        .json({ message: "You are not allowed to post announcements" });
+    }
+
+    let poll;
+    if (req.body.poll) {
+      if (!content?.trim()) {
+        return res.status(400).json({ message: "A poll needs a question" });
+      }
+      poll = parsePoll(req.body.poll);
     }
 
+    // files are uploaded beforehand, see upload.controller.js; the request
+    // refers to them by asset id
+    const { images: postImages, assets: imageAssets } = images
+      ? await resolvePostImages(images, [], req.user._id)
+      : { images: [], assets: [] };
+    const documentAssets = await findAssets(
+      document ? [document] : [],
+      req.user._id,
+      "document",
+    );
+    const videoAssets = await findAssets(
+      video ? [video] : [],
+      req.user._id,
+      "video",
+    );
+
+    const mentions = await resolveMentions(content);
+
+    const newPost = new Post({
+      author: req.user._id,
+      content,
+      tags: extractHashtags(content),
+      mentions,
+      images: postImages,
+      document: documentAssets[0] && toPostDocument(documentAssets[0]),
+      video: videoAssets[0] && toPostVideo(videoAssets[0]),
+      poll,
+      isAnnouncement: Boolean(isAnnouncement),
+    });
+
     await newPost.save();
 
-    res.status(201).json(newPost);
+    // only now that the post holds the files; until then a failed save
+    // leaves them to the unused upload cleanup
+    try {
+      await claimAssets([...imageAssets, ...documentAssets, ...videoAssets]);
+    } catch (error) {
+      // another post got to them first and the files are its now
+      await Post.deleteOne({ _id: newPost._id });
+      throw error;
+    }
+
+    await notifyMentions({
+      mentions,
+      author: req.user,
+      postId: newPost._id,
+      content,
+    });
+
+    res.status(201).json(presentPost(newPost, req.user._id));
   } catch (error) {
+    if (
+      error instanceof InvalidPollError ||
+      error instanceof InvalidImagesError ||
+      error instanceof InvalidUploadError
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Error in createPost controller:", error);
     res.status(500).json({ message: "Server error" });
   }
@@ -58,21 +335,37 @@ export const deletePost = async (req, res) => {
       return res.status(404).json({ message: "Post not found" });
     }
 
-    // check if the current user is the author of the post
-    if (post.author.toString() !== userId.toString()) {
+    // authors can delete their own posts, moderators can delete anyone's
+    if (
+      post.author.toString() !== userId.toString() &&
+      !hasPermission(req.user, "post:delete:any")
+    ) {
       return res
         .status(403)
         .json({ message: "You are not authorized to delete this post" });
     }
 
-    // delete the image from cloudinary as well!
-    if (post.image) {
-      await cloudinary.uploader.destroy(
-        post.image.split("/").pop().split(".")[0],
-      );
+    // delete the image from cloudinary as well, including any the post
+    // had before it was edited
+    for (const url of postImageUrls(post)) {
+      await destroyUpload(url);
+    }
+    // the PDF's thumbnail is derived from it and goes with it
+    if (post.document) {
+      await destroyUpload(post.document.url, "document");
+    }
+    if (post.video) {
+      await destroyUpload(post.video.url, "video");
     }
 
     await Post.findByIdAndDelete(postId);
+    await Comment.deleteMany({ post: postId });
+    if (post.sharedPost) {
+      await Post.updateOne(
+        { _id: post.sharedPost },
+        { $inc: { shareCount: -1 } },
+      );
+    }
 
     res.status(200).json({ message: "Post deleted successfully" });
   } catch (error) {
@@ -81,97 +374,374 @@ export const deletePost = async (req, res) => {
   }
 };
 
+export const updatePost = async (req, res) => {
+  try {
+    const { content, images } = req.body;
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    // unlike deletion, moderators can't put words in someone else's mouth
+    if (post.author.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ message: "You are not authorized to edit this post" });
+    }
+
+    const nextContent = content ?? post.content;
+    // a poll's content is its question, earlier votes answered the old one
+    if (nextContent !== post.content && hasPollVotes(post.poll)) {
+      return res.status(400).json({
+        message: "A poll's question can't be edited once people have voted",
+      });
+    }
+    const currentImages = (post.images || []).map(({ url, alt }) => ({
+      url,
+      alt,
+    }));
+    // undefined keeps the images, otherwise it's the whole new list
+    const { images: nextImages, assets: imageAssets } =
+      images === undefined
+        ? { images: currentImages, assets: [] }
+        : await resolvePostImages(images, currentImages, req.user._id);
+
+    // a quote can drop its commentary and stay a plain repost
+    if (
+      !nextContent?.trim() &&
+      !nextImages.length &&
+      !post.document &&
+      !post.video &&
+      !post.sharedPost
+    ) {
+      return res.status(400).json({ message: "Post cannot be empty" });
+    }
+
+    if (
+      nextContent === post.content &&
+      JSON.stringify(nextImages) === JSON.stringify(currentImages)
+    ) {
+      return res.status(400).json({ message: "No changes to save" });
+    }
+
+    // only people newly mentioned by the edit hear about it
+    const previousMentions = [...(post.mentions || [])];
+    const previous = {
+      content: post.content,
+      tags: [...(post.tags || [])],
+      mentions: previousMentions,
+      images: currentImages,
+      editedAt: post.editedAt,
+    };
+
+    // old images stay on cloudinary so the history can still show them,
+    // deletePost cleans them all up
+    post.revisions.push({ content: post.content, images: currentImages });
+    post.content = nextContent;
+    post.tags = extractHashtags(nextContent);
+    post.mentions = await resolveMentions(nextContent);
+    post.images = nextImages;
+    post.editedAt = new Date();
+    await post.save();
+
+    // claimed once the post holds them, as in createPost
+    try {
+      await claimAssets(imageAssets);
+    } catch (error) {
+      post.revisions.pop();
+      Object.assign(post, previous);
+      await post.save();
+      throw error;
+    }
+
+    await notifyMentions({
+      mentions: post.mentions,
+      previous: previousMentions,
+      author: req.user,
+      postId: post._id,
+      content: nextContent,
+    });
+
+    await post.populate(POST_POPULATE);
+
+    res.status(200).json(presentPost(post, req.user._id));
+  } catch (error) {
+    if (
+      error instanceof InvalidImagesError ||
+      error instanceof InvalidUploadError
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error in updatePost controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// a plain repost when there's no content, a quote when there is
+export const sharePost = async (req, res) => {
+  try {
+    const { content } = req.body;
+    let original = await Post.findById(req.params.id);
+
+    // reposting a plain repost shares the post it reposted
+    if (
+      original?.sharedPost &&
+      !original.content?.trim() &&
+      !original.images?.length &&
+      !original.document &&
+      !original.video
+    ) {
+      original = await Post.findById(original.sharedPost);
+    }
+
+    if (!original) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    const isQuote = Boolean(content?.trim());
+    if (!isQuote) {
+      const alreadyReposted = await Post.exists({
+        author: req.user._id,
+        sharedPost: original._id,
+        content: { $in: [null, ""] },
+      });
+      if (alreadyReposted) {
+        return res
+          .status(400)
+          .json({ message: "You have already reposted this post" });
+      }
+    }
+
+    const mentions = isQuote ? await resolveMentions(content) : [];
+    const share = new Post({
+      author: req.user._id,
+      content: isQuote ? content : undefined,
+      tags: isQuote ? extractHashtags(content) : [],
+      mentions,
+      sharedPost: original._id,
+    });
+    await share.save();
+
+    await Post.updateOne({ _id: original._id }, { $inc: { shareCount: 1 } });
+
+    // create a notification if the sharer is not the post owner
+    if (original.author.toString() !== req.user._id.toString()) {
+      const newNotification = new Notification({
+        recipient: original.author,
+        type: "share",
+        relatedUser: req.user._id,
+        relatedPost: original._id,
+      });
+
+      await newNotification.save();
+    }
+
+    await notifyMentions({
+      mentions,
+      skip: [original.author],
+      author: req.user,
+      postId: share._id,
+      content,
+    });
+
+    await share.populate(POST_POPULATE);
+
+    res.status(201).json(presentPost(share, req.user._id));
+  } catch (error) {
+    console.error("Error in sharePost controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const votePoll = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const post = await Post.findById(req.params.id);
+
+    if (!post?.poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+
+    if (isPollClosed(post.poll)) {
+      return res.status(400).json({ message: "This poll has closed" });
+    }
+
+    const { optionIds } = req.body;
+    const ids = [
+      ...new Set([].concat(optionIds ?? []).map((id) => String(id))),
+    ];
+    const options = post.poll.options.filter((option) =>
+      ids.includes(option._id.toString()),
+    );
+
+    if (options.length === 0 || options.length !== ids.length) {
+      return res.status(400).json({ message: "Invalid poll option" });
+    }
+
+    if (options.length > 1 && !post.poll.multipleChoice) {
+      return res
+        .status(400)
+        .json({ message: "This poll only allows one choice" });
+    }
+
+    // one vote per person, the filter turns a second attempt into a no-op
+    const { modifiedCount } = await Post.updateOne(
+      { _id: post._id, "poll.options.votes": { $ne: userId } },
+      { $push: { "poll.options.$[option].votes": userId } },
+      {
+        arrayFilters: [
+          { "option._id": { $in: options.map((option) => option._id) } },
+        ],
+      },
+    );
+
+    if (!modifiedCount) {
+      return res
+        .status(400)
+        .json({ message: "You have already voted in this poll" });
+    }
+
+    const updatedPost = await Post.findById(post._id).populate(POST_POPULATE);
+
+    res.status(200).json(presentPost(updatedPost, userId));
+  } catch (error) {
+    console.error("Error in votePoll controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 export const getPostById = async (req, res) => {
   try {
     const postId = req.params.id;
-    const post = await Post.findById(postId)
-      .populate("author", "name username profilePicture headline")
-      .populate("comments.user", "name profilePicture username headline");
+    const post = await Post.findById(postId).populate(POST_POPULATE);
 
-    res.status(200).json(post);
+    res.status(200).json(presentPost(post, req.user._id));
   } catch (error) {
     console.error("Error in getPostById controller:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
-export const createComment = async (req, res) => {
+export const getPostsByTag = async (req, res) => {
+  try {
+    const tag = normalizeHashtag(req.params.tag);
+
+    if (!tag) {
+      return res.status(400).json({ message: "Invalid hashtag" });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const posts = await populateFeedPosts(
+      Post.find({ tags: tag, ...cursorFilter(req.query.cursor) }),
+    )
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const { items, nextCursor } = paginate(posts, limit);
+
+    res.status(200).json({
+      tag,
+      posts: presentPosts(items, req.user._id),
+      nextCursor,
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error in getPostsByTag controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+const REACTION_USER_FIELDS = "name username profilePicture headline role";
+
+export const reactToPost = async (req, res) => {
   try {
     const postId = req.params.id;
-    const { content } = req.body;
+    const { type } = req.body;
+    const userId = req.user._id;
 
-    const post = await Post.findByIdAndUpdate(
-      postId,
-      {
-        $push: { comments: { user: req.user._id, content } },
-      },
-      { new: true },
-    ).populate("author", "name email username headline profilePicture");
+    if (!REACTION_TYPES.includes(type)) {
+      return res.status(400).json({ message: "Invalid reaction type" });
+    }
+
+    const post = await Post.findById(postId);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    const previous = setReaction(post.reactions, userId, type);
 
-    // create a notification if the comment owner is not the post owner
-    if (post.author._id.toString() !== req.user._id.toString()) {
+    // only a new reaction notifies the author, switching type doesn't
+    if (!previous && post.author.toString() !== userId.toString()) {
       const newNotification = new Notification({
         recipient: post.author,
-        type: "comment",
-        relatedUser: req.user._id,
+        type: "reaction",
+        reactionType: type,
+        relatedUser: userId,
         relatedPost: postId,
       });
 
       await newNotification.save();
+    }
 
-      try {
-        const postUrl = process.env.CLIENT_URL + "/post/" + postId;
-        await sendCommentNotificationEmail(
-          post.author.email,
-          post.author.name,
-          req.user.name,
-          postUrl,
-          content,
-        );
-      } catch (error) {
-        console.log("Error in sending comment notification email:", error);
-      }
+    await post.save();
+
+    res.status(200).json(presentPost(post, req.user._id));
+  } catch (error) {
+    console.error("Error in reactToPost controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const removePostReaction = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    if (removeReaction(post.reactions, req.user._id)) {
+      await post.save();
     }
 
-    res.status(200).json(post);
+    res.status(200).json(presentPost(post, req.user._id));
   } catch (error) {
-    console.error("Error in createComment controller:", error);
+    console.error("Error in removePostReaction controller:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
-export const likePost = async (req, res) => {
+export const getPostReactions = async (req, res) => {
   try {
-    const postId = req.params.id;
-    const post = await Post.findById(postId);
-    const userId = req.user._id;
+    const { type } = req.query;
 
-    if (post.likes.includes(userId)) {
-      // unlike the post
-      post.likes = post.likes.filter(
-        (id) => id.toString() !== userId.toString(),
-      );
-    } else {
-      // like the post
-      post.likes.push(userId);
-      // create a notification if the post owner is not the user who liked
-      if (post.author.toString() !== userId.toString()) {
-        const newNotification = new Notification({
-          recipient: post.author,
-          type: "like",
-          relatedUser: userId,
-          relatedPost: postId,
-        });
-
-        await newNotification.save();
-      }
+    if (type && !REACTION_TYPES.includes(type)) {
+      return res.status(400).json({ message: "Invalid reaction type" });
     }
 
-    await post.save();
+    const post = await Post.findById(req.params.id)
+      .select("reactions")
+      .populate("reactions.user", REACTION_USER_FIELDS);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    // reactions from deleted accounts populate to null
+    const reactions = post.reactions.filter((reaction) => reaction.user);
 
-    res.status(200).json(post);
+    res.status(200).json({
+      reactions: type
+        ? reactions.filter((reaction) => reaction.type === type)
+        : reactions,
+      counts: countReactions(reactions),
+    });
   } catch (error) {
-    console.error("Error in likePost controller:", error);
+    console.error("Error in getPostReactions controller:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
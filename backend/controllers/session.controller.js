@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import Session from "../models/session.model.js";
+import {
+  REFRESH_COOKIE,
+  REFRESH_GRACE_PERIOD,
+  clearSessionCookies,
+  hashToken,
+  issueAccessToken,
+  parseRefreshToken,
+  revokeAllSessions,
+  rotateTokens,
+} from "../lib/session.js";
+
+export const refreshSession = async (req, res) => {
+  try {
+    const { sessionId, secret } = parseRefreshToken(
+      req.cookies?.[REFRESH_COOKIE],
+    );
+
+    if (!secret || !mongoose.isValidObjectId(sessionId)) {
+      clearSessionCookies(res);
+      return res
+        .status(401)
+        .json({ message: "Unauthorized - No Refresh Token Provided" });
+    }
+
+    const session = await Session.findById(sessionId).select(
+      "+refreshTokenHash +previousTokenHash",
+    );
+
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      clearSessionCookies(res);
+      return res
+        .status(401)
+        .json({ message: "Unauthorized - Session expired" });
+    }
+
+    // two tabs refreshing at once send the same token; the one that rotates
+    // second finds the token it was sent rotated out just now
+    const tokenHash = hashToken(secret);
+    const justRotated =
+      session.previousTokenHash === tokenHash &&
+      session.rotatedAt > new Date(Date.now() - REFRESH_GRACE_PERIOD);
+
+    // any other rotated-out token coming back means it was copied somewhere,
+    // so the whole family goes: neither the thief nor the owner keeps the
+    // session
+    if (session.refreshTokenHash !== tokenHash && !justRotated) {
+      session.revokedAt = new Date();
+      await session.save();
+      clearSessionCookies(res);
+      return res
+        .status(401)
+        .json({ message: "Unauthorized - Refresh token reuse detected" });
+    }
+
+    session.lastSeenAt = new Date();
+    session.ip = req.ip || session.ip;
+    // the request that did rotate hands out the new refresh token
+    if (justRotated || !(await rotateTokens(res, session))) {
+      issueAccessToken(res, session);
+    }
+
+    res.json({ message: "Token refreshed successfully" });
+  } catch (error) {
+    console.error("Error in refreshSession controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const getActiveSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip lastSeenAt createdAt")
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    const currentId = req.authSession._id.toString();
+
+    res.json(
+      sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === currentId,
+      })),
+    );
+  } catch (error) {
+    console.error("Error in getActiveSessions controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+    );
+
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    if (sessionId === req.authSession._id.toString()) {
+      clearSessionCookies(res);
+    }
+
+    res.json({ message: "Session revoked successfully" });
+  } catch (error) {
+    console.error("Error in revokeSession controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const revokeAllUserSessions = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+
+    clearSessionCookies(res);
+    res.json({ message: "Logged out of all sessions" });
+  } catch (error) {
+    console.error("Error in revokeAllUserSessions controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -0,0 +1,110 @@
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import QRCode from "qrcode";
+import User from "../models/user.model.js";
+import authenticator from "../lib/totp.js";
+import { hashToken } from "../lib/session.js";
+
+const RECOVERY_CODE_COUNT = 10;
+
+// e.g. "3f9a1-c07be", easy to read off and type back in
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = authenticator.generateSecret();
+    await User.findByIdAndUpdate(req.user._id, { twoFactorSecret: secret });
+
+    const otpauthUrl = authenticator.keyuri(
+      req.user.email,
+      "Connect Campus",
+      secret,
+    );
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    console.error("Error in setupTwoFactor controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select("+twoFactorSecret");
+
+    if (user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res
+        .status(400)
+        .json({ message: "Start two-factor setup before confirming it" });
+    }
+
+    if (
+      !code ||
+      !authenticator.verify({ token: code, secret: user.twoFactorSecret })
+    ) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashToken);
+    await user.save();
+
+    // the only time the plain codes are ever shown
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Error in enableTwoFactor controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id).select("+password");
+
+    if (!user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const isMatch = await bcrypt.compare(password || "", user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: "Incorrect password" });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error in disableTwoFactor controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
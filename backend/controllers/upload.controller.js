@@ -0,0 +1,42 @@
+import Asset from "../models/asset.model.js";
+import { imageUpload } from "../lib/postImages.js";
+import { documentUpload } from "../lib/postDocuments.js";
+import { videoUpload } from "../lib/postVideos.js";
+import {
+  InvalidUploadError,
+  UploadTooLargeError,
+  receiveUpload,
+} from "../lib/uploads.js";
+
+const UPLOAD_KINDS = {
+  image: imageUpload,
+  document: documentUpload,
+  video: videoUpload,
+};
+
+// Takes a single multipart file and streams it to storage. The asset id it
+// answers with is what createPost and updateProfile expect in place of the
+// file itself.
+export const uploadAsset = async (req, res) => {
+  try {
+    const { kind } = req.params;
+    const spec = UPLOAD_KINDS[kind];
+    if (!spec) {
+      return res.status(404).json({ message: "Unknown upload type" });
+    }
+
+    const fields = await receiveUpload(req, kind, spec);
+    const asset = await Asset.create({ owner: req.user._id, kind, ...fields });
+
+    res.status(201).json(asset);
+  } catch (error) {
+    if (error instanceof UploadTooLargeError) {
+      return res.status(413).json({ message: error.message });
+    }
+    if (error instanceof InvalidUploadError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error in uploadAsset controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
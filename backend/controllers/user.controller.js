@@ -1,5 +1,15 @@
+import bcrypt from "bcryptjs";
 import User from "../models/user.model.js";
-import cloudinary from "../lib/cloudinary.js";
+import { ACCOUNT_DELETION_GRACE_PERIOD } from "../lib/accountDeletion.js";
+import { normalizeHashtag } from "../lib/hashtags.js";
+import { hasPermission } from "../lib/permissions.js";
+import { clearSessionCookies, revokeAllSessions } from "../lib/session.js";
+import { InvalidUploadError, claimAssets, findAssets } from "../lib/uploads.js";
+
+// what anyone signed in may see of someone else's profile; account internals
+// like 2FA, deletion and tokens stay out
+const PUBLIC_PROFILE_FIELDS =
+  "name username profilePicture bannerImg headline location about skills experience education connections institution role createdAt";
 
 export const getSuggestedConnections = async (req, res) => {
   try {
@@ -22,10 +32,49 @@ export const getSuggestedConnections = async (req, res) => {
   }
 };
 
+const USER_SEARCH_LIMIT = 8;
+
+// username prefix search, used to autocomplete @mentions
+export const searchUsers = async (req, res) => {
+  try {
+    const query = String(req.query.q ?? "")
+      .trim()
+      .replace(/^@/, "");
+
+    if (!query) {
+      return res.json([]);
+    }
+
+    const prefix = query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const users = await User.find({
+      username: { $regex: `^${prefix}`, $options: "i" },
+      deletionScheduledFor: null,
+    })
+      .select("name username profilePicture headline")
+      .limit(USER_SEARCH_LIMIT);
+
+    res.json(users);
+  } catch (error) {
+    console.error("Error in searchUsers controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 export const getPublicProfile = async (req, res) => {
   try {
-    const user = await User.findOne({ username: req.params.username }).select(
-      "-password",
+    // moderators need the status to approve or suspend the account
+    const canModerate =
+      hasPermission(req.user, "user:approve") ||
+      hasPermission(req.user, "user:suspend");
+
+    // accounts waiting to be deleted are hidden as if already gone
+    const user = await User.findOne({
+      username: req.params.username,
+      deletionScheduledFor: null,
+    }).select(
+      canModerate
+        ? `${PUBLIC_PROFILE_FIELDS} accountStatus`
+        : PUBLIC_PROFILE_FIELDS,
     );
 
     if (!user) {
@@ -47,8 +96,6 @@ export const updateProfile = async (req, res) => {
       "headline",
       "about",
       "location",
-      "profilePicture",
-      "bannerImg",
       "skills",
       "experience",
       "education",
@@ -61,16 +108,23 @@ export const updateProfile = async (req, res) => {
         updatedData[field] = req.body[field];
       }
     }
-
-    if (req.body.profilePicture) {
-      const result = await cloudinary.uploader.upload(req.body.profilePicture);
-      updatedData.profilePicture = result.secure_url;
+    // unlike the fields above, false is a value worth saving
+    if (typeof req.body.mentionEmails === "boolean") {
+      updatedData.mentionEmails = req.body.mentionEmails;
     }
 
-    if (req.body.bannerImg) {
-      const result = await cloudinary.uploader.upload(req.body.bannerImg);
-      updatedData.bannerImg = result.secure_url;
-    }
+    // both are image uploads, referred to by asset id
+    const imageFields = ["profilePicture", "bannerImg"].filter(
+      (field) => req.body[field],
+    );
+    const assets = await findAssets(
+      imageFields.map((field) => req.body[field]),
+      req.user._id,
+      "image",
+    );
+    imageFields.forEach((field, i) => {
+      updatedData[field] = assets[i].url;
+    });
 
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -78,9 +132,118 @@ export const updateProfile = async (req, res) => {
       { new: true },
     ).select("-password");
 
+    // only claimed once the profile holds them, a failed update leaves them
+    // to the unused upload cleanup
+    try {
+      await claimAssets(assets);
+    } catch (error) {
+      // another request got to them first, put the profile back as it was
+      await User.updateOne(
+        { _id: req.user._id },
+        {
+          $set: Object.fromEntries(
+            Object.keys(updatedData).map((field) => [field, req.user[field]]),
+          ),
+        },
+      );
+      throw error;
+    }
+
     res.json(user);
   } catch (error) {
+    if (error instanceof InvalidUploadError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Error in updateProfile controller:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
+
+export const deleteAccount = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ message: "Password is required" });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: "Invalid password" });
+    }
+
+    // nothing is removed yet, logging back in within the grace period
+    // cancels the deletion
+    user.deletionScheduledFor = new Date(
+      Date.now() + ACCOUNT_DELETION_GRACE_PERIOD,
+    );
+    await user.save();
+
+    await revokeAllSessions(user._id);
+    clearSessionCookies(res);
+
+    res.json({
+      message: "Account scheduled for deletion",
+      deletionScheduledFor: user.deletionScheduledFor,
+    });
+  } catch (error) {
+    console.error("Error in deleteAccount controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// the feed matches followed tags with $in, so keep the list bounded
+const MAX_FOLLOWED_TAGS = 100;
+
+export const followTag = async (req, res) => {
+  try {
+    const tag = normalizeHashtag(req.params.tag);
+
+    if (!tag) {
+      return res.status(400).json({ message: "Invalid hashtag" });
+    }
+
+    const followedTags = req.user.followedTags || [];
+    if (
+      !followedTags.includes(tag) &&
+      followedTags.length >= MAX_FOLLOWED_TAGS
+    ) {
+      return res.status(400).json({
+        message: `You can follow up to ${MAX_FOLLOWED_TAGS} hashtags`,
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $addToSet: { followedTags: tag } },
+      { new: true },
+    ).select("followedTags");
+
+    res.status(200).json({ followedTags: user.followedTags });
+  } catch (error) {
+    console.error("Error in followTag controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+export const unfollowTag = async (req, res) => {
+  try {
+    const tag = normalizeHashtag(req.params.tag);
+
+    if (!tag) {
+      return res.status(400).json({ message: "Invalid hashtag" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $pull: { followedTags: tag } },
+      { new: true },
+    ).select("followedTags");
+
+    res.status(200).json({ followedTags: user.followedTags });
+  } catch (error) {
+    console.error("Error in unfollowTag controller:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -1,7 +1,12 @@
 import { mailtrapClient, sender } from "../lib/mailtrap.js";
 import {
+  createAccountLockedEmailTemplate,
   createCommentNotificationEmailTemplate,
   createConnectionAcceptedEmailTemplate,
+  createDataExportReadyEmailTemplate,
+  createMentionEmailTemplate,
+  createPasswordResetEmailTemplate,
+  createVerificationEmailTemplate,
   createWelcomeEmailTemplate,
 } from "./emailTemplates.js";
 
@@ -23,6 +28,65 @@ export const sendWelcomeEmail = async (email, name, profileUrl) => {
   }
 };
 
+export const sendVerificationEmail = async (email, name, verificationUrl) => {
+  const recipient = [{ email }];
+
+  try {
+    const response = await mailtrapClient.send({
+      from: sender,
+      to: recipient,
+      subject: "Verify your email address",
+      html: createVerificationEmailTemplate(name, verificationUrl),
+      category: "email_verification",
+    });
+
+    console.log("Verification Email sent successfully", response);
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const sendPasswordResetEmail = async (email, name, resetUrl) => {
+  const recipient = [{ email }];
+
+  try {
+    const response = await mailtrapClient.send({
+      from: sender,
+      to: recipient,
+      subject: "Reset your password",
+      html: createPasswordResetEmailTemplate(name, resetUrl),
+      category: "password_reset",
+    });
+
+    console.log("Password Reset Email sent successfully", response);
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const sendAccountLockedEmail = async (
+  email,
+  name,
+  lockedUntil,
+  resetUrl,
+) => {
+  const recipient = [{ email }];
+
+  try {
+    const response = await mailtrapClient.send({
+      from: sender,
+      to: recipient,
+      subject: "Your account was temporarily locked",
+      html: createAccountLockedEmailTemplate(name, lockedUntil, resetUrl),
+      category: "account_locked",
+    });
+
+    console.log("Account Locked Email sent successfully", response);
+  } catch (error) {
+    throw error;
+  }
+};
+
 export const sendCommentNotificationEmail = async (
   recipientEmail,
   recipientName,
@@ -51,6 +115,34 @@ export const sendCommentNotificationEmail = async (
   }
 };
 
+export const sendMentionEmail = async (
+  recipientEmail,
+  recipientName,
+  authorName,
+  postUrl,
+  content,
+) => {
+  const recipient = [{ email: recipientEmail }];
+
+  try {
+    const response = await mailtrapClient.send({
+      from: sender,
+      to: recipient,
+      subject: `${authorName} mentioned you`,
+      html: createMentionEmailTemplate(
+        recipientName,
+        authorName,
+        postUrl,
+        content,
+      ),
+      category: "mention_notification",
+    });
+    console.log("Mention Notification Email sent successfully", response);
+  } catch (error) {
+    throw error;
+  }
+};
+
 export const sendConnectionAcceptedEmail = async (
   senderEmail,
   senderName,
@@ -73,3 +165,25 @@ export const sendConnectionAcceptedEmail = async (
     });
   } catch (error) {}
 };
+
+export const sendDataExportReadyEmail = async (
+  email,
+  name,
+  downloadPageUrl,
+) => {
+  const recipient = [{ email }];
+
+  try {
+    const response = await mailtrapClient.send({
+      from: sender,
+      to: recipient,
+      subject: "Your data export is ready",
+      html: createDataExportReadyEmailTemplate(name, downloadPageUrl),
+      category: "data_export",
+    });
+
+    console.log("Data Export Email sent successfully", response);
+  } catch (error) {
+    throw error;
+  }
+};
@@ -106,3 +106,146 @@ export const createCommentNotificationEmailTemplate = (
 </body>
 </html>
 `;
+
+export const createMentionEmailTemplate = (
+  recipientName,
+  authorName,
+  postUrl,
+  content,
+) => `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>You Were Mentioned</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(to right, #0077B5, #00A0DC); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <img src="https://img.freepik.com/premium-vector/linkedin-logo_578229-227.jpg" alt="UnLinked Logo" style="width: 150px; margin-bottom: 20px;border-radius: 10px;"/>
+    <h1 style="color: white; margin: 0; font-size: 28px;">You Were Mentioned</h1>
+  </div>
+  <div style="background-color: #ffffff; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 10px rgba(0,0,0,0.1);">
+    <p style="font-size: 18px; color: #0077B5;"><strong>Hello ${recipientName},</strong></p>
+    <p>${authorName} mentioned you:</p>
+    <div style="background-color: #f3f6f8; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <p style="font-style: italic; margin: 0;">"${content}"</p>
+    </div>
+    <div style="text-align: center; margin: 30px 0;">
+      <a href=${postUrl} style="background-color: #0077B5; color: white; padding: 14px 28px; text-decoration: none; border-radius: 30px; font-weight: bold; font-size: 16px; transition: background-color 0.3s;">View Post</a>
+    </div>
+    <p>Best regards,<br>The UnLinked Team</p>
+  </div>
+</body>
+</html>
+`;
+
+export const createVerificationEmailTemplate = (name, verificationUrl) => `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Verify Your Email</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(to right, #0077B5, #00A0DC); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <img src="https://img.freepik.com/premium-vector/linkedin-logo_578229-227.jpg" alt="UnLinked Logo" style="width: 150px; margin-bottom: 20px;border-radius: 10px;"/>
+    <h1 style="color: white; margin: 0; font-size: 28px;">Verify Your Email</h1>
+  </div>
+  <div style="background-color: #ffffff; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 10px rgba(0,0,0,0.1);">
+    <p style="font-size: 18px; color: #0077B5;"><strong>Hello ${name},</strong></p>
+    <p>Thanks for signing up! Please confirm your email address to start posting, commenting and connecting with others.</p>
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${verificationUrl}" style="background-color: #0077B5; color: white; padding: 14px 28px; text-decoration: none; border-radius: 30px; font-weight: bold; font-size: 16px; transition: background-color 0.3s;">Verify Email</a>
+    </div>
+    <p>This link expires in 24 hours. If you didn't create an account, you can safely ignore this email.</p>
+    <p>Best regards,<br>The UnLinked Team</p>
+  </div>
+</body>
+</html>
+`;
+
+export const createPasswordResetEmailTemplate = (name, resetUrl) => `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Reset Your Password</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(to right, #0077B5, #00A0DC); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <img src="https://img.freepik.com/premium-vector/linkedin-logo_578229-227.jpg" alt="UnLinked Logo" style="width: 150px; margin-bottom: 20px;border-radius: 10px;"/>
+    <h1 style="color: white; margin: 0; font-size: 28px;">Reset Your Password</h1>
+  </div>
+  <div style="background-color: #ffffff; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 10px rgba(0,0,0,0.1);">
+    <p style="font-size: 18px; color: #0077B5;"><strong>Hello ${name},</strong></p>
+    <p>We received a request to reset the password for your account. Click the button below to choose a new one.</p>
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${resetUrl}" style="background-color: #0077B5; color: white; padding: 14px 28px; text-decoration: none; border-radius: 30px; font-weight: bold; font-size: 16px; transition: background-color 0.3s;">Reset Password</a>
+    </div>
+    <p>This link expires in 1 hour and can only be used once. Resetting your password will sign you out on every device.</p>
+    <p>If you didn't request a password reset, you can safely ignore this email.</p>
+    <p>Best regards,<br>The UnLinked Team</p>
+  </div>
+</body>
+</html>
+`;
+
+export const createAccountLockedEmailTemplate = (
+  name,
+  lockedUntil,
+  resetUrl,
+) => `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Your Account Was Temporarily Locked</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(to right, #0077B5, #00A0DC); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <img src="https://img.freepik.com/premium-vector/linkedin-logo_578229-227.jpg" alt="UnLinked Logo" style="width: 150px; margin-bottom: 20px;border-radius: 10px;"/>
+    <h1 style="color: white; margin: 0; font-size: 28px;">Account Temporarily Locked</h1>
+  </div>
+  <div style="background-color: #ffffff; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 10px rgba(0,0,0,0.1);">
+    <p style="font-size: 18px; color: #0077B5;"><strong>Hello ${name},</strong></p>
+    <p>We noticed several failed attempts to sign in to your account, so we've locked it until <strong>${lockedUntil.toUTCString()}</strong> to keep it safe.</p>
+    <p>If this was you, just wait and try again. If it wasn't, someone may be guessing your password and we recommend changing it.</p>
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${resetUrl}" style="background-color: #0077B5; color: white; padding: 14px 28px; text-decoration: none; border-radius: 30px; font-weight: bold; font-size: 16px; transition: background-color 0.3s;">Reset Password</a>
+    </div>
+    <p>Best regards,<br>The UnLinked Team</p>
+  </div>
+</body>
+</html>
+`;
+
+export const createDataExportReadyEmailTemplate = (name, downloadPageUrl) => `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Your Data Export Is Ready</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(to right, #0077B5, #00A0DC); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <img src="https://img.freepik.com/premium-vector/linkedin-logo_578229-227.jpg" alt="UnLinked Logo" style="width: 150px; margin-bottom: 20px;border-radius: 10px;"/>
+    <h1 style="color: white; margin: 0; font-size: 28px;">Your Data Is Ready</h1>
+  </div>
+  <div style="background-color: #ffffff; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 10px rgba(0,0,0,0.1);">
+    <p style="font-size: 18px; color: #0077B5;"><strong>Hello ${name},</strong></p>
+    <p>The copy of your data you asked for is ready. It includes your profile, posts, comments, reactions, connections and notifications, along with your uploaded images.</p>
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${downloadPageUrl}" style="background-color: #0077B5; color: white; padding: 14px 28px; text-decoration: none; border-radius: 30px; font-weight: bold; font-size: 16px; transition: background-color 0.3s;">Download Your Data</a>
+    </div>
+    <p>For your security, the download is only available for 24 hours and you'll need to be signed in.</p>
+    <p>If you didn't request this export, please change your password.</p>
+    <p>Best regards,<br>The UnLinked Team</p>
+  </div>
+</body>
+</html>
+`;
@@ -0,0 +1,111 @@
+import User from "../models/user.model.js";
+import Post from "../models/post.model.js";
+import Comment from "../models/comment.model.js";
+import Notification from "../models/notification.model.js";
+import ConnectionRequest from "../models/connectionRequest.model.js";
+import Session from "../models/session.model.js";
+import { removeComments } from "./comments.js";
+import { removeUserExports } from "./dataExport.js";
+import { postImageUrls } from "./postImages.js";
+import { destroyUpload } from "./uploads.js";
+import { startJob } from "./jobs.js";
+
+export const ACCOUNT_DELETION_GRACE_PERIOD = 14 * 24 * 60 * 60 * 1000; // 14 days
+const PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+const destroyCloudinaryFile = async (url, kind) => {
+  if (!url) return;
+  try {
+    await destroyUpload(url, kind);
+  } catch (error) {
+    // an orphaned file shouldn't keep the account around
+    console.error("Error deleting file from cloudinary:", error.message);
+  }
+};
+
+// Removes everything the user left behind, then the user itself.
+export const purgeUser = async (user) => {
+  const userId = user._id;
+
+  const posts = await Post.find({ author: userId }).select(
+    "images revisions.images document video sharedPost",
+  );
+  // edited posts can still hold on to their earlier images; attached PDFs
+  // live on cloudinary the same way
+  const images = new Set([
+    ...posts.flatMap(postImageUrls),
+    ...posts.filter((post) => post.document).map((post) => post.document.url),
+  ]);
+  for (const image of images) {
+    await destroyCloudinaryFile(image);
+  }
+  for (const post of posts.filter((post) => post.video)) {
+    await destroyCloudinaryFile(post.video.url, "video");
+  }
+  const postIds = posts.map((post) => post._id);
+  await Post.deleteMany({ author: userId });
+  // their reposts and quotes no longer count towards the originals
+  for (const post of posts.filter((post) => post.sharedPost)) {
+    await Post.updateOne(
+      { _id: post.sharedPost },
+      { $inc: { shareCount: -1 } },
+    );
+  }
+
+  await Comment.deleteMany({ post: { $in: postIds } });
+  // their comments (and the replies under them) and reactions on everyone
+  // else's posts
+  await removeComments({ user: userId });
+  await Post.updateMany(
+    { "reactions.user": userId },
+    { $pull: { reactions: { user: userId } } },
+  );
+  await Post.updateMany(
+    { "poll.options.votes": userId },
+    { $pull: { "poll.options.$[].votes": userId } },
+  );
+  await Comment.updateMany(
+    { "reactions.user": userId },
+    { $pull: { reactions: { user: userId } }, $inc: { reactionCount: -1 } },
+  );
+
+  await Notification.deleteMany({
+    $or: [
+      { recipient: userId },
+      { relatedUser: userId },
+      { relatedPost: { $in: postIds } },
+    ],
+  });
+  await ConnectionRequest.deleteMany({
+    $or: [{ sender: userId }, { recipient: userId }],
+  });
+  await User.updateMany(
+    { connections: userId },
+    { $pull: { connections: userId } },
+  );
+
+  await destroyCloudinaryFile(user.profilePicture);
+  await destroyCloudinaryFile(user.bannerImg);
+
+  await removeUserExports(userId);
+  await Session.deleteMany({ user: userId });
+  await User.deleteOne({ _id: userId });
+};
+
+export const purgeExpiredAccounts = async (now = new Date()) => {
+  const users = await User.find({ deletionScheduledFor: { $lte: now } });
+
+  for (const user of users) {
+    try {
+      await purgeUser(user);
+    } catch (error) {
+      // leave it for the next run rather than stopping the others
+      console.error(`Error purging account ${user._id}:`, error);
+    }
+  }
+
+  return users.length;
+};
+
+export const startAccountPurgeJob = () =>
+  startJob("account purge", purgeExpiredAccounts, PURGE_INTERVAL);
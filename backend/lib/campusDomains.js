@@ -0,0 +1,41 @@
+// CAMPUS_DOMAINS is a comma separated list of allowed email domains, each
+// optionally followed by "=Institution Name", e.g.
+//   CAMPUS_DOMAINS="university.edu=State University,*.university.edu=State University"
+// A leading "*." matches any subdomain (but not the domain itself).
+//
+// NON_CAMPUS_SIGNUPS decides what happens to everyone else:
+//   "pending" (default) - account is created but waits for approval
+//   "reject"            - signup is refused
+const parseCampusDomains = () =>
+  (process.env.CAMPUS_DOMAINS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [pattern, name] = entry.split("=").map((part) => part.trim());
+      return {
+        pattern: pattern.toLowerCase(),
+        institution: name || pattern.replace(/^\*\./, ""),
+      };
+    });
+
+const matchesPattern = (domain, pattern) => {
+  if (pattern.startsWith("*.")) {
+    return domain.endsWith(pattern.slice(1));
+  }
+  return domain === pattern;
+};
+
+export const isCampusRestricted = () => parseCampusDomains().length > 0;
+
+export const findCampusForEmail = (email) => {
+  const domain = email.split("@").pop().toLowerCase();
+  const campus = parseCampusDomains().find(({ pattern }) =>
+    matchesPattern(domain, pattern),
+  );
+
+  return campus ? { domain, institution: campus.institution } : null;
+};
+
+export const getNonCampusSignupPolicy = () =>
+  process.env.NON_CAMPUS_SIGNUPS === "reject" ? "reject" : "pending";
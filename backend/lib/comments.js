@@ -0,0 +1,61 @@
+import Comment from "../models/comment.model.js";
+import Post from "../models/post.model.js";
+import Notification from "../models/notification.model.js";
+
+// Top-level comments are depth 0. Replying to a comment already this deep
+// attaches the reply to the same parent instead, so threads never nest
+// further than this.
+export const MAX_REPLY_DEPTH = 2;
+
+// ids of the matching comments plus every reply underneath them
+const collectThreads = async (filter) => {
+  const roots = await Comment.find(filter).select("_id");
+  const ids = roots.map((comment) => comment._id);
+
+  let frontier = ids;
+  while (frontier.length > 0) {
+    const replies = await Comment.find({ parent: { $in: frontier } }).select(
+      "_id",
+    );
+    frontier = replies.map((reply) => reply._id);
+    ids.push(...frontier);
+  }
+
+  return ids;
+};
+
+// Deletes the matching comments along with their replies and keeps the
+// counters on the surviving posts and parent comments right.
+export const removeComments = async (filter) => {
+  const ids = await collectThreads(filter);
+  if (ids.length === 0) return 0;
+
+  const removed = await Comment.find({ _id: { $in: ids } }).select(
+    "post parent",
+  );
+  await Comment.deleteMany({ _id: { $in: ids } });
+
+  const removedIds = new Set(ids.map((id) => id.toString()));
+  const perPost = new Map();
+  const perParent = new Map();
+  for (const comment of removed) {
+    const post = comment.post.toString();
+    perPost.set(post, (perPost.get(post) || 0) + 1);
+
+    const parent = comment.parent?.toString();
+    if (parent && !removedIds.has(parent)) {
+      perParent.set(parent, (perParent.get(parent) || 0) + 1);
+    }
+  }
+
+  for (const [post, count] of perPost) {
+    await Post.updateOne({ _id: post }, { $inc: { commentCount: -count } });
+  }
+  for (const [parent, count] of perParent) {
+    await Comment.updateOne({ _id: parent }, { $inc: { replyCount: -count } });
+  }
+
+  await Notification.deleteMany({ relatedComment: { $in: ids } });
+
+  return ids.length;
+};
@@ -0,0 +1,267 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import archiver from "archiver";
+import User from "../models/user.model.js";
+import Post from "../models/post.model.js";
+import Comment from "../models/comment.model.js";
+import Notification from "../models/notification.model.js";
+import ConnectionRequest from "../models/connectionRequest.model.js";
+import DataExport from "../models/dataExport.model.js";
+import { countReactions } from "./reactions.js";
+import { sendDataExportReadyEmail } from "../emails/emailHandlers.js";
+import { startJob } from "./jobs.js";
+
+export const EXPORT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+// builds only run in memory, so an export still "in progress" after this was
+// most likely cut off by a restart
+export const STALE_EXPORT_AGE = 60 * 60 * 1000; // 1 hour
+const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+const IMAGE_FETCH_TIMEOUT = 10 * 1000; // 10 seconds
+
+export const getExportDir = () =>
+  process.env.EXPORT_DIR || path.join(os.tmpdir(), "connect-campus-exports");
+
+const toJSON = (data) => JSON.stringify(data, null, 2);
+
+const reactionOf = (reactions, userId) =>
+  reactions.find((reaction) => reaction.user.toString() === userId.toString())
+    .type;
+
+// gathers everything we hold about the user, keyed by the file it goes in
+export const collectUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .select("-password")
+    .populate("connections", "name username")
+    .lean();
+
+  const posts = await Post.find({ author: userId })
+    .select(
+      "content images document video reactions commentCount revisions editedAt createdAt updatedAt",
+    )
+    .lean();
+
+  const comments = await Comment.find({ user: userId })
+    .select("post parent content reactionCount editedAt createdAt updatedAt")
+    .lean();
+
+  const reactedPosts = await Post.find({ "reactions.user": userId })
+    .select("author content reactions createdAt")
+    .populate("author", "name username")
+    .lean();
+
+  const reactedComments = await Comment.find({ "reactions.user": userId })
+    .select("post user content reactions createdAt")
+    .populate("user", "name username")
+    .lean();
+
+  const connectionRequests = await ConnectionRequest.find({
+    $or: [{ sender: userId }, { recipient: userId }],
+  })
+    .populate("sender", "name username")
+    .populate("recipient", "name username")
+    .lean();
+
+  const notifications = await Notification.find({ recipient: userId })
+    .populate("relatedUser", "name username")
+    .lean();
+
+  const { experience, education, skills, connections, ...profile } = user;
+
+  return {
+    user,
+    files: {
+      "profile.json": profile,
+      "experience.json": experience,
+      "education.json": education,
+      "skills.json": skills,
+      "posts.json": posts.map((post) => ({
+        ...post,
+        reactions: countReactions(post.reactions),
+      })),
+      "comments.json": comments,
+      "reactions.json": {
+        posts: reactedPosts.map(({ reactions, ...post }) => ({
+          post,
+          type: reactionOf(reactions, userId),
+        })),
+        comments: reactedComments.map(({ reactions, ...comment }) => ({
+          comment,
+          type: reactionOf(reactions, userId),
+        })),
+      },
+      "connections.json": connections,
+      "connection-requests.json": connectionRequests,
+      "notifications.json": notifications,
+    },
+  };
+};
+
+const fetchImage = async (url) => {
+  const response = await fetch(url, {
+    signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+const imageName = (prefix, url) => `images/${prefix}-${url.split("/").pop()}`;
+
+const writeArchive = async (filePath, files, images) => {
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    // e.g. the disk filled up; nothing reads the archive after that
+    output.on("error", (error) => {
+      archive.abort();
+      reject(error);
+    });
+    archive.on("error", reject);
+  });
+  // awaited once everything has been appended
+  finished.catch(() => {});
+
+  archive.pipe(output);
+
+  for (const [name, data] of Object.entries(files)) {
+    archive.append(toJSON(data ?? null), { name });
+  }
+
+  // images (and attached documents and videos) are best effort, anything we couldn't
+  // fetch is listed instead
+  const missingImages = [];
+  for (const [name, url] of images) {
+    try {
+      archive.append(await fetchImage(url), { name });
+    } catch (error) {
+      missingImages.push({ url, error: error.message });
+    }
+  }
+  if (missingImages.length > 0) {
+    archive.append(toJSON(missingImages), { name: "images/missing.json" });
+  }
+
+  await Promise.all([finished, archive.finalize()]);
+
+  return archive.pointer();
+};
+
+export const buildDataExport = async (exportId) => {
+  const dataExport = await DataExport.findById(exportId);
+  dataExport.status = "processing";
+  await dataExport.save();
+
+  try {
+    const { user, files } = await collectUserData(dataExport.user);
+
+    const images = [];
+    if (user.profilePicture) {
+      images.push([
+        imageName("profile", user.profilePicture),
+        user.profilePicture,
+      ]);
+    }
+    if (user.bannerImg) {
+      images.push([imageName("banner", user.bannerImg), user.bannerImg]);
+    }
+    for (const post of files["posts.json"]) {
+      (post.images || []).forEach(({ url }, i) => {
+        images.push([imageName(`post-${post._id}-${i + 1}`, url), url]);
+      });
+      if (post.document) {
+        images.push([
+          `documents/post-${post._id}-${post.document.url.split("/").pop()}`,
+          post.document.url,
+        ]);
+      }
+      if (post.video) {
+        images.push([
+          `videos/post-${post._id}-${post.video.url.split("/").pop()}`,
+          post.video.url,
+        ]);
+      }
+    }
+
+    await fs.promises.mkdir(getExportDir(), { recursive: true });
+    const filePath = path.join(getExportDir(), `${dataExport._id}.zip`);
+    const size = await writeArchive(filePath, files, images);
+
+    dataExport.status = "ready";
+    dataExport.filePath = filePath;
+    dataExport.size = size;
+    dataExport.expiresAt = new Date(Date.now() + EXPORT_TTL);
+    await dataExport.save();
+
+    const notification = new Notification({
+      recipient: user._id,
+      type: "dataExportReady",
+    });
+    await notification.save();
+
+    try {
+      await sendDataExportReadyEmail(
+        user.email,
+        user.name,
+        process.env.CLIENT_URL + "/settings/security",
+      );
+    } catch (emailError) {
+      console.error("Error sending data export Email", emailError);
+    }
+  } catch (error) {
+    dataExport.status = "failed";
+    // lets the cleanup job clear it out like any other export
+    dataExport.expiresAt = new Date(Date.now() + EXPORT_TTL);
+    await dataExport.save();
+    throw error;
+  }
+};
+
+// runs the build after the response has gone out
+export const queueDataExport = (exportId) => {
+  setImmediate(() => {
+    buildDataExport(exportId).catch((error) =>
+      console.error(`Error building data export ${exportId}:`, error),
+    );
+  });
+};
+
+const removeExportFiles = async (exports) => {
+  for (const dataExport of exports) {
+    if (!dataExport.filePath) continue;
+    await fs.promises.rm(dataExport.filePath, { force: true });
+  }
+  await DataExport.deleteMany({
+    _id: { $in: exports.map((dataExport) => dataExport._id) },
+  });
+};
+
+export const removeUserExports = async (userId) => {
+  const exports = await DataExport.find({ user: userId }).select("+filePath");
+  await removeExportFiles(exports);
+};
+
+export const cleanupExpiredExports = async (now = new Date()) => {
+  // fail cut-off builds so they expire like any other failed export
+  await DataExport.updateMany(
+    {
+      status: { $in: ["pending", "processing"] },
+      createdAt: { $lte: new Date(now.getTime() - STALE_EXPORT_AGE) },
+    },
+    {
+      status: "failed",
+      expiresAt: new Date(now.getTime() + EXPORT_TTL),
+    },
+  );
+
+  const exports = await DataExport.find({ expiresAt: { $lte: now } }).select(
+    "+filePath",
+  );
+  await removeExportFiles(exports);
+  return exports.length;
+};
+
+export const startExportCleanupJob = () =>
+  startJob("data export cleanup", cleanupExpiredExports, CLEANUP_INTERVAL);
@@ -0,0 +1,78 @@
+// Scoring for the "Top" feed. Everything here is pure so the weights can be
+// tuned against the tests without a database.
+//
+//   score = engagement * affinity * degree * recency
+//
+// Engagement and affinity grow logarithmically so a single viral post or a
+// single very chatty friend can't drown out everything else.
+export const FEED_WEIGHTS = {
+  // a post loses half its score every this many hours
+  halfLifeHours: 24,
+  base: 1,
+  reaction: 1,
+  comment: 2,
+  share: 3,
+  // per past reaction/comment the viewer gave the author
+  interaction: 0.5,
+  maxInteractions: 20,
+  // multiplier by connection degree: 0 is the viewer, 1 a direct connection,
+  // 2 a connection of a connection; anything further is never shown
+  degree: { 0: 1, 1: 1, 2: 0.4 },
+};
+
+const HOUR = 60 * 60 * 1000;
+
+const countOf = (value) => (Array.isArray(value) ? value.length : value || 0);
+
+export const recencyDecay = (ageMs, halfLifeHours) =>
+  0.5 ** (Math.max(ageMs, 0) / (halfLifeHours * HOUR));
+
+export const scorePost = (
+  post,
+  { interactions = 0, degree = 1 } = {},
+  now = Date.now(),
+  weights = FEED_WEIGHTS,
+) => {
+  const engagement =
+    weights.base +
+    weights.reaction * Math.log1p(countOf(post.reactions)) +
+    weights.comment * Math.log1p(countOf(post.commentCount ?? post.comments)) +
+    weights.share * Math.log1p(countOf(post.shareCount));
+
+  const affinity =
+    1 +
+    weights.interaction *
+      Math.log1p(Math.min(interactions, weights.maxInteractions));
+
+  const degreeFactor = weights.degree[degree] ?? 0;
+
+  const age = new Date(now).getTime() - new Date(post.createdAt).getTime();
+
+  return (
+    engagement *
+    affinity *
+    degreeFactor *
+    recencyDecay(age, weights.halfLifeHours)
+  );
+};
+
+// returns a new array, highest score first; ties go to the newer post so the
+// order is stable between requests
+export const rankPosts = (
+  posts,
+  getContext,
+  now = Date.now(),
+  weights = FEED_WEIGHTS,
+) =>
+  posts
+    .map((post) => ({
+      post,
+      score: scorePost(post, getContext(post), now, weights),
+    }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        new Date(b.post.createdAt) - new Date(a.post.createdAt) ||
+        String(b.post._id).localeCompare(String(a.post._id)),
+    )
+    .map(({ post }) => post);
@@ -0,0 +1,33 @@
+export const MAX_HASHTAG_LENGTH = 50;
+
+// a # not glued to the end of a word (so "C#" or "&#39;" aren't tags),
+// followed by letters, digits and underscores
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&#])#([\p{L}\p{N}_]+)/gu;
+
+// Tags are stored lowercase without the #. Returns null for anything that
+// can't be a tag, e.g. "#2024" with no letters in it.
+export const normalizeHashtag = (tag) => {
+  const normalized = String(tag ?? "")
+    .replace(/^#/, "")
+    .toLowerCase();
+
+  if (
+    normalized.length > MAX_HASHTAG_LENGTH ||
+    !/^[\p{L}\p{N}_]+$/u.test(normalized) ||
+    !/\p{L}/u.test(normalized)
+  ) {
+    return null;
+  }
+
+  return normalized;
+};
+
+// unique, in order of first appearance
+export const extractHashtags = (content = "") => {
+  const tags = new Set();
+  for (const [, tag] of String(content).matchAll(HASHTAG_PATTERN)) {
+    const normalized = normalizeHashtag(tag);
+    if (normalized) tags.add(normalized);
+  }
+  return [...tags];
+};
@@ -0,0 +1,10 @@
+// Runs fn now and then every intervalMs while the server is up. A failed run
+// is logged and the next one tries again; the timer doesn't keep the process
+// alive on its own.
+export const startJob = (name, fn, intervalMs) => {
+  const run = () =>
+    fn().catch((error) => console.error(`Error in ${name} job:`, error));
+
+  run();
+  setInterval(run, intervalMs).unref();
+};
@@ -0,0 +1,82 @@
+import { getRateLimitStore } from "./rateLimitStore.js";
+
+// A handful of free attempts, then each further failure doubles the wait
+// before the next one is accepted, until the key is locked out entirely.
+// Per-IP limits are looser because a whole campus can share one address.
+export const THROTTLE_LIMITS = {
+  account: { freeAttempts: 3, maxFailures: 10 },
+  ip: { freeAttempts: 20, maxFailures: 100 },
+  // only rejected signups count, see signup in auth.controller.js
+  signup: { freeAttempts: 5, maxFailures: 20 },
+  // every verification email counts, see resendVerificationEmail
+  resend: { freeAttempts: 2, maxFailures: 10 },
+};
+
+const BASE_DELAY = 1000; // 1 second
+const MAX_DELAY = 5 * 60 * 1000; // 5 minutes
+export const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
+// failures are forgotten after a quiet hour
+const FAILURE_WINDOW = 60 * 60 * 1000;
+
+export const accountKey = (username = "") =>
+  `login:account:${String(username).toLowerCase()}`;
+export const ipKey = (ip) => `login:ip:${ip}`;
+export const signupKey = (ip) => `signup:ip:${ip}`;
+export const resendAccountKey = (userId) => `resend:account:${userId}`;
+export const resendIpKey = (ip) => `resend:ip:${ip}`;
+
+export const getBackoffDelay = (failures, { freeAttempts }) => {
+  if (failures < freeAttempts) return 0;
+  return Math.min(BASE_DELAY * 2 ** (failures - freeAttempts), MAX_DELAY);
+};
+
+const isLockExpired = (record, now) =>
+  record.lockedUntil && record.lockedUntil <= now;
+
+// wait is how long (ms) the caller must hold off before this key may try
+// again, 0 when it is free to go
+export const checkThrottle = async (key, limits, now = Date.now()) => {
+  const record = await getRateLimitStore().get(key);
+  if (!record || isLockExpired(record, now)) return { wait: 0, locked: false };
+
+  if (record.lockedUntil) {
+    return { wait: record.lockedUntil - now, locked: true };
+  }
+
+  const nextAttemptAt =
+    record.lastFailureAt + getBackoffDelay(record.failures, limits);
+  return { wait: Math.max(nextAttemptAt - now, 0), locked: false };
+};
+
+// returns the updated record; lockedNow is true only for the failure that
+// triggered the lockout, so callers can notify once
+export const recordFailure = async (key, limits, now = Date.now()) => {
+  const store = getRateLimitStore();
+  let previous = await store.get(key);
+  // a lockout that ran its course starts the key over from scratch
+  if (!previous || isLockExpired(previous, now)) {
+    previous = { failures: 0 };
+  }
+
+  const failures = previous.failures + 1;
+  const lockedNow = failures >= limits.maxFailures && !previous.lockedUntil;
+  const record = {
+    failures,
+    lastFailureAt: now,
+    lockedUntil: lockedNow ? now + LOCKOUT_DURATION : previous.lockedUntil,
+  };
+
+  const ttl = record.lockedUntil ? record.lockedUntil - now : FAILURE_WINDOW;
+  await store.set(key, record, ttl);
+
+  return { ...record, lockedNow };
+};
+
+export const resetFailures = (key) => getRateLimitStore().delete(key);
+
+export const formatRetryAfter = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+};
@@ -0,0 +1,82 @@
+import User from "../models/user.model.js";
+import Notification from "../models/notification.model.js";
+import { sendMentionEmail } from "../emails/emailHandlers.js";
+
+// more than this in one post is spam rather than conversation
+export const MAX_MENTIONS = 20;
+
+// an @ not glued to the end of a word, so email addresses don't count
+const MENTION_PATTERN = /(?<![\w@.])@([\w.-]+)/g;
+
+// unique usernames in order of first appearance; punctuation ending a
+// sentence ("thanks @alice.") isn't part of the name
+export const extractMentions = (content = "") => {
+  const usernames = new Set();
+  for (const [, match] of String(content).matchAll(MENTION_PATTERN)) {
+    const username = match.replace(/[.-]+$/, "");
+    if (username) usernames.add(username);
+  }
+  return [...usernames].slice(0, MAX_MENTIONS);
+};
+
+// ids of the accounts mentioned in the content that actually exist
+export const resolveMentions = async (content) => {
+  const usernames = extractMentions(content);
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({
+    username: { $in: usernames },
+    deletionScheduledFor: null,
+  }).select("_id");
+  return users.map((user) => user._id);
+};
+
+// Notifies everyone in `mentions` who wasn't already in `previous`, skipping
+// the author and anyone in `skip` (e.g. already notified about a reply).
+export const notifyMentions = async ({
+  mentions,
+  previous = [],
+  skip = [],
+  author,
+  postId,
+  commentId,
+  content,
+}) => {
+  const excluded = new Set(
+    [...previous, ...skip, author._id].map((id) => id.toString()),
+  );
+  const recipients = mentions.filter((id) => !excluded.has(id.toString()));
+  if (recipients.length === 0) return;
+
+  for (const recipient of recipients) {
+    const newNotification = new Notification({
+      recipient,
+      type: "mention",
+      relatedUser: author._id,
+      relatedPost: postId,
+      relatedComment: commentId,
+    });
+
+    await newNotification.save();
+  }
+
+  // accounts from before the setting existed have no value and get the email
+  const users = await User.find({
+    _id: { $in: recipients },
+    mentionEmails: { $ne: false },
+  }).select("name email");
+  const postUrl = process.env.CLIENT_URL + "/post/" + postId;
+  for (const user of users) {
+    try {
+      await sendMentionEmail(
+        user.email,
+        user.name,
+        author.name,
+        postUrl,
+        content,
+      );
+    } catch (error) {
+      console.log("Error in sending mention email:", error);
+    }
+  }
+};
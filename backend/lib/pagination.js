@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+export const DEFAULT_PAGE_SIZE = 10;
+export const MAX_PAGE_SIZE = 50;
+
+export class InvalidCursorError extends Error {}
+
+export const parseLimit = (value) => {
+  const limit = parseInt(value, 10);
+  if (!limit || limit < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+// The cursor is the createdAt/_id of the last item on the page, so new posts
+// arriving between requests don't shift later pages the way skip/offset would.
+// _id breaks ties between items created in the same millisecond.
+export const encodeCursor = (doc) =>
+  Buffer.from(`${doc.createdAt.toISOString()}_${doc._id}`).toString(
+    "base64url",
+  );
+
+export const decodeCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(cursor, "base64url")
+    .toString()
+    .split("_");
+  const date = new Date(createdAt);
+
+  if (isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+    throw new InvalidCursorError("Invalid cursor");
+  }
+
+  return { createdAt: date, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// query filter for everything after the cursor, newest first by default;
+// pass "asc" for lists read oldest first, like comment replies
+export const cursorFilter = (cursor, order = "desc") => {
+  if (!cursor) return {};
+
+  const { createdAt, _id } = decodeCursor(cursor);
+  const op = order === "asc" ? "$gt" : "$lt";
+  return {
+    $or: [
+      { createdAt: { [op]: createdAt } },
+      { createdAt, _id: { [op]: _id } },
+    ],
+  };
+};
+
+// fetch limit + 1 items and pass them here to find out if there's more
+export const paginate = (items, limit) => {
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+
+  return {
+    items: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+};
+
+// Ranked lists have no natural key to continue from, so their cursor is an
+// offset into the ranking as it stood at `asOf`. Re-ranking with the same
+// asOf keeps pages from overlapping while the user scrolls.
+export const encodeOffsetCursor = ({ offset, asOf }) =>
+  Buffer.from(`${offset}_${asOf.toISOString()}`).toString("base64url");
+
+export const decodeOffsetCursor = (cursor) => {
+  const [offset, asOf] = Buffer.from(cursor, "base64url").toString().split("_");
+  const date = new Date(asOf);
+
+  if (!/^\d+$/.test(offset) || isNaN(date.getTime())) {
+    throw new InvalidCursorError("Invalid cursor");
+  }
+
+  return { offset: Number(offset), asOf: date };
+};
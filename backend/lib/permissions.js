@@ -0,0 +1,22 @@
+export const ROLES = ["student", "alumni", "faculty", "moderator", "admin"];
+
+// Each permission lists the roles that hold it. Check permissions rather than
+// roles in controllers so a role can be granted more later without hunting
+// down every `role === "admin"`.
+export const PERMISSIONS = {
+  "post:delete:any": ["moderator", "admin"],
+  "comment:delete:any": ["moderator", "admin"],
+  "post:announce": ["faculty", "moderator", "admin"],
+  "user:approve": ["moderator", "admin"],
+  "user:suspend": ["moderator", "admin"],
+  "user:change-role": ["admin"],
+};
+
+export const hasPermission = (user, permission) =>
+  Boolean(user) && (PERMISSIONS[permission] || []).includes(user.role);
+
+// what the frontend needs to decide which controls to show
+export const getPermissionsForRole = (role) =>
+  Object.keys(PERMISSIONS).filter((permission) =>
+    PERMISSIONS[permission].includes(role),
+  );
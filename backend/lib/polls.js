@@ -0,0 +1,122 @@
+import Post from "../models/post.model.js";
+import Notification from "../models/notification.model.js";
+import { startJob } from "./jobs.js";
+
+export const MIN_POLL_OPTIONS = 2;
+export const MAX_POLL_OPTIONS = 4;
+export const MAX_POLL_OPTION_LENGTH = 100;
+const HOUR = 60 * 60 * 1000;
+export const MIN_POLL_DURATION = HOUR;
+export const MAX_POLL_DURATION = 14 * 24 * HOUR; // 14 days
+const POLL_CLOSE_INTERVAL = 60 * 1000; // 1 minute
+
+export class InvalidPollError extends Error {}
+
+// checks a poll from a request body and returns what the post stores
+export const parsePoll = (
+  { options, closesAt, multipleChoice } = {},
+  now = new Date(),
+) => {
+  if (!Array.isArray(options)) {
+    throw new InvalidPollError("A poll needs options");
+  }
+
+  const texts = options.map((option) => String(option ?? "").trim());
+  if (texts.length < MIN_POLL_OPTIONS || texts.length > MAX_POLL_OPTIONS) {
+    throw new InvalidPollError(
+      `A poll needs ${MIN_POLL_OPTIONS} to ${MAX_POLL_OPTIONS} options`,
+    );
+  }
+  if (texts.some((text) => !text)) {
+    throw new InvalidPollError("Poll options cannot be empty");
+  }
+  if (texts.some((text) => text.length > MAX_POLL_OPTION_LENGTH)) {
+    throw new InvalidPollError(
+      `Poll options can be at most ${MAX_POLL_OPTION_LENGTH} characters`,
+    );
+  }
+  if (new Set(texts.map((text) => text.toLowerCase())).size < texts.length) {
+    throw new InvalidPollError("Poll options must all be different");
+  }
+
+  const closes = new Date(closesAt);
+  const duration = closes.getTime() - now.getTime();
+  if (
+    isNaN(duration) ||
+    duration < MIN_POLL_DURATION ||
+    duration > MAX_POLL_DURATION
+  ) {
+    throw new InvalidPollError("Polls can run from 1 hour to 14 days");
+  }
+
+  return {
+    options: texts.map((text) => ({ text })),
+    multipleChoice: Boolean(multipleChoice),
+    closesAt: closes,
+  };
+};
+
+export const isPollClosed = (poll, now = new Date()) =>
+  new Date(poll.closesAt) <= now;
+
+// once anyone has voted the question is what they answered, see updatePost
+export const hasPollVotes = (poll) =>
+  Boolean(poll?.options.some((option) => option.votes.length > 0));
+
+// What the viewer gets to see: who voted stays private, and the counts only
+// show once they've voted themselves or the poll has closed.
+export const presentPoll = (poll, userId, now = new Date()) => {
+  const viewer = userId?.toString();
+  const userVotes = poll.options
+    .filter((option) => option.votes.some((id) => id.toString() === viewer))
+    .map((option) => option._id);
+  const closed = isPollClosed(poll, now);
+  const showResults = closed || userVotes.length > 0;
+  const voters = new Set(
+    poll.options.flatMap((option) => option.votes.map((id) => id.toString())),
+  );
+
+  return {
+    options: poll.options.map(({ _id, text, votes }) =>
+      showResults ? { _id, text, voteCount: votes.length } : { _id, text },
+    ),
+    multipleChoice: poll.multipleChoice,
+    closesAt: poll.closesAt,
+    closed,
+    userVotes,
+    // people rather than votes, so multiple choice percentages make sense
+    voterCount: showResults ? voters.size : undefined,
+  };
+};
+
+// tells authors their poll is over, once per poll
+export const notifyClosedPolls = async (now = new Date()) => {
+  const posts = await Post.find({
+    "poll.closesAt": { $lte: now },
+    "poll.closedNotifiedAt": null,
+  }).select("author");
+
+  let notified = 0;
+  for (const post of posts) {
+    // claim it first so overlapping runs don't both send one
+    const { modifiedCount } = await Post.updateOne(
+      { _id: post._id, "poll.closedNotifiedAt": null },
+      { $set: { "poll.closedNotifiedAt": now } },
+    );
+    if (!modifiedCount) continue;
+
+    const newNotification = new Notification({
+      recipient: post.author,
+      type: "pollClosed",
+      relatedPost: post._id,
+    });
+
+    await newNotification.save();
+    notified++;
+  }
+
+  return notified;
+};
+
+export const startPollCloseJob = () =>
+  startJob("poll close", notifyClosedPolls, POLL_CLOSE_INTERVAL);
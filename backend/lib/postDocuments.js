@@ -0,0 +1,32 @@
+export const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024; // 10 MB
+
+// what the upload pipeline needs to take a PDF, see lib/uploads.js
+export const documentUpload = {
+  maxSize: MAX_DOCUMENT_SIZE,
+  // every PDF starts with this, whatever the client claims the file is
+  signatures: {
+    "application/pdf": (bytes) =>
+      bytes.subarray(0, 5).toString("latin1") === "%PDF-",
+  },
+  typeError: "Only PDF documents can be attached",
+  // Cloudinary only counts and renders pages for PDFs uploaded as images,
+  // which is also how the frontend shows the pages after the first
+  options: {
+    resource_type: "image",
+    eager: [{ page: 1, format: "jpg", width: 600, crop: "limit" }],
+  },
+  describe: (result) => ({
+    url: result.secure_url,
+    thumbnail: result.eager?.[0]?.secure_url,
+    pageCount: result.pages || 1,
+  }),
+};
+
+// what a post keeps of an uploaded PDF
+export const toPostDocument = ({ url, thumbnail, name, size, pageCount }) => ({
+  url,
+  thumbnail,
+  name: name || "document.pdf",
+  size,
+  pageCount,
+});
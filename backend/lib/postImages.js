@@ -0,0 +1,81 @@
+import { findAssets } from "./uploads.js";
+
+export const MAX_POST_IMAGES = 9;
+export const MAX_ALT_TEXT_LENGTH = 1000;
+export const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+export class InvalidImagesError extends Error {}
+
+// every image a post has held, including ones only earlier revisions show
+export const postImageUrls = (post) => [
+  ...new Set(
+    [
+      ...(post.images || []),
+      ...(post.revisions || []).flatMap((revision) => revision.images || []),
+    ]
+      .map((image) => image.url)
+      .filter(Boolean),
+  ),
+];
+
+// what the upload pipeline needs to take an image, see lib/uploads.js; post
+// images and profile pictures alike
+export const imageUpload = {
+  maxSize: MAX_IMAGE_SIZE,
+  // what each accepted type starts with, whatever the client claims it is
+  signatures: {
+    "image/jpeg": (bytes) =>
+      bytes.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+    "image/png": (bytes) =>
+      bytes.subarray(0, 8).equals(Buffer.from("\x89PNG\r\n\x1a\n", "latin1")),
+    "image/gif": (bytes) => bytes.subarray(0, 4).toString("latin1") === "GIF8",
+    "image/webp": (bytes) =>
+      bytes.subarray(0, 4).toString("latin1") === "RIFF" &&
+      bytes.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+  typeError: "Images must be JPEG, PNG, GIF or WebP files",
+  options: {},
+  describe: (result) => ({ url: result.secure_url }),
+};
+
+// Turns the images in a request into what the post stores, in order. Each one
+// is either { asset, alt } for a new upload or { url, alt } for an image the
+// post already has, so an edit can reorder, re-caption and drop images. The
+// uploads come back too, for the caller to claim once the rest checks out.
+export const resolvePostImages = async (items, current = [], owner) => {
+  if (!Array.isArray(items)) {
+    throw new InvalidImagesError("Images must be a list");
+  }
+  if (items.length > MAX_POST_IMAGES) {
+    throw new InvalidImagesError(
+      `A post can have at most ${MAX_POST_IMAGES} images`,
+    );
+  }
+
+  const known = new Set(current.map((image) => image.url));
+  for (const item of items) {
+    const alt = item?.alt ?? "";
+    if (typeof alt !== "string" || alt.length > MAX_ALT_TEXT_LENGTH) {
+      throw new InvalidImagesError(
+        `Alt text can be at most ${MAX_ALT_TEXT_LENGTH} characters`,
+      );
+    }
+    // only the post's own images can be kept by url
+    if (item?.url ? !known.has(item.url) : !item?.asset) {
+      throw new InvalidImagesError("Invalid image");
+    }
+  }
+
+  const assets = await findAssets(
+    items.filter((item) => !item.url).map((item) => item.asset),
+    owner,
+    "image",
+  );
+  const uploads = [...assets];
+  const images = items.map((item) => ({
+    url: item.url || uploads.shift().url,
+    alt: (item.alt ?? "").trim(),
+  }));
+
+  return { images, assets };
+};
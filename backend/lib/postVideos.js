@@ -0,0 +1,53 @@
+import { InvalidUploadError } from "./uploads.js";
+
+export const MAX_VIDEO_SIZE = 20 * 1024 * 1024; // 20 MB
+export const MAX_VIDEO_DURATION = 120; // seconds
+
+// ISO media files are a series of boxes, the type of the first one sits 4
+// bytes in; MP4s always open with "ftyp", older QuickTime files may not
+const firstBoxIs = (types) => (bytes) =>
+  types.includes(bytes.subarray(4, 8).toString("latin1"));
+
+// what the upload pipeline needs to take a video, see lib/uploads.js
+export const videoUpload = {
+  maxSize: MAX_VIDEO_SIZE,
+  // what each accepted type starts with, whatever the client claims it is
+  signatures: {
+    "video/mp4": firstBoxIs(["ftyp"]),
+    "video/quicktime": firstBoxIs(["ftyp", "moov", "wide", "mdat", "free"]),
+    // the EBML header
+    "video/webm": (bytes) =>
+      bytes.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])),
+  },
+  typeError: "Videos must be MP4, MOV or WebM files",
+  // the poster is the first frame
+  options: {
+    resource_type: "video",
+    eager: [{ format: "jpg", start_offset: 0 }],
+  },
+  // the length is only known once cloudinary has had a look
+  describe: (result) => {
+    if (!(result.duration <= MAX_VIDEO_DURATION)) {
+      throw new InvalidUploadError(
+        `Videos can be at most ${MAX_VIDEO_DURATION / 60} minutes long`,
+      );
+    }
+    return {
+      url: result.secure_url,
+      poster: result.eager?.[0]?.secure_url,
+      duration: result.duration,
+      width: result.width,
+      height: result.height,
+    };
+  },
+};
+
+// what a post keeps of an uploaded video
+export const toPostVideo = ({ url, poster, duration, width, height, size }) => ({
+  url,
+  poster,
+  duration,
+  width,
+  height,
+  size,
+});
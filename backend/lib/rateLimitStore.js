@@ -0,0 +1,44 @@
+// Counters for throttling live behind this small async interface so a shared
+// store (Redis, Mongo...) can be swapped in for multi-instance deployments:
+//   get(key)               -> value | null
+//   set(key, value, ttlMs) -> void
+//   delete(key)            -> void
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  const isExpired = (entry) => entry.expiresAt <= Date.now();
+
+  // expired keys are otherwise only dropped when read again
+  const sweep = setInterval(() => {
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) entries.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+let store = createMemoryStore();
+
+export const getRateLimitStore = () => store;
+
+export const setRateLimitStore = (nextStore) => {
+  store = nextStore;
+};
@@ -0,0 +1,42 @@
+export const REACTION_TYPES = [
+  "like",
+  "celebrate",
+  "support",
+  "insightful",
+  "funny",
+];
+
+const findIndex = (reactions, userId) =>
+  reactions.findIndex(
+    (reaction) => reaction.user.toString() === userId.toString(),
+  );
+
+// Each user holds at most one reaction; reacting again with a different type
+// replaces it. Returns the type it replaced, or null for a new reaction.
+export const setReaction = (reactions, userId, type) => {
+  const index = findIndex(reactions, userId);
+  if (index === -1) {
+    reactions.push({ user: userId, type });
+    return null;
+  }
+
+  const previous = reactions[index].type;
+  reactions[index].type = type;
+  return previous;
+};
+
+// returns the removed type, or null if the user hadn't reacted
+export const removeReaction = (reactions, userId) => {
+  const index = findIndex(reactions, userId);
+  if (index === -1) return null;
+
+  const [removed] = reactions.splice(index, 1);
+  return removed.type;
+};
+
+// { like: 3, funny: 1 }, only types someone actually used
+export const countReactions = (reactions = []) =>
+  reactions.reduce((counts, { type }) => {
+    counts[type] = (counts[type] || 0) + 1;
+    return counts;
+  }, {});
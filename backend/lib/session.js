@@ -0,0 +1,111 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/session.model.js";
+
+export const ACCESS_COOKIE = "jwt-connect-campus";
+export const REFRESH_COOKIE = "refresh-connect-campus";
+const ACCESS_TOKEN_TTL = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+// how long a rotated-out refresh token is still taken, see refreshSession
+export const REFRESH_GRACE_PERIOD = 10 * 1000; // 10 seconds
+
+// the refresh cookie is only ever needed by /auth/refresh and /auth/logout
+const REFRESH_COOKIE_PATH = "/api/v1/auth";
+
+const cookieOptions = () => ({
+  httpOnly: true, // prevent XSS attack
+  sameSite: "strict", // prevent CSRF attacks,
+  secure: process.env.NODE_ENV === "production", // prevents man-in-the-middle attacks
+});
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// refresh tokens look like "<sessionId>.<secret>" so a replayed one can be
+// traced back to its session (the token family) even after it was rotated
+export const parseRefreshToken = (token = "") => {
+  const [sessionId, secret] = token.split(".");
+  return { sessionId, secret };
+};
+
+const newSecret = () => crypto.randomBytes(32).toString("hex");
+
+// a new access token only, e.g. when the client keeps the refresh token it has
+export const issueAccessToken = (res, session) => {
+  const accessToken = jwt.sign(
+    { userId: session.user, sessionId: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: "15m" },
+  );
+
+  res.cookie(ACCESS_COOKIE, accessToken, {
+    ...cookieOptions(),
+    maxAge: ACCESS_TOKEN_TTL,
+  });
+};
+
+const setRefreshCookie = (res, session, secret) => {
+  res.cookie(REFRESH_COOKIE, `${session._id}.${secret}`, {
+    ...cookieOptions(),
+    maxAge: REFRESH_TOKEN_TTL,
+    path: REFRESH_COOKIE_PATH,
+  });
+};
+
+// give a new session its first refresh token and hand out a pair of cookies
+export const issueTokens = async (res, session) => {
+  const secret = newSecret();
+  session.refreshTokenHash = hashToken(secret);
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL);
+  await session.save();
+
+  issueAccessToken(res, session);
+  setRefreshCookie(res, session, secret);
+};
+
+// Swap the session's refresh token for a new one and hand out a fresh pair of
+// cookies. Only goes through if the token is still the one the session was
+// read with, resolves false when a parallel refresh swapped it first.
+export const rotateTokens = async (res, session) => {
+  const secret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash },
+    {
+      refreshTokenHash: hashToken(secret),
+      previousTokenHash: session.refreshTokenHash,
+      rotatedAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+      lastSeenAt: session.lastSeenAt,
+      ip: session.ip,
+    },
+  );
+  if (!rotated) return false;
+
+  issueAccessToken(res, session);
+  setRefreshCookie(res, session, secret);
+  return true;
+};
+
+// record the device and issue tokens that point back at the session
+export const startSession = async (req, res, userId) => {
+  const session = new Session({
+    user: userId,
+    userAgent: req.get?.("user-agent") || "",
+    ip: req.ip || "",
+  });
+
+  await issueTokens(res, session);
+
+  return session;
+};
+
+export const clearSessionCookies = (res) => {
+  res.clearCookie(ACCESS_COOKIE);
+  res.clearCookie(REFRESH_COOKIE, { path: REFRESH_COOKIE_PATH });
+};
+
+export const revokeAllSessions = (userId) =>
+  Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() },
+  );
@@ -0,0 +1,16 @@
+import { authenticator } from "otplib";
+
+// accept the previous and next 30s step as well, to absorb phone clock drift
+authenticator.options = { window: 1 };
+
+// The time step a code belongs to, or null if it isn't valid right now. Steps
+// only go up, so a login can refuse any code at or before the last one used.
+export const codeStep = (token, secret) => {
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) return null;
+
+  const { epoch, step } = authenticator.allOptions();
+  return Math.floor(epoch / 1000 / step) + delta;
+};
+
+export default authenticator;
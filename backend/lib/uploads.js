@@ -0,0 +1,237 @@
+import busboy from "busboy";
+import mongoose from "mongoose";
+import { Transform } from "stream";
+import cloudinary from "./cloudinary.js";
+import Asset from "../models/asset.model.js";
+import { startJob } from "./jobs.js";
+
+// enough of the start of a file to tell what it really is
+const SIGNATURE_LENGTH = 16;
+export const MAX_UPLOAD_NAME_LENGTH = 200;
+// uploads nothing ends up using, e.g. the post was never sent
+const UNUSED_ASSET_TTL = 24 * 60 * 60 * 1000; // 1 day
+const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+export class InvalidUploadError extends Error {}
+export class UploadTooLargeError extends InvalidUploadError {}
+
+// cloudinary names each file after its public id, which is all destroy needs
+const publicIdOf = (url) => url.split("/").pop().split(".")[0];
+
+// Deletes a stored file by its URL. Videos need their resource type spelled
+// out; images and PDFs are both image resources.
+export const destroyUpload = (url, kind = "image") =>
+  cloudinary.uploader.destroy(publicIdOf(url), {
+    resource_type: kind === "video" ? "video" : "image",
+  });
+
+// Passes the file through untouched once its first bytes match what the
+// declared type should start with. Short files are checked when they end.
+const signatureCheck = (matches, typeError) => {
+  let head = Buffer.alloc(0);
+  let checked = false;
+
+  const check = (stream, callback) => {
+    checked = true;
+    if (!matches(head)) {
+      return callback(new InvalidUploadError(typeError));
+    }
+    stream.push(head);
+    callback();
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (checked) return callback(null, chunk);
+      head = Buffer.concat([head, chunk]);
+      if (head.length < SIGNATURE_LENGTH) return callback();
+      check(this, callback);
+    },
+    flush(callback) {
+      if (checked) return callback();
+      check(this, callback);
+    },
+  });
+};
+
+// Reads and discards the rest of a file, busboy never finishes otherwise. If
+// the form breaks off busboy errors the file too, which the parser reports.
+const drain = (file) => {
+  file.on("error", () => {});
+  file.resume();
+};
+
+// Streams one file from busboy to cloudinary. On failure the rest of the file
+// is drained rather than destroyed.
+const storeFile = (file, info, kind, spec) =>
+  new Promise((resolve, reject) => {
+    const matches = spec.signatures[info.mimeType];
+    if (!matches) {
+      drain(file);
+      return reject(new InvalidUploadError(spec.typeError));
+    }
+
+    let size = 0;
+    let failed = false;
+
+    const upload = cloudinary.uploader.upload_stream(
+      spec.options,
+      async (error, result) => {
+        if (failed) {
+          // the upload may still have gone through with part of the file
+          if (result) {
+            await destroyUpload(result.secure_url, kind).catch(() => {});
+          }
+          return;
+        }
+        if (error) return fail(error);
+
+        try {
+          resolve({
+            ...spec.describe(result),
+            size,
+            name: info.filename?.slice(0, MAX_UPLOAD_NAME_LENGTH),
+          });
+        } catch (describeError) {
+          // e.g. a video that turned out to be too long
+          failed = true;
+          await destroyUpload(result.secure_url, kind).catch(() => {});
+          reject(describeError);
+        }
+      },
+    );
+    const check = signatureCheck(matches, spec.typeError);
+
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      file.unpipe(check);
+      drain(file);
+      upload.destroy();
+      reject(error);
+    };
+
+    file.on("data", (chunk) => {
+      size += chunk.length;
+    });
+    file.on("limit", () =>
+      fail(
+        new UploadTooLargeError(
+          `Files can be at most ${spec.maxSize / 1024 / 1024} MB`,
+        ),
+      ),
+    );
+    file.on("error", fail);
+    check.on("error", fail);
+    upload.on("error", fail);
+
+    file.pipe(check).pipe(upload);
+  });
+
+// Reads a multipart request with a single file and stores it as the given
+// kind of upload, see the specs in postImages, postDocuments and postVideos.
+// Resolves with the asset's fields once the whole request has been read.
+export const receiveUpload = (req, kind, spec) =>
+  new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: 1, fields: 0, fileSize: spec.maxSize },
+      });
+    } catch {
+      return reject(new InvalidUploadError("Expected a multipart upload"));
+    }
+
+    let stored = null;
+    parser.on("file", (field, file, info) => {
+      if (stored) return drain(file);
+      stored = storeFile(file, info, kind, spec);
+      // handled once busboy is done, see "close"
+      stored.catch(() => {});
+    });
+    parser.on("close", () => {
+      if (!stored) return reject(new InvalidUploadError("No file was sent"));
+      stored.then(resolve, reject);
+    });
+    parser.on("error", () =>
+      reject(new InvalidUploadError("Malformed multipart upload")),
+    );
+
+    // the client went away; destroying the parser errors the file being
+    // stored, which stops its upload
+    const abort = () => {
+      const error = new InvalidUploadError("The upload was interrupted");
+      reject(error);
+      req.unpipe(parser);
+      parser.destroy(error);
+    };
+    req.on("aborted", abort);
+    req.on("error", abort);
+
+    req.pipe(parser);
+  });
+
+// Looks up the caller's unused uploads of the given kind, in the order asked
+// for. Pass them to claimAssets once whatever uses them has been saved, so a
+// failed save leaves them to removeUnusedAssets.
+export const findAssets = async (ids, owner, kind) => {
+  if (ids.length === 0) return [];
+
+  const invalid = new InvalidUploadError(`Unknown ${kind} upload`);
+  if (
+    !ids.every((id) => mongoose.isValidObjectId(id)) ||
+    new Set(ids.map(String)).size !== ids.length
+  ) {
+    throw invalid;
+  }
+
+  const assets = await Asset.find({ _id: { $in: ids }, owner, kind });
+  const byId = new Map(assets.map((asset) => [asset._id.toString(), asset]));
+  if (byId.size !== ids.length) {
+    throw invalid;
+  }
+  return ids.map((id) => byId.get(String(id)));
+};
+
+// Uploads only wait here until a post or profile takes them over; from then
+// on the file belongs to that and goes when it does. All of them are marked
+// with one claim first, so a request that loses the race for any of them
+// leaves every one as it was.
+export const claimAssets = async (assets) => {
+  if (assets.length === 0) return;
+
+  const claim = new mongoose.Types.ObjectId();
+  const { modifiedCount } = await Asset.updateMany(
+    { _id: { $in: assets.map((asset) => asset._id) }, claim: null },
+    { $set: { claim } },
+  );
+  // a second request got to them first
+  if (modifiedCount !== assets.length) {
+    await Asset.updateMany({ claim }, { $unset: { claim: 1 } });
+    throw new InvalidUploadError("That upload has already been used");
+  }
+  await Asset.deleteMany({ claim });
+};
+
+export const removeUnusedAssets = async () => {
+  const cutoff = new Date(Date.now() - UNUSED_ASSET_TTL);
+  const assets = await Asset.find({ createdAt: { $lt: cutoff }, claim: null });
+
+  for (const asset of assets) {
+    try {
+      await destroyUpload(asset.url, asset.kind);
+      await Asset.deleteOne({ _id: asset._id });
+    } catch (error) {
+      // try again on the next run
+      console.error(`Error removing unused upload ${asset._id}:`, error);
+    }
+  }
+
+  // claimed but never deleted, e.g. the server stopped in between; the files
+  // are in use, only the records go
+  await Asset.deleteMany({ createdAt: { $lt: cutoff }, claim: { $ne: null } });
+};
+
+export const startAssetCleanupJob = () =>
+  startJob("upload cleanup", removeUnusedAssets, CLEANUP_INTERVAL);
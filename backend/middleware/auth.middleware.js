@@ -1,9 +1,49 @@
 import jwt from "jsonwebtoken";
 import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import { ACCESS_COOKIE } from "../lib/session.js";
+import { hasPermission } from "../lib/permissions.js";
+
+const LAST_SEEN_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// restricted accounts can browse, but may only write to these routes
+const RESTRICTED_ALLOWED_ROUTES = [
+  "/api/v1/auth/resend-verification",
+  "/api/v1/auth/sessions",
+  "/api/v1/auth/2fa",
+];
+// and to these exact endpoints, which are theirs whatever state the account
+// is in; /users/me has other routes under it that stay off limits
+const RESTRICTED_ALLOWED_ENDPOINTS = [
+  "DELETE /api/v1/users/me",
+  "POST /api/v1/users/me/export",
+];
+
+const isReadOnlyRequest = (req) => {
+  if (req.method === "GET" || req.method === "HEAD") return true;
+
+  const path = req.baseUrl + req.path;
+  return (
+    RESTRICTED_ALLOWED_ENDPOINTS.includes(`${req.method} ${path}`) ||
+    RESTRICTED_ALLOWED_ROUTES.some(
+      (route) => path === route || path.startsWith(route + "/"),
+    )
+  );
+};
+
+const getRestrictionMessage = (user) => {
+  if (!user.verified) {
+    return "Please verify your email address to continue";
+  }
+  if (user.accountStatus === "pendingApproval") {
+    return "Your account is awaiting approval";
+  }
+  return null;
+};
 
 export const protectRoute = async (req, res, next) => {
   try {
-    const token = req.cookies["jwt-connect-campus"];
+    const token = req.cookies[ACCESS_COOKIE];
 
     if (!token) {
       return res
@@ -11,18 +51,57 @@ export const protectRoute = async (req, res, next) => {
         .json({ message: "Unauthorized - No Token Provided" });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (!decoded) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      // expired access tokens are routine, the client refreshes and retries
+      return res.status(401).json({ message: "Unauthorized - Invalid Token" });
+    }
+
+    // purpose-bound tokens (e.g. email verification) are not session tokens
+    if (!decoded || decoded.purpose || !decoded.sessionId) {
       return res.status(401).json({ message: "Unauthorized - Invalid Token" });
     }
 
+    const session = await Session.findOne({
+      _id: decoded.sessionId,
+      user: decoded.userId,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res
+        .status(401)
+        .json({ message: "Unauthorized - Session revoked" });
+    }
+
     const user = await User.findById(decoded.userId).select("-password");
 
     if (!user) {
       return res.status(401).json({ message: "User not found" });
     }
 
+    if (user.accountStatus === "suspended") {
+      return res
+        .status(403)
+        .json({ message: "Your account has been suspended" });
+    }
+
+    const restriction = getRestrictionMessage(user);
+    if (restriction && !isReadOnlyRequest(req)) {
+      return res.status(403).json({ message: restriction });
+    }
+
+    // avoid a write on every request, a few minutes of precision is plenty
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL) {
+      session.lastSeenAt = new Date();
+      session.ip = req.ip || session.ip;
+      await session.save();
+    }
+
     req.user = user;
+    req.authSession = session;
 
     next();
   } catch (error) {
@@ -30,3 +109,24 @@ export const protectRoute = async (req, res, next) => {
     res.status(500).json({ message: "Internal server error" });
   }
 };
+
+// use after protectRoute, e.g. router.put("/x", protectRoute, requireRole("admin"), handler)
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ message: "Forbidden - Insufficient role" });
+    }
+    next();
+  };
+
+// use after protectRoute, e.g.
+// router.put("/x", protectRoute, requirePermission("user:suspend"), handler)
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res
+      .status(403)
+      .json({ message: "Forbidden - Insufficient permissions" });
+  }
+  next();
+};
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// A file uploaded ahead of the post or profile that will use it, see
+// lib/uploads.js. Deleted once used; unused ones are cleaned up after a day.
+const assetSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["image", "document", "video"],
+      required: true,
+    },
+    url: { type: String, required: true },
+    // the file name it was uploaded with
+    name: { type: String },
+    // in bytes
+    size: { type: Number, required: true },
+    // documents: the first page, rendered on upload
+    thumbnail: { type: String },
+    pageCount: { type: Number },
+    // videos: the first frame and length in seconds
+    poster: { type: String },
+    duration: { type: Number },
+    width: { type: Number },
+    height: { type: Number },
+    // set while claimAssets hands it over, see there
+    claim: { type: mongoose.Schema.Types.ObjectId, default: null },
+  },
+  { timestamps: true },
+);
+
+// finding uploads nobody used, see removeUnusedAssets
+assetSchema.index({ createdAt: 1 });
+
+const Asset = mongoose.model("Asset", assetSchema);
+
+export default Asset;
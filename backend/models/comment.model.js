@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+import reactionSchema from "./reaction.schema.js";
+
+const commentSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    content: { type: String, required: true },
+    // users @mentioned in content, see lib/mentions.js
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    // null for top-level comments
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    // 0 for top-level comments, see MAX_REPLY_DEPTH in lib/comments.js
+    depth: { type: Number, default: 0 },
+    replyCount: { type: Number, default: 0 },
+    reactions: [reactionSchema],
+    // kept in step with reactions so "most relevant" can sort on it
+    reactionCount: { type: Number, default: 0 },
+    editedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+// top-level comments of a post, and replies to a comment, both paged by
+// date; the last one serves the "most relevant" comment order
+commentSchema.index({ post: 1, parent: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ parent: 1, createdAt: 1, _id: 1 });
+commentSchema.index({
+  post: 1,
+  parent: 1,
+  reactionCount: -1,
+  replyCount: -1,
+  createdAt: -1,
+  _id: -1,
+});
+commentSchema.index({ user: 1 });
+
+const Comment = mongoose.model("Comment", commentSchema);
+
+export default Comment;
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed"],
+      default: "pending",
+    },
+    // where the archive sits on disk, never sent to the client
+    filePath: { type: String, select: false },
+    size: { type: Number },
+    // set once the archive is ready; the download stops working after this
+    expiresAt: { type: Date },
+  },
+  { timestamps: true },
+);
+
+const DataExport = mongoose.model("DataExport", dataExportSchema);
+
+export default DataExport;
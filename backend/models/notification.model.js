@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { REACTION_TYPES } from "../lib/reactions.js";
 
 const notificationSchema = new mongoose.Schema(
   {
@@ -10,7 +11,17 @@ const notificationSchema = new mongoose.Schema(
     type: {
       type: String,
       required: true,
-      enum: ["like", "comment", "connectionAccepted"],
+      enum: [
+        "reaction",
+        "comment",
+        "reply",
+        "commentLike",
+        "mention",
+        "share",
+        "pollClosed",
+        "connectionAccepted",
+        "dataExportReady",
+      ],
     },
     relatedUser: {
       type: mongoose.Schema.Types.ObjectId,
@@ -20,6 +31,12 @@ const notificationSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Post",
     },
+    relatedComment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    // set on "reaction" and "commentLike" notifications
+    reactionType: { type: String, enum: REACTION_TYPES },
     read: {
       type: Boolean,
       default: false,
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// embedded in posts, see lib/polls.js; votes hold user ids and never leave
+// the server as is, presentPoll turns them into counts
+const pollSchema = new mongoose.Schema(
+  {
+    options: [
+      {
+        text: { type: String, required: true },
+        votes: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      },
+    ],
+    multipleChoice: { type: Boolean, default: false },
+    closesAt: { type: Date, required: true },
+    // set once the author has been told the poll closed
+    closedNotifiedAt: { type: Date, default: null },
+  },
+  { _id: false },
+);
+
+export default pollSchema;
@@ -1,4 +1,45 @@
 import mongoose from "mongoose";
+import reactionSchema from "./reaction.schema.js";
+import pollSchema from "./poll.schema.js";
+
+// alt text describes the image for screen readers, see lib/postImages.js
+const imageSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    alt: { type: String, default: "" },
+  },
+  { _id: false },
+);
+
+// an attached PDF, see lib/postDocuments.js
+const documentSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    // the first page, rendered when the PDF is uploaded
+    thumbnail: { type: String },
+    name: { type: String, required: true },
+    // in bytes
+    size: { type: Number, required: true },
+    pageCount: { type: Number, required: true },
+  },
+  { _id: false },
+);
+
+// an uploaded video, see lib/postVideos.js
+const videoSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    // the first frame, shown until the video plays
+    poster: { type: String },
+    // in seconds
+    duration: { type: Number, required: true },
+    width: { type: Number },
+    height: { type: Number },
+    // in bytes
+    size: { type: Number, required: true },
+  },
+  { _id: false },
+);
 
 const postSchema = new mongoose.Schema(
   {
@@ -8,19 +49,53 @@ const postSchema = new mongoose.Schema(
       required: true,
     },
     content: { type: String },
-    image: { type: String },
-    likes: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
-    comments: [
+    // hashtags in content, see lib/hashtags.js; kept in step on every edit
+    tags: [String],
+    // users @mentioned in content, see lib/mentions.js
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    // in display order, replaced the old single `image` url
+    images: [imageSchema],
+    // set when the post is created and kept as is through edits
+    document: { type: documentSchema, default: undefined },
+    // same as document
+    video: { type: videoSchema, default: undefined },
+    // optional, the content is the question; see lib/polls.js
+    poll: { type: pollSchema, default: undefined },
+    // only roles with the "post:announce" permission can set this
+    isAnnouncement: { type: Boolean, default: false },
+    // see lib/reactions.js, replaced the old `likes` array of user ids
+    reactions: [reactionSchema],
+    // set on every edit; createdAt stays the original posting time
+    editedAt: { type: Date, default: null },
+    // earlier versions, oldest first; replacedAt is when the edit happened
+    revisions: [
       {
         content: { type: String },
-        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-        createdAt: { type: Date, default: Date.now },
+        images: [imageSchema],
+        replacedAt: { type: Date, default: Date.now },
       },
     ],
+    // set on reposts and quotes; left unset otherwise so a repost of a
+    // since-deleted post can still be told apart (it populates to null)
+    sharedPost: { type: mongoose.Schema.Types.ObjectId, ref: "Post" },
+    // reposts and quotes of this post, see sharePost
+    shareCount: { type: Number, default: 0 },
+    // comments live in their own collection, see comment.model.js;
+    // this counts them all, replies included
+    commentCount: { type: Number, default: 0 },
+    // set by the author; existing comments stay visible
+    commentsDisabled: { type: Boolean, default: false },
   },
   { timestamps: true },
 );
 
+// the feed pages through a user's network newest first, see getFeedPosts
+postSchema.index({ author: 1, createdAt: -1, _id: -1 });
+// hashtag pages and followed tags in the feed, see getPostsByTag
+postSchema.index({ tags: 1, createdAt: -1, _id: -1 });
+// finding polls that just closed, see notifyClosedPolls
+postSchema.index({ "poll.closesAt": 1 }, { sparse: true });
+
 const Post = mongoose.model("Post", postSchema);
 
 export default Post;
@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+import { REACTION_TYPES } from "../lib/reactions.js";
+
+// embedded in anything people can react to, one entry per user
+const reactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: { type: String, enum: REACTION_TYPES, required: true },
+  },
+  { _id: false, timestamps: true },
+);
+
+export default reactionSchema;
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    lastSeenAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null },
+    // sha256 of the only refresh token of this family that is still valid
+    refreshTokenHash: { type: String, select: false },
+    // the one it replaced and when, still taken for a few seconds in case a
+    // parallel refresh was sent with it, see refreshSession
+    previousTokenHash: { type: String, select: false },
+    rotatedAt: { type: Date },
+    // mongo drops the document once its refresh token has expired
+    expiresAt: { type: Date, required: true, expires: 0 },
+  },
+  { timestamps: true },
+);
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { ROLES } from "../lib/permissions.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -9,6 +10,40 @@ const userSchema = new mongoose.Schema(
     username: { type: String, required: true, unique: true },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
+    verified: { type: Boolean, default: false },
+    // jti of the outstanding email verification token, cleared once used
+    verificationTokenId: { type: String, select: false },
+    // sha256 of the emailed reset token, never the token itself
+    resetPasswordToken: { type: String, select: false },
+    resetPasswordExpiresAt: { type: Date, select: false },
+    twoFactorEnabled: { type: Boolean, default: false },
+    // set during enrollment, only trusted once twoFactorEnabled is true
+    twoFactorSecret: { type: String, select: false },
+    // sha256 hashes, each code is removed once used
+    twoFactorRecoveryCodes: { type: [String], select: false },
+    // time step of the last code a login used, see lib/totp.js
+    twoFactorLastStep: { type: Number, select: false },
+    // jti of the outstanding login challenge, cleared once used
+    twoFactorChallengeId: { type: String, select: false },
+    // filled from the email domain at signup, see lib/campusDomains.js
+    institution: {
+      type: String,
+      default: "",
+    },
+    accountStatus: {
+      type: String,
+      enum: ["active", "pendingApproval", "suspended"],
+      default: "active",
+    },
+    // set by DELETE /users/me; logging in before then cancels the deletion,
+    // after it lib/accountDeletion.js purges the account
+    deletionScheduledFor: { type: Date, default: null },
+    // see lib/permissions.js for what each role may do
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "student",
+    },
     profilePicture: {
       type: String,
       default: "",
@@ -53,6 +88,11 @@ const userSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // normalized like post tags; matching posts show up in the feed even
+    // from outside the user's network
+    followedTags: [String],
+    // mention notifications always show in the app, the email is opt-out
+    mentionEmails: { type: Boolean, default: true },
   },
   { timestamps: true },
 );
@@ -0,0 +1,47 @@
+import express from "express";
+import {
+  protectRoute,
+  requirePermission,
+} from "../middleware/auth.middleware.js";
+import {
+  approveUser,
+  changeUserRole,
+  getPendingUsers,
+  suspendUser,
+  unsuspendUser,
+} from "../controllers/admin.controller.js";
+
+const router = express.Router();
+
+router.get(
+  "/users/pending",
+  protectRoute,
+  requirePermission("user:approve"),
+  getPendingUsers,
+);
+router.put(
+  "/users/:username/role",
+  protectRoute,
+  requirePermission("user:change-role"),
+  changeUserRole,
+);
+router.put(
+  "/users/:username/approve",
+  protectRoute,
+  requirePermission("user:approve"),
+  approveUser,
+);
+router.put(
+  "/users/:username/suspend",
+  protectRoute,
+  requirePermission("user:suspend"),
+  suspendUser,
+);
+router.put(
+  "/users/:username/unsuspend",
+  protectRoute,
+  requirePermission("user:suspend"),
+  unsuspendUser,
+);
+
+export default router;
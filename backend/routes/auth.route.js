@@ -4,15 +4,45 @@ import {
   logout,
   signup,
   getCurrentUser,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  verifyLoginTwoFactor,
 } from "../controllers/auth.controller.js";
+import {
+  getActiveSessions,
+  refreshSession,
+  revokeAllUserSessions,
+  revokeSession,
+} from "../controllers/session.controller.js";
+import {
+  disableTwoFactor,
+  enableTwoFactor,
+  setupTwoFactor,
+} from "../controllers/twoFactor.controller.js";
 import { protectRoute } from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
 router.post("/signup", signup);
 router.post("/login", login);
+router.post("/login/2fa", verifyLoginTwoFactor);
 router.post("/logout", logout);
+router.post("/refresh", refreshSession);
+router.get("/verify/:token", verifyEmail);
+router.post("/resend-verification", protectRoute, resendVerificationEmail);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password/:token", resetPassword);
 
 router.get("/me", protectRoute, getCurrentUser);
 
+router.get("/sessions", protectRoute, getActiveSessions);
+router.delete("/sessions", protectRoute, revokeAllUserSessions);
+router.delete("/sessions/:sessionId", protectRoute, revokeSession);
+
+router.post("/2fa/setup", protectRoute, setupTwoFactor);
+router.post("/2fa/enable", protectRoute, enableTwoFactor);
+router.post("/2fa/disable", protectRoute, disableTwoFactor);
+
 export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import { getCommentReplies } from "../controllers/comment.controller.js";
+
+const router = express.Router();
+
+router.get("/:commentId/replies", protectRoute, getCommentReplies);
+
+export default router;
@@ -4,18 +4,54 @@ import {
   createPost,
   getFeedPosts,
   deletePost,
+  updatePost,
   getPostById,
-  createComment,
-  likePost,
+  getPostsByTag,
+  reactToPost,
+  removePostReaction,
+  getPostReactions,
+  sharePost,
+  votePoll,
 } from "../controllers/post.controller.js";
+import {
+  createComment,
+  getPostComments,
+  updateComment,
+  deleteComment,
+  setCommentsDisabled,
+  reactToComment,
+  removeCommentReaction,
+  getCommentReactions,
+} from "../controllers/comment.controller.js";
 
 const router = express.Router();
 
 router.get("/", protectRoute, getFeedPosts);
 router.post("/create", protectRoute, createPost);
 router.delete("/delete/:id", protectRoute, deletePost);
+router.get("/tag/:tag", protectRoute, getPostsByTag);
 router.get("/:id", protectRoute, getPostById);
+router.put("/:id", protectRoute, updatePost);
+router.get("/:id/comments", protectRoute, getPostComments);
+router.patch("/:id/comments", protectRoute, setCommentsDisabled);
+router.put("/:id/comments/:commentId", protectRoute, updateComment);
+router.delete("/:id/comments/:commentId", protectRoute, deleteComment);
+router.get(
+  "/:id/comments/:commentId/reactions",
+  protectRoute,
+  getCommentReactions,
+);
+router.post("/:id/comments/:commentId/reactions", protectRoute, reactToComment);
+router.delete(
+  "/:id/comments/:commentId/reactions",
+  protectRoute,
+  removeCommentReaction,
+);
 router.post("/:id/comment", protectRoute, createComment);
-router.post("/:id/like", protectRoute, likePost);
+router.post("/:id/share", protectRoute, sharePost);
+router.post("/:id/vote", protectRoute, votePoll);
+router.get("/:id/reactions", protectRoute, getPostReactions);
+router.post("/:id/reactions", protectRoute, reactToPost);
+router.delete("/:id/reactions", protectRoute, removePostReaction);
 
 export default router;
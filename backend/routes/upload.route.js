@@ -0,0 +1,9 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import { uploadAsset } from "../controllers/upload.controller.js";
+
+const router = express.Router();
+
+router.post("/:kind", protectRoute, uploadAsset);
+
+export default router;
@@ -1,16 +1,34 @@
 import express from "express";
 import { protectRoute } from "../middleware/auth.middleware.js";
 import {
+  deleteAccount,
+  followTag,
+  unfollowTag,
   getSuggestedConnections,
   getPublicProfile,
+  searchUsers,
   updateProfile,
 } from "../controllers/user.controller.js";
+import {
+  downloadDataExport,
+  getDataExports,
+  requestDataExport,
+} from "../controllers/dataExport.controller.js";
 
 const router = express.Router();
 
 router.get("/suggestions", protectRoute, getSuggestedConnections);
+router.get("/search", protectRoute, searchUsers);
 router.get("/:username", protectRoute, getPublicProfile);
 
 router.put("/profile", protectRoute, updateProfile);
+router.delete("/me", protectRoute, deleteAccount);
+
+router.put("/me/followed-tags/:tag", protectRoute, followTag);
+router.delete("/me/followed-tags/:tag", protectRoute, unfollowTag);
+
+router.post("/me/export", protectRoute, requestDataExport);
+router.get("/me/exports", protectRoute, getDataExports);
+router.get("/me/exports/:exportId/download", protectRoute, downloadDataExport);
 
 export default router;
@@ -0,0 +1,33 @@
+// Fills in `tags` for posts written before hashtags were extracted:
+//   npm run migrate:hashtags
+// Safe to run more than once; it only looks at posts without tags.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDB } from "../lib/db.js";
+import { extractHashtags } from "../lib/hashtags.js";
+import Post from "../models/post.model.js";
+
+dotenv.config();
+
+await connectDB();
+
+const cursor = Post.find({ tags: { $exists: false } })
+  .select("content")
+  .lean()
+  .cursor();
+
+let posts = 0;
+let tagged = 0;
+
+for await (const post of cursor) {
+  const tags = extractHashtags(post.content);
+  // write even an empty list so the next run skips this post
+  await Post.updateOne({ _id: post._id }, { $set: { tags } });
+
+  posts += 1;
+  if (tags.length > 0) tagged += 1;
+}
+
+console.log(`Checked ${posts} posts, ${tagged} had hashtags`);
+
+await mongoose.disconnect();
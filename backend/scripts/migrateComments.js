@@ -0,0 +1,62 @@
+// Moves comments embedded in posts into the comments collection:
+//   npm run migrate:comments
+// Safe to run more than once; posts already migrated have no `comments` array.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDB } from "../lib/db.js";
+import Post from "../models/post.model.js";
+import Comment from "../models/comment.model.js";
+
+dotenv.config();
+
+await connectDB();
+
+// the schema no longer knows about `comments`, so read the raw documents
+const cursor = Post.collection.find(
+  { comments: { $exists: true } },
+  { projection: { comments: 1 } },
+);
+
+let posts = 0;
+let comments = 0;
+
+for await (const post of cursor) {
+  const embedded = post.comments || [];
+
+  if (embedded.length > 0) {
+    // keep the original ids and dates; upserts make a rerun a no-op
+    await Comment.collection.bulkWrite(
+      embedded.map((comment) => ({
+        updateOne: {
+          filter: { _id: comment._id },
+          update: {
+            $setOnInsert: {
+              post: post._id,
+              user: comment.user,
+              content: comment.content,
+              parent: null,
+              depth: 0,
+              replyCount: 0,
+              createdAt: comment.createdAt,
+              updatedAt: comment.createdAt,
+            },
+          },
+          upsert: true,
+        },
+      })),
+    );
+  }
+
+  const commentCount = await Comment.countDocuments({ post: post._id });
+  await Post.collection.updateOne(
+    { _id: post._id },
+    { $set: { commentCount }, $unset: { comments: "" } },
+  );
+
+  posts += 1;
+  comments += embedded.length;
+}
+
+console.log(`Migrated ${comments} comments from ${posts} posts`);
+
+await mongoose.disconnect();
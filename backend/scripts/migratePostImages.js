@@ -0,0 +1,46 @@
+// Moves the old single `image` on posts and their revisions into `images`:
+//   npm run migrate:images
+// Safe to run more than once; migrated posts have no `image` left.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDB } from "../lib/db.js";
+import Post from "../models/post.model.js";
+
+dotenv.config();
+
+await connectDB();
+
+const toImages = (image) => (image ? [{ url: image, alt: "" }] : []);
+
+// the schema no longer knows about `image`, so read the raw documents
+const cursor = Post.collection.find(
+  {
+    $or: [
+      { image: { $exists: true } },
+      { "revisions.image": { $exists: true } },
+    ],
+  },
+  { projection: { image: 1, images: 1, revisions: 1 } },
+);
+
+let posts = 0;
+
+for await (const post of cursor) {
+  const revisions = (post.revisions || []).map(({ image, ...revision }) => ({
+    ...revision,
+    images: revision.images || toImages(image),
+  }));
+
+  await Post.collection.updateOne(
+    { _id: post._id },
+    {
+      $set: { images: post.images || toImages(post.image), revisions },
+      $unset: { image: "" },
+    },
+  );
+  posts += 1;
+}
+
+console.log(`Migrated the images of ${posts} posts`);
+
+await mongoose.disconnect();
@@ -0,0 +1,53 @@
+// Turns the old `likes` arrays on posts into "like" reactions:
+//   npm run migrate:reactions
+// Safe to run more than once; posts already migrated have no `likes` array.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDB } from "../lib/db.js";
+import Post from "../models/post.model.js";
+import Notification from "../models/notification.model.js";
+
+dotenv.config();
+
+await connectDB();
+
+// the schema no longer knows about `likes`, so read the raw documents
+const cursor = Post.collection.find(
+  { likes: { $exists: true } },
+  { projection: { likes: 1, reactions: 1, updatedAt: 1 } },
+);
+
+let posts = 0;
+let likes = 0;
+
+for await (const post of cursor) {
+  const reactions = post.reactions || [];
+  const reacted = new Set(reactions.map(({ user }) => user.toString()));
+  // we never knew when a like happened, the post's last update is the best guess
+  const at = post.updatedAt || new Date();
+
+  for (const user of post.likes || []) {
+    if (reacted.has(user.toString())) continue;
+    reacted.add(user.toString());
+    reactions.push({ user, type: "like", createdAt: at, updatedAt: at });
+    likes += 1;
+  }
+
+  await Post.collection.updateOne(
+    { _id: post._id },
+    { $set: { reactions }, $unset: { likes: "" } },
+  );
+  posts += 1;
+}
+
+const { modifiedCount: notifications } =
+  await Notification.collection.updateMany(
+    { type: "like" },
+    { $set: { type: "reaction", reactionType: "like" } },
+  );
+
+console.log(
+  `Migrated ${likes} likes from ${posts} posts and ${notifications} notifications`,
+);
+
+await mongoose.disconnect();
@@ -0,0 +1,23 @@
+// Marks accounts created before email verification existed as verified, so
+// they aren't locked out of everything but reading:
+//   npm run migrate:verified
+// Safe to run more than once; every account since has `verified` set, to false
+// until its owner follows the emailed link.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDB } from "../lib/db.js";
+import User from "../models/user.model.js";
+
+dotenv.config();
+
+await connectDB();
+
+// the schema fills in `verified: false` on read, so go by the raw documents
+const { modifiedCount } = await User.collection.updateMany(
+  { verified: { $exists: false } },
+  { $set: { verified: true } },
+);
+
+console.log(`Marked ${modifiedCount} existing users as verified`);
+
+await mongoose.disconnect();
@@ -0,0 +1,33 @@
+// Grants a role from the command line, mainly to create the first admin:
+//   npm run set-role -- <username> <role>
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { connectDB } from "../lib/db.js";
+import { ROLES } from "../lib/permissions.js";
+import User from "../models/user.model.js";
+
+dotenv.config();
+
+const [username, role] = process.argv.slice(2);
+
+if (!username || !ROLES.includes(role)) {
+  console.error(`Usage: npm run set-role -- <username> <${ROLES.join("|")}>`);
+  process.exit(1);
+}
+
+await connectDB();
+
+const user = await User.findOneAndUpdate(
+  { username },
+  { $set: { role } },
+  { new: true },
+);
+
+if (user) {
+  console.log(`${user.username} is now ${user.role}`);
+} else {
+  console.error(`User "${username}" not found`);
+  process.exitCode = 1;
+}
+
+await mongoose.disconnect();
@@ -7,10 +7,17 @@ import path from "path";
 import authRoutes from "./routes/auth.route.js";
 import userRoutes from "./routes/user.route.js";
 import postRoutes from "./routes/post.route.js";
+import commentRoutes from "./routes/comment.route.js";
 import notificationRoutes from "./routes/notification.route.js";
 import connectionRoutes from "./routes/connection.route.js";
+import adminRoutes from "./routes/admin.route.js";
+import uploadRoutes from "./routes/upload.route.js";
 
 import { connectDB } from "./lib/db.js";
+import { startAccountPurgeJob } from "./lib/accountDeletion.js";
+import { startExportCleanupJob } from "./lib/dataExport.js";
+import { startPollCloseJob } from "./lib/polls.js";
+import { startAssetCleanupJob } from "./lib/uploads.js";
 
 dotenv.config();
 
@@ -18,6 +25,10 @@ const app = express();
 const PORT = process.env.PORT || 5000;
 const __dirname = path.resolve();
 
+if (process.env.NODE_ENV === "production") {
+  app.set("trust proxy", 1); // so req.ip is the client, not the host's proxy
+}
+
 if (process.env.NODE_ENV !== "production") {
   app.use(
     cors({
@@ -27,14 +38,19 @@ if (process.env.NODE_ENV !== "production") {
   );
 }
 
-app.use(express.json({ limit: "5mb" })); // parse JSON request bodies
+// parse JSON request bodies; files don't come through here, they're streamed
+// to /uploads and referred to by asset id
+app.use(express.json());
 app.use(cookieParser());
 
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/users", userRoutes);
 app.use("/api/v1/posts", postRoutes);
+app.use("/api/v1/comments", commentRoutes);
 app.use("/api/v1/notifications", notificationRoutes);
 app.use("/api/v1/connections", connectionRoutes);
+app.use("/api/v1/admin", adminRoutes);
+app.use("/api/v1/uploads", uploadRoutes);
 
 if (process.env.NODE_ENV === "production") {
   app.use(express.static(path.join(__dirname, "/frontend/dist")));
@@ -46,5 +62,10 @@ if (process.env.NODE_ENV === "production") {
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-  connectDB();
+  connectDB().then(() => {
+    startAccountPurgeJob();
+    startExportCleanupJob();
+    startPollCloseJob();
+    startAssetCleanupJob();
+  });
 });
@@ -4,6 +4,10 @@ import Layout from "./components/layout/Layout";
 import HomePage from "./pages/HomePage";
 import LoginPage from "./pages/auth/LoginPage";
 import SignUpPage from "./pages/auth/SignUpPage";
+import CheckInboxPage from "./pages/auth/CheckInboxPage";
+import VerifyEmailPage from "./pages/auth/VerifyEmailPage";
+import ForgotPasswordPage from "./pages/auth/ForgotPasswordPage";
+import ResetPasswordPage from "./pages/auth/ResetPasswordPage";
 import toast, { Toaster } from "react-hot-toast";
 import { useQuery } from "@tanstack/react-query";
 import { axiosInstance } from "./lib/axios";
@@ -11,6 +15,8 @@ import NotificationsPage from "./pages/NotificationsPage";
 import NetworkPage from "./pages/NetworkPage";
 import PostPage from "./pages/PostPage";
 import ProfilePage from "./pages/ProfilePage";
+import SecurityPage from "./pages/SecurityPage";
+import TagPage from "./pages/TagPage";
 
 function App() {
 	const { data: authUser, isLoading } = useQuery({
@@ -36,10 +42,21 @@ function App() {
 				<Route path='/' element={authUser ? <HomePage /> : <Navigate to={"/login"} />} />
 				<Route path='/signup' element={!authUser ? <SignUpPage /> : <Navigate to={"/"} />} />
 				<Route path='/login' element={!authUser ? <LoginPage /> : <Navigate to={"/"} />} />
+				<Route
+					path='/verify-email'
+					element={
+						!authUser ? <Navigate to={"/login"} /> : authUser.verified ? <Navigate to={"/"} /> : <CheckInboxPage />
+					}
+				/>
+				<Route path='/verify/:token' element={<VerifyEmailPage />} />
+				<Route path='/forgot-password' element={!authUser ? <ForgotPasswordPage /> : <Navigate to={"/"} />} />
+				<Route path='/reset-password/:token' element={<ResetPasswordPage />} />
 				<Route path='/notifications' element={authUser ? <NotificationsPage /> : <Navigate to={"/login"} />} />
 				<Route path='/network' element={authUser ? <NetworkPage /> : <Navigate to={"/login"} />} />
 				<Route path='/post/:postId' element={authUser ? <PostPage /> : <Navigate to={"/login"} />} />
 				<Route path='/profile/:username' element={authUser ? <ProfilePage /> : <Navigate to={"/login"} />} />
+				<Route path='/tag/:tag' element={authUser ? <TagPage /> : <Navigate to={"/login"} />} />
+				<Route path='/settings/security' element={authUser ? <SecurityPage /> : <Navigate to={"/login"} />} />
 			</Routes>
 			<Toaster />
 		</Layout>
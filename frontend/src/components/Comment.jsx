@@ -0,0 +1,296 @@
+import {
+  useInfiniteQuery,
+  useMutation,
+  useQuery,
+  useQueryClient,
+} from "@tanstack/react-query";
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import toast from "react-hot-toast";
+import { Loader, MoreHorizontal, Pencil, Trash2 } from "lucide-react";
+import { formatDistanceToNow } from "date-fns";
+import { axiosInstance } from "../lib/axios";
+import { hasPermission } from "../utils/permissions";
+import { findUserReaction } from "../utils/reactions";
+import CommentForm from "./CommentForm";
+import MentionInput from "./MentionInput";
+import PostContent from "./PostContent";
+import ReactionButton from "./ReactionButton";
+import ReactionSummary from "./ReactionSummary";
+import ReactionsModal from "./ReactionsModal";
+
+const CommentReplies = ({ commentId, post }) => {
+  const { data, fetchNextPage, hasNextPage, isFetchingNextPage, isPending } =
+    useInfiniteQuery({
+      queryKey: ["replies", commentId],
+      queryFn: async ({ pageParam }) => {
+        const res = await axiosInstance.get(`/comments/${commentId}/replies`, {
+          params: { cursor: pageParam },
+        });
+        return res.data;
+      },
+      initialPageParam: undefined,
+      getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+    });
+
+  if (isPending) {
+    return <Loader size={16} className="animate-spin ml-10 mb-2" />;
+  }
+
+  const replies = data.pages.flatMap((page) => page.comments);
+
+  return (
+    <div className="ml-10">
+      {replies.map((reply) => (
+        <Comment key={reply._id} comment={reply} post={post} />
+      ))}
+      {hasNextPage && (
+        <button
+          onClick={() => fetchNextPage()}
+          disabled={isFetchingNextPage}
+          className="text-xs text-primary hover:underline mb-2"
+        >
+          {isFetchingNextPage ? "Loading..." : "View more replies"}
+        </button>
+      )}
+    </div>
+  );
+};
+
+const Comment = ({ comment, post }) => {
+  const { data: authUser } = useQuery({ queryKey: ["authUser"] });
+  const queryClient = useQueryClient();
+  const [isReplying, setIsReplying] = useState(false);
+  const [showReplies, setShowReplies] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [content, setContent] = useState(comment.content);
+  const [showReactions, setShowReactions] = useState(false);
+  const userReaction = findUserReaction(comment.reactions, authUser._id);
+  const commentUrl = `/posts/${post._id}/comments/${comment._id}`;
+
+  const isCommenter = authUser._id === comment.user._id;
+  // post authors moderate the comments on their own posts
+  const canDelete =
+    isCommenter ||
+    authUser._id === post.author._id ||
+    hasPermission(authUser, "comment:delete:any");
+
+  const refreshComments = () => {
+    queryClient.invalidateQueries({ queryKey: ["comments", post._id] });
+    queryClient.invalidateQueries({ queryKey: ["replies"] });
+  };
+
+  const { mutate: updateComment, isPending: isUpdating } = useMutation({
+    mutationFn: (data) => axiosInstance.put(commentUrl, data),
+    onSuccess: () => {
+      refreshComments();
+      setIsEditing(false);
+      toast.success("Comment updated");
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.message || "Failed to update comment");
+    },
+  });
+
+  const { mutate: deleteComment, isPending: isDeleting } = useMutation({
+    mutationFn: () => axiosInstance.delete(commentUrl),
+    onSuccess: () => {
+      refreshComments();
+      queryClient.invalidateQueries({ queryKey: ["posts"] });
+      queryClient.invalidateQueries({ queryKey: ["post", post._id] });
+      toast.success("Comment deleted");
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.message || "Failed to delete comment");
+    },
+  });
+
+  // an empty type removes the current reaction
+  const { mutate: reactToComment, isPending: isReacting } = useMutation({
+    mutationFn: (type) =>
+      type
+        ? axiosInstance.post(`${commentUrl}/reactions`, { type })
+        : axiosInstance.delete(`${commentUrl}/reactions`),
+    onSuccess: () => {
+      refreshComments();
+      queryClient.invalidateQueries({ queryKey: ["reactions"] });
+    },
+  });
+
+  const handleDelete = () => {
+    const message =
+      comment.replyCount > 0
+        ? "Delete this comment and its replies?"
+        : "Are you sure you want to delete this comment?";
+    if (!window.confirm(message)) return;
+    deleteComment();
+  };
+
+  const handleUpdate = (e) => {
+    e.preventDefault();
+    if (!content.trim() || isUpdating) return;
+    updateComment({ content });
+  };
+
+  const cancelEdit = () => {
+    setContent(comment.content);
+    setIsEditing(false);
+  };
+
+  return (
+    <div>
+      <div className="mb-2 bg-base-100 p-2 rounded flex items-start">
+        <Link to={`/profile/${comment.user.username}`}>
+          <img
+            src={comment.user.profilePicture || "/avatar.png"}
+            alt={comment.user.name}
+            className="w-8 h-8 rounded-full mr-2 flex-shrink-0"
+          />
+        </Link>
+        <div className="flex-grow">
+          <div className="flex items-center mb-1">
+            <Link
+              to={`/profile/${comment.user.username}`}
+              className="font-semibold mr-2"
+            >
+              {comment.user.name}
+            </Link>
+            <span className="text-xs text-info">
+              {formatDistanceToNow(new Date(comment.createdAt))}
+              {comment.editedAt && " · Edited"}
+            </span>
+            {(isCommenter || canDelete) && !isEditing && (
+              <div className="dropdown dropdown-end ml-auto">
+                <button
+                  tabIndex={0}
+                  className="text-info hover:text-primary"
+                  aria-label="Comment actions"
+                >
+                  {isDeleting ? (
+                    <Loader size={16} className="animate-spin" />
+                  ) : (
+                    <MoreHorizontal size={16} />
+                  )}
+                </button>
+                <ul
+                  tabIndex={0}
+                  className="dropdown-content menu menu-sm bg-base-100 rounded-box shadow z-10 w-32"
+                >
+                  {isCommenter && (
+                    <li>
+                      <button onClick={() => setIsEditing(true)}>
+                        <Pencil size={14} />
+                        Edit
+                      </button>
+                    </li>
+                  )}
+                  {canDelete && (
+                    <li>
+                      <button onClick={handleDelete} className="text-red-500">
+                        <Trash2 size={14} />
+                        Delete
+                      </button>
+                    </li>
+                  )}
+                </ul>
+              </div>
+            )}
+          </div>
+          {isEditing ? (
+            <form onSubmit={handleUpdate}>
+              <MentionInput
+                type="text"
+                value={content}
+                onChange={setContent}
+                autoFocus
+                className="w-full p-2 rounded bg-base-200 focus:outline-none focus:ring-2 focus:ring-primary"
+              />
+              <div className="flex justify-end gap-2 mt-2">
+                <button
+                  type="button"
+                  onClick={cancelEdit}
+                  className="btn btn-ghost btn-xs"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="btn btn-primary btn-xs"
+                  disabled={isUpdating || !content.trim()}
+                >
+                  {isUpdating ? "Saving..." : "Save"}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <PostContent
+              content={comment.content}
+              mentions={comment.mentions}
+            />
+          )}
+          <div className="flex items-center gap-3 mt-1 text-xs text-info">
+            <ReactionButton
+              currentType={userReaction?.type}
+              onReact={reactToComment}
+              onRemove={() => reactToComment(null)}
+              disabled={isReacting}
+              compact
+            />
+            {!post.commentsDisabled && (
+              <button
+                onClick={() => setIsReplying(!isReplying)}
+                className="hover:text-primary"
+              >
+                Reply
+              </button>
+            )}
+            {comment.replyCount > 0 && (
+              <button
+                onClick={() => setShowReplies(!showReplies)}
+                className="hover:text-primary"
+              >
+                {showReplies
+                  ? "Hide replies"
+                  : `View ${comment.replyCount} ${
+                      comment.replyCount === 1 ? "reply" : "replies"
+                    }`}
+              </button>
+            )}
+            <span className="ml-auto">
+              <ReactionSummary
+                reactions={comment.reactions}
+                onClick={() => setShowReactions(true)}
+              />
+            </span>
+          </div>
+        </div>
+      </div>
+
+      {showReactions && (
+        <ReactionsModal
+          endpoint={`${commentUrl}/reactions`}
+          onClose={() => setShowReactions(false)}
+        />
+      )}
+
+      {isReplying && !post.commentsDisabled && (
+        <div className="ml-10 mb-2">
+          <CommentForm
+            postId={post._id}
+            parent={comment}
+            onDone={() => {
+              setIsReplying(false);
+              setShowReplies(true);
+            }}
+          />
+        </div>
+      )}
+
+      {showReplies && comment.replyCount > 0 && (
+        <CommentReplies commentId={comment._id} post={post} />
+      )}
+    </div>
+  );
+};
+
+export default Comment;
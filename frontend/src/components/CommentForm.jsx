@@ -0,0 +1,63 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { Loader, Send } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+import MentionInput from "./MentionInput";
+
+const CommentForm = ({ postId, parent, onDone }) => {
+  const queryClient = useQueryClient();
+  const [content, setContent] = useState("");
+
+  const { mutate: createComment, isPending } = useMutation({
+    mutationFn: (data) => axiosInstance.post(`/posts/${postId}/comment`, data),
+    onSuccess: () => {
+      setContent("");
+      queryClient.invalidateQueries({ queryKey: ["comments", postId] });
+      queryClient.invalidateQueries({ queryKey: ["replies"] });
+      queryClient.invalidateQueries({ queryKey: ["posts"] });
+      queryClient.invalidateQueries({ queryKey: ["post", postId] });
+      toast.success(parent ? "Reply added" : "Comment added successfully");
+      onDone?.();
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.message || "Failed to add comment");
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!content.trim() || isPending) return;
+    createComment({ content, parentId: parent?._id });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex items-center">
+      <MentionInput
+        type="text"
+        value={content}
+        onChange={setContent}
+        placeholder={
+          parent ? `Reply to ${parent.user.name}...` : "Add a comment..."
+        }
+        autoFocus={Boolean(parent)}
+        containerClassName="flex-grow"
+        className="w-full p-2 rounded-l-full bg-base-100 focus:outline-none focus:ring-2 focus:ring-primary"
+      />
+
+      <button
+        type="submit"
+        className="bg-primary text-white p-2 rounded-r-full hover:bg-primary-dark transition duration-300"
+        disabled={isPending}
+      >
+        {isPending ? (
+          <Loader size={18} className="animate-spin" />
+        ) : (
+          <Send size={18} />
+        )}
+      </button>
+    </form>
+  );
+};
+
+export default CommentForm;
@@ -0,0 +1,122 @@
+import {
+  useInfiniteQuery,
+  useMutation,
+  useQuery,
+  useQueryClient,
+} from "@tanstack/react-query";
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { Loader, MessageCircle, MessageCircleOff } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+import Comment from "./Comment";
+import CommentForm from "./CommentForm";
+
+const COMMENT_SORTS = [
+  { value: "newest", label: "Newest" },
+  { value: "relevant", label: "Most relevant" },
+];
+
+const CommentSection = ({ post }) => {
+  const postId = post._id;
+  const [sort, setSort] = useState("newest");
+  const { data: authUser } = useQuery({ queryKey: ["authUser"] });
+  const queryClient = useQueryClient();
+  const isPostAuthor = authUser._id === post.author._id;
+
+  const { data, fetchNextPage, hasNextPage, isFetchingNextPage, isPending } =
+    useInfiniteQuery({
+      queryKey: ["comments", postId, sort],
+      queryFn: async ({ pageParam }) => {
+        const res = await axiosInstance.get(`/posts/${postId}/comments`, {
+          params: { sort, cursor: pageParam },
+        });
+        return res.data;
+      },
+      initialPageParam: undefined,
+      getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+    });
+
+  const comments = data?.pages.flatMap((page) => page.comments) ?? [];
+
+  const { mutate: setCommentsDisabled, isPending: isToggling } = useMutation({
+    mutationFn: (commentsDisabled) =>
+      axiosInstance.patch(`/posts/${postId}/comments`, { commentsDisabled }),
+    onSuccess: ({ data }) => {
+      queryClient.invalidateQueries({ queryKey: ["posts"] });
+      queryClient.invalidateQueries({ queryKey: ["post", postId] });
+      toast.success(
+        data.commentsDisabled ? "Comments turned off" : "Comments turned on",
+      );
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.message || "Failed to update comments");
+    },
+  });
+
+  return (
+    <div className="px-4 pb-4">
+      <div className="flex items-center justify-between mb-2">
+        <select
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+          className="select select-ghost select-xs text-info"
+          aria-label="Sort comments"
+        >
+          {COMMENT_SORTS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {isPostAuthor && (
+          <button
+            onClick={() => setCommentsDisabled(!post.commentsDisabled)}
+            disabled={isToggling}
+            className="flex items-center gap-1 text-xs text-info hover:text-primary"
+          >
+            {post.commentsDisabled ? (
+              <>
+                <MessageCircle size={14} />
+                Turn on comments
+              </>
+            ) : (
+              <>
+                <MessageCircleOff size={14} />
+                Turn off comments
+              </>
+            )}
+          </button>
+        )}
+      </div>
+      <div className="mb-4 max-h-96 overflow-y-auto">
+        {isPending && (
+          <div className="flex justify-center py-2">
+            <Loader size={18} className="animate-spin" />
+          </div>
+        )}
+        {comments.map((comment) => (
+          <Comment key={comment._id} comment={comment} post={post} />
+        ))}
+        {hasNextPage && (
+          <button
+            onClick={() => fetchNextPage()}
+            disabled={isFetchingNextPage}
+            className="text-sm text-primary hover:underline"
+          >
+            {isFetchingNextPage ? "Loading..." : "Load more comments"}
+          </button>
+        )}
+      </div>
+
+      {post.commentsDisabled ? (
+        <p className="text-sm text-info text-center">
+          Comments are turned off for this post
+        </p>
+      ) : (
+        <CommentForm postId={postId} />
+      )}
+    </div>
+  );
+};
+
+export default CommentSection;
@@ -0,0 +1,120 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { formatDistanceToNow } from "date-fns";
+import { toast } from "react-hot-toast";
+import { Download, Loader } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+
+const STATUS_LABELS = {
+  pending: "Queued",
+  processing: "Preparing",
+  ready: "Ready",
+  failed: "Failed",
+};
+
+const isExpired = (dataExport) =>
+  dataExport.expiresAt && new Date(dataExport.expiresAt) <= new Date();
+
+const DataExportSection = () => {
+  const queryClient = useQueryClient();
+
+  const { data: exports } = useQuery({
+    queryKey: ["dataExports"],
+    queryFn: async () => {
+      const res = await axiosInstance.get("/users/me/exports");
+      return res.data;
+    },
+    // keep checking while an export is being built
+    refetchInterval: (query) =>
+      query.state.data?.some((dataExport) =>
+        ["pending", "processing"].includes(dataExport.status),
+      )
+        ? 5000
+        : false,
+  });
+
+  const { mutate: requestExport, isPending: isRequesting } = useMutation({
+    mutationFn: () => axiosInstance.post("/users/me/export"),
+    onSuccess: (res) => {
+      toast.success(res.data.message);
+      queryClient.invalidateQueries({ queryKey: ["dataExports"] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || "An error occurred");
+    },
+  });
+
+  // goes through axios so an expired access token is refreshed first
+  const { mutate: downloadExport, isPending: isDownloading } = useMutation({
+    mutationFn: async (exportId) => {
+      const res = await axiosInstance.get(
+        `/users/me/exports/${exportId}/download`,
+        { responseType: "blob" },
+      );
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `connect-campus-data-${exportId}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    },
+    onError: () => {
+      toast.error("Could not download your data, the link may have expired");
+    },
+  });
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-lg font-semibold mb-2 flex items-center gap-2">
+        <Download size={20} />
+        Download your data
+      </h2>
+      <p className="text-sm text-gray-600">
+        Get a ZIP archive of your profile, posts, comments, reactions,
+        connections and notifications, including your uploaded images.
+        We&apos;ll notify you when it&apos;s ready; the download is available
+        for 24 hours.
+      </p>
+
+      {exports?.length > 0 && (
+        <ul className="mt-3">
+          {exports.map((dataExport) => (
+            <li
+              key={dataExport._id}
+              className="border rounded-lg p-3 my-2 flex items-center justify-between text-sm"
+            >
+              <span>
+                Requested{" "}
+                {formatDistanceToNow(new Date(dataExport.createdAt), {
+                  addSuffix: true,
+                })}{" "}
+                ·{" "}
+                {isExpired(dataExport)
+                  ? "Expired"
+                  : STATUS_LABELS[dataExport.status]}
+              </span>
+              {dataExport.status === "ready" && !isExpired(dataExport) && (
+                <button
+                  onClick={() => downloadExport(dataExport._id)}
+                  disabled={isDownloading}
+                  className="text-blue-600 hover:underline"
+                >
+                  Download
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <button
+        onClick={() => requestExport()}
+        disabled={isRequesting}
+        className="mt-3 flex items-center gap-1 text-sm text-blue-600 hover:underline"
+      >
+        {isRequesting && <Loader size={16} className="animate-spin" />}
+        Request a new export
+      </button>
+    </div>
+  );
+};
+export default DataExportSection;
@@ -0,0 +1,87 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import { Loader, Trash2 } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+
+const DeleteAccountSection = () => {
+  const queryClient = useQueryClient();
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [password, setPassword] = useState("");
+
+  const { mutate: deleteAccount, isPending } = useMutation({
+    mutationFn: (password) =>
+      axiosInstance.delete("/users/me", { data: { password } }),
+    onSuccess: () => {
+      toast.success(
+        "Your account will be deleted in 14 days. Log in before then to keep it.",
+        { duration: 8000 },
+      );
+      queryClient.invalidateQueries({ queryKey: ["authUser"] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || "An error occurred");
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    deleteAccount(password);
+  };
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-lg font-semibold mb-2 flex items-center gap-2 text-red-600">
+        <Trash2 size={20} />
+        Delete account
+      </h2>
+      <p className="text-sm text-gray-600">
+        Your posts, comments, reactions and connections will be removed for good
+        after 14 days. Logging back in before then cancels the deletion.
+      </p>
+
+      {isConfirming ? (
+        <form onSubmit={handleSubmit} className="mt-3 flex flex-wrap gap-2">
+          <input
+            type="password"
+            placeholder="Confirm your password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="input input-bordered input-sm"
+            autoFocus
+            required
+          />
+          <button
+            type="submit"
+            disabled={isPending}
+            className="btn btn-sm btn-error text-white"
+          >
+            {isPending ? (
+              <Loader size={16} className="animate-spin" />
+            ) : (
+              "Delete my account"
+            )}
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setIsConfirming(false);
+              setPassword("");
+            }}
+            className="btn btn-sm btn-ghost"
+          >
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <button
+          onClick={() => setIsConfirming(true)}
+          className="mt-3 text-sm text-red-600 hover:underline"
+        >
+          Delete my account
+        </button>
+      )}
+    </div>
+  );
+};
+export default DeleteAccountSection;
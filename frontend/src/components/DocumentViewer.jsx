@@ -0,0 +1,85 @@
+import { useCallback, useEffect, useState } from "react";
+import { ChevronLeft, ChevronRight, Download, X } from "lucide-react";
+import { documentDownloadUrl, documentPageUrl } from "../utils/postDocuments";
+
+// full screen, one page at a time; arrow keys turn pages, Escape closes
+const DocumentViewer = ({ document: doc, onClose }) => {
+  const [page, setPage] = useState(1);
+  const { pageCount } = doc;
+
+  const turn = useCallback(
+    (delta) =>
+      setPage((current) => Math.min(Math.max(current + delta, 1), pageCount)),
+    [pageCount],
+  );
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+      if (e.key === "ArrowLeft") turn(-1);
+      if (e.key === "ArrowRight") turn(1);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose, turn]);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-90 flex flex-col items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <div
+        className="absolute top-4 inset-x-4 flex items-center justify-between text-white"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <p className="truncate mr-4">{doc.name}</p>
+        <div className="flex items-center gap-4 shrink-0">
+          <a
+            href={documentDownloadUrl(doc.url)}
+            className="flex items-center gap-1 text-sm hover:underline"
+          >
+            <Download size={18} />
+            Download
+          </a>
+          <button onClick={onClose} aria-label="Close">
+            <X size={28} />
+          </button>
+        </div>
+      </div>
+
+      <div
+        className="relative flex items-center justify-center w-full max-w-4xl px-12"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={() => turn(-1)}
+          disabled={page === 1}
+          className="absolute left-2 text-white bg-black bg-opacity-40 rounded-full p-2 disabled:opacity-30"
+          aria-label="Previous page"
+        >
+          <ChevronLeft size={24} />
+        </button>
+        <img
+          key={page}
+          src={documentPageUrl(doc.url, page)}
+          alt={`Page ${page} of ${pageCount}`}
+          className="max-h-[80vh] max-w-full object-contain bg-white"
+        />
+        <button
+          onClick={() => turn(1)}
+          disabled={page === pageCount}
+          className="absolute right-2 text-white bg-black bg-opacity-40 rounded-full p-2 disabled:opacity-30"
+          aria-label="Next page"
+        >
+          <ChevronRight size={24} />
+        </button>
+      </div>
+
+      <p className="text-gray-400 text-sm mt-4">
+        Page {page} of {pageCount}
+      </p>
+    </div>
+  );
+};
+
+export default DocumentViewer;
@@ -0,0 +1,42 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "react-hot-toast";
+import { Mail } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+
+// which notifications also go out by email; they always show in the app
+const EmailPreferencesSection = ({ user }) => {
+  const queryClient = useQueryClient();
+
+  const { mutate: updatePreferences, isPending } = useMutation({
+    mutationFn: (data) => axiosInstance.put("/users/profile", data),
+    onSuccess: () => {
+      toast.success("Email preferences updated");
+      queryClient.invalidateQueries({ queryKey: ["authUser"] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || "An error occurred");
+    },
+  });
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-lg font-semibold mb-2 flex items-center gap-2">
+        <Mail size={20} />
+        Email notifications
+      </h2>
+      <label className="flex items-center gap-2 text-sm cursor-pointer">
+        <input
+          type="checkbox"
+          className="checkbox checkbox-sm"
+          checked={user?.mentionEmails !== false}
+          disabled={isPending}
+          onChange={(e) =>
+            updatePreferences({ mentionEmails: e.target.checked })
+          }
+        />
+        Email me when someone mentions me
+      </label>
+    </div>
+  );
+};
+export default EmailPreferencesSection;
@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { ChevronLeft, ChevronRight, X } from "lucide-react";
+import { MAX_ALT_TEXT_LENGTH } from "../utils/postImages";
+import UploadProgress from "./UploadProgress";
+
+// previews of a post's images; drag (or use the arrows) to reorder, and each
+// one takes its own alt text. New ones show their upload progress
+const ImageGridEditor = ({ images, onChange }) => {
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const move = (from, to) => {
+    if (to < 0 || to >= images.length || from === to) return;
+    const next = [...images];
+    const [image] = next.splice(from, 1);
+    next.splice(to, 0, image);
+    onChange(next);
+  };
+
+  const update = (index, changes) =>
+    onChange(
+      images.map((image, i) =>
+        i === index ? { ...image, ...changes } : image,
+      ),
+    );
+
+  const remove = (index) => onChange(images.filter((_, i) => i !== index));
+
+  if (images.length === 0) return null;
+
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 mt-4">
+      {images.map((image, i) => (
+        <div
+          key={image.id}
+          draggable
+          onDragStart={() => setDragIndex(i)}
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={() => {
+            move(dragIndex, i);
+            setDragIndex(null);
+          }}
+          onDragEnd={() => setDragIndex(null)}
+          className={`rounded-lg bg-base-100 p-1 ${
+            dragIndex === i ? "opacity-50" : ""
+          }`}
+        >
+          <div className="relative">
+            <img
+              src={image.preview || image.url}
+              alt={image.alt || `Image ${i + 1}`}
+              className="w-full aspect-square object-cover rounded cursor-move"
+            />
+            {!image.url && !image.asset && (
+              <UploadProgress
+                progress={image.progress}
+                className="absolute bottom-8 inset-x-1 w-auto"
+              />
+            )}
+            <button
+              type="button"
+              onClick={() => remove(i)}
+              className="absolute top-1 right-1 bg-white rounded-full p-1 shadow"
+              aria-label={`Remove image ${i + 1}`}
+            >
+              <X size={14} />
+            </button>
+            <div className="absolute bottom-1 left-1 flex gap-1">
+              {i > 0 && (
+                <button
+                  type="button"
+                  onClick={() => move(i, i - 1)}
+                  className="bg-white rounded-full p-1 shadow"
+                  aria-label={`Move image ${i + 1} earlier`}
+                >
+                  <ChevronLeft size={14} />
+                </button>
+              )}
+              {i < images.length - 1 && (
+                <button
+                  type="button"
+                  onClick={() => move(i, i + 1)}
+                  className="bg-white rounded-full p-1 shadow"
+                  aria-label={`Move image ${i + 1} later`}
+                >
+                  <ChevronRight size={14} />
+                </button>
+              )}
+            </div>
+          </div>
+          <input
+            type="text"
+            value={image.alt}
+            onChange={(e) => update(i, { alt: e.target.value })}
+            placeholder="Describe this image"
+            maxLength={MAX_ALT_TEXT_LENGTH}
+            className="input input-bordered input-xs w-full mt-1"
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ImageGridEditor;
@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useState } from "react";
+import { ChevronLeft, ChevronRight, X } from "lucide-react";
+
+// full screen carousel; arrow keys step through, Escape closes
+const ImageLightbox = ({ images, startIndex = 0, onClose }) => {
+  const [index, setIndex] = useState(startIndex);
+  const image = images[index];
+  const count = images.length;
+
+  const step = useCallback(
+    (delta) => setIndex((i) => (i + delta + count) % count),
+    [count],
+  );
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+      if (e.key === "ArrowLeft") step(-1);
+      if (e.key === "ArrowRight") step(1);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose, step]);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-90 flex flex-col items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <button
+        onClick={onClose}
+        className="absolute top-4 right-4 text-white"
+        aria-label="Close"
+      >
+        <X size={28} />
+      </button>
+
+      <div
+        className="relative flex items-center justify-center w-full max-w-4xl px-12"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {images.length > 1 && (
+          <button
+            onClick={() => step(-1)}
+            className="absolute left-2 text-white bg-black bg-opacity-40 rounded-full p-2"
+            aria-label="Previous image"
+          >
+            <ChevronLeft size={24} />
+          </button>
+        )}
+        <img
+          src={image.url}
+          alt={image.alt || `Image ${index + 1} of ${images.length}`}
+          className="max-h-[80vh] max-w-full object-contain"
+        />
+        {images.length > 1 && (
+          <button
+            onClick={() => step(1)}
+            className="absolute right-2 text-white bg-black bg-opacity-40 rounded-full p-2"
+            aria-label="Next image"
+          >
+            <ChevronRight size={24} />
+          </button>
+        )}
+      </div>
+
+      <div
+        className="text-white text-sm text-center mt-4 px-4 max-w-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {images.length > 1 && (
+          <p className="text-gray-400">
+            {index + 1} / {images.length}
+          </p>
+        )}
+        {image.alt && <p>{image.alt}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default ImageLightbox;
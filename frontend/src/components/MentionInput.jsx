@@ -0,0 +1,124 @@
+import { keepPreviousData, useQuery } from "@tanstack/react-query";
+import { useEffect, useRef, useState } from "react";
+import { axiosInstance } from "../lib/axios";
+import { findMentionQuery } from "../utils/mentions";
+
+const SEARCH_DELAY = 200; // ms
+
+// a text input (or textarea, with as="textarea") that suggests usernames while
+// an @mention is being typed; onChange gets the new value, not the event
+const MentionInput = ({
+  as: Field = "input",
+  value,
+  onChange,
+  containerClassName = "",
+  ...props
+}) => {
+  const fieldRef = useRef(null);
+  const [mention, setMention] = useState(null);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const query = mention?.query ?? "";
+
+  // wait for a pause in typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setSearchQuery(query), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const { data: suggestions = [] } = useQuery({
+    queryKey: ["userSearch", searchQuery],
+    queryFn: async () => {
+      const res = await axiosInstance.get("/users/search", {
+        params: { q: searchQuery },
+      });
+      return res.data;
+    },
+    enabled: Boolean(searchQuery),
+    placeholderData: keepPreviousData,
+    staleTime: 30 * 1000,
+  });
+
+  const isOpen = Boolean(query) && suggestions.length > 0;
+
+  const updateMention = (e) => {
+    const next = findMentionQuery(e.target.value, e.target.selectionStart);
+    if (next?.query !== mention?.query) setActive(0);
+    setMention(next);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateMention(e);
+  };
+
+  const selectUser = (user) => {
+    const before = `${value.slice(0, mention.start)}@${user.username} `;
+    onChange(before + value.slice(mention.end));
+    setMention(null);
+
+    // put the caret back after the inserted name once the value is in
+    requestAnimationFrame(() => {
+      fieldRef.current?.focus();
+      fieldRef.current?.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen) return;
+
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((i) => (i + step + suggestions.length) % suggestions.length);
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      // picks the name instead of submitting the form
+      e.preventDefault();
+      selectUser(suggestions[Math.min(active, suggestions.length - 1)]);
+    } else if (e.key === "Escape") {
+      setMention(null);
+    }
+  };
+
+  return (
+    <div className={`relative ${containerClassName}`}>
+      <Field
+        ref={fieldRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={updateMention}
+        onBlur={() => setMention(null)}
+        {...props}
+      />
+
+      {isOpen && (
+        <ul className="absolute left-0 top-full mt-1 z-20 w-64 menu menu-sm bg-base-100 rounded-box shadow">
+          {suggestions.map((user, i) => (
+            <li key={user._id}>
+              <button
+                type="button"
+                // keep focus in the field so the blur doesn't close the list
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => selectUser(user)}
+                className={i === active ? "active" : ""}
+              >
+                <img
+                  src={user.profilePicture || "/avatar.png"}
+                  alt={user.name}
+                  className="w-6 h-6 rounded-full"
+                />
+                <span className="truncate">
+                  <span className="font-semibold">{user.name}</span>{" "}
+                  <span className="text-info">@{user.username}</span>
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MentionInput;
@@ -0,0 +1,114 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { Check } from "lucide-react";
+import { formatDistanceToNow } from "date-fns";
+import { axiosInstance } from "../lib/axios";
+
+// the server only sends counts once the viewer has voted or the poll closed
+const Poll = ({ post }) => {
+  const { poll } = post;
+  const queryClient = useQueryClient();
+  const [selected, setSelected] = useState([]);
+  const showResults = poll.closed || poll.userVotes.length > 0;
+
+  const { mutate: vote, isPending } = useMutation({
+    mutationFn: (optionIds) =>
+      axiosInstance.post(`/posts/${post._id}/vote`, { optionIds }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["posts"] });
+      queryClient.invalidateQueries({ queryKey: ["post", post._id] });
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.message || "Failed to vote");
+    },
+  });
+
+  const toggleOption = (id) =>
+    setSelected((current) =>
+      current.includes(id)
+        ? current.filter((optionId) => optionId !== id)
+        : [...current, id],
+    );
+
+  const closing = formatDistanceToNow(new Date(poll.closesAt), {
+    addSuffix: true,
+  });
+
+  return (
+    <div className="mb-4">
+      {poll.options.map((option) => {
+        if (showResults) {
+          const percent = poll.voterCount
+            ? Math.round((option.voteCount / poll.voterCount) * 100)
+            : 0;
+          const isMine = poll.userVotes.includes(option._id);
+          return (
+            <div
+              key={option._id}
+              className="relative mb-2 rounded-lg bg-base-100 overflow-hidden"
+            >
+              <div
+                className={`absolute inset-y-0 left-0 ${
+                  isMine ? "bg-primary/30" : "bg-base-300"
+                }`}
+                style={{ width: `${percent}%` }}
+              />
+              <div className="relative flex items-center justify-between px-3 py-2 text-sm">
+                <span className="flex items-center gap-1 font-medium">
+                  {option.text}
+                  {isMine && <Check size={14} className="text-primary" />}
+                </span>
+                <span>{percent}%</span>
+              </div>
+            </div>
+          );
+        }
+
+        // a single choice counts as soon as it's clicked
+        return poll.multipleChoice ? (
+          <label
+            key={option._id}
+            className="flex items-center gap-2 mb-2 px-3 py-2 rounded-lg border border-base-300 cursor-pointer text-sm"
+          >
+            <input
+              type="checkbox"
+              className="checkbox checkbox-sm checkbox-primary"
+              checked={selected.includes(option._id)}
+              onChange={() => toggleOption(option._id)}
+            />
+            {option.text}
+          </label>
+        ) : (
+          <button
+            key={option._id}
+            onClick={() => vote([option._id])}
+            disabled={isPending}
+            className="w-full mb-2 px-3 py-2 rounded-full border border-primary text-primary text-sm font-medium hover:bg-primary hover:text-white transition-colors"
+          >
+            {option.text}
+          </button>
+        );
+      })}
+
+      <div className="flex items-center justify-between text-xs text-info">
+        <span>
+          {showResults &&
+            `${poll.voterCount} ${poll.voterCount === 1 ? "vote" : "votes"} · `}
+          {poll.closed ? `Closed ${closing}` : `Closes ${closing}`}
+        </span>
+        {!showResults && poll.multipleChoice && (
+          <button
+            onClick={() => vote(selected)}
+            disabled={isPending || selected.length === 0}
+            className="btn btn-primary btn-xs"
+          >
+            {isPending ? "Voting..." : "Vote"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Poll;
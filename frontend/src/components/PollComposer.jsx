@@ -0,0 +1,104 @@
+import { Plus, X } from "lucide-react";
+import {
+  MAX_POLL_OPTION_LENGTH,
+  MAX_POLL_OPTIONS,
+  MIN_POLL_OPTIONS,
+  POLL_DURATIONS,
+} from "../utils/polls";
+
+// the post content is the question, this only edits the options and settings
+const PollComposer = ({ poll, onChange, onRemove }) => {
+  const setOption = (index, text) =>
+    onChange({
+      ...poll,
+      options: poll.options.map((option, i) => (i === index ? text : option)),
+    });
+
+  const removeOption = (index) =>
+    onChange({
+      ...poll,
+      options: poll.options.filter((_, i) => i !== index),
+    });
+
+  return (
+    <div className="mt-4 p-3 border border-base-300 rounded-lg">
+      <div className="flex items-center justify-between mb-2">
+        <span className="font-semibold text-sm">Poll</span>
+        <button
+          type="button"
+          onClick={onRemove}
+          className="text-info hover:text-red-500"
+          aria-label="Remove poll"
+        >
+          <X size={18} />
+        </button>
+      </div>
+
+      {poll.options.map((option, i) => (
+        <div key={i} className="flex items-center gap-2 mb-2">
+          <input
+            type="text"
+            value={option}
+            onChange={(e) => setOption(i, e.target.value)}
+            placeholder={`Option ${i + 1}`}
+            maxLength={MAX_POLL_OPTION_LENGTH}
+            className="input input-bordered input-sm w-full"
+          />
+          {poll.options.length > MIN_POLL_OPTIONS && (
+            <button
+              type="button"
+              onClick={() => removeOption(i)}
+              className="text-info hover:text-red-500"
+              aria-label={`Remove option ${i + 1}`}
+            >
+              <X size={16} />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {poll.options.length < MAX_POLL_OPTIONS && (
+        <button
+          type="button"
+          onClick={() => onChange({ ...poll, options: [...poll.options, ""] })}
+          className="btn btn-ghost btn-xs text-primary mb-2"
+        >
+          <Plus size={14} />
+          Add option
+        </button>
+      )}
+
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        <label className="flex items-center gap-2">
+          Closes in
+          <select
+            value={poll.hours}
+            onChange={(e) =>
+              onChange({ ...poll, hours: Number(e.target.value) })
+            }
+            className="select select-bordered select-sm"
+          >
+            {POLL_DURATIONS.map(({ hours, label }) => (
+              <option key={hours} value={hours}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            className="checkbox checkbox-sm"
+            checked={poll.multipleChoice}
+            onChange={(e) =>
+              onChange({ ...poll, multipleChoice: e.target.checked })
+            }
+          />
+          Allow multiple choices
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default PollComposer;
@@ -4,26 +4,59 @@ import { axiosInstance } from "../lib/axios";
 import toast from "react-hot-toast";
 import { Link, useParams } from "react-router-dom";
 import {
+  Link2,
   Loader,
+  Megaphone,
   MessageCircle,
-  Send,
+  Pencil,
+  Quote,
+  Repeat2,
   Share2,
-  ThumbsUp,
   Trash2,
 } from "lucide-react";
 import { formatDistanceToNow } from "date-fns";
+import CommentSection from "./CommentSection";
 import PostAction from "./PostAction";
+import PostContent from "./PostContent";
+import PostEditForm from "./PostEditForm";
+import PostImages from "./PostImages";
+import PostDocument from "./PostDocument";
+import PostVideo from "./PostVideo";
+import Poll from "./Poll";
+import PostRevisionsModal from "./PostRevisionsModal";
+import QuotePostModal from "./QuotePostModal";
+import ReactionButton from "./ReactionButton";
+import ReactionSummary from "./ReactionSummary";
+import ReactionsModal from "./ReactionsModal";
+import RoleBadge from "./RoleBadge";
+import SharedPostCard from "./SharedPostCard";
+import { hasPermission } from "../utils/permissions";
+import { findUserReaction } from "../utils/reactions";
 
 const Post = ({ post }) => {
   const { postId } = useParams();
 
-  const shareUrl = "http://localhost:5173" + "/post/" + post._id;
+  const shareUrl = window.location.origin + "/post/" + post._id;
   const { data: authUser } = useQuery({ queryKey: ["authUser"] });
-  const [showComments, setShowComments] = useState(false);
-  const [newComment, setNewComment] = useState("");
-  const [comments, setComments] = useState(post.comments || []);
+  // the post's own page opens straight onto the conversation
+  const [showComments, setShowComments] = useState(Boolean(postId));
+  const [isEditing, setIsEditing] = useState(false);
+  const [showRevisions, setShowRevisions] = useState(false);
   const isOwner = authUser._id === post.author._id;
-  const isLiked = post.likes.includes(authUser._id);
+  const canDelete = isOwner || hasPermission(authUser, "post:delete:any");
+  const [showReactions, setShowReactions] = useState(false);
+  const userReaction = findUserReaction(post.reactions, authUser._id);
+  const [showQuote, setShowQuote] = useState(false);
+  // sharedPost is only set on shares, and is null once the original is gone
+  const isShare = post.sharedPost !== undefined;
+  const isRepost =
+    isShare &&
+    !post.content?.trim() &&
+    !post.images?.length &&
+    !post.document &&
+    !post.video;
+  // sharing a plain repost shares what it reposted
+  const shareTarget = isRepost && post.sharedPost ? post.sharedPost : post;
 
   const queryClient = useQueryClient();
 
@@ -40,28 +73,34 @@ const Post = ({ post }) => {
     },
   });
 
-  const { mutate: createComment, isPending: isAddingComment } = useMutation({
-    mutationFn: async (newComment) => {
-      await axiosInstance.post(`/posts/${post._id}/comment`, {
-        content: newComment,
-      });
+  // an empty type removes the current reaction
+  const { mutate: reactToPost, isPending: isReacting } = useMutation({
+    mutationFn: async (type) => {
+      if (type) {
+        await axiosInstance.post(`/posts/${post._id}/reactions`, { type });
+      } else {
+        await axiosInstance.delete(`/posts/${post._id}/reactions`);
+      }
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ["posts"] });
-      toast.success("Comment added successfully");
-    },
-    onError: (err) => {
-      toast.error(err.response.data.message || "Failed to add comment");
+      queryClient.invalidateQueries({ queryKey: ["post", postId] });
+      queryClient.invalidateQueries({ queryKey: ["reactions"] });
     },
   });
 
-  const { mutate: likePost, isPending: isLikingPost } = useMutation({
-    mutationFn: async () => {
-      await axiosInstance.post(`/posts/${post._id}/like`);
-    },
+  // no content makes a plain repost, content makes a quote
+  const { mutate: sharePost, isPending: isSharing } = useMutation({
+    mutationFn: (content) =>
+      axiosInstance.post(`/posts/${shareTarget._id}/share`, { content }),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ["posts"] });
       queryClient.invalidateQueries({ queryKey: ["post", postId] });
+      setShowQuote(false);
+      toast.success("Post shared");
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.message || "Failed to share post");
     },
   });
 
@@ -70,31 +109,6 @@ const Post = ({ post }) => {
     deletePost();
   };
 
-  const handleLikePost = async () => {
-    if (isLikingPost) return;
-    likePost();
-  };
-
-  const handleAddComment = async (e) => {
-    e.preventDefault();
-    if (newComment.trim()) {
-      createComment(newComment);
-      setNewComment("");
-      setComments([
-        ...comments,
-        {
-          content: newComment,
-          user: {
-            _id: authUser._id,
-            name: authUser.name,
-            profilePicture: authUser.profilePicture,
-          },
-          createdAt: new Date(),
-        },
-      ]);
-    }
-  };
-
   const copyToClipboard = async () => {
     try {
       await navigator.clipboard.writeText(shareUrl);
@@ -118,115 +132,163 @@ const Post = ({ post }) => {
             </Link>
 
             <div>
-              <Link to={`/profile/${post?.author?.username}`}>
-                <h3 className="font-semibold">{post.author.name}</h3>
-              </Link>
+              <div className="flex items-center gap-2">
+                <Link to={`/profile/${post?.author?.username}`}>
+                  <h3 className="font-semibold">{post.author.name}</h3>
+                </Link>
+                <RoleBadge role={post.author.role} />
+              </div>
               <p className="text-xs text-info">{post.author.headline}</p>
               <p className="text-xs text-info">
                 {formatDistanceToNow(new Date(post.createdAt), {
                   addSuffix: true,
                 })}
+                {post.editedAt && (
+                  <>
+                    {" · "}
+                    <button
+                      onClick={() => setShowRevisions(true)}
+                      className="hover:underline"
+                    >
+                      Edited
+                    </button>
+                  </>
+                )}
               </p>
             </div>
           </div>
-          {isOwner && (
-            <button
-              onClick={handleDeletePost}
-              className="text-red-500 hover:text-red-700"
-            >
-              {isDeletingPost ? (
-                <Loader size={18} className="animate-spin" />
-              ) : (
-                <Trash2 size={18} />
-              )}
-            </button>
-          )}
+          <div className="flex items-center gap-3">
+            {isOwner && !isEditing && (
+              <button
+                onClick={() => setIsEditing(true)}
+                className="text-info hover:text-primary"
+                aria-label="Edit post"
+              >
+                <Pencil size={18} />
+              </button>
+            )}
+            {canDelete && (
+              <button
+                onClick={handleDeletePost}
+                className="text-red-500 hover:text-red-700"
+              >
+                {isDeletingPost ? (
+                  <Loader size={18} className="animate-spin" />
+                ) : (
+                  <Trash2 size={18} />
+                )}
+              </button>
+            )}
+          </div>
         </div>
-        <p className="mb-4">{post.content}</p>
-        {post.image && (
-          <img
-            src={post.image}
-            alt="Post content"
-            className="rounded-lg w-full mb-4"
-          />
+        {isRepost && (
+          <div className="flex items-center gap-1 text-xs text-info mb-2">
+            <Repeat2 size={14} />
+            Reposted
+          </div>
+        )}
+        {post.isAnnouncement && (
+          <div className="flex items-center gap-1 text-sm font-semibold text-primary mb-2">
+            <Megaphone size={16} />
+            Announcement
+          </div>
         )}
+        {isEditing ? (
+          <PostEditForm post={post} onDone={() => setIsEditing(false)} />
+        ) : (
+          <>
+            <PostContent
+              content={post.content}
+              mentions={post.mentions}
+              className="mb-4"
+            />
+            {post.poll && <Poll post={post} />}
+            <PostImages images={post.images} />
+            <PostVideo video={post.video} />
+            <PostDocument document={post.document} />
+          </>
+        )}
+        {isShare && <SharedPostCard post={post.sharedPost} />}
+
+        <div className="mb-2">
+          <ReactionSummary
+            reactions={post.reactions}
+            onClick={() => setShowReactions(true)}
+          />
+        </div>
 
         <div className="flex justify-between text-info">
-          <PostAction
-            icon={
-              <ThumbsUp
-                size={18}
-                className={isLiked ? "text-blue-500  fill-blue-300" : ""}
-              />
-            }
-            text={`Like (${post.likes.length})`}
-            onClick={handleLikePost}
+          <ReactionButton
+            currentType={userReaction?.type}
+            onReact={reactToPost}
+            onRemove={() => reactToPost(null)}
+            disabled={isReacting}
           />
 
           <PostAction
             icon={<MessageCircle size={18} />}
-            text={`Comment (${comments.length})`}
+            text={`Comment (${post.commentCount ?? 0})`}
             onClick={() => setShowComments(!showComments)}
           />
-          <PostAction
-            icon={<Share2 size={18} />}
-            text="Share"
-            onClick={copyToClipboard}
-          />
+          <div className="dropdown dropdown-top dropdown-end">
+            <PostAction
+              icon={<Share2 size={18} />}
+              text={`Share (${shareTarget.shareCount ?? 0})`}
+            />
+            <ul
+              tabIndex={0}
+              className="dropdown-content menu menu-sm bg-base-100 rounded-box shadow z-10 w-40"
+            >
+              <li>
+                <button
+                  onClick={() => sharePost(undefined)}
+                  disabled={isSharing}
+                >
+                  <Repeat2 size={14} />
+                  Repost
+                </button>
+              </li>
+              <li>
+                <button onClick={() => setShowQuote(true)}>
+                  <Quote size={14} />
+                  Quote
+                </button>
+              </li>
+              <li>
+                <button onClick={copyToClipboard}>
+                  <Link2 size={14} />
+                  Copy link
+                </button>
+              </li>
+            </ul>
+          </div>
         </div>
       </div>
 
-      {showComments && (
-        <div className="px-4 pb-4">
-          <div className="mb-4 max-h-60 overflow-y-auto">
-            {comments.map((comment) => (
-              <div
-                key={comment._id}
-                className="mb-2 bg-base-100 p-2 rounded flex items-start"
-              >
-                <img
-                  src={comment.user.profilePicture || "/avatar.png"}
-                  alt={comment.user.name}
-                  className="w-8 h-8 rounded-full mr-2 flex-shrink-0"
-                />
-                <div className="flex-grow">
-                  <div className="flex items-center mb-1">
-                    <span className="font-semibold mr-2">
-                      {comment.user.name}
-                    </span>
-                    <span className="text-xs text-info">
-                      {formatDistanceToNow(new Date(comment.createdAt))}
-                    </span>
-                  </div>
-                  <p>{comment.content}</p>
-                </div>
-              </div>
-            ))}
-          </div>
+      {showRevisions && (
+        <PostRevisionsModal
+          post={post}
+          onClose={() => setShowRevisions(false)}
+        />
+      )}
 
-          <form onSubmit={handleAddComment} className="flex items-center">
-            <input
-              type="text"
-              value={newComment}
-              onChange={(e) => setNewComment(e.target.value)}
-              placeholder="Add a comment..."
-              className="flex-grow p-2 rounded-l-full bg-base-100 focus:outline-none focus:ring-2 focus:ring-primary"
-            />
+      {showQuote && (
+        <QuotePostModal
+          post={shareTarget}
+          onShare={sharePost}
+          isSharing={isSharing}
+          onClose={() => setShowQuote(false)}
+        />
+      )}
 
-            <button
-              type="submit"
-              className="bg-primary text-white p-2 rounded-r-full hover:bg-primary-dark transition duration-300"
-              disabled={isAddingComment}
-            >
-              {isAddingComment ? (
-                <Loader size={18} className="animate-spin" />
-              ) : (
-                <Send size={18} />
-              )}
-            </button>
-          </form>
-        </div>
+      {showReactions && (
+        <ReactionsModal
+          endpoint={`/posts/${post._id}/reactions`}
+          onClose={() => setShowReactions(false)}
+        />
       )}
+
+      {showComments && <CommentSection post={post} />}
     </div>
   );
 };
@@ -0,0 +1,35 @@
+import { Link } from "react-router-dom";
+import { splitHashtags } from "../utils/hashtags";
+import { splitMentions } from "../utils/mentions";
+
+// post or comment text with its mentions linked to profiles and its hashtags
+// to their tag pages
+const PostContent = ({ content, mentions = [], className }) => {
+  const usernames = mentions.map((user) => user?.username).filter(Boolean);
+  const parts = splitMentions(content, usernames).flatMap((part) =>
+    typeof part === "string" ? splitHashtags(part) : [part],
+  );
+
+  return (
+    <p className={className}>
+      {parts.map((part, i) => {
+        if (typeof part === "string") return part;
+        return (
+          <Link
+            key={i}
+            to={
+              part.username
+                ? `/profile/${part.username}`
+                : `/tag/${encodeURIComponent(part.tag)}`
+            }
+            className="text-primary hover:underline"
+          >
+            {part.text}
+          </Link>
+        );
+      })}
+    </p>
+  );
+};
+
+export default PostContent;
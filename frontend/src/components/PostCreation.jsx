@@ -2,12 +2,32 @@ import { useMutation, useQueryClient } from "@tanstack/react-query";
 import { useState } from "react";
 import { axiosInstance } from "../lib/axios";
 import toast from "react-hot-toast";
-import { Image, Loader } from "lucide-react";
+import { BarChart3, FileText, Image, Loader, Megaphone, Video, X } from "lucide-react";
+import { hasPermission } from "../utils/permissions";
+import { emptyPoll, toPollRequest } from "../utils/polls";
+import { MAX_POST_IMAGES, addImageFiles, isUploadingImages, toImagesRequest } from "../utils/postImages";
+import { DOCUMENT_MIME_TYPE, MAX_DOCUMENT_SIZE, formatFileSize } from "../utils/postDocuments";
+import { MAX_VIDEO_DURATION, MAX_VIDEO_SIZE, VIDEO_MIME_TYPES, readVideoDuration } from "../utils/postVideos";
+import { uploadInto } from "../utils/uploads";
+import ImageGridEditor from "./ImageGridEditor";
+import MentionInput from "./MentionInput";
+import PollComposer from "./PollComposer";
+import UploadProgress from "./UploadProgress";
 
 const PostCreation = ({ user }) => {
 	const [content, setContent] = useState("");
-	const [image, setImage] = useState(null);
-	const [imagePreview, setImagePreview] = useState(null);
+	// in display order, see ImageGridEditor
+	const [images, setImages] = useState([]);
+	const [isAnnouncement, setIsAnnouncement] = useState(false);
+	// null until the author adds a poll, see PollComposer
+	const [poll, setPoll] = useState(null);
+	// { name, size, progress } once a PDF is picked, then its asset id once uploaded
+	const [attachedDocument, setAttachedDocument] = useState(null);
+	// { preview, progress } once a video is picked, then its asset id once uploaded
+	const [video, setVideo] = useState(null);
+	const canAnnounce = hasPermission(user, "post:announce");
+	const isUploading =
+		isUploadingImages(images) || (attachedDocument && !attachedDocument.asset) || (video && !video.asset);
 
 	const queryClient = useQueryClient();
 
@@ -31,7 +51,11 @@ const PostCreation = ({ user }) => {
 	const handlePostCreation = async () => {
 		try {
 			const postData = { content };
-			if (image) postData.image = await readFileAsDataURL(image);
+			if (isAnnouncement) postData.isAnnouncement = true;
+			if (images.length) postData.images = toImagesRequest(images);
+			if (poll) postData.poll = toPollRequest(poll);
+			if (attachedDocument) postData.document = attachedDocument.asset;
+			if (video) postData.video = video.asset;
 
 			createPostMutation(postData);
 		} catch (error) {
@@ -41,60 +65,162 @@ const PostCreation = ({ user }) => {
 
 	const resetForm = () => {
 		setContent("");
-		setImage(null);
-		setImagePreview(null);
+		setImages([]);
+		setIsAnnouncement(false);
+		setPoll(null);
+		setAttachedDocument(null);
+		setVideo(null);
 	};
 
 	const handleImageChange = (e) => {
+		const room = MAX_POST_IMAGES - images.length;
+		if (e.target.files.length > room) {
+			toast.error(`A post can have at most ${MAX_POST_IMAGES} images`);
+		}
+		addImageFiles([...e.target.files].slice(0, room), setImages);
+		// lets the same file be picked again after removing it
+		e.target.value = "";
+	};
+
+	const handleDocumentChange = (e) => {
 		const file = e.target.files[0];
-		setImage(file);
-		if (file) {
-			readFileAsDataURL(file).then(setImagePreview);
-		} else {
-			setImagePreview(null);
+		e.target.value = "";
+		if (!file) return;
+		// the server checks again, this just saves uploading something it'll refuse
+		if (file.type !== DOCUMENT_MIME_TYPE) {
+			return toast.error("Only PDF documents can be attached");
+		}
+		if (file.size > MAX_DOCUMENT_SIZE) {
+			return toast.error(`Documents can be at most ${formatFileSize(MAX_DOCUMENT_SIZE)}`);
 		}
+		uploadInto("document", file, setAttachedDocument, { name: file.name, size: file.size });
 	};
 
-	const readFileAsDataURL = (file) => {
-		return new Promise((resolve, reject) => {
-			const reader = new FileReader();
-			reader.onloadend = () => resolve(reader.result);
-			reader.onerror = reject;
-			reader.readAsDataURL(file);
-		});
+	const handleVideoChange = async (e) => {
+		const file = e.target.files[0];
+		e.target.value = "";
+		if (!file) return;
+		if (!VIDEO_MIME_TYPES.includes(file.type)) {
+			return toast.error("Videos must be MP4, MOV or WebM files");
+		}
+		if (file.size > MAX_VIDEO_SIZE) {
+			return toast.error(`Videos can be at most ${formatFileSize(MAX_VIDEO_SIZE)}`);
+		}
+		try {
+			if ((await readVideoDuration(file)) > MAX_VIDEO_DURATION) {
+				return toast.error(`Videos can be at most ${MAX_VIDEO_DURATION / 60} minutes long`);
+			}
+		} catch {
+			// some formats only the server can read, it checks the length again anyway
+		}
+		uploadInto("video", file, setVideo, { preview: URL.createObjectURL(file) });
 	};
 
 	return (
 		<div className='bg-secondary rounded-lg shadow mb-4 p-4'>
 			<div className='flex space-x-3'>
 				<img src={user.profilePicture || "/avatar.png"} alt={user.name} className='size-12 rounded-full' />
-				<textarea
-					placeholder="What's on your mind?"
+				<MentionInput
+					as='textarea'
+					placeholder={poll ? "Ask a question..." : "What's on your mind?"}
+					containerClassName='w-full'
 					className='w-full p-3 rounded-lg bg-base-100 hover:bg-base-200 focus:bg-base-200 focus:outline-none resize-none transition-colors duration-200 min-h-[100px]'
 					value={content}
-					onChange={(e) => setContent(e.target.value)}
+					onChange={setContent}
 				/>
 			</div>
 
-			{imagePreview && (
-				<div className='mt-4'>
-					<img src={imagePreview} alt='Selected' className='w-full h-auto rounded-lg' />
+			{poll && <PollComposer poll={poll} onChange={setPoll} onRemove={() => setPoll(null)} />}
+
+			<ImageGridEditor images={images} onChange={setImages} />
+
+			{video && (
+				<div className='relative mt-4'>
+					<video src={video.preview} controls playsInline className='w-full max-h-80 rounded-lg bg-black' />
+					<button
+						type='button'
+						onClick={() => setVideo(null)}
+						className='absolute top-2 right-2 bg-white rounded-full p-1 shadow'
+						aria-label='Remove video'
+					>
+						<X size={16} />
+					</button>
+					{!video.asset && <UploadProgress progress={video.progress} className='mt-2' />}
 				</div>
 			)}
 
+			{attachedDocument && (
+				<div className='flex items-center justify-between mt-4 p-3 border rounded-lg'>
+					<div className='flex items-center min-w-0'>
+						<FileText size={20} className='mr-2 text-error shrink-0' />
+						<span className='truncate'>{attachedDocument.name}</span>
+						<span className='ml-2 text-xs text-info shrink-0'>{formatFileSize(attachedDocument.size)}</span>
+					</div>
+					<button
+						type='button'
+						onClick={() => setAttachedDocument(null)}
+						className='text-gray-500 hover:text-gray-700'
+						aria-label='Remove document'
+					>
+						<X size={18} />
+					</button>
+				</div>
+			)}
+			{attachedDocument && !attachedDocument.asset && (
+				<UploadProgress progress={attachedDocument.progress} className='mt-2' />
+			)}
+
 			<div className='flex justify-between items-center mt-4'>
 				<div className='flex space-x-4'>
-					<label className='flex items-center text-info hover:text-info-dark transition-colors duration-200 cursor-pointer'>
-						<Image size={20} className='mr-2' />
-						<span>Photo</span>
-						<input type='file' accept='image/*' className='hidden' onChange={handleImageChange} />
-					</label>
+					{images.length < MAX_POST_IMAGES && (
+						<label className='flex items-center text-info hover:text-info-dark transition-colors duration-200 cursor-pointer'>
+							<Image size={20} className='mr-2' />
+							<span>Photo</span>
+							<input type='file' accept='image/*' multiple className='hidden' onChange={handleImageChange} />
+						</label>
+					)}
+					{!video && (
+						<label className='flex items-center text-info hover:text-info-dark transition-colors duration-200 cursor-pointer'>
+							<Video size={20} className='mr-2' />
+							<span>Video</span>
+							<input type='file' accept={VIDEO_MIME_TYPES.join(",")} className='hidden' onChange={handleVideoChange} />
+						</label>
+					)}
+					{!attachedDocument && (
+						<label className='flex items-center text-info hover:text-info-dark transition-colors duration-200 cursor-pointer'>
+							<FileText size={20} className='mr-2' />
+							<span>Document</span>
+							<input type='file' accept={DOCUMENT_MIME_TYPE} className='hidden' onChange={handleDocumentChange} />
+						</label>
+					)}
+					{!poll && (
+						<button
+							type='button'
+							onClick={() => setPoll(emptyPoll())}
+							className='flex items-center text-info hover:text-info-dark transition-colors duration-200'
+						>
+							<BarChart3 size={20} className='mr-2' />
+							<span>Poll</span>
+						</button>
+					)}
+					{canAnnounce && (
+						<label className='flex items-center text-info cursor-pointer'>
+							<input
+								type='checkbox'
+								className='checkbox checkbox-sm mr-2'
+								checked={isAnnouncement}
+								onChange={(e) => setIsAnnouncement(e.target.checked)}
+							/>
+							<Megaphone size={20} className='mr-2' />
+							<span>Announcement</span>
+						</label>
+					)}
 				</div>
 
 				<button
 					className='bg-primary text-white rounded-lg px-4 py-2 hover:bg-primary-dark transition-colors duration-200'
 					onClick={handlePostCreation}
-					disabled={isPending}
+					disabled={isPending || isUploading}
 				>
 					{isPending ? <Loader className='size-5 animate-spin' /> : "Share"}
 				</button>
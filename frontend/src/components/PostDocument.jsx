@@ -0,0 +1,58 @@
+import { useState } from "react";
+import { Download, FileText } from "lucide-react";
+import DocumentViewer from "./DocumentViewer";
+import { documentDownloadUrl, formatFileSize } from "../utils/postDocuments";
+
+// the first page and what the file is; the rest opens in the viewer
+const PostDocument = ({ document: doc, className = "mb-4" }) => {
+  const [isViewing, setIsViewing] = useState(false);
+
+  if (!doc) return null;
+
+  return (
+    <>
+      <div className={`border rounded-lg overflow-hidden ${className}`}>
+        {doc.thumbnail && (
+          <button
+            onClick={() => setIsViewing(true)}
+            className="block w-full bg-base-200"
+          >
+            <img
+              src={doc.thumbnail}
+              alt={`First page of ${doc.name}`}
+              className="w-full max-h-96 object-contain"
+            />
+          </button>
+        )}
+        <div className="flex items-center justify-between gap-2 p-3">
+          <button
+            onClick={() => setIsViewing(true)}
+            className="flex items-center gap-2 min-w-0 text-left"
+          >
+            <FileText size={20} className="text-error shrink-0" />
+            <span className="min-w-0">
+              <span className="block font-semibold truncate">{doc.name}</span>
+              <span className="block text-xs text-info">
+                {doc.pageCount} {doc.pageCount === 1 ? "page" : "pages"} ·{" "}
+                {formatFileSize(doc.size)}
+              </span>
+            </span>
+          </button>
+          <a
+            href={documentDownloadUrl(doc.url)}
+            className="btn btn-ghost btn-sm shrink-0"
+            aria-label={`Download ${doc.name}`}
+          >
+            <Download size={18} />
+          </a>
+        </div>
+      </div>
+
+      {isViewing && (
+        <DocumentViewer document={doc} onClose={() => setIsViewing(false)} />
+      )}
+    </>
+  );
+};
+
+export default PostDocument;
@@ -0,0 +1,97 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import toast from "react-hot-toast";
+import { Image, Loader } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+import {
+  MAX_POST_IMAGES,
+  addImageFiles,
+  isUploadingImages,
+  toImageItems,
+  toImagesRequest,
+} from "../utils/postImages";
+import ImageGridEditor from "./ImageGridEditor";
+import MentionInput from "./MentionInput";
+
+const PostEditForm = ({ post, onDone }) => {
+  const queryClient = useQueryClient();
+  const [content, setContent] = useState(post.content || "");
+  // the whole list is sent back, kept images by url and new ones by asset id
+  const [images, setImages] = useState(() => toImageItems(post.images));
+
+  const { mutate: updatePost, isPending } = useMutation({
+    mutationFn: (data) => axiosInstance.put(`/posts/${post._id}`, data),
+    onSuccess: () => {
+      toast.success("Post updated");
+      queryClient.invalidateQueries({ queryKey: ["posts"] });
+      queryClient.invalidateQueries({ queryKey: ["post", post._id] });
+      onDone();
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.message || "Failed to update post");
+    },
+  });
+
+  const handleImageChange = (e) => {
+    const room = MAX_POST_IMAGES - images.length;
+    if (e.target.files.length > room) {
+      toast.error(`A post can have at most ${MAX_POST_IMAGES} images`);
+    }
+    addImageFiles([...e.target.files].slice(0, room), setImages);
+    e.target.value = "";
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updatePost({ content, images: toImagesRequest(images) });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-4">
+      <MentionInput
+        as="textarea"
+        value={content}
+        onChange={setContent}
+        className="w-full p-3 rounded-lg bg-base-100 focus:outline-none resize-none min-h-[100px]"
+        autoFocus
+      />
+
+      <ImageGridEditor images={images} onChange={setImages} />
+
+      <div className="flex justify-between items-center mt-2">
+        {images.length < MAX_POST_IMAGES ? (
+          <label className="flex items-center text-info cursor-pointer">
+            <Image size={20} className="mr-2" />
+            <span>Add photos</span>
+            <input
+              type="file"
+              accept="image/*"
+              multiple
+              className="hidden"
+              onChange={handleImageChange}
+            />
+          </label>
+        ) : (
+          <span />
+        )}
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onDone}
+            className="btn btn-sm btn-ghost"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isPending || isUploadingImages(images)}
+            className="btn btn-sm btn-primary"
+          >
+            {isPending ? <Loader size={16} className="animate-spin" /> : "Save"}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+export default PostEditForm;
@@ -0,0 +1,68 @@
+import { useState } from "react";
+import ImageLightbox from "./ImageLightbox";
+
+// the grid shows up to four, the rest are a click away in the lightbox
+const MAX_TILES = 4;
+
+const PostImages = ({ images = [], className = "mb-4" }) => {
+  const [openIndex, setOpenIndex] = useState(null);
+
+  if (images.length === 0) return null;
+
+  const tiles = images.slice(0, MAX_TILES);
+  const hidden = images.length - tiles.length;
+
+  return (
+    <>
+      {images.length === 1 ? (
+        <button
+          onClick={() => setOpenIndex(0)}
+          className={`block w-full ${className}`}
+        >
+          <img
+            src={images[0].url}
+            alt={images[0].alt || "Post image"}
+            className="rounded-lg w-full"
+          />
+        </button>
+      ) : (
+        <div className={`grid grid-cols-2 gap-1 ${className}`}>
+          {tiles.map((image, i) => (
+            <button
+              key={image.url}
+              onClick={() => setOpenIndex(i)}
+              className={`relative ${
+                images.length === 3 && i === 0 ? "col-span-2" : ""
+              }`}
+            >
+              <img
+                src={image.url}
+                alt={image.alt || `Post image ${i + 1}`}
+                className={`w-full object-cover rounded-lg ${
+                  images.length === 3 && i === 0
+                    ? "aspect-[2/1]"
+                    : "aspect-square"
+                }`}
+              />
+              {hidden > 0 && i === tiles.length - 1 && (
+                <span className="absolute inset-0 flex items-center justify-center rounded-lg bg-black bg-opacity-50 text-white text-2xl font-semibold">
+                  +{hidden}
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {openIndex !== null && (
+        <ImageLightbox
+          images={images}
+          startIndex={openIndex}
+          onClose={() => setOpenIndex(null)}
+        />
+      )}
+    </>
+  );
+};
+
+export default PostImages;
@@ -0,0 +1,65 @@
+import { format } from "date-fns";
+import { X } from "lucide-react";
+
+// revisions are stored oldest first, each one being what the post said until
+// it was replaced
+const PostRevisionsModal = ({ post, onClose }) => {
+  const versions = [
+    {
+      _id: "current",
+      content: post.content,
+      images: post.images,
+      label: `Current version, edited ${format(new Date(post.editedAt), "PPp")}`,
+    },
+    ...[...post.revisions].reverse().map((revision, i, newestFirst) => {
+      const isOriginal = i === newestFirst.length - 1;
+      return {
+        ...revision,
+        label: isOriginal
+          ? `Original, posted ${format(new Date(post.createdAt), "PPp")}`
+          : `Replaced ${format(new Date(revision.replacedAt), "PPp")}`,
+      };
+    }),
+  ];
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-lg shadow-lg w-full max-w-lg max-h-[80vh] overflow-y-auto p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold">Edit history</h2>
+          <button onClick={onClose} aria-label="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <ul>
+          {versions.map((version) => (
+            <li key={version._id} className="border-b last:border-b-0 py-3">
+              <p className="text-xs text-info mb-1">{version.label}</p>
+              <p className="whitespace-pre-wrap">{version.content}</p>
+              {version.images?.length > 0 && (
+                <div className="grid grid-cols-3 gap-1 mt-2">
+                  {version.images.map((image) => (
+                    <img
+                      key={image.url}
+                      src={image.url}
+                      alt={image.alt || "Post image"}
+                      className="w-full aspect-square object-cover rounded"
+                    />
+                  ))}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+export default PostRevisionsModal;
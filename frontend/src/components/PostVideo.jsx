@@ -0,0 +1,80 @@
+import { useEffect, useRef, useState } from "react";
+import { Volume2, VolumeX } from "lucide-react";
+import { formatDuration } from "../utils/postVideos";
+
+// how much of the video has to be on screen for it to play
+const VISIBLE_THRESHOLD = 0.5;
+
+// Plays muted while on screen and pauses once scrolled away. The first tap
+// turns the sound on, later ones pause and resume.
+const PostVideo = ({ video, className = "mb-4" }) => {
+  const videoRef = useRef(null);
+  const [isMuted, setIsMuted] = useState(true);
+
+  useEffect(() => {
+    const element = videoRef.current;
+    if (!element) return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) {
+          // browsers can refuse to autoplay, the poster stays up then
+          element.play().catch(() => {});
+        } else {
+          element.pause();
+        }
+      },
+      { threshold: VISIBLE_THRESHOLD },
+    );
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [video?.url]);
+
+  if (!video) return null;
+
+  const handleTap = () => {
+    const element = videoRef.current;
+    if (isMuted) {
+      element.muted = false;
+      setIsMuted(false);
+      element.play().catch(() => {});
+    } else if (element.paused) {
+      element.play().catch(() => {});
+    } else {
+      element.pause();
+    }
+  };
+
+  return (
+    <div
+      className={`relative rounded-lg overflow-hidden bg-black ${className}`}
+    >
+      <video
+        ref={videoRef}
+        src={video.url}
+        poster={video.poster}
+        muted={isMuted}
+        playsInline
+        loop
+        preload="metadata"
+        onClick={handleTap}
+        className="w-full max-h-[32rem] object-contain cursor-pointer"
+      />
+      <span className="absolute bottom-2 left-2 px-1.5 py-0.5 rounded bg-black bg-opacity-60 text-white text-xs">
+        {formatDuration(video.duration)}
+      </span>
+      <button
+        onClick={() => {
+          videoRef.current.muted = !isMuted;
+          setIsMuted(!isMuted);
+        }}
+        className="absolute bottom-2 right-2 p-1.5 rounded-full bg-black bg-opacity-60 text-white"
+        aria-label={isMuted ? "Unmute" : "Mute"}
+      >
+        {isMuted ? <VolumeX size={16} /> : <Volume2 size={16} />}
+      </button>
+    </div>
+  );
+};
+
+export default PostVideo;
@@ -2,12 +2,32 @@ import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { useMemo, useState } from "react";
 import { axiosInstance } from "../lib/axios";
 import { toast } from "react-hot-toast";
+import { checkImageFile } from "../utils/postImages";
+import { uploadInto } from "../utils/uploads";
+import RoleBadge from "./RoleBadge";
+import UploadProgress from "./UploadProgress";
+import UserModerationControls from "./UserModerationControls";
 
-import { Camera, Clock, MapPin, UserCheck, UserPlus, X } from "lucide-react";
+import {
+  Camera,
+  Clock,
+  GraduationCap,
+  MapPin,
+  UserCheck,
+  UserPlus,
+  X,
+} from "lucide-react";
+
+// picked but not uploaded yet; once saved only the preview is kept
+const isUploadPending = (upload) =>
+  upload?.progress !== undefined && !upload.asset;
 
 const ProfileHeader = ({ userData, onSave, isOwnProfile }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editedData, setEditedData] = useState({});
+  // picked banner and profile pictures by field: a local preview, the upload
+  // progress and then the asset id to save
+  const [uploads, setUploads] = useState({});
   const queryClient = useQueryClient();
 
   const { data: authUser } = useQuery({ queryKey: ["authUser"] });
@@ -142,22 +162,43 @@ const ProfileHeader = ({ userData, onSave, isOwnProfile }) => {
     }
   };
 
+  const isUploading = Object.values(uploads).some(isUploadPending);
+
   const handleImageChange = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        setEditedData((prev) => ({
-          ...prev,
-          [event.target.name]: reader.result,
-        }));
-      };
-      reader.readAsDataURL(file);
-    }
+    const { name, files } = event.target;
+    const file = files[0];
+    event.target.value = "";
+    if (!file || !checkImageFile(file)) return;
+
+    const setUpload = (update) =>
+      setUploads((prev) => {
+        const next = typeof update === "function" ? update(prev[name]) : update;
+        // a failed upload falls back to the picture the profile already has
+        if (!next) {
+          const rest = { ...prev };
+          delete rest[name];
+          return rest;
+        }
+        return { ...prev, [name]: next };
+      });
+    uploadInto("image", file, setUpload, {
+      preview: URL.createObjectURL(file),
+    });
   };
 
   const handleSave = () => {
-    onSave(editedData);
+    const data = { ...editedData };
+    for (const [name, upload] of Object.entries(uploads)) {
+      if (upload.asset) data[name] = upload.asset;
+    }
+    onSave(data);
+    // an upload can only be used once, keep just the previews until the
+    // saved profile comes back
+    setUploads((prev) =>
+      Object.fromEntries(
+        Object.entries(prev).map(([name, { preview }]) => [name, { preview }]),
+      ),
+    );
     setIsEditing(false);
   };
 
@@ -166,7 +207,7 @@ const ProfileHeader = ({ userData, onSave, isOwnProfile }) => {
       <div
         className="relative h-48 rounded-t-lg bg-cover bg-center"
         style={{
-          backgroundImage: `url('${editedData.bannerImg || userData.bannerImg || "/banner.png"}')`,
+          backgroundImage: `url('${uploads.bannerImg?.preview || userData.bannerImg || "/banner.png"}')`,
         }}
       >
         {isEditing && (
@@ -181,6 +222,12 @@ const ProfileHeader = ({ userData, onSave, isOwnProfile }) => {
             />
           </label>
         )}
+        {isUploadPending(uploads.bannerImg) && (
+          <UploadProgress
+            progress={uploads.bannerImg.progress}
+            className="absolute bottom-2 inset-x-2 w-auto"
+          />
+        )}
       </div>
 
       <div className="p-4">
@@ -188,7 +235,7 @@ const ProfileHeader = ({ userData, onSave, isOwnProfile }) => {
           <img
             className="w-32 h-32 rounded-full mx-auto object-cover"
             src={
-              editedData.profilePicture ||
+              uploads.profilePicture?.preview ||
               userData.profilePicture ||
               "/avatar.png"
             }
@@ -207,6 +254,12 @@ const ProfileHeader = ({ userData, onSave, isOwnProfile }) => {
               />
             </label>
           )}
+          {isUploadPending(uploads.profilePicture) && (
+            <UploadProgress
+              progress={uploads.profilePicture.progress}
+              className="w-32 mx-auto block mt-2"
+            />
+          )}
         </div>
 
         <div className="text-center mb-4">
@@ -223,6 +276,8 @@ const ProfileHeader = ({ userData, onSave, isOwnProfile }) => {
             <h1 className="text-2xl font-bold mb-2">{userData.name}</h1>
           )}
 
+          <RoleBadge role={userData.role} className="inline-block mb-2" />
+
           {isEditing ? (
             <input
               type="text"
@@ -236,6 +291,13 @@ const ProfileHeader = ({ userData, onSave, isOwnProfile }) => {
             <p className="text-gray-600">{userData.headline}</p>
           )}
 
+          {userData.institution && (
+            <div className="flex justify-center items-center mt-2">
+              <GraduationCap size={16} className="text-gray-500 mr-1" />
+              <span className="text-gray-600">{userData.institution}</span>
+            </div>
+          )}
+
           <div className="flex justify-center items-center mt-2">
             <MapPin size={16} className="text-gray-500 mr-1" />
             {isEditing ? (
@@ -259,6 +321,7 @@ const ProfileHeader = ({ userData, onSave, isOwnProfile }) => {
               className="w-full bg-primary text-white py-2 px-4 rounded-full hover:bg-primary-dark
 							 transition duration-300"
               onClick={handleSave}
+              disabled={isUploading}
             >
               Save Profile
             </button>
@@ -274,6 +337,8 @@ const ProfileHeader = ({ userData, onSave, isOwnProfile }) => {
         ) : (
           <div className="flex justify-center">{renderConnectionButton()}</div>
         )}
+
+        {!isOwnProfile && <UserModerationControls userData={userData} />}
       </div>
     </div>
   );
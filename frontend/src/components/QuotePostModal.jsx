@@ -0,0 +1,61 @@
+import { X } from "lucide-react";
+import { useState } from "react";
+import MentionInput from "./MentionInput";
+import SharedPostCard from "./SharedPostCard";
+
+const QuotePostModal = ({ post, onShare, isSharing, onClose }) => {
+  const [content, setContent] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!content.trim() || isSharing) return;
+    onShare(content);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-lg w-full max-w-lg max-h-[80vh] overflow-y-auto p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold">Quote post</h2>
+          <button type="button" onClick={onClose} aria-label="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <MentionInput
+          as="textarea"
+          value={content}
+          onChange={setContent}
+          placeholder="Add your thoughts..."
+          autoFocus
+          containerClassName="mb-4"
+          className="w-full p-3 rounded-lg bg-base-100 focus:outline-none resize-none min-h-[100px]"
+        />
+
+        <SharedPostCard post={post} />
+
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="btn btn-ghost">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={isSharing || !content.trim()}
+          >
+            {isSharing ? "Sharing..." : "Share"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default QuotePostModal;
@@ -0,0 +1,58 @@
+import { getReaction, REACTIONS } from "../utils/reactions";
+
+// Clicking toggles a plain like (or clears the current reaction), hovering
+// opens the picker for the other types.
+const ReactionButton = ({
+  currentType,
+  onReact,
+  onRemove,
+  disabled,
+  compact,
+}) => {
+  const current = getReaction(currentType);
+  const Icon = current?.icon ?? REACTIONS[0].icon;
+
+  const handleClick = () => {
+    if (disabled) return;
+    if (current) onRemove();
+    else onReact("like");
+  };
+
+  return (
+    <div className="dropdown dropdown-hover dropdown-top">
+      <button
+        tabIndex={0}
+        onClick={handleClick}
+        className={`flex items-center ${current ? current.className : ""}`}
+      >
+        <span className="mr-1">
+          <Icon size={compact ? 14 : 18} />
+        </span>
+        <span className={compact ? "" : "hidden sm:inline"}>
+          {current?.label ?? "Like"}
+        </span>
+      </button>
+      <ul
+        tabIndex={0}
+        className="dropdown-content z-10 flex gap-1 rounded-full bg-base-100 p-1 shadow"
+      >
+        {REACTIONS.map(({ type, label, icon: ReactionIcon, className }) => (
+          <li key={type}>
+            <button
+              onClick={() => !disabled && onReact(type)}
+              className={`rounded-full p-2 transition-transform hover:scale-125 ${className} ${
+                type === currentType ? "bg-base-200" : ""
+              }`}
+              aria-label={label}
+              title={label}
+            >
+              <ReactionIcon size={compact ? 16 : 20} />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ReactionButton;
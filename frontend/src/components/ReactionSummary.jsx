@@ -0,0 +1,30 @@
+import { getReaction, topReactionTypes } from "../utils/reactions";
+
+const ReactionSummary = ({ reactions = [], onClick }) => {
+  if (reactions.length === 0) return null;
+
+  return (
+    <button
+      onClick={onClick}
+      className="flex items-center gap-1 text-xs text-info hover:underline"
+    >
+      <span className="flex -space-x-1">
+        {topReactionTypes(reactions).map((type) => {
+          const { icon: Icon, className, label } = getReaction(type);
+          return (
+            <span
+              key={type}
+              className={`rounded-full bg-base-100 p-0.5 ${className}`}
+              title={label}
+            >
+              <Icon size={12} />
+            </span>
+          );
+        })}
+      </span>
+      {reactions.length}
+    </button>
+  );
+};
+
+export default ReactionSummary;
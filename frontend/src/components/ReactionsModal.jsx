@@ -0,0 +1,114 @@
+import { useQuery } from "@tanstack/react-query";
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { Loader, X } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+import { getReaction, REACTIONS } from "../utils/reactions";
+
+// `endpoint` lists the reactions, e.g. /posts/:id/reactions
+const ReactionsModal = ({ endpoint, onClose }) => {
+  const [type, setType] = useState(null);
+
+  const { data, isPending } = useQuery({
+    queryKey: ["reactions", endpoint, type],
+    queryFn: async () => {
+      const res = await axiosInstance.get(endpoint, {
+        params: { type: type ?? undefined },
+      });
+      return res.data;
+    },
+  });
+
+  const counts = data?.counts ?? {};
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-lg shadow-lg w-full max-w-md max-h-[80vh] overflow-y-auto p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold">Reactions</h2>
+          <button onClick={onClose} aria-label="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div role="tablist" className="tabs tabs-bordered mb-4">
+          <button
+            role="tab"
+            className={`tab ${type === null ? "tab-active" : ""}`}
+            onClick={() => setType(null)}
+          >
+            All {total}
+          </button>
+          {REACTIONS.filter((reaction) => counts[reaction.type]).map(
+            ({ type: value, label, icon: Icon, className }) => (
+              <button
+                key={value}
+                role="tab"
+                className={`tab gap-1 ${type === value ? "tab-active" : ""}`}
+                onClick={() => setType(value)}
+                aria-label={label}
+              >
+                <Icon size={16} className={className} />
+                {counts[value]}
+              </button>
+            ),
+          )}
+        </div>
+
+        {isPending ? (
+          <div className="flex justify-center py-4">
+            <Loader size={20} className="animate-spin" />
+          </div>
+        ) : (
+          <ul>
+            {data.reactions.map(({ user, type: reactionType }) => {
+              const { icon: Icon, className } = getReaction(reactionType);
+              return (
+                <li
+                  key={user._id}
+                  className="flex items-center gap-3 py-2 border-b last:border-b-0"
+                >
+                  <Link
+                    to={`/profile/${user.username}`}
+                    className="relative"
+                    onClick={onClose}
+                  >
+                    <img
+                      src={user.profilePicture || "/avatar.png"}
+                      alt={user.name}
+                      className="size-10 rounded-full"
+                    />
+                    <span
+                      className={`absolute -bottom-1 -right-1 rounded-full bg-white p-0.5 ${className}`}
+                    >
+                      <Icon size={12} />
+                    </span>
+                  </Link>
+                  <div>
+                    <Link
+                      to={`/profile/${user.username}`}
+                      className="font-semibold"
+                      onClick={onClose}
+                    >
+                      {user.name}
+                    </Link>
+                    <p className="text-xs text-info">{user.headline}</p>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReactionsModal;
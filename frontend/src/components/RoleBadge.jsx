@@ -0,0 +1,18 @@
+const ROLE_STYLES = {
+	alumni: "bg-purple-100 text-purple-700",
+	faculty: "bg-green-100 text-green-700",
+	moderator: "bg-orange-100 text-orange-700",
+	admin: "bg-red-100 text-red-700",
+};
+
+// students are the default, so only the other roles get a badge
+const RoleBadge = ({ role, className = "" }) => {
+	if (!ROLE_STYLES[role]) return null;
+
+	return (
+		<span className={`text-xs font-medium px-2 py-0.5 rounded-full capitalize ${ROLE_STYLES[role]} ${className}`}>
+			{role}
+		</span>
+	);
+};
+export default RoleBadge;
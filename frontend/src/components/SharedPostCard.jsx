@@ -0,0 +1,67 @@
+import { Link } from "react-router-dom";
+import { formatDistanceToNow } from "date-fns";
+import Poll from "./Poll";
+import PostContent from "./PostContent";
+import PostImages from "./PostImages";
+import PostDocument from "./PostDocument";
+import PostVideo from "./PostVideo";
+
+// the post a repost or quote refers to; null once the original is deleted
+const SharedPostCard = ({ post }) => {
+  if (!post) {
+    return (
+      <div className="border border-base-300 rounded-lg p-3 mb-4 text-sm text-info">
+        This post is no longer available
+      </div>
+    );
+  }
+
+  return (
+    <div className="border border-base-300 rounded-lg p-3 mb-4">
+      <div className="flex items-center mb-2">
+        <Link to={`/profile/${post.author.username}`}>
+          <img
+            src={post.author.profilePicture || "/avatar.png"}
+            alt={post.author.name}
+            className="size-8 rounded-full mr-2"
+          />
+        </Link>
+        <div>
+          <Link
+            to={`/profile/${post.author.username}`}
+            className="font-semibold text-sm"
+          >
+            {post.author.name}
+          </Link>
+          <p className="text-xs text-info">
+            <Link to={`/post/${post._id}`} className="hover:underline">
+              {formatDistanceToNow(new Date(post.createdAt), {
+                addSuffix: true,
+              })}
+            </Link>
+          </p>
+        </div>
+      </div>
+      <PostContent
+        content={post.content}
+        mentions={post.mentions}
+        className="text-sm mb-2"
+      />
+      {post.poll && <Poll post={post} />}
+      <PostImages images={post.images} className="mb-2" />
+      <PostVideo video={post.video} className="mb-2" />
+      <PostDocument document={post.document} className="mb-2" />
+      {/* only one level is loaded, a quote of a quote links onwards */}
+      {post.sharedPost && (
+        <Link
+          to={`/post/${post.sharedPost}`}
+          className="text-xs text-primary hover:underline"
+        >
+          View the post it shares
+        </Link>
+      )}
+    </div>
+  );
+};
+
+export default SharedPostCard;
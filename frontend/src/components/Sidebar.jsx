@@ -1,5 +1,5 @@
 import { Link } from "react-router-dom";
-import { Home, UserPlus, Bell } from "lucide-react";
+import { Home, UserPlus, Bell, Shield } from "lucide-react";
 
 export default function Sidebar({ user }) {
 	return (
@@ -49,6 +49,14 @@ export default function Sidebar({ user }) {
 								<Bell className='mr-2' size={20} /> Notifications
 							</Link>
 						</li>
+						<li>
+							<Link
+								to='/settings/security'
+								className='flex items-center py-2 px-4 rounded-md hover:bg-primary hover:text-white transition-colors'
+							>
+								<Shield className='mr-2' size={20} /> Security
+							</Link>
+						</li>
 					</ul>
 				</nav>
 			</div>
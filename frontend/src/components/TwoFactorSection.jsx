@@ -0,0 +1,179 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import { Loader, ShieldCheck } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+
+const TwoFactorSection = ({ user }) => {
+  const queryClient = useQueryClient();
+  const [setupData, setSetupData] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const { mutate: startSetup, isPending: isStartingSetup } = useMutation({
+    mutationFn: async () => {
+      const res = await axiosInstance.post("/auth/2fa/setup");
+      return res.data;
+    },
+    onSuccess: (data) => setSetupData(data),
+    onError: (error) => {
+      toast.error(error.response?.data?.message || "An error occurred");
+    },
+  });
+
+  const { mutate: enableTwoFactor, isPending: isEnabling } = useMutation({
+    mutationFn: async (code) => {
+      const res = await axiosInstance.post("/auth/2fa/enable", { code });
+      return res.data;
+    },
+    onSuccess: (data) => {
+      toast.success("Two-factor authentication enabled");
+      setSetupData(null);
+      setCode("");
+      setRecoveryCodes(data.recoveryCodes);
+      queryClient.invalidateQueries({ queryKey: ["authUser"] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || "An error occurred");
+    },
+  });
+
+  const { mutate: disableTwoFactor, isPending: isDisabling } = useMutation({
+    mutationFn: (password) =>
+      axiosInstance.post("/auth/2fa/disable", { password }),
+    onSuccess: () => {
+      toast.success("Two-factor authentication disabled");
+      setPassword("");
+      queryClient.invalidateQueries({ queryKey: ["authUser"] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || "An error occurred");
+    },
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    enableTwoFactor(code.replace(/\s/g, ""));
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    disableTwoFactor(password);
+  };
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-lg font-semibold mb-2 flex items-center gap-2">
+        <ShieldCheck size={20} />
+        Two-factor authentication
+        {user.twoFactorEnabled && (
+          <span className="text-xs text-green-600 font-normal">On</span>
+        )}
+      </h2>
+
+      {recoveryCodes && (
+        <div className="border border-yellow-400 bg-yellow-50 rounded-lg p-4 mb-4">
+          <p className="text-sm mb-2">
+            Save these recovery codes somewhere safe. Each one can be used once
+            to sign in if you lose your authenticator. They won&apos;t be shown
+            again.
+          </p>
+          <ul className="grid grid-cols-2 gap-1 font-mono text-sm">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+          <button
+            onClick={() => setRecoveryCodes(null)}
+            className="mt-3 text-sm text-blue-600 hover:underline"
+          >
+            I&apos;ve saved them
+          </button>
+        </div>
+      )}
+
+      {user.twoFactorEnabled ? (
+        <form onSubmit={handleDisable} className="flex gap-2 items-center">
+          <input
+            type="password"
+            placeholder="Confirm your password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="input input-bordered input-sm"
+            required
+          />
+          <button
+            type="submit"
+            disabled={isDisabling}
+            className="btn btn-sm btn-outline btn-error"
+          >
+            {isDisabling ? (
+              <Loader size={16} className="animate-spin" />
+            ) : (
+              "Turn off"
+            )}
+          </button>
+        </form>
+      ) : setupData ? (
+        <form onSubmit={handleEnable} className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with an authenticator app, then enter the 6-digit
+            code it shows.
+          </p>
+          <img
+            src={setupData.qrCode}
+            alt="Two-factor QR code"
+            className="size-40"
+          />
+          <p className="text-xs text-gray-500">
+            Can&apos;t scan it? Enter this key instead:{" "}
+            <span className="font-mono">{setupData.secret}</span>
+          </p>
+          <div className="flex gap-2 items-center">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="123456"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="input input-bordered input-sm"
+              required
+            />
+            <button
+              type="submit"
+              disabled={isEnabling}
+              className="btn btn-sm btn-primary"
+            >
+              {isEnabling ? (
+                <Loader size={16} className="animate-spin" />
+              ) : (
+                "Confirm"
+              )}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div>
+          <p className="text-sm text-gray-600 mb-2">
+            Require a code from your authenticator app in addition to your
+            password when signing in.
+          </p>
+          <button
+            onClick={() => startSetup()}
+            disabled={isStartingSetup}
+            className="btn btn-sm btn-primary"
+          >
+            {isStartingSetup ? (
+              <Loader size={16} className="animate-spin" />
+            ) : (
+              "Set up two-factor authentication"
+            )}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+export default TwoFactorSection;
@@ -0,0 +1,11 @@
+// a thin bar for files still on their way up, progress runs from 0 to 1
+const UploadProgress = ({ progress, className = "" }) => (
+  <progress
+    className={`progress progress-primary w-full ${className}`}
+    value={Math.round(progress * 100)}
+    max="100"
+    aria-label="Upload progress"
+  />
+);
+
+export default UploadProgress;
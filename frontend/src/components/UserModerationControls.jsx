@@ -0,0 +1,80 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "react-hot-toast";
+import { Ban, CheckCircle, Loader, RotateCcw } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+import { ROLES, hasPermission } from "../utils/permissions";
+
+// shown on other people's profiles to moderators and admins
+const UserModerationControls = ({ userData }) => {
+	const queryClient = useQueryClient();
+	const { data: authUser } = useQuery({ queryKey: ["authUser"] });
+
+	const canChangeRole = hasPermission(authUser, "user:change-role");
+	const canApprove = hasPermission(authUser, "user:approve") && userData.accountStatus === "pendingApproval";
+	const canSuspend = hasPermission(authUser, "user:suspend");
+
+	const { mutate: updateUser, isPending } = useMutation({
+		mutationFn: ({ action, data }) => axiosInstance.put(`/admin/users/${userData.username}/${action}`, data),
+		onSuccess: (res) => {
+			toast.success(res.data.message);
+			queryClient.invalidateQueries({ queryKey: ["userProfile", userData.username] });
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Something went wrong");
+		},
+	});
+
+	if (!canChangeRole && !canApprove && !canSuspend) return null;
+
+	const handleSuspend = () => {
+		if (!window.confirm(`Suspend ${userData.name}? They will be signed out everywhere.`)) return;
+		updateUser({ action: "suspend" });
+	};
+
+	return (
+		<div className='mt-4 pt-4 border-t flex flex-wrap items-center justify-center gap-2'>
+			{canChangeRole && (
+				<select
+					value={userData.role}
+					onChange={(e) => updateUser({ action: "role", data: { role: e.target.value } })}
+					disabled={isPending}
+					className='select select-bordered select-sm capitalize'
+					aria-label='Role'
+				>
+					{ROLES.map((role) => (
+						<option key={role} value={role}>
+							{role}
+						</option>
+					))}
+				</select>
+			)}
+
+			{canApprove && (
+				<button
+					onClick={() => updateUser({ action: "approve" })}
+					disabled={isPending}
+					className='btn btn-sm btn-success text-white'
+				>
+					<CheckCircle size={16} />
+					Approve
+				</button>
+			)}
+
+			{canSuspend &&
+				(userData.accountStatus === "suspended" ? (
+					<button onClick={() => updateUser({ action: "unsuspend" })} disabled={isPending} className='btn btn-sm'>
+						<RotateCcw size={16} />
+						Reinstate
+					</button>
+				) : (
+					<button onClick={handleSuspend} disabled={isPending} className='btn btn-sm btn-error text-white'>
+						<Ban size={16} />
+						Suspend
+					</button>
+				))}
+
+			{isPending && <Loader size={16} className='animate-spin' />}
+		</div>
+	);
+};
+export default UserModerationControls;
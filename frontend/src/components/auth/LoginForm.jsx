@@ -3,29 +3,131 @@ import { useState } from "react";
 import { axiosInstance } from "../../lib/axios";
 import toast from "react-hot-toast";
 import { Loader } from "lucide-react";
+import { Link } from "react-router-dom";
+
+const ACCOUNT_RESTORED_MESSAGE = "Welcome back! Your account is no longer scheduled for deletion.";
 
 const LoginForm = () => {
 	const [username, setUsername] = useState("");
 	const [password, setPassword] = useState("");
+	const [challengeToken, setChallengeToken] = useState(null);
+	const [code, setCode] = useState("");
+	const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+	const [throttleMessage, setThrottleMessage] = useState(null);
 	const queryClient = useQueryClient();
 
-	const { mutate: loginMutation, isLoading } = useMutation({
+	const { mutate: loginMutation, isPending } = useMutation({
 		mutationFn: (userData) => axiosInstance.post("/auth/login", userData),
-		onSuccess: () => {
+		onSuccess: (res) => {
+			if (res.data.twoFactorRequired) {
+				setChallengeToken(res.data.challengeToken);
+				return;
+			}
+			if (res.data.accountRestored) toast.success(ACCOUNT_RESTORED_MESSAGE);
+			queryClient.invalidateQueries({ queryKey: ["authUser"] });
+		},
+		onError: (err) => {
+			if (err.response?.status === 429) {
+				setThrottleMessage(err.response.data.message);
+			}
+			toast.error(err.response?.data?.message || "Something went wrong");
+		},
+	});
+
+	const { mutate: twoFactorMutation, isPending: isVerifying } = useMutation({
+		mutationFn: (data) => axiosInstance.post("/auth/login/2fa", data),
+		onSuccess: (res) => {
+			if (res.data.accountRestored) toast.success(ACCOUNT_RESTORED_MESSAGE);
 			queryClient.invalidateQueries({ queryKey: ["authUser"] });
 		},
 		onError: (err) => {
-			toast.error(err.response.data.message || "Something went wrong");
+			if (err.response?.status === 429) {
+				setThrottleMessage(err.response.data.message);
+			}
+			if (err.response?.status === 401) {
+				// the challenge expired, start over from the password step
+				setChallengeToken(null);
+				setCode("");
+			}
+			toast.error(err.response?.data?.message || "Something went wrong");
 		},
 	});
 
 	const handleSubmit = (e) => {
 		e.preventDefault();
+		setThrottleMessage(null);
 		loginMutation({ username, password });
 	};
 
+	const handleTwoFactorSubmit = (e) => {
+		e.preventDefault();
+		setThrottleMessage(null);
+		twoFactorMutation(
+			useRecoveryCode ? { challengeToken, recoveryCode: code } : { challengeToken, code: code.replace(/\s/g, "") },
+		);
+	};
+
+	if (challengeToken) {
+		return (
+			<form onSubmit={handleTwoFactorSubmit} className='space-y-4 w-full max-w-md'>
+				{throttleMessage && (
+					<div role='alert' className='alert alert-warning text-sm'>
+						{throttleMessage}
+					</div>
+				)}
+				<p className='text-sm text-gray-600'>
+					{useRecoveryCode
+						? "Enter one of the recovery codes you saved when you turned on two-factor authentication."
+						: "Enter the 6-digit code from your authenticator app."}
+				</p>
+				<input
+					type='text'
+					inputMode={useRecoveryCode ? "text" : "numeric"}
+					autoComplete='one-time-code'
+					placeholder={useRecoveryCode ? "Recovery code" : "123456"}
+					value={code}
+					onChange={(e) => setCode(e.target.value)}
+					className='input input-bordered w-full'
+					autoFocus
+					required
+				/>
+				<div className='flex justify-between'>
+					<button
+						type='button'
+						onClick={() => {
+							setUseRecoveryCode(!useRecoveryCode);
+							setCode("");
+						}}
+						className='text-sm text-blue-600 hover:underline'
+					>
+						{useRecoveryCode ? "Use authenticator app" : "Use a recovery code"}
+					</button>
+					<button
+						type='button'
+						onClick={() => {
+							setChallengeToken(null);
+							setCode("");
+						}}
+						className='text-sm text-gray-600 hover:underline'
+					>
+						Back
+					</button>
+				</div>
+
+				<button type='submit' className='btn btn-primary w-full' disabled={isVerifying}>
+					{isVerifying ? <Loader className='size-5 animate-spin' /> : "Verify"}
+				</button>
+			</form>
+		);
+	}
+
 	return (
 		<form onSubmit={handleSubmit} className='space-y-4 w-full max-w-md'>
+			{throttleMessage && (
+				<div role='alert' className='alert alert-warning text-sm'>
+					{throttleMessage}
+				</div>
+			)}
 			<input
 				type='text'
 				placeholder='Username'
@@ -42,9 +144,14 @@ const LoginForm = () => {
 				className='input input-bordered w-full'
 				required
 			/>
+			<div className='text-right'>
+				<Link to='/forgot-password' className='text-sm text-blue-600 hover:underline'>
+					Forgot password?
+				</Link>
+			</div>
 
 			<button type='submit' className='btn btn-primary w-full'>
-				{isLoading ? <Loader className='size-5 animate-spin' /> : "Login"}
+				{isPending ? <Loader className='size-5 animate-spin' /> : "Login"}
 			</button>
 		</form>
 	);
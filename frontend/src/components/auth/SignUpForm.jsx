@@ -3,6 +3,7 @@ import { useMutation, useQueryClient } from "@tanstack/react-query";
 import { axiosInstance } from "../../lib/axios.js";
 import { toast } from "react-hot-toast";
 import { Loader } from "lucide-react";
+import { useNavigate } from "react-router-dom";
 
 const SignUpForm = () => {
 	const [name, setName] = useState("");
@@ -11,14 +12,20 @@ const SignUpForm = () => {
 	const [password, setPassword] = useState("");
 
 	const queryClient = useQueryClient();
+	const navigate = useNavigate();
 
 	const { mutate: signUpMutation, isLoading } = useMutation({
 		mutationFn: async (data) => {
 			const res = await axiosInstance.post("/auth/signup", data);
 			return res.data;
 		},
-		onSuccess: () => {
-			toast.success("Account created successfully");
+		onSuccess: (data) => {
+			toast.success(
+				data.accountStatus === "pendingApproval"
+					? "Account created, it will be active once approved"
+					: "Account created successfully",
+			);
+			navigate("/verify-email");
 			queryClient.invalidateQueries({ queryKey: ["authUser"] });
 		},
 		onError: (err) => {
@@ -1,9 +1,26 @@
+import { useQuery } from "@tanstack/react-query";
+import { Link } from "react-router-dom";
 import Navbar from "./Navbar";
 
 const Layout = ({ children }) => {
+	const { data: authUser } = useQuery({ queryKey: ["authUser"] });
+
 	return (
 		<div className='min-h-screen bg-base-100'>
 			<Navbar />
+			{authUser && !authUser.verified && (
+				<div className='bg-warning text-neutral text-sm text-center py-2 px-4'>
+					Your email address is not verified yet, so your account is read-only.{" "}
+					<Link to='/verify-email' className='font-semibold underline'>
+						Verify now
+					</Link>
+				</div>
+			)}
+			{authUser?.verified && authUser.accountStatus === "pendingApproval" && (
+				<div className='bg-warning text-neutral text-sm text-center py-2 px-4'>
+					Your email isn&apos;t on a campus domain, so your account is read-only until it is approved.
+				</div>
+			)}
 			<main className='max-w-7xl mx-auto px-4 py-6'>{children}</main>
 		</div>
 	);
@@ -4,3 +4,40 @@ export const axiosInstance = axios.create({
 	baseURL: import.meta.env.MODE === "development" ? "http://localhost:5000/api/v1" : "/api/v1",
 	withCredentials: true,
 });
+
+// a 401 from these means bad credentials, not an expired access token
+const NO_REFRESH_URLS = ["/auth/login", "/auth/signup", "/auth/logout", "/auth/refresh"];
+
+// shared so a burst of 401s triggers a single refresh; the server treats a
+// second use of the same refresh token as theft and revokes the session
+let refreshPromise = null;
+
+axiosInstance.interceptors.response.use(
+	(response) => response,
+	async (error) => {
+		const originalRequest = error.config;
+
+		if (
+			error.response?.status !== 401 ||
+			!originalRequest ||
+			originalRequest._retried ||
+			NO_REFRESH_URLS.some((url) => originalRequest.url?.startsWith(url))
+		) {
+			return Promise.reject(error);
+		}
+
+		originalRequest._retried = true;
+
+		refreshPromise ??= axiosInstance.post("/auth/refresh").finally(() => {
+			refreshPromise = null;
+		});
+
+		try {
+			await refreshPromise;
+		} catch {
+			return Promise.reject(error);
+		}
+
+		return axiosInstance(originalRequest);
+	},
+);
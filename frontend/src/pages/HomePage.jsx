@@ -1,11 +1,17 @@
-import { useQuery } from "@tanstack/react-query";
+import { useInfiniteQuery, useQuery } from "@tanstack/react-query";
+import { useEffect, useRef, useState } from "react";
 import { axiosInstance } from "../lib/axios";
 import Sidebar from "../components/Sidebar";
 import PostCreation from "../components/PostCreation";
 import Post from "../components/Post";
-import { Users } from "lucide-react";
+import { Clock, Flame, Loader, Users } from "lucide-react";
 import RecommendedUser from "../components/RecommendedUser";
 
+const FEED_SORTS = [
+	{ value: "recent", label: "Recent", icon: Clock },
+	{ value: "top", label: "Top", icon: Flame },
+];
+
 const HomePage = () => {
 	const { data: authUser } = useQuery({ queryKey: ["authUser"] });
 
@@ -17,15 +23,35 @@ const HomePage = () => {
 		},
 	});
 
-	const { data: posts } = useQuery({
-		queryKey: ["posts"],
-		queryFn: async () => {
-			const res = await axiosInstance.get("/posts");
+	const [feedSort, setFeedSort] = useState("recent");
+
+	const { data, fetchNextPage, hasNextPage, isFetchingNextPage } = useInfiniteQuery({
+		queryKey: ["posts", feedSort],
+		queryFn: async ({ pageParam }) => {
+			const res = await axiosInstance.get("/posts", { params: { sort: feedSort, cursor: pageParam } });
 			return res.data;
 		},
+		initialPageParam: undefined,
+		getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
 	});
 
-	console.log("posts", posts);
+	const posts = data?.pages.flatMap((page) => page.posts);
+
+	// load the next page once the end of the feed scrolls into view
+	const loadMoreRef = useRef(null);
+	useEffect(() => {
+		const sentinel = loadMoreRef.current;
+		if (!sentinel || !hasNextPage) return;
+
+		const observer = new IntersectionObserver(
+			([entry]) => {
+				if (entry.isIntersecting && !isFetchingNextPage) fetchNextPage();
+			},
+			{ rootMargin: "400px" },
+		);
+		observer.observe(sentinel);
+		return () => observer.disconnect();
+	}, [hasNextPage, isFetchingNextPage, fetchNextPage]);
 
 	return (
 		<div className='grid grid-cols-1 lg:grid-cols-4 gap-6'>
@@ -36,10 +62,31 @@ const HomePage = () => {
 			<div className='col-span-1 lg:col-span-2 order-first lg:order-none'>
 				<PostCreation user={authUser} />
 
+				<div role='tablist' className='tabs tabs-boxed bg-secondary mb-4'>
+					{FEED_SORTS.map(({ value, label, icon: Icon }) => (
+						<button
+							key={value}
+							role='tab'
+							className={`tab gap-1 ${feedSort === value ? "tab-active" : ""}`}
+							onClick={() => setFeedSort(value)}
+						>
+							<Icon size={16} />
+							{label}
+						</button>
+					))}
+				</div>
+
 				{posts?.map((post) => (
 					<Post key={post._id} post={post} />
 				))}
 
+				<div ref={loadMoreRef} />
+				{isFetchingNextPage && (
+					<div className='flex justify-center py-4'>
+						<Loader className='size-6 animate-spin text-primary' />
+					</div>
+				)}
+
 				{posts?.length === 0 && (
 					<div className='bg-white rounded-lg shadow p-8 text-center'>
 						<div className='mb-6'>
@@ -2,16 +2,21 @@ import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { axiosInstance } from "../lib/axios";
 import { toast } from "react-hot-toast";
 import {
+  AtSign,
+  BarChart3,
+  Download,
   ExternalLink,
   Eye,
   MessageSquare,
-  ThumbsUp,
+  Repeat2,
+  Reply,
   Trash2,
   UserPlus,
 } from "lucide-react";
 import { Link } from "react-router-dom";
 import Sidebar from "../components/Sidebar";
 import { formatDistanceToNow } from "date-fns";
+import { getReaction, REACTIONS } from "../utils/reactions";
 
 const NotificationsPage = () => {
   const { data: authUser } = useQuery({ queryKey: ["authUser"] });
@@ -38,15 +43,29 @@ const NotificationsPage = () => {
     },
   });
 
-  const renderNotificationIcon = (type) => {
-    switch (type) {
-      case "like":
-        return <ThumbsUp className="text-blue-500" />;
+  const renderNotificationIcon = (notification) => {
+    switch (notification.type) {
+      case "reaction":
+      case "commentLike": {
+        const { icon: Icon, className } =
+          getReaction(notification.reactionType) ?? REACTIONS[0];
+        return <Icon className={className} />;
+      }
 
       case "comment":
         return <MessageSquare className="text-green-500" />;
+      case "reply":
+        return <Reply className="text-green-500" />;
+      case "mention":
+        return <AtSign className="text-blue-500" />;
+      case "share":
+        return <Repeat2 className="text-green-500" />;
+      case "pollClosed":
+        return <BarChart3 className="text-purple-500" />;
       case "connectionAccepted":
         return <UserPlus className="text-purple-500" />;
+      case "dataExportReady":
+        return <Download className="text-blue-500" />;
       default:
         return null;
     }
@@ -54,10 +73,13 @@ const NotificationsPage = () => {
 
   const renderNotificationContent = (notification) => {
     switch (notification.type) {
-      case "like":
+      case "reaction":
         return (
           <span>
-            <strong>{notification.relatedUser.name}</strong> liked your post
+            <strong>{notification.relatedUser.name}</strong>{" "}
+            {notification.reactionType === "like"
+              ? "liked your post"
+              : "reacted to your post"}
           </span>
         );
       case "comment":
@@ -72,6 +94,59 @@ const NotificationsPage = () => {
             commented on your post
           </span>
         );
+      case "commentLike":
+        return (
+          <span>
+            <Link
+              to={`/profile/${notification.relatedUser.username}`}
+              className="font-bold"
+            >
+              {notification.relatedUser.name}
+            </Link>{" "}
+            {notification.reactionType === "like"
+              ? "liked your comment"
+              : "reacted to your comment"}
+          </span>
+        );
+      case "reply":
+        return (
+          <span>
+            <Link
+              to={`/profile/${notification.relatedUser.username}`}
+              className="font-bold"
+            >
+              {notification.relatedUser.name}
+            </Link>{" "}
+            replied to your comment
+          </span>
+        );
+      case "mention":
+        return (
+          <span>
+            <Link
+              to={`/profile/${notification.relatedUser.username}`}
+              className="font-bold"
+            >
+              {notification.relatedUser.name}
+            </Link>{" "}
+            mentioned you in a{" "}
+            {notification.relatedComment ? "comment" : "post"}
+          </span>
+        );
+      case "share":
+        return (
+          <span>
+            <Link
+              to={`/profile/${notification.relatedUser.username}`}
+              className="font-bold"
+            >
+              {notification.relatedUser.name}
+            </Link>{" "}
+            shared your post
+          </span>
+        );
+      case "pollClosed":
+        return <span>Your poll has closed, see how people voted</span>;
       case "connectionAccepted":
         return (
           <span>
@@ -84,6 +159,16 @@ const NotificationsPage = () => {
             accepted your connection request
           </span>
         );
+      case "dataExportReady":
+        return (
+          <span>
+            Your data export is ready.{" "}
+            <Link to="/settings/security" className="font-bold">
+              Download it
+            </Link>{" "}
+            within 24 hours.
+          </span>
+        );
       default:
         return null;
     }
@@ -97,16 +182,30 @@ const NotificationsPage = () => {
         to={`/post/${relatedPost._id}`}
         className="mt-2 p-2 bg-gray-50 rounded-md flex items-center space-x-2 hover:bg-gray-100 transition-colors"
       >
-        {relatedPost.image && (
+        {relatedPost.images?.length > 0 ? (
           <img
-            src={relatedPost.image}
-            alt="Post preview"
+            src={relatedPost.images[0].url}
+            alt={relatedPost.images[0].alt || "Post preview"}
             className="w-10 h-10 object-cover rounded"
           />
+        ) : relatedPost.video?.poster ? (
+          <img
+            src={relatedPost.video.poster}
+            alt="Video preview"
+            className="w-10 h-10 object-cover rounded"
+          />
+        ) : (
+          relatedPost.document?.thumbnail && (
+            <img
+              src={relatedPost.document.thumbnail}
+              alt={relatedPost.document.name}
+              className="w-10 h-10 object-cover rounded"
+            />
+          )
         )}
         <div className="flex-1 overflow-hidden">
           <p className="text-sm text-gray-600 truncate">
-            {relatedPost.content}
+            {relatedPost.content || relatedPost.document?.name}
           </p>
         </div>
         <ExternalLink size={14} className="text-gray-400" />
@@ -136,23 +235,32 @@ const NotificationsPage = () => {
                 >
                   <div className="flex items-start justify-between">
                     <div className="flex items-center space-x-4">
-                      <Link
-                        to={`/profile/${notification.relatedUser.username}`}
-                      >
+                      {/* system notifications have no related user */}
+                      {notification.relatedUser ? (
+                        <Link
+                          to={`/profile/${notification.relatedUser.username}`}
+                        >
+                          <img
+                            src={
+                              notification.relatedUser.profilePicture ||
+                              "/avatar.png"
+                            }
+                            alt={notification.relatedUser.name}
+                            className="w-12 h-12 rounded-full object-cover"
+                          />
+                        </Link>
+                      ) : (
                         <img
-                          src={
-                            notification.relatedUser.profilePicture ||
-                            "/avatar.png"
-                          }
-                          alt={notification.relatedUser.name}
+                          src={authUser.profilePicture || "/avatar.png"}
+                          alt={authUser.name}
                           className="w-12 h-12 rounded-full object-cover"
                         />
-                      </Link>
+                      )}
 
                       <div>
                         <div className="flex items-center gap-2">
                           <div className="p-1 bg-gray-100 rounded-full">
-                            {renderNotificationIcon(notification.type)}
+                            {renderNotificationIcon(notification)}
                           </div>
                           <p className="text-sm">
                             {renderNotificationContent(notification)}
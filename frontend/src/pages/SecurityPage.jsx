@@ -0,0 +1,141 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { formatDistanceToNow } from "date-fns";
+import { toast } from "react-hot-toast";
+import { Loader, LogOut, Monitor } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+import Sidebar from "../components/Sidebar";
+import TwoFactorSection from "../components/TwoFactorSection";
+import DataExportSection from "../components/DataExportSection";
+import EmailPreferencesSection from "../components/EmailPreferencesSection";
+import DeleteAccountSection from "../components/DeleteAccountSection";
+import { describeUserAgent } from "../utils/userAgent";
+
+const SecurityPage = () => {
+  const { data: authUser } = useQuery({ queryKey: ["authUser"] });
+  const queryClient = useQueryClient();
+
+  const { data: sessions, isLoading } = useQuery({
+    queryKey: ["sessions"],
+    queryFn: async () => {
+      const res = await axiosInstance.get("/auth/sessions");
+      return res.data;
+    },
+  });
+
+  const { mutate: revokeSession } = useMutation({
+    mutationFn: (sessionId) =>
+      axiosInstance.delete(`/auth/sessions/${sessionId}`),
+    onSuccess: (_, sessionId) => {
+      const isCurrent = sessions?.find((s) => s._id === sessionId)?.current;
+      toast.success("Session revoked");
+      if (isCurrent) {
+        queryClient.invalidateQueries({ queryKey: ["authUser"] });
+      } else {
+        queryClient.invalidateQueries({ queryKey: ["sessions"] });
+      }
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || "An error occurred");
+    },
+  });
+
+  const { mutate: revokeAllSessions, isPending: isRevokingAll } = useMutation({
+    mutationFn: () => axiosInstance.delete("/auth/sessions"),
+    onSuccess: () => {
+      toast.success("Logged out everywhere");
+      queryClient.invalidateQueries({ queryKey: ["authUser"] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || "An error occurred");
+    },
+  });
+
+  const handleRevokeAll = () => {
+    if (
+      !window.confirm(
+        "This will sign you out on every device, including this one. Continue?",
+      )
+    )
+      return;
+    revokeAllSessions();
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+      <div className="col-span-1 lg:col-span-1 hidden lg:block">
+        <Sidebar user={authUser} />
+      </div>
+      <div className="col-span-1 lg:col-span-3">
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h1 className="text-2xl font-bold">Security</h1>
+            <button
+              onClick={handleRevokeAll}
+              disabled={isRevokingAll}
+              className="flex items-center gap-1 text-sm text-red-600 hover:text-red-800"
+            >
+              {isRevokingAll ? (
+                <Loader size={16} className="animate-spin" />
+              ) : (
+                <LogOut size={16} />
+              )}
+              Log out everywhere
+            </button>
+          </div>
+
+          <h2 className="text-lg font-semibold mb-2">
+            Where you&apos;re signed in
+          </h2>
+          {isLoading ? (
+            <p>Loading sessions...</p>
+          ) : (
+            <ul>
+              {sessions?.map((session) => (
+                <li
+                  key={session._id}
+                  className="border rounded-lg p-4 my-2 flex items-center justify-between"
+                >
+                  <div className="flex items-center space-x-4">
+                    <Monitor className="text-gray-500" />
+                    <div>
+                      <p className="font-semibold">
+                        {describeUserAgent(session.userAgent)}
+                        {session.current && (
+                          <span className="ml-2 text-xs text-green-600">
+                            This device
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {session.ip || "Unknown IP"} · Signed in{" "}
+                        {formatDistanceToNow(new Date(session.createdAt), {
+                          addSuffix: true,
+                        })}{" "}
+                        · Last active{" "}
+                        {formatDistanceToNow(new Date(session.lastSeenAt), {
+                          addSuffix: true,
+                        })}
+                      </p>
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => revokeSession(session._id)}
+                    className="text-sm text-red-600 hover:text-red-800"
+                  >
+                    {session.current ? "Log out" : "Revoke"}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <TwoFactorSection user={authUser} />
+          <EmailPreferencesSection user={authUser} />
+          <DataExportSection />
+          <DeleteAccountSection />
+        </div>
+      </div>
+    </div>
+  );
+};
+export default SecurityPage;
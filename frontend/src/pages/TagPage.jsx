@@ -0,0 +1,113 @@
+import { useInfiniteQuery, useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useEffect, useRef } from "react";
+import { useParams } from "react-router-dom";
+import toast from "react-hot-toast";
+import { Hash, Loader } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+import Sidebar from "../components/Sidebar";
+import Post from "../components/Post";
+
+const TagPage = () => {
+	const { tag: tagParam } = useParams();
+	const tag = tagParam.replace(/^#/, "").toLowerCase();
+	const queryClient = useQueryClient();
+	const { data: authUser } = useQuery({ queryKey: ["authUser"] });
+	const isFollowing = authUser.followedTags?.includes(tag);
+
+	const { data, fetchNextPage, hasNextPage, isFetchingNextPage, isPending, isError } = useInfiniteQuery({
+		queryKey: ["posts", "tag", tag],
+		queryFn: async ({ pageParam }) => {
+			const res = await axiosInstance.get(`/posts/tag/${encodeURIComponent(tag)}`, {
+				params: { cursor: pageParam },
+			});
+			return res.data;
+		},
+		initialPageParam: undefined,
+		getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+	});
+
+	const posts = data?.pages.flatMap((page) => page.posts);
+
+	const { mutate: toggleFollow, isPending: isUpdatingFollow } = useMutation({
+		mutationFn: () => {
+			const url = `/users/me/followed-tags/${encodeURIComponent(tag)}`;
+			return isFollowing ? axiosInstance.delete(url) : axiosInstance.put(url);
+		},
+		onSuccess: () => {
+			queryClient.invalidateQueries({ queryKey: ["authUser"] });
+			// followed tags feed into the home feed
+			queryClient.invalidateQueries({ queryKey: ["posts"] });
+			toast.success(isFollowing ? `Unfollowed #${tag}` : `Following #${tag}`);
+		},
+		onError: (err) => {
+			toast.error(err.response?.data?.message || "Something went wrong");
+		},
+	});
+
+	// load the next page once the end of the list scrolls into view
+	const loadMoreRef = useRef(null);
+	useEffect(() => {
+		const sentinel = loadMoreRef.current;
+		if (!sentinel || !hasNextPage) return;
+
+		const observer = new IntersectionObserver(
+			([entry]) => {
+				if (entry.isIntersecting && !isFetchingNextPage) fetchNextPage();
+			},
+			{ rootMargin: "400px" },
+		);
+		observer.observe(sentinel);
+		return () => observer.disconnect();
+	}, [hasNextPage, isFetchingNextPage, fetchNextPage]);
+
+	return (
+		<div className='grid grid-cols-1 lg:grid-cols-4 gap-6'>
+			<div className='hidden lg:block lg:col-span-1'>
+				<Sidebar user={authUser} />
+			</div>
+
+			<div className='col-span-1 lg:col-span-3'>
+				<div className='bg-secondary rounded-lg shadow p-6 mb-4 flex items-center justify-between'>
+					<h1 className='text-2xl font-bold flex items-center gap-1'>
+						<Hash size={24} />
+						{tag}
+					</h1>
+					<button
+						onClick={() => toggleFollow()}
+						disabled={isUpdatingFollow}
+						className={isFollowing ? "btn btn-outline btn-sm" : "btn btn-primary btn-sm"}
+					>
+						{isFollowing ? "Following" : "Follow"}
+					</button>
+				</div>
+
+				{isPending && (
+					<div className='flex justify-center py-4'>
+						<Loader className='size-6 animate-spin text-primary' />
+					</div>
+				)}
+
+				{isError && <p className='text-center text-info'>This isn&apos;t a valid hashtag.</p>}
+
+				{posts?.map((post) => (
+					<Post key={post._id} post={post} />
+				))}
+
+				{posts?.length === 0 && (
+					<div className='bg-white rounded-lg shadow p-8 text-center'>
+						<p className='text-gray-600'>No posts with #{tag} yet.</p>
+					</div>
+				)}
+
+				<div ref={loadMoreRef} />
+				{isFetchingNextPage && (
+					<div className='flex justify-center py-4'>
+						<Loader className='size-6 animate-spin text-primary' />
+					</div>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default TagPage;
@@ -0,0 +1,55 @@
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { Link } from "react-router-dom";
+import toast from "react-hot-toast";
+import { Loader, MailCheck } from "lucide-react";
+import { axiosInstance } from "../../lib/axios";
+
+const CheckInboxPage = () => {
+  const { data: authUser } = useQuery({ queryKey: ["authUser"] });
+
+  const { mutate: resendEmail, isPending } = useMutation({
+    mutationFn: () => axiosInstance.post("/auth/resend-verification"),
+    onSuccess: () => {
+      toast.success("Verification email sent");
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.message || "Something went wrong");
+    },
+  });
+
+  return (
+    <div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md shadow-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10 text-center">
+          <MailCheck size={64} className="mx-auto text-blue-500 mb-4" />
+          <h2 className="text-2xl font-extrabold text-gray-900 mb-2">
+            Check your inbox
+          </h2>
+          <p className="text-gray-600 mb-6">
+            We sent a verification link to <strong>{authUser?.email}</strong>.
+            Click the link to activate your account. Until then you can look
+            around, but posting, commenting and connecting are disabled.
+          </p>
+          <button
+            onClick={() => resendEmail()}
+            disabled={isPending}
+            className="btn btn-primary w-full text-white"
+          >
+            {isPending ? (
+              <Loader className="size-5 animate-spin" />
+            ) : (
+              "Resend verification email"
+            )}
+          </button>
+          <Link
+            to="/"
+            className="mt-4 inline-block text-sm font-medium text-blue-600 hover:underline"
+          >
+            Continue to Connect Campus
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+export default CheckInboxPage;
@@ -0,0 +1,90 @@
+import { useState } from "react";
+import { useMutation } from "@tanstack/react-query";
+import { Link } from "react-router-dom";
+import toast from "react-hot-toast";
+import { Loader, MailCheck } from "lucide-react";
+import { axiosInstance } from "../../lib/axios";
+
+const ForgotPasswordPage = () => {
+  const [email, setEmail] = useState("");
+
+  const {
+    mutate: requestReset,
+    data,
+    isPending,
+  } = useMutation({
+    mutationFn: async (email) => {
+      const res = await axiosInstance.post("/auth/forgot-password", { email });
+      return res.data;
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.message || "Something went wrong");
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    requestReset(email);
+  };
+
+  return (
+    <div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <img
+          className="mx-auto h-40 w-auto"
+          src="/logo.png"
+          alt="Connect Campus"
+        />
+        <h2 className="text-center text-3xl font-extrabold text-gray-900">
+          Forgot your password?
+        </h2>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md shadow-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          {data ? (
+            <div className="text-center">
+              <MailCheck size={48} className="mx-auto text-blue-500 mb-4" />
+              <p className="text-gray-600">{data.message}</p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4 w-full">
+              <p className="text-sm text-gray-600">
+                Enter the email you signed up with and we&apos;ll send you a
+                link to reset your password.
+              </p>
+              <input
+                type="email"
+                placeholder="Email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="input input-bordered w-full"
+                required
+              />
+              <button
+                type="submit"
+                disabled={isPending}
+                className="btn btn-primary w-full"
+              >
+                {isPending ? (
+                  <Loader className="size-5 animate-spin" />
+                ) : (
+                  "Send reset link"
+                )}
+              </button>
+            </form>
+          )}
+          <div className="mt-6 text-center">
+            <Link
+              to="/login"
+              className="text-sm font-medium text-blue-600 hover:underline"
+            >
+              Back to sign in
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+export default ForgotPasswordPage;
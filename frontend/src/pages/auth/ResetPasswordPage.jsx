@@ -0,0 +1,95 @@
+import { useState } from "react";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import toast from "react-hot-toast";
+import { Loader } from "lucide-react";
+import { axiosInstance } from "../../lib/axios";
+
+const ResetPasswordPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+
+  const { mutate: resetPassword, isPending } = useMutation({
+    mutationFn: (password) =>
+      axiosInstance.post(`/auth/reset-password/${token}`, { password }),
+    onSuccess: () => {
+      toast.success("Password reset, please sign in with your new password");
+      navigate("/login");
+      // the reset signed out every session, including this browser's
+      queryClient.invalidateQueries({ queryKey: ["authUser"] });
+    },
+    onError: (err) => {
+      toast.error(err.response?.data?.message || "Something went wrong");
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      toast.error("Passwords do not match");
+      return;
+    }
+    resetPassword(password);
+  };
+
+  return (
+    <div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <img
+          className="mx-auto h-40 w-auto"
+          src="/logo.png"
+          alt="Connect Campus"
+        />
+        <h2 className="text-center text-3xl font-extrabold text-gray-900">
+          Choose a new password
+        </h2>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md shadow-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          <form onSubmit={handleSubmit} className="space-y-4 w-full">
+            <input
+              type="password"
+              placeholder="New password (6+ characters)"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="input input-bordered w-full"
+              required
+            />
+            <input
+              type="password"
+              placeholder="Confirm new password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              className="input input-bordered w-full"
+              required
+            />
+            <button
+              type="submit"
+              disabled={isPending}
+              className="btn btn-primary w-full"
+            >
+              {isPending ? (
+                <Loader className="size-5 animate-spin" />
+              ) : (
+                "Reset password"
+              )}
+            </button>
+          </form>
+          <div className="mt-6 text-center">
+            <Link
+              to="/login"
+              className="text-sm font-medium text-blue-600 hover:underline"
+            >
+              Back to sign in
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+export default ResetPasswordPage;
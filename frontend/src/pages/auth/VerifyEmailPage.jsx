@@ -0,0 +1,56 @@
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { Link, useParams } from "react-router-dom";
+import { CircleCheck, CircleX, Loader } from "lucide-react";
+import { axiosInstance } from "../../lib/axios";
+
+const VerifyEmailPage = () => {
+  const { token } = useParams();
+  const queryClient = useQueryClient();
+
+  const { data, error, isLoading } = useQuery({
+    queryKey: ["verifyEmail", token],
+    queryFn: async () => {
+      const res = await axiosInstance.get(`/auth/verify/${token}`);
+      queryClient.invalidateQueries({ queryKey: ["authUser"] });
+      return res.data;
+    },
+    retry: false,
+    staleTime: Infinity,
+  });
+
+  return (
+    <div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md shadow-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10 text-center">
+          {isLoading ? (
+            <Loader size={48} className="mx-auto animate-spin text-blue-500" />
+          ) : error ? (
+            <>
+              <CircleX size={64} className="mx-auto text-red-500 mb-4" />
+              <h2 className="text-2xl font-extrabold text-gray-900 mb-2">
+                Verification failed
+              </h2>
+              <p className="text-gray-600">
+                {error.response?.data?.message || "Something went wrong"}
+              </p>
+            </>
+          ) : (
+            <>
+              <CircleCheck size={64} className="mx-auto text-green-500 mb-4" />
+              <h2 className="text-2xl font-extrabold text-gray-900 mb-2">
+                {data.message}
+              </h2>
+            </>
+          )}
+          <Link
+            to="/"
+            className="mt-6 inline-block text-sm font-medium text-blue-600 hover:underline"
+          >
+            Go to Connect Campus
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+export default VerifyEmailPage;
@@ -0,0 +1,21 @@
+// keep in sync with backend/lib/hashtags.js
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&#])#([\p{L}\p{N}_]+)/gu;
+const MAX_HASHTAG_LENGTH = 50;
+
+const isHashtag = (tag) => tag.length <= MAX_HASHTAG_LENGTH && /\p{L}/u.test(tag);
+
+// splits text into plain strings and { tag, text } parts for the hashtags
+export const splitHashtags = (text = "") => {
+	const parts = [];
+	let last = 0;
+
+	for (const match of text.matchAll(HASHTAG_PATTERN)) {
+		if (!isHashtag(match[1])) continue;
+		if (match.index > last) parts.push(text.slice(last, match.index));
+		parts.push({ tag: match[1].toLowerCase(), text: match[0] });
+		last = match.index + match[0].length;
+	}
+	if (last < text.length) parts.push(text.slice(last));
+
+	return parts;
+};
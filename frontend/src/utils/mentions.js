@@ -0,0 +1,27 @@
+// keep in sync with backend/lib/mentions.js
+const MENTION_PATTERN = /(?<![\w@.])@([\w.-]+)/g;
+
+// splits text into plain strings and { username, text } parts for mentions of
+// the given usernames; anyone the server didn't resolve stays plain text
+export const splitMentions = (text = "", usernames = []) => {
+	const parts = [];
+	let last = 0;
+
+	for (const match of text.matchAll(MENTION_PATTERN)) {
+		const username = match[1].replace(/[.-]+$/, "");
+		if (!usernames.includes(username)) continue;
+		if (match.index > last) parts.push(text.slice(last, match.index));
+		parts.push({ username, text: `@${username}` });
+		last = match.index + username.length + 1;
+	}
+	if (last < text.length) parts.push(text.slice(last));
+
+	return parts;
+};
+
+// the "@partial" being typed right before the caret, if there is one
+export const findMentionQuery = (text, caret) => {
+	const match = text.slice(0, caret).match(/(?:^|[^\w@.])@([\w.-]*)$/);
+	if (!match) return null;
+	return { query: match[1], start: caret - match[1].length - 1, end: caret };
+};
@@ -0,0 +1,6 @@
+// keep in sync with backend/lib/permissions.js
+export const ROLES = ["student", "alumni", "faculty", "moderator", "admin"];
+
+// the server sends what the signed-in user's role may do along with them, see
+// getCurrentUser; it has the final say either way
+export const hasPermission = (user, permission) => Boolean(user?.permissions?.includes(permission));
@@ -0,0 +1,25 @@
+// keep in sync with backend/lib/polls.js
+export const MIN_POLL_OPTIONS = 2;
+export const MAX_POLL_OPTIONS = 4;
+export const MAX_POLL_OPTION_LENGTH = 100;
+
+export const POLL_DURATIONS = [
+	{ hours: 1, label: "1 hour" },
+	{ hours: 24, label: "1 day" },
+	{ hours: 3 * 24, label: "3 days" },
+	{ hours: 7 * 24, label: "1 week" },
+	{ hours: 14 * 24, label: "2 weeks" },
+];
+
+export const emptyPoll = () => ({
+	options: Array(MIN_POLL_OPTIONS).fill(""),
+	hours: 24,
+	multipleChoice: false,
+});
+
+// what POST /posts/create expects from the composer's state
+export const toPollRequest = ({ options, hours, multipleChoice }) => ({
+	options,
+	multipleChoice,
+	closesAt: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
+});
@@ -0,0 +1,17 @@
+// keep in sync with backend/lib/postDocuments.js
+export const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024; // 10 MB
+export const DOCUMENT_MIME_TYPE = "application/pdf";
+
+// Cloudinary renders any page of a PDF as an image when asked for one in the
+// url, e.g. .../upload/v1/notes.pdf becomes .../upload/pg_2,w_1000,c_limit/v1/notes.jpg
+export const documentPageUrl = (url, page) =>
+	url.replace("/upload/", `/upload/pg_${page},w_1000,c_limit/`).replace(/\.pdf$/i, ".jpg");
+
+// served as an attachment so browsers save it instead of opening it
+export const documentDownloadUrl = (url) => url.replace("/upload/", "/upload/fl_attachment/");
+
+export const formatFileSize = (bytes) => {
+	if (bytes < 1024) return `${bytes} B`;
+	if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+	return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
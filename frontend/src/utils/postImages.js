@@ -0,0 +1,57 @@
+import toast from "react-hot-toast";
+import { uploadErrorMessage, uploadFile } from "./uploads";
+
+// keep in sync with backend/lib/postImages.js
+export const MAX_POST_IMAGES = 9;
+export const MAX_ALT_TEXT_LENGTH = 1000;
+export const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10 MB
+export const IMAGE_MIME_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+
+let nextId = 0;
+
+// editor items: { id, url } for images the post already has; new ones carry a
+// local preview and their upload progress until the asset id comes back. Alt
+// text on both
+export const toImageItems = (images = []) => images.map(({ url, alt }) => ({ id: nextId++, url, alt: alt || "" }));
+
+export const isUploadingImages = (items) => items.some((item) => !item.url && !item.asset);
+
+// checks what the server would refuse anyway before spending the upload on it
+export const checkImageFile = (file) => {
+	if (!IMAGE_MIME_TYPES.includes(file.type)) {
+		toast.error("Images must be JPEG, PNG, GIF or WebP files");
+		return false;
+	}
+	if (file.size > MAX_IMAGE_SIZE) {
+		toast.error("Images can be at most 10 MB");
+		return false;
+	}
+	return true;
+};
+
+// Adds the files to the editor straight away and uploads them alongside;
+// any that fail to upload drop out again.
+export const addImageFiles = (files, setItems) => {
+	const added = files.filter(checkImageFile).map((file) => ({
+		id: nextId++,
+		file,
+		preview: URL.createObjectURL(file),
+		progress: 0,
+		alt: "",
+	}));
+	const update = (id, changes) =>
+		setItems((current) => current.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+
+	setItems((current) => [...current, ...added]);
+	for (const { id, file } of added) {
+		uploadFile("image", file, (progress) => update(id, { progress }))
+			.then((asset) => update(id, { asset: asset._id }))
+			.catch((error) => {
+				toast.error(uploadErrorMessage(error));
+				setItems((current) => current.filter((item) => item.id !== id));
+			});
+	}
+};
+
+// what createPost and updatePost expect
+export const toImagesRequest = (items) => items.map(({ url, asset, alt }) => (url ? { url, alt } : { asset, alt }));
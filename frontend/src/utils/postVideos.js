@@ -0,0 +1,26 @@
+// keep in sync with backend/lib/postVideos.js
+export const MAX_VIDEO_SIZE = 20 * 1024 * 1024; // 20 MB
+export const MAX_VIDEO_DURATION = 120; // seconds
+export const VIDEO_MIME_TYPES = ["video/mp4", "video/quicktime", "video/webm"];
+
+// the browser knows the length from the file's metadata alone
+export const readVideoDuration = (file) =>
+	new Promise((resolve, reject) => {
+		const url = URL.createObjectURL(file);
+		const video = document.createElement("video");
+		video.preload = "metadata";
+		video.onloadedmetadata = () => {
+			URL.revokeObjectURL(url);
+			resolve(video.duration);
+		};
+		video.onerror = () => {
+			URL.revokeObjectURL(url);
+			reject(new Error("Couldn't read the video"));
+		};
+		video.src = url;
+	});
+
+export const formatDuration = (seconds) => {
+	const total = Math.round(seconds);
+	return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
@@ -0,0 +1,26 @@
+import { HeartHandshake, Laugh, Lightbulb, PartyPopper, ThumbsUp } from "lucide-react";
+
+// keep in sync with REACTION_TYPES in backend/lib/reactions.js
+export const REACTIONS = [
+	{ type: "like", label: "Like", icon: ThumbsUp, className: "text-blue-500" },
+	{ type: "celebrate", label: "Celebrate", icon: PartyPopper, className: "text-green-600" },
+	{ type: "support", label: "Support", icon: HeartHandshake, className: "text-purple-500" },
+	{ type: "insightful", label: "Insightful", icon: Lightbulb, className: "text-yellow-500" },
+	{ type: "funny", label: "Funny", icon: Laugh, className: "text-cyan-500" },
+];
+
+export const getReaction = (type) => REACTIONS.find((reaction) => reaction.type === type);
+
+export const findUserReaction = (reactions = [], userId) =>
+	reactions.find((reaction) => reaction.user === userId || reaction.user?._id === userId);
+
+// the most used types first, for the icon stack next to the total
+export const topReactionTypes = (reactions = [], limit = 3) => {
+	const counts = new Map();
+	for (const { type } of reactions) counts.set(type, (counts.get(type) || 0) + 1);
+
+	return [...counts.entries()]
+		.sort((a, b) => b[1] - a[1])
+		.slice(0, limit)
+		.map(([type]) => type);
+};
@@ -0,0 +1,37 @@
+import toast from "react-hot-toast";
+import { axiosInstance } from "../lib/axios";
+
+let nextUploadId = 0;
+
+// Streams a file to the server as multipart form data, reporting progress
+// from 0 to 1. Resolves with the asset, whose _id is what createPost and
+// updateProfile take in place of the file.
+export const uploadFile = async (kind, file, onProgress) => {
+	const formData = new FormData();
+	formData.append("file", file);
+	const res = await axiosInstance.post(`/uploads/${kind}`, formData, {
+		onUploadProgress: (event) => {
+			if (event.total) onProgress?.(event.loaded / event.total);
+		},
+	});
+	return res.data;
+};
+
+export const uploadErrorMessage = (error) => error.response?.data?.message || "Upload failed";
+
+// Uploads a file into a piece of state, e.g. a post's video: the state follows
+// the upload's progress and gets the asset id once it's done. Picking another
+// file or clearing the state in the meantime leaves the new state be.
+export const uploadInto = (kind, file, setState, extra = {}) => {
+	const id = nextUploadId++;
+	const update = (changes) =>
+		setState((current) => (current?.id === id ? changes && { ...current, ...changes } : current));
+
+	setState({ id, progress: 0, ...extra });
+	uploadFile(kind, file, (progress) => update({ progress }))
+		.then((asset) => update({ asset: asset._id }))
+		.catch((error) => {
+			toast.error(uploadErrorMessage(error));
+			update(null);
+		});
+};
@@ -0,0 +1,26 @@
+const BROWSERS = [
+	["Edg/", "Edge"],
+	["OPR/", "Opera"],
+	["Firefox/", "Firefox"],
+	["Chrome/", "Chrome"],
+	["Safari/", "Safari"],
+];
+
+const PLATFORMS = [
+	["Android", "Android"],
+	["iPhone", "iPhone"],
+	["iPad", "iPad"],
+	["Windows", "Windows"],
+	["Mac OS", "macOS"],
+	["Linux", "Linux"],
+];
+
+const findMatch = (userAgent, table) => table.find(([token]) => userAgent.includes(token))?.[1];
+
+export const describeUserAgent = (userAgent = "") => {
+	const browser = findMatch(userAgent, BROWSERS);
+	const platform = findMatch(userAgent, PLATFORMS);
+
+	if (browser && platform) return `${browser} on ${platform}`;
+	return browser || platform || "Unknown device";
+};